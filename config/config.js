@@ -6,9 +6,41 @@ module.exports = {
   emailPort: process.env.EMAIL_PORT,
   emailUser: process.env.EMAIL_USER,
   emailPass: process.env.EMAIL_PASS,
+  emailFrom: process.env.EMAIL_FROM,
+  emailSecure: process.env.EMAIL_SECURE === 'true',
   twilioAccountSid: process.env.TWILIO_ACCOUNT_SID,
   twilioAuthToken: process.env.TWILIO_AUTH_TOKEN,
   twilioPhoneNumber: process.env.TWILIO_PHONE_NUMBER,
   razorpayKeyId: process.env.RAZORPAY_KEY_ID,
-  razorpayKeySecret: process.env.RAZORPAY_KEY_SECRET
+  razorpayKeySecret: process.env.RAZORPAY_KEY_SECRET,
+  razorpayWebhookSecret: process.env.RAZORPAY_WEBHOOK_SECRET,
+  razorpayTestMode: process.env.RAZORPAY_TEST_MODE === 'true',
+  twoFactorIssuer: process.env.TWO_FACTOR_ISSUER || 'Service Management',
+  twoFactorTokenExpire: process.env.TWO_FACTOR_TOKEN_EXPIRE || '5m',
+  maxLoginAttempts: parseInt(process.env.MAX_LOGIN_ATTEMPTS, 10) || 5,
+  loginLockMinutes: parseInt(process.env.LOGIN_LOCK_MINUTES, 10) || 15,
+  frontendUrl: process.env.FRONTEND_URL || 'http://localhost:8080',
+  companyName: process.env.COMPANY_NAME || 'Service Management',
+  companyAddress: process.env.COMPANY_ADDRESS,
+  companyGstin: process.env.COMPANY_GSTIN,
+  gstRate: parseFloat(process.env.GST_RATE) || 18,
+  outboxMaxAttempts: parseInt(process.env.OUTBOX_MAX_ATTEMPTS, 10) || 5,
+  outboxRetryBaseSeconds: parseInt(process.env.OUTBOX_RETRY_BASE_SECONDS, 10) || 60,
+  outboxBatchSize: parseInt(process.env.OUTBOX_BATCH_SIZE, 10) || 50,
+  storageDriver: process.env.STORAGE_DRIVER || 'cloudinary',
+  storageLocalPath: process.env.STORAGE_LOCAL_PATH || 'uploads',
+  storageSignedUrlSeconds: parseInt(process.env.STORAGE_SIGNED_URL_SECONDS, 10) || 300,
+  uploadMaxSizeMB: parseFloat(process.env.UPLOAD_MAX_SIZE_MB) || 25,
+  uploadDefaultSizeMB: parseFloat(process.env.UPLOAD_DEFAULT_SIZE_MB) || 10,
+  virusScanner: process.env.VIRUS_SCANNER || 'none',
+  clamdSocket: process.env.CLAMD_SOCKET,
+  clamdHost: process.env.CLAMD_HOST || '127.0.0.1',
+  clamdPort: parseInt(process.env.CLAMD_PORT, 10) || 3310,
+  clamdTimeoutMs: parseInt(process.env.CLAMD_TIMEOUT_MS, 10) || 30000,
+  s3Bucket: process.env.S3_BUCKET,
+  s3Region: process.env.S3_REGION || 'us-east-1',
+  s3Endpoint: process.env.S3_ENDPOINT,
+  s3ForcePathStyle: process.env.S3_FORCE_PATH_STYLE === 'true',
+  s3AccessKeyId: process.env.S3_ACCESS_KEY_ID,
+  s3SecretAccessKey: process.env.S3_SECRET_ACCESS_KEY
 };
\ No newline at end of file
@@ -3,10 +3,48 @@ const Service = require('../models/Service');
 const Case = require('../models/Case');
 const Payment = require('../models/Payment');
 const Notification = require('../models/Notification');
-const DocumentVersion = require('../models/DocumentVersion');
+const AuditLog = require('../models/AuditLog');
+const { notify } = require('../services/notificationService');
+const { changeCaseStatus } = require('../services/caseStatusService');
+const { assignCases } = require('../services/assignmentService');
+const { runBulkAction } = require('../services/bulkCaseService');
+const { disconnectSessions } = require('../services/socketService');
+const { getCaseDocuments, getDocumentStatus } = require('../services/documentService');
+const { completeStep, logStepChanges } = require('../services/workflowStepService');
+const {
+  checkStepGates,
+  describeBlockers,
+  applyGateOverride,
+  logGateOverride
+} = require('../services/stepGateService');
 const constants = require('../utils/constants');
 const { calculateEmployeeWorkload } = require('../utils/helpers');
 
+// Helper function to audit an override of step requirements
+const logGateOverrideAudit = (req, caseItem, blockers, reason) => {
+  return AuditLog.log({
+    user: {
+      userId: req.user._id,
+      name: req.user.name,
+      email: req.user.email,
+      role: req.user.role
+    },
+    action: 'override',
+    entityType: 'Case',
+    entityId: caseItem._id,
+    entityName: caseItem.caseId,
+    description: `Overrode open requirements on ${blockers.map(b => `"${b.stepName}"`).join(', ')}: ${reason.trim()}`,
+    changes: {
+      before: blockers
+    },
+    metadata: {
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent')
+    },
+    severity: 'high'
+  });
+};
+
 // @desc    Get admin dashboard
 // @route   GET /api/admin/dashboard
 // @access  Private/Admin
@@ -59,7 +97,7 @@ exports.getDashboard = async (req, res, next) => {
       const onboardedUsers = await User.find({ agentId: agent._id });
       const completedCases = await Case.find({
         endUserId: { $in: onboardedUsers.map(u => u._id) },
-        status: constants.CASE_STATUS.COMPLETED
+        status: { $in: [constants.CASE_STATUS.COMPLETED, constants.CASE_STATUS.CLOSED] }
       });
 
       agentsWithPerformance.push({
@@ -165,6 +203,132 @@ exports.getUser = async (req, res, next) => {
   }
 };
 
+// @desc    Get login activity for a user
+// @route   GET /api/admin/users/:id/login-activity
+// @access  Private/Admin
+exports.getUserLoginActivity = async (req, res, next) => {
+  try {
+    const { status } = req.query;
+
+    const user = await User.findById(req.params.id);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        error: 'User not found'
+      });
+    }
+
+    let activity = user.loginActivity || [];
+    if (status) {
+      activity = activity.filter(entry => entry.status === status);
+    }
+
+    res.status(200).json({
+      success: true,
+      count: activity.length,
+      data: {
+        isLocked: user.isLocked,
+        lockUntil: user.lockUntil,
+        failedLoginAttempts: user.failedLoginAttempts,
+        loginActivity: activity
+      }
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// @desc    Unlock a user locked out by failed logins
+// @route   POST /api/admin/users/:id/unlock
+// @access  Private/Admin
+exports.unlockUser = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.params.id);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        error: 'User not found'
+      });
+    }
+
+    user.resetLoginAttempts();
+    await user.save({ validateBeforeSave: false });
+
+    await AuditLog.log({
+      user: {
+        userId: req.user.id,
+        name: req.user.name,
+        email: req.user.email,
+        role: req.user.role
+      },
+      action: 'update',
+      entityType: 'User',
+      entityId: user._id,
+      entityName: user.name,
+      description: `Unlocked login for ${user.name}`,
+      metadata: {
+        ipAddress: req.ip,
+        userAgent: req.get('user-agent')
+      },
+      severity: 'medium'
+    });
+
+    res.status(200).json({
+      success: true,
+      data: user
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// @desc    Force logout a user from all sessions
+// @route   POST /api/admin/users/:id/force-logout
+// @access  Private/Admin
+exports.forceLogoutUser = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.params.id);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        error: 'User not found'
+      });
+    }
+
+    await user.revokeSessions();
+    disconnectSessions(user._id);
+
+    await AuditLog.log({
+      user: {
+        userId: req.user.id,
+        name: req.user.name,
+        email: req.user.email,
+        role: req.user.role
+      },
+      action: 'logout',
+      entityType: 'User',
+      entityId: user._id,
+      entityName: user.name,
+      description: `Force logged out ${user.name} from all sessions`,
+      metadata: {
+        ipAddress: req.ip,
+        userAgent: req.get('user-agent')
+      },
+      severity: 'high'
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'User logged out from all sessions'
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
 // @desc    Create user
 // @route   POST /api/admin/users
 // @access  Private/Admin
@@ -183,12 +347,13 @@ exports.createUser = async (req, res, next) => {
     });
 
     // Create welcome notification
-    await Notification.create({
-      recipientId: user._id,
-      type: constants.NOTIFICATION_TYPES.IN_APP,
-      title: 'Welcome',
-      message: 'Your account has been created successfully.',
-      relatedCaseId: null
+    await notify({
+      eventTrigger: 'account_created',
+      recipients: user._id,
+      fallback: {
+        title: 'Welcome',
+        message: 'Your account has been created successfully.'
+      }
     });
 
     res.status(201).json({
@@ -218,12 +383,13 @@ exports.createEmployee = async (req, res, next) => {
     });
 
     // Create notification for the new employee
-    await Notification.create({
-      recipientId: employee._id,
-      type: constants.NOTIFICATION_TYPES.IN_APP,
-      title: 'Welcome to the Team',
-      message: 'Your account has been created successfully. You can now start processing cases.',
-      relatedCaseId: null
+    await notify({
+      eventTrigger: 'account_created',
+      recipients: employee._id,
+      fallback: {
+        title: 'Welcome to the Team',
+        message: 'Your account has been created successfully. You can now start processing cases.'
+      }
     });
 
     res.status(201).json({
@@ -281,12 +447,13 @@ exports.createAgent = async (req, res, next) => {
     });
 
     // Create notification for the new agent
-    await Notification.create({
-      recipientId: agent._id,
-      type: constants.NOTIFICATION_TYPES.IN_APP,
-      title: 'Welcome to the Team',
-      message: 'Your account has been created successfully. You can now start onboarding users.',
-      relatedCaseId: null
+    await notify({
+      eventTrigger: 'account_created',
+      recipients: agent._id,
+      fallback: {
+        title: 'Welcome to the Team',
+        message: 'Your account has been created successfully. You can now start onboarding users.'
+      }
     });
 
     res.status(201).json({
@@ -387,6 +554,133 @@ exports.getCase = async (req, res, next) => {
       });
     }
 
+    const documents = await getCaseDocuments(caseItem._id);
+
+    res.status(200).json({
+      success: true,
+      data: { ...caseItem.toObject(), documents }
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// @desc    Change case status (any transition, including cancel, close and reopen)
+// @route   PUT /api/admin/cases/:id/status
+// @access  Private/Admin
+exports.updateCaseStatus = async (req, res, next) => {
+  try {
+    const { status, reason, overrideReason } = req.body;
+
+    const caseItem = await Case.findById(req.params.id);
+
+    if (!caseItem) {
+      return res.status(404).json({
+        success: false,
+        error: 'Case not found'
+      });
+    }
+
+    const oldStatus = caseItem.status;
+    // overrideReason lets an admin complete a case with open step requirements
+    const result = await changeCaseStatus(caseItem, status, req.user, { reason, overrideReason });
+
+    if (result.error) {
+      return res.status(result.statusCode).json({
+        success: false,
+        error: result.error,
+        blockers: result.blockers
+      });
+    }
+
+    if (result.overridden.length > 0) {
+      await logGateOverrideAudit(req, caseItem, result.overridden, overrideReason);
+    }
+
+    await AuditLog.log({
+      user: {
+        userId: req.user._id,
+        name: req.user.name,
+        email: req.user.email,
+        role: req.user.role
+      },
+      action: 'update',
+      entityType: 'Case',
+      entityId: caseItem._id,
+      entityName: caseItem.caseId,
+      description: `Changed case status from ${oldStatus} to ${status}`,
+      changes: {
+        fields: [{ field: 'status', oldValue: oldStatus, newValue: status }]
+      },
+      metadata: {
+        ipAddress: req.ip,
+        userAgent: req.get('user-agent')
+      },
+      severity: status === constants.CASE_STATUS.CANCELLED ? 'medium' : 'low'
+    });
+
+    res.status(200).json({
+      success: true,
+      data: caseItem
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// @desc    Complete a running workflow step, overriding open requirements with a reason
+// @route   PUT /api/admin/cases/:id/steps/:stepId/complete
+// @access  Private/Admin
+exports.completeCaseStep = async (req, res, next) => {
+  try {
+    const { overrideReason } = req.body;
+
+    const caseItem = await Case.findById(req.params.id);
+
+    if (!caseItem) {
+      return res.status(404).json({
+        success: false,
+        error: 'Case not found'
+      });
+    }
+
+    const blockers = await checkStepGates(caseItem, { stepIds: [req.params.stepId] });
+
+    if (blockers.length > 0) {
+      if (!overrideReason) {
+        return res.status(400).json({
+          success: false,
+          error: `${describeBlockers(blockers)}. Provide an overrideReason to complete the step anyway.`,
+          blockers
+        });
+      }
+
+      const refused = applyGateOverride(caseItem, blockers, overrideReason, req.user);
+      if (refused) {
+        return res.status(refused.statusCode).json({
+          success: false,
+          error: refused.error
+        });
+      }
+    }
+
+    const stepChanges = await completeStep(caseItem, req.params.stepId);
+
+    if (stepChanges.error) {
+      return res.status(400).json({
+        success: false,
+        error: stepChanges.error
+      });
+    }
+
+    await caseItem.save();
+
+    if (blockers.length > 0) {
+      await logGateOverride(caseItem, blockers, overrideReason, req.user);
+      await logGateOverrideAudit(req, caseItem, blockers, overrideReason);
+    }
+    await logStepChanges(caseItem, stepChanges, req.user);
+
     res.status(200).json({
       success: true,
       data: caseItem
@@ -426,12 +720,15 @@ exports.assignCase = async (req, res, next) => {
     await caseItem.save();
 
     // Create notification for employee
-    await Notification.create({
-      recipientId: employeeId,
-      type: constants.NOTIFICATION_TYPES.IN_APP,
-      title: 'New Case Assigned',
-      message: `A new case (${caseItem.caseId}) has been assigned to you.`,
-      relatedCaseId: caseItem._id
+    await notify({
+      eventTrigger: 'case_assigned',
+      recipients: employeeId,
+      relatedCaseId: caseItem._id,
+      data: { caseId: caseItem.caseId },
+      fallback: {
+        title: 'New Case Assigned',
+        message: `A new case (${caseItem.caseId}) has been assigned to you.`
+      }
     });
 
     res.status(200).json({
@@ -443,69 +740,139 @@ exports.assignCase = async (req, res, next) => {
   }
 };
 
-// @desc    Auto assign cases
+// @desc    Auto assign cases using the assignment engine
 // @route   POST /api/admin/cases/auto-assign
 // @access  Private/Admin
 exports.autoAssignCases = async (req, res, next) => {
   try {
-    // Get all unassigned cases
-    const unassignedCases = await Case.find({ employeeId: null });
+    const { caseIds } = req.body;
+    const dryRun = req.body.dryRun === true || req.query.dryRun === 'true';
+
+    // Specific cases, or every open unassigned case
+    const query = {
+      employeeId: null,
+      status: { $nin: [constants.CASE_STATUS.COMPLETED, constants.CASE_STATUS.CLOSED, constants.CASE_STATUS.CANCELLED] }
+    };
+    if (Array.isArray(caseIds) && caseIds.length > 0) {
+      query._id = { $in: caseIds };
+    }
 
-    // Get all active employees
-    const employees = await User.find({
-      role: constants.USER_ROLES.EMPLOYEE,
-      isActive: true
-    });
+    const unassignedCases = await Case.find(query);
 
-    if (unassignedCases.length === 0 || employees.length === 0) {
+    if (unassignedCases.length === 0) {
       return res.status(200).json({
         success: true,
-        message: 'No cases to assign or no employees available'
+        message: 'No cases to assign',
+        count: 0,
+        data: []
       });
     }
 
-    // Calculate current workload for each employee
-    const employeesWithWorkload = [];
-    for (const employee of employees) {
-      const assignedCases = await Case.find({ employeeId: employee._id });
-      const workload = calculateEmployeeWorkload(assignedCases);
-
-      employeesWithWorkload.push({
-        _id: employee._id,
-        workload: workload.total
+    const decisions = await assignCases(unassignedCases, { dryRun, user: req.user });
+    const assignedCount = decisions.filter(d => d.assignedTo).length;
+
+    if (!dryRun && assignedCount > 0) {
+      await AuditLog.log({
+        user: {
+          userId: req.user.id,
+          name: req.user.name,
+          email: req.user.email,
+          role: req.user.role
+        },
+        action: 'assign',
+        entityType: 'Case',
+        description: `Auto-assigned ${assignedCount} of ${decisions.length} case(s)`,
+        changes: {
+          after: decisions
+            .filter(d => d.assignedTo)
+            .map(d => ({ caseId: d.caseNumber, employeeId: d.assignedTo.id }))
+        },
+        metadata: {
+          ipAddress: req.ip,
+          userAgent: req.get('user-agent')
+        },
+        severity: 'medium'
       });
     }
 
-    // Sort employees by workload (ascending)
-    employeesWithWorkload.sort((a, b) => a.workload - b.workload);
-
-    // Assign cases to employees with least workload
-    const assignedCases = [];
-    for (let i = 0; i < unassignedCases.length; i++) {
-      const caseItem = unassignedCases[i];
-      const employeeIndex = i % employeesWithWorkload.length;
-      const employeeId = employeesWithWorkload[employeeIndex]._id;
+    res.status(200).json({
+      success: true,
+      dryRun,
+      count: assignedCount,
+      data: decisions
+    });
+  } catch (err) {
+    next(err);
+  }
+};
 
-      caseItem.employeeId = employeeId;
-      caseItem.assignedAt = Date.now();
-      await caseItem.save();
+// @desc    Apply an action to many cases (assign, reassign, change_priority,
+//          change_status, attach_workflow)
+// @route   POST /api/admin/cases/bulk
+// @access  Private/Admin
+exports.bulkUpdateCases = async (req, res, next) => {
+  try {
+    const { action, caseIds, filter, params } = req.body;
+    const dryRun = req.body.dryRun === true || req.query.dryRun === 'true';
+
+    const result = await runBulkAction({
+      action,
+      caseIds,
+      filter,
+      params,
+      user: req.user,
+      dryRun
+    });
 
-      // Create notification for employee
-      await Notification.create({
-        recipientId: employeeId,
-        type: constants.NOTIFICATION_TYPES.IN_APP,
-        title: 'New Case Assigned',
-        message: `A new case (${caseItem.caseId}) has been assigned to you.`,
-        relatedCaseId: caseItem._id
+    if (result.error) {
+      return res.status(result.statusCode).json({
+        success: false,
+        error: result.error
       });
+    }
 
-      assignedCases.push(caseItem);
+    // One audit entry per changed case
+    if (!dryRun) {
+      for (const item of result.results.filter(r => r.success)) {
+        await AuditLog.log({
+          user: {
+            userId: req.user._id,
+            name: req.user.name,
+            email: req.user.email,
+            role: req.user.role
+          },
+          action: ['assign', 'reassign'].includes(action) ? 'assign' : 'update',
+          entityType: 'Case',
+          entityId: item.caseId,
+          entityName: item.caseNumber,
+          description: `Bulk ${action}: ${item.description}`,
+          changes: {
+            fields: item.fields
+          },
+          metadata: {
+            ipAddress: req.ip,
+            userAgent: req.get('user-agent')
+          },
+          severity: action === 'change_status' && params.status === constants.CASE_STATUS.CANCELLED ? 'medium' : 'low'
+        });
+
+        if (item.overridden) {
+          await logGateOverrideAudit(req, { _id: item.caseId, caseId: item.caseNumber }, item.overridden, params.overrideReason);
+        }
+      }
     }
 
+    const succeeded = result.results.filter(r => r.success).length;
+
     res.status(200).json({
       success: true,
-      count: assignedCases.length,
-      data: assignedCases
+      dryRun,
+      summary: {
+        total: result.results.length,
+        succeeded,
+        failed: result.results.length - succeeded
+      },
+      data: result.results
     });
   } catch (err) {
     next(err);
@@ -623,7 +990,7 @@ exports.getReports = async (req, res, next) => {
           const onboardedUsers = await User.find({ agentId: agent._id });
           const completedCases = await Case.find({
             endUserId: { $in: onboardedUsers.map(u => u._id) },
-            status: constants.CASE_STATUS.COMPLETED,
+            status: { $in: [constants.CASE_STATUS.COMPLETED, constants.CASE_STATUS.CLOSED] },
             ...matchQuery
           });
 
@@ -658,12 +1025,12 @@ exports.getReports = async (req, res, next) => {
               email: employee.email
             },
             totalCases: assignedCases.length,
-            completedCases: assignedCases.filter(c => c.status === constants.CASE_STATUS.COMPLETED).length,
+            completedCases: assignedCases.filter(c => [constants.CASE_STATUS.COMPLETED, constants.CASE_STATUS.CLOSED].includes(c.status)).length,
             avgCompletionTime: assignedCases.length > 0
               ? Math.round(assignedCases
-                .filter(c => c.status === constants.CASE_STATUS.COMPLETED && c.completedAt && c.assignedAt)
+                .filter(c => [constants.CASE_STATUS.COMPLETED, constants.CASE_STATUS.CLOSED].includes(c.status) && c.completedAt && c.assignedAt)
                 .reduce((sum, c) => sum + (c.completedAt - c.assignedAt), 0) /
-                assignedCases.filter(c => c.status === constants.CASE_STATUS.COMPLETED && c.completedAt && c.assignedAt).length / (1000 * 60 * 60 * 24))
+                assignedCases.filter(c => [constants.CASE_STATUS.COMPLETED, constants.CASE_STATUS.CLOSED].includes(c.status) && c.completedAt && c.assignedAt).length / (1000 * 60 * 60 * 24))
               : 0
           });
         }
@@ -700,23 +1067,17 @@ exports.getRequiredDocuments = async (req, res, next) => {
       });
     }
 
-    const service = caseItem.serviceId;
+    // Service's required documents and the case's ad-hoc requests
+    const documentStatus = await getDocumentStatus(caseItem, caseItem.serviceId);
 
-    // Check if service has documentsRequired defined
-    if (!service.documentsRequired || service.documentsRequired.length === 0) {
+    if (documentStatus.length === 0) {
       return res.status(200).json({
         success: true,
         data: [],
-        message: 'No required documents defined for this service'
+        message: 'No required documents defined for this case'
       });
     }
 
-    // Get document status using the static method
-    const documentStatus = await DocumentVersion.getDocumentStatus(
-      caseItem._id,
-      service.documentsRequired
-    );
-
     res.status(200).json({
       success: true,
       count: documentStatus.length,
@@ -754,12 +1115,15 @@ exports.addNote = async (req, res, next) => {
     // Create notification for end user
     const service = await Service.findById(caseItem.serviceId);
 
-    await Notification.create({
-      recipientId: caseItem.endUserId,
-      type: constants.NOTIFICATION_TYPES.IN_APP,
-      title: 'New Note Added',
-      message: `An admin has added a note to your case for ${service.name}.`,
-      relatedCaseId: caseItem._id
+    await notify({
+      eventTrigger: 'note_added',
+      recipients: caseItem.endUserId,
+      relatedCaseId: caseItem._id,
+      data: { caseId: caseItem.caseId, serviceName: service.name },
+      fallback: {
+        title: 'New Note Added',
+        message: `An admin has added a note to your case for ${service.name}.`
+      }
     });
 
     res.status(200).json({
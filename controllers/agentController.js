@@ -2,6 +2,8 @@ const User = require('../models/User');
 const Case = require('../models/Case');
 const Service = require('../models/Service');
 const Notification = require('../models/Notification');
+const { notifyRole } = require('../services/notificationService');
+const { createCase } = require('../services/caseService');
 const constants = require('../utils/constants');
 const { calculateAgentPerformance } = require('../utils/helpers');
 
@@ -18,7 +20,7 @@ exports.getDashboard = async (req, res, next) => {
     // Get completed cases for onboarded users
     const completedCases = await Case.find({
       endUserId: { $in: onboardedUsers.map(u => u._id) },
-      status: constants.CASE_STATUS.COMPLETED
+      status: { $in: [constants.CASE_STATUS.COMPLETED, constants.CASE_STATUS.CLOSED] }
     });
 
     // Get cases in progress for onboarded users
@@ -46,7 +48,7 @@ exports.getDashboard = async (req, res, next) => {
 
     const monthlyCompleted = await Case.find({
       endUserId: { $in: onboardedUsers.map(u => u._id) },
-      status: constants.CASE_STATUS.COMPLETED,
+      status: { $in: [constants.CASE_STATUS.COMPLETED, constants.CASE_STATUS.CLOSED] },
       completedAt: { $gte: currentMonth }
     });
 
@@ -136,17 +138,14 @@ exports.createEndUser = async (req, res, next) => {
     });
 
     // Create notification for admin
-    const admins = await User.find({ role: constants.USER_ROLES.ADMIN });
-
-    for (const admin of admins) {
-      await Notification.create({
-        recipientId: admin._id,
-        type: constants.NOTIFICATION_TYPES.IN_APP,
+    await notifyRole(constants.USER_ROLES.ADMIN, {
+      eventTrigger: 'user_registered',
+      data: { newUserName: name, agentName: req.user.name },
+      fallback: {
         title: 'New User Registration',
-        message: `A new user ${name} has been registered by agent ${req.user.name}.`,
-        relatedCaseId: null
-      });
-    }
+        message: `A new user ${name} has been registered by agent ${req.user.name}.`
+      }
+    });
 
     // If serviceId is provided, create a case
     let caseItem = null;
@@ -154,23 +153,22 @@ exports.createEndUser = async (req, res, next) => {
       const service = await Service.findById(serviceId);
 
       if (service) {
-        caseItem = await Case.create({
-          caseId: `CASE-${Date.now()}-${Math.random().toString(36).substring(2, 5)}`.toUpperCase(),
+        caseItem = await createCase({
           endUserId: endUser._id,
-          serviceId,
-          status: constants.CASE_STATUS.NEW
+          service,
+          createdBy: req.user
         });
 
         // Create notification for admin about new case
-        for (const admin of admins) {
-          await Notification.create({
-            recipientId: admin._id,
-            type: constants.NOTIFICATION_TYPES.IN_APP,
+        await notifyRole(constants.USER_ROLES.ADMIN, {
+          eventTrigger: 'case_created',
+          relatedCaseId: caseItem._id,
+          data: { caseId: caseItem.caseId, serviceName: service.name, clientName: name },
+          fallback: {
             title: 'New Case Created',
-            message: `A new case (${caseItem.caseId}) has been created for user ${name}.`,
-            relatedCaseId: caseItem._id
-          });
-        }
+            message: `A new case (${caseItem.caseId}) has been created for user ${name}.`
+          }
+        });
       }
     }
 
@@ -270,7 +268,7 @@ exports.getReports = async (req, res, next) => {
 
     const completedCases = await Case.find({
       endUserId: { $in: allOnboardedUsers.map(u => u._id) },
-      status: constants.CASE_STATUS.COMPLETED,
+      status: { $in: [constants.CASE_STATUS.COMPLETED, constants.CASE_STATUS.CLOSED] },
       ...caseDateFilter
     });
 
@@ -292,7 +290,7 @@ exports.getReports = async (req, res, next) => {
 
       const monthlyCompleted = await Case.find({
         endUserId: { $in: allOnboardedUsers.map(u => u._id) },
-        status: constants.CASE_STATUS.COMPLETED,
+        status: { $in: [constants.CASE_STATUS.COMPLETED, constants.CASE_STATUS.CLOSED] },
         completedAt: {
           $gte: month,
           $lt: nextMonth
@@ -0,0 +1,105 @@
+const AssignmentConfig = require('../models/AssignmentConfig');
+const AuditLog = require('../models/AuditLog');
+const { getStrategies } = require('../services/assignmentService');
+
+const EDITABLE_FIELDS = [
+    'autoAssignOnCreate',
+    'strategies',
+    'maxOpenCases',
+    'requireModuleMatch',
+    'complexityWeights',
+    'priorityMultipliers'
+];
+
+// @desc    Get auto-assignment settings
+// @route   GET /api/admin/assignment/config
+// @access  Private/Admin
+exports.getConfig = async (req, res, next) => {
+    try {
+        const config = await AssignmentConfig.getConfig();
+
+        res.status(200).json({
+            success: true,
+            data: config
+        });
+    } catch (err) {
+        next(err);
+    }
+};
+
+// @desc    Update auto-assignment settings
+// @route   PUT /api/admin/assignment/config
+// @access  Private/Admin
+exports.updateConfig = async (req, res, next) => {
+    try {
+        if (req.body.strategies !== undefined) {
+            const known = getStrategies().map(strategy => strategy.name);
+            const unknown = (req.body.strategies || [])
+                .map(setting => setting.name)
+                .filter(name => !known.includes(name));
+
+            if (!Array.isArray(req.body.strategies) || unknown.length > 0) {
+                return res.status(400).json({
+                    success: false,
+                    error: `Unknown assignment strategies: ${unknown.join(', ')}. Available: ${known.join(', ')}`
+                });
+            }
+        }
+
+        const config = await AssignmentConfig.getConfig();
+        const before = config.toObject();
+
+        EDITABLE_FIELDS.forEach(field => {
+            if (req.body[field] !== undefined) config.set(field, req.body[field]);
+        });
+        config.updatedBy = req.user.id;
+        await config.save();
+
+        await AuditLog.log({
+            user: {
+                userId: req.user.id,
+                name: req.user.name,
+                email: req.user.email,
+                role: req.user.role
+            },
+            action: 'update',
+            entityType: 'Settings',
+            entityId: config._id,
+            entityName: 'Assignment settings',
+            description: 'Updated auto-assignment settings',
+            changes: {
+                before: EDITABLE_FIELDS.reduce((acc, field) => ({ ...acc, [field]: before[field] }), {}),
+                after: EDITABLE_FIELDS.reduce((acc, field) => ({ ...acc, [field]: config.get(field) }), {})
+            },
+            metadata: {
+                ipAddress: req.ip,
+                userAgent: req.get('user-agent')
+            },
+            severity: 'medium'
+        });
+
+        res.status(200).json({
+            success: true,
+            data: config
+        });
+    } catch (err) {
+        next(err);
+    }
+};
+
+// @desc    List available assignment strategies
+// @route   GET /api/admin/assignment/strategies
+// @access  Private/Admin
+exports.getStrategies = async (req, res, next) => {
+    try {
+        const strategies = getStrategies();
+
+        res.status(200).json({
+            success: true,
+            count: strategies.length,
+            data: strategies
+        });
+    } catch (err) {
+        next(err);
+    }
+};
@@ -1,7 +1,14 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
 const User = require('../models/User');
-const Notification = require('../models/Notification');
-const sendEmail = require('../services/emailService');
+const AuditLog = require('../models/AuditLog');
+const { enqueue } = require('../services/outboxService');
+const twoFactorService = require('../services/twoFactorService');
+const { notifyRole } = require('../services/notificationService');
+const { disconnectSessions } = require('../services/socketService');
+const config = require('../config/config');
 const constants = require('../utils/constants');
+const { getDeviceType } = require('../utils/helpers');
 
 // @desc    Register user
 // @route   POST /api/auth/register
@@ -23,20 +30,17 @@ exports.register = async (req, res, next) => {
 
     // Create notification for admin if user is registered by agent
     if (sourceTag === constants.SOURCE_TAGS.AGENT) {
-      const admins = await User.find({ role: constants.USER_ROLES.ADMIN });
-      
-      for (const admin of admins) {
-        await Notification.create({
-          recipientId: admin._id,
-          type: constants.NOTIFICATION_TYPES.IN_APP,
+      await notifyRole(constants.USER_ROLES.ADMIN, {
+        eventTrigger: 'user_registered',
+        data: { newUserName: name },
+        fallback: {
           title: 'New User Registration',
-          message: `A new user ${name} has been registered by agent.`,
-          relatedCaseId: null
-        });
-      }
+          message: `A new user ${name} has been registered by agent.`
+        }
+      });
     }
 
-    sendTokenResponse(user, 200, res);
+    await sendTokenResponse(user, 200, req, res);
   } catch (err) {
     next(err);
   }
@@ -67,10 +71,22 @@ exports.login = async (req, res, next) => {
       });
     }
 
+    // Refuse temporarily locked accounts before checking the password
+    if (user.isLocked) {
+      await recordLoginAttempt(req, user, 'failed');
+      return sendLockedResponse(user, res);
+    }
+
     // Check if password matches
     const isMatch = await user.matchPassword(password);
 
     if (!isMatch) {
+      await recordLoginAttempt(req, user, 'failed');
+
+      if (user.isLocked) {
+        return sendLockedResponse(user, res);
+      }
+
       return res.status(401).json({
         success: false,
         error: 'Invalid credentials'
@@ -85,7 +101,263 @@ exports.login = async (req, res, next) => {
       });
     }
 
-    sendTokenResponse(user, 200, res);
+    // Hold back the JWT until the TOTP step succeeds (activity is recorded there)
+    if (user.twoFactorEnabled) {
+      return res.status(200).json({
+        success: true,
+        twoFactorRequired: true,
+        tempToken: user.getTwoFactorPendingToken()
+      });
+    }
+
+    await recordLoginAttempt(req, user, 'success');
+
+    await sendTokenResponse(user, 200, req, res);
+  } catch (err) {
+    next(err);
+  }
+};
+
+// @desc    Complete login with a TOTP or recovery code
+// @route   POST /api/auth/2fa/verify
+// @access  Public (requires tempToken from /login)
+exports.verifyTwoFactorLogin = async (req, res, next) => {
+  try {
+    const { tempToken, code, recoveryCode } = req.body;
+
+    if (!tempToken || (!code && !recoveryCode)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Please provide the login token and a verification code'
+      });
+    }
+
+    let decoded;
+    try {
+      decoded = jwt.verify(tempToken, config.jwtSecret);
+    } catch (err) {
+      return res.status(401).json({
+        success: false,
+        error: 'Login token is invalid or has expired'
+      });
+    }
+
+    if (!decoded.twoFactorPending) {
+      return res.status(401).json({
+        success: false,
+        error: 'Login token is invalid or has expired'
+      });
+    }
+
+    const user = await User.findById(decoded.id).select('+twoFactorSecret +twoFactorRecoveryCodes');
+
+    if (!user || !user.isActive || !user.twoFactorEnabled) {
+      return res.status(401).json({
+        success: false,
+        error: 'Invalid credentials'
+      });
+    }
+
+    if (user.isLocked) {
+      await recordLoginAttempt(req, user, 'failed');
+      return sendLockedResponse(user, res);
+    }
+
+    // A used recovery code is persisted by the activity save below
+    const isValid = code
+      ? await twoFactorService.useCode(user, code)
+      : user.useRecoveryCode(twoFactorService.hashRecoveryCode(recoveryCode));
+
+    if (!isValid) {
+      await recordLoginAttempt(req, user, 'failed');
+
+      if (user.isLocked) {
+        return sendLockedResponse(user, res);
+      }
+
+      return res.status(401).json({
+        success: false,
+        error: 'Invalid verification code'
+      });
+    }
+
+    await recordLoginAttempt(req, user, 'success');
+
+    await sendTokenResponse(user, 200, req, res);
+  } catch (err) {
+    next(err);
+  }
+};
+
+// @desc    Start 2FA enrollment - generate secret and QR code
+// @route   POST /api/auth/2fa/enroll
+// @access  Private
+exports.enrollTwoFactor = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user.id);
+
+    if (user.twoFactorEnabled) {
+      return res.status(400).json({
+        success: false,
+        error: 'Two-factor authentication is already enabled'
+      });
+    }
+
+    const secret = twoFactorService.generateSecret(user);
+    const qrCode = await twoFactorService.generateQRCode(secret.otpauthUrl);
+
+    // Secret is stored now but only takes effect once confirmed
+    user.twoFactorSecret = secret.base32;
+    await user.save({ validateBeforeSave: false });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        secret: secret.base32,
+        otpauthUrl: secret.otpauthUrl,
+        qrCode
+      }
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// @desc    Confirm 2FA enrollment with a code from the authenticator app
+// @route   POST /api/auth/2fa/confirm
+// @access  Private
+exports.confirmTwoFactor = async (req, res, next) => {
+  try {
+    const { code } = req.body;
+
+    const user = await User.findById(req.user.id).select('+twoFactorSecret');
+
+    if (user.twoFactorEnabled) {
+      return res.status(400).json({
+        success: false,
+        error: 'Two-factor authentication is already enabled'
+      });
+    }
+
+    if (!user.twoFactorSecret) {
+      return res.status(400).json({
+        success: false,
+        error: 'Please start two-factor enrollment first'
+      });
+    }
+
+    if (!(await twoFactorService.useCode(user, code))) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid verification code'
+      });
+    }
+
+    const { codes, hashedCodes } = twoFactorService.generateRecoveryCodes();
+
+    user.twoFactorEnabled = true;
+    user.twoFactorRecoveryCodes = hashedCodes;
+    await user.save({ validateBeforeSave: false });
+
+    await logTwoFactorAudit(req, user, 'Enabled two-factor authentication');
+
+    res.status(200).json({
+      success: true,
+      data: {
+        twoFactorEnabled: true,
+        recoveryCodes: codes
+      }
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// @desc    Disable 2FA
+// @route   POST /api/auth/2fa/disable
+// @access  Private
+exports.disableTwoFactor = async (req, res, next) => {
+  try {
+    const { password, code } = req.body;
+
+    const user = await User.findById(req.user.id).select('+password +twoFactorSecret');
+
+    if (!user.twoFactorEnabled) {
+      return res.status(400).json({
+        success: false,
+        error: 'Two-factor authentication is not enabled'
+      });
+    }
+
+    if (!password || !(await user.matchPassword(password))) {
+      return res.status(401).json({
+        success: false,
+        error: 'Password is incorrect'
+      });
+    }
+
+    if (!(await twoFactorService.useCode(user, code))) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid verification code'
+      });
+    }
+
+    user.twoFactorEnabled = false;
+    user.twoFactorSecret = undefined;
+    user.twoFactorRecoveryCodes = [];
+    user.twoFactorLastUsedStep = undefined;
+    await user.save({ validateBeforeSave: false });
+
+    await logTwoFactorAudit(req, user, 'Disabled two-factor authentication');
+
+    res.status(200).json({
+      success: true,
+      data: {
+        twoFactorEnabled: false
+      }
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// @desc    Regenerate 2FA recovery codes (invalidates the old set)
+// @route   POST /api/auth/2fa/recovery-codes
+// @access  Private
+exports.regenerateRecoveryCodes = async (req, res, next) => {
+  try {
+    const { code } = req.body;
+
+    const user = await User.findById(req.user.id).select('+twoFactorSecret');
+
+    if (!user.twoFactorEnabled) {
+      return res.status(400).json({
+        success: false,
+        error: 'Two-factor authentication is not enabled'
+      });
+    }
+
+    if (!(await twoFactorService.useCode(user, code))) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid verification code'
+      });
+    }
+
+    const { codes, hashedCodes } = twoFactorService.generateRecoveryCodes();
+
+    user.twoFactorRecoveryCodes = hashedCodes;
+    await user.save({ validateBeforeSave: false });
+
+    await logTwoFactorAudit(req, user, 'Regenerated two-factor recovery codes');
+
+    res.status(200).json({
+      success: true,
+      data: {
+        recoveryCodes: codes
+      }
+    });
   } catch (err) {
     next(err);
   }
@@ -132,10 +404,14 @@ exports.forgotPassword = async (req, res, next) => {
     const message = `You are receiving this email because you (or someone else) has requested the reset of a password. Please make a PUT request to: \n\n ${resetUrl}`;
 
     try {
-      await sendEmail({
-        email: user.email,
+      await enqueue({
+        channel: 'email',
+        to: user.email,
         subject: 'Password reset token',
-        message
+        message,
+        recipientId: user._id,
+        eventTrigger: 'password_reset',
+        sensitive: true // The body holds the reset token
       });
 
       res.status(200).json({
@@ -188,7 +464,11 @@ exports.resetPassword = async (req, res, next) => {
     user.resetPasswordExpire = undefined;
     await user.save();
 
-    sendTokenResponse(user, 200, res);
+    // Sign out every existing session after a password reset
+    await user.revokeSessions();
+    disconnectSessions(user._id);
+
+    await sendTokenResponse(user, 200, req, res);
   } catch (err) {
     next(err);
   }
@@ -237,7 +517,11 @@ exports.updatePassword = async (req, res, next) => {
     user.password = req.body.newPassword;
     await user.save();
 
-    sendTokenResponse(user, 200, res);
+    // Sign out every existing session after a password change
+    await user.revokeSessions();
+    disconnectSessions(user._id);
+
+    await sendTokenResponse(user, 200, req, res);
   } catch (err) {
     next(err);
   }
@@ -248,6 +532,9 @@ exports.updatePassword = async (req, res, next) => {
 // @access  Private
 exports.logout = async (req, res, next) => {
   try {
+    await req.user.revokeSessions({ sessionId: req.sessionId });
+    disconnectSessions(req.user._id, { sessionId: req.sessionId });
+
     res.status(200).json({
       success: true,
       data: {}
@@ -257,11 +544,257 @@ exports.logout = async (req, res, next) => {
   }
 };
 
-// Helper function to get token from model, create cookie and send response
-const sendTokenResponse = (user, statusCode, res) => {
+// @desc    Get my login activity
+// @route   GET /api/auth/login-activity
+// @access  Private
+exports.getLoginActivity = async (req, res, next) => {
+  try {
+    const { status } = req.query;
+
+    let activity = req.user.loginActivity || [];
+    if (status) {
+      activity = activity.filter(entry => entry.status === status);
+    }
+
+    res.status(200).json({
+      success: true,
+      count: activity.length,
+      data: activity
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// @desc    Get my active sessions
+// @route   GET /api/auth/sessions
+// @access  Private
+exports.getSessions = async (req, res, next) => {
+  try {
+    const now = new Date();
+
+    const sessions = req.user.sessionTokens
+      .filter(session => session.expiresAt > now)
+      .sort((a, b) => b.createdAt - a.createdAt)
+      .map(session => ({
+        _id: session._id,
+        createdAt: session.createdAt,
+        expiresAt: session.expiresAt,
+        deviceInfo: session.deviceInfo,
+        ipAddress: session.ipAddress,
+        isCurrent: session._id.toString() === req.sessionId
+      }));
+
+    res.status(200).json({
+      success: true,
+      count: sessions.length,
+      data: sessions
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// @desc    Revoke one of my sessions
+// @route   DELETE /api/auth/sessions/:sessionId
+// @access  Private
+exports.revokeSession = async (req, res, next) => {
+  try {
+    const revoked = await req.user.revokeSessions({ sessionId: req.params.sessionId });
+
+    if (!revoked) {
+      return res.status(404).json({
+        success: false,
+        error: 'Session not found'
+      });
+    }
+
+    disconnectSessions(req.user._id, { sessionId: req.params.sessionId });
+
+    res.status(200).json({
+      success: true,
+      message: 'Session revoked'
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// @desc    Revoke all my sessions except the current one
+// @route   POST /api/auth/sessions/revoke-others
+// @access  Private
+exports.revokeOtherSessions = async (req, res, next) => {
+  try {
+    await req.user.revokeSessions({ keepSessionId: req.sessionId });
+    disconnectSessions(req.user._id, { keepSessionId: req.sessionId });
+
+    res.status(200).json({
+      success: true,
+      message: 'All other sessions revoked'
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// @desc    Get my notification preferences
+// @route   GET /api/auth/notification-preferences
+// @access  Private
+exports.getNotificationPreferences = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user.id).select('notificationPreferences');
+
+    res.status(200).json({
+      success: true,
+      data: user.notificationPreferences
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// @desc    Update my notification preferences
+// @route   PUT /api/auth/notification-preferences
+// @access  Private
+exports.updateNotificationPreferences = async (req, res, next) => {
+  try {
+    const { email, sms, mutedEvents, quietHours } = req.body;
+    const updates = {};
+
+    if (email !== undefined) updates['notificationPreferences.email'] = Boolean(email);
+    if (sms !== undefined) updates['notificationPreferences.sms'] = Boolean(sms);
+
+    if (mutedEvents !== undefined) {
+      if (!Array.isArray(mutedEvents)) {
+        return res.status(400).json({
+          success: false,
+          error: 'mutedEvents must be an array of event triggers'
+        });
+      }
+      updates['notificationPreferences.mutedEvents'] = mutedEvents;
+    }
+
+    if (quietHours) {
+      if (quietHours.timezone) {
+        try {
+          new Intl.DateTimeFormat('en-GB', { timeZone: quietHours.timezone });
+        } catch (e) {
+          return res.status(400).json({
+            success: false,
+            error: `Invalid timezone: ${quietHours.timezone}`
+          });
+        }
+      }
+
+      ['enabled', 'start', 'end', 'timezone'].forEach(field => {
+        if (quietHours[field] !== undefined) {
+          updates[`notificationPreferences.quietHours.${field}`] = quietHours[field];
+        }
+      });
+    }
+
+    const user = await User.findByIdAndUpdate(req.user.id, { $set: updates }, {
+      new: true,
+      runValidators: true
+    }).select('notificationPreferences');
+
+    res.status(200).json({
+      success: true,
+      data: user.notificationPreferences
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// Helper function to record a login attempt and update lockout counters
+const recordLoginAttempt = async (req, user, status) => {
+  const userAgent = req.get('user-agent');
+  const wasLocked = user.isLocked;
+
+  if (status === 'success') {
+    user.resetLoginAttempts();
+  } else if (!wasLocked) {
+    user.registerFailedLogin();
+  }
+
+  await user.addLoginActivity({
+    timestamp: new Date(),
+    ipAddress: req.ip,
+    userAgent,
+    deviceType: getDeviceType(userAgent),
+    status
+  });
+
+  // Audit the moment the account becomes locked
+  if (!wasLocked && user.isLocked) {
+    await AuditLog.log({
+      user: {
+        userId: user._id,
+        name: user.name,
+        email: user.email,
+        role: user.role
+      },
+      action: 'login',
+      entityType: 'User',
+      entityId: user._id,
+      entityName: user.name,
+      description: `Account locked after ${config.maxLoginAttempts} failed login attempts`,
+      metadata: {
+        ipAddress: req.ip,
+        userAgent,
+        deviceType: getDeviceType(userAgent)
+      },
+      severity: 'high',
+      status: 'failure'
+    });
+  }
+};
+
+// Helper function to reject a login for a locked account
+const sendLockedResponse = (user, res) => {
+  const minutes = Math.ceil((user.lockUntil - Date.now()) / (60 * 1000));
+
+  return res.status(401).json({
+    success: false,
+    error: `Account temporarily locked due to repeated failed logins. Try again in ${minutes} minute${minutes > 1 ? 's' : ''}.`,
+    lockUntil: user.lockUntil
+  });
+};
+
+// Helper function to record 2FA changes in the audit log
+const logTwoFactorAudit = async (req, user, description) => {
+  await AuditLog.log({
+    user: {
+      userId: user._id,
+      name: user.name,
+      email: user.email,
+      role: user.role
+    },
+    action: 'update',
+    entityType: 'User',
+    entityId: user._id,
+    entityName: user.name,
+    description,
+    metadata: {
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent')
+    },
+    severity: 'high'
+  });
+};
+
+// Helper function to get token from model, record the session and send response
+const sendTokenResponse = async (user, statusCode, req, res) => {
   // Create token
   const token = user.getSignedJwtToken();
 
+  // Record server-side session so the token can be revoked
+  await user.createSession(token, {
+    deviceInfo: req.get('user-agent'),
+    ipAddress: req.ip
+  });
+
   res.status(statusCode).json({
     success: true,
     token,
@@ -0,0 +1,453 @@
+const User = require('../models/User');
+const Case = require('../models/Case');
+const EmployeeLeave = require('../models/EmployeeLeave');
+const AuditLog = require('../models/AuditLog');
+const { notifyRole } = require('../services/notificationService');
+const {
+    validateBackup,
+    getAvailabilityOverview,
+    getReassignmentQueue
+} = require('../services/availabilityService');
+const { reassignEmployeeCases } = require('../services/assignmentService');
+const constants = require('../utils/constants');
+
+const WORKING_STATUSES = ['available', 'busy', 'out_of_office'];
+const OPEN_STATUSES = ['new', 'in_progress', 'on_hold', 'awaiting_client', 'reopened'];
+
+// Helper function to write an availability audit entry
+const logAvailabilityAudit = (req, employee, action, description) => {
+    return AuditLog.log({
+        user: {
+            userId: req.user.id,
+            name: req.user.name,
+            email: req.user.email,
+            role: req.user.role
+        },
+        action,
+        entityType: 'User',
+        entityId: employee._id,
+        entityName: employee.name,
+        description,
+        metadata: {
+            ipAddress: req.ip,
+            userAgent: req.get('user-agent')
+        },
+        severity: 'low'
+    });
+};
+
+// Helper function to tell admins when an unavailable employee still holds open cases
+const alertIfCasesNeedCover = async (employee, reason) => {
+    const openCases = await Case.countDocuments({
+        employeeId: employee._id,
+        status: { $in: OPEN_STATUSES }
+    });
+
+    if (openCases === 0) {
+        return;
+    }
+
+    await notifyRole(constants.USER_ROLES.ADMIN, {
+        eventTrigger: 'employee_unavailable',
+        data: { employeeName: employee.name, openCases, reason },
+        fallback: {
+            title: 'Cases Need Reassignment',
+            message: `${employee.name} is ${reason} and holds ${openCases} open case(s). Review the reassignment queue.`
+        }
+    });
+};
+
+// Helper function to update an employee's working status and default backup
+const applyAvailability = async (req, res, employee) => {
+    const { workingStatus, backupEmployeeId } = req.body;
+
+    if (workingStatus !== undefined && !WORKING_STATUSES.includes(workingStatus)) {
+        return res.status(400).json({
+            success: false,
+            error: `Working status must be one of: ${WORKING_STATUSES.join(', ')}`
+        });
+    }
+
+    const backupError = await validateBackup(backupEmployeeId, employee._id);
+    if (backupError) {
+        return res.status(400).json({
+            success: false,
+            error: backupError
+        });
+    }
+
+    const previousStatus = employee.workingStatus;
+    if (workingStatus !== undefined) employee.workingStatus = workingStatus;
+    if (backupEmployeeId !== undefined) employee.backupEmployeeId = backupEmployeeId || null;
+    await employee.save({ validateBeforeSave: false });
+
+    await logAvailabilityAudit(
+        req,
+        employee,
+        'update',
+        `Updated availability of ${employee.name}: ${employee.workingStatus}`
+    );
+
+    if (employee.workingStatus === 'out_of_office' && previousStatus !== 'out_of_office') {
+        await alertIfCasesNeedCover(employee, 'out of office');
+    }
+
+    res.status(200).json({
+        success: true,
+        data: {
+            workingStatus: employee.workingStatus,
+            backupEmployeeId: employee.backupEmployeeId
+        }
+    });
+};
+
+// Helper function to record leave for an employee
+const createLeave = async (req, res, employee) => {
+    const { startDate, endDate, type, reason, backupEmployeeId } = req.body;
+
+    if (!startDate || !endDate || isNaN(new Date(startDate).getTime()) || isNaN(new Date(endDate).getTime())) {
+        return res.status(400).json({
+            success: false,
+            error: 'Please provide valid leave start and end dates'
+        });
+    }
+
+    const backupError = await validateBackup(backupEmployeeId, employee._id);
+    if (backupError) {
+        return res.status(400).json({
+            success: false,
+            error: backupError
+        });
+    }
+
+    const overlapping = await EmployeeLeave.findOverlapping(employee._id, new Date(startDate), new Date(endDate));
+    if (overlapping) {
+        return res.status(400).json({
+            success: false,
+            error: 'Leave overlaps with existing leave'
+        });
+    }
+
+    const leave = await EmployeeLeave.create({
+        employeeId: employee._id,
+        startDate,
+        endDate,
+        type,
+        reason,
+        backupEmployeeId: backupEmployeeId || null,
+        createdBy: req.user.id
+    });
+
+    await logAvailabilityAudit(
+        req,
+        employee,
+        'create',
+        `Recorded ${leave.type} leave for ${employee.name} from ${leave.startDate.toISOString().slice(0, 10)} to ${leave.endDate.toISOString().slice(0, 10)}`
+    );
+
+    // Leave that is already running needs cover now
+    const now = new Date();
+    if (leave.startDate <= now && leave.endDate > now) {
+        await alertIfCasesNeedCover(employee, `on ${leave.type} leave`);
+    }
+
+    res.status(201).json({
+        success: true,
+        data: leave
+    });
+};
+
+// Helper function to cancel leave
+const cancelLeave = async (req, res, leave) => {
+    if (leave.status === 'cancelled') {
+        return res.status(400).json({
+            success: false,
+            error: 'Leave is already cancelled'
+        });
+    }
+
+    leave.status = 'cancelled';
+    leave.cancelledAt = Date.now();
+    await leave.save();
+
+    const employee = await User.findById(leave.employeeId).select('name');
+    await logAvailabilityAudit(req, employee, 'update', `Cancelled leave for ${employee.name}`);
+
+    res.status(200).json({
+        success: true,
+        data: leave
+    });
+};
+
+// Helper function to load an employee by ID
+const findEmployee = (id) => User.findOne({
+    _id: id,
+    role: constants.USER_ROLES.EMPLOYEE
+});
+
+// @desc    Get availability of all employees
+// @route   GET /api/admin/availability
+// @access  Private/Admin
+exports.getOverview = async (req, res, next) => {
+    try {
+        const overview = await getAvailabilityOverview();
+
+        res.status(200).json({
+            success: true,
+            count: overview.length,
+            data: overview
+        });
+    } catch (err) {
+        next(err);
+    }
+};
+
+// @desc    Get open cases held by unavailable employees
+// @route   GET /api/admin/availability/reassignment-queue
+// @access  Private/Admin
+exports.getQueue = async (req, res, next) => {
+    try {
+        const queue = await getReassignmentQueue();
+
+        res.status(200).json({
+            success: true,
+            count: queue.reduce((total, entry) => total + entry.cases.length, 0),
+            data: queue
+        });
+    } catch (err) {
+        next(err);
+    }
+};
+
+// @desc    Get leave records
+// @route   GET /api/admin/availability/leave?employeeId=&from=&to=&status=
+// @access  Private/Admin
+exports.getLeave = async (req, res, next) => {
+    try {
+        const { employeeId, from, to, status } = req.query;
+
+        const query = {};
+        if (employeeId) query.employeeId = employeeId;
+        if (status) query.status = status;
+        if (from) query.endDate = { $gt: new Date(from) };
+        if (to) query.startDate = { $lt: new Date(to) };
+
+        const leave = await EmployeeLeave.find(query)
+            .populate('employeeId', 'name email')
+            .populate('backupEmployeeId', 'name email')
+            .sort({ startDate: -1 });
+
+        res.status(200).json({
+            success: true,
+            count: leave.length,
+            data: leave
+        });
+    } catch (err) {
+        next(err);
+    }
+};
+
+// @desc    Update an employee's working status and default backup
+// @route   PUT /api/admin/availability/employees/:id
+// @access  Private/Admin
+exports.updateEmployeeAvailability = async (req, res, next) => {
+    try {
+        const employee = await findEmployee(req.params.id);
+
+        if (!employee) {
+            return res.status(404).json({
+                success: false,
+                error: 'Employee not found'
+            });
+        }
+
+        await applyAvailability(req, res, employee);
+    } catch (err) {
+        next(err);
+    }
+};
+
+// @desc    Record leave for an employee
+// @route   POST /api/admin/availability/employees/:id/leave
+// @access  Private/Admin
+exports.addEmployeeLeave = async (req, res, next) => {
+    try {
+        const employee = await findEmployee(req.params.id);
+
+        if (!employee) {
+            return res.status(404).json({
+                success: false,
+                error: 'Employee not found'
+            });
+        }
+
+        await createLeave(req, res, employee);
+    } catch (err) {
+        next(err);
+    }
+};
+
+// @desc    Cancel leave
+// @route   DELETE /api/admin/availability/leave/:leaveId
+// @access  Private/Admin
+exports.cancelEmployeeLeave = async (req, res, next) => {
+    try {
+        const leave = await EmployeeLeave.findById(req.params.leaveId);
+
+        if (!leave) {
+            return res.status(404).json({
+                success: false,
+                error: 'Leave not found'
+            });
+        }
+
+        await cancelLeave(req, res, leave);
+    } catch (err) {
+        next(err);
+    }
+};
+
+// @desc    Reassign an employee's open cases, to a backup or through auto-assignment
+// @route   POST /api/admin/availability/employees/:id/reassign
+// @access  Private/Admin
+exports.reassignCases = async (req, res, next) => {
+    try {
+        const { caseIds, backupEmployeeId } = req.body;
+        const dryRun = req.body.dryRun === true || req.query.dryRun === 'true';
+
+        const employee = await findEmployee(req.params.id);
+
+        if (!employee) {
+            return res.status(404).json({
+                success: false,
+                error: 'Employee not found'
+            });
+        }
+
+        const result = await reassignEmployeeCases(employee._id, {
+            caseIds,
+            backupEmployeeId,
+            dryRun,
+            user: req.user
+        });
+
+        if (result.error) {
+            return res.status(result.statusCode).json({
+                success: false,
+                error: result.error
+            });
+        }
+
+        const reassigned = result.decisions.filter(d => d.assignedTo);
+
+        if (!dryRun && reassigned.length > 0) {
+            await AuditLog.log({
+                user: {
+                    userId: req.user.id,
+                    name: req.user.name,
+                    email: req.user.email,
+                    role: req.user.role
+                },
+                action: 'assign',
+                entityType: 'User',
+                entityId: employee._id,
+                entityName: employee.name,
+                description: `Reassigned ${reassigned.length} open case(s) from ${employee.name}`,
+                changes: {
+                    after: reassigned.map(d => ({ caseId: d.caseNumber, employeeId: d.assignedTo.id }))
+                },
+                metadata: {
+                    ipAddress: req.ip,
+                    userAgent: req.get('user-agent')
+                },
+                severity: 'medium'
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            dryRun,
+            count: reassigned.length,
+            data: result.decisions
+        });
+    } catch (err) {
+        next(err);
+    }
+};
+
+// @desc    Get my working status and leave
+// @route   GET /api/employee/availability
+// @access  Private/Employee
+exports.getMyAvailability = async (req, res, next) => {
+    try {
+        const employee = await User.findById(req.user.id)
+            .select('name workingStatus backupEmployeeId')
+            .populate('backupEmployeeId', 'name email');
+
+        const leave = await EmployeeLeave.find({
+            employeeId: req.user.id,
+            status: 'scheduled',
+            endDate: { $gt: new Date() }
+        })
+            .populate('backupEmployeeId', 'name email')
+            .sort({ startDate: 1 });
+
+        res.status(200).json({
+            success: true,
+            data: {
+                workingStatus: employee.workingStatus,
+                backupEmployee: employee.backupEmployeeId,
+                leave
+            }
+        });
+    } catch (err) {
+        next(err);
+    }
+};
+
+// @desc    Update my working status and default backup
+// @route   PUT /api/employee/availability
+// @access  Private/Employee
+exports.updateMyAvailability = async (req, res, next) => {
+    try {
+        const employee = await User.findById(req.user.id);
+        await applyAvailability(req, res, employee);
+    } catch (err) {
+        next(err);
+    }
+};
+
+// @desc    Record my leave
+// @route   POST /api/employee/leave
+// @access  Private/Employee
+exports.addMyLeave = async (req, res, next) => {
+    try {
+        const employee = await User.findById(req.user.id);
+        await createLeave(req, res, employee);
+    } catch (err) {
+        next(err);
+    }
+};
+
+// @desc    Cancel my leave
+// @route   DELETE /api/employee/leave/:leaveId
+// @access  Private/Employee
+exports.cancelMyLeave = async (req, res, next) => {
+    try {
+        const leave = await EmployeeLeave.findOne({
+            _id: req.params.leaveId,
+            employeeId: req.user.id
+        });
+
+        if (!leave) {
+            return res.status(404).json({
+                success: false,
+                error: 'Leave not found'
+            });
+        }
+
+        await cancelLeave(req, res, leave);
+    } catch (err) {
+        next(err);
+    }
+};
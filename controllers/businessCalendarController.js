@@ -0,0 +1,347 @@
+const BusinessCalendar = require('../models/BusinessCalendar');
+const Service = require('../models/Service');
+const AuditLog = require('../models/AuditLog');
+const {
+    getCalendarForService,
+    addBusinessHours,
+    getNationalHolidays
+} = require('../services/businessCalendarService');
+
+const EDITABLE_FIELDS = [
+    'name',
+    'description',
+    'timezone',
+    'workingHours',
+    'weeklyOffDays',
+    'holidays',
+    'atRiskHours',
+    'serviceIds',
+    'isDefault',
+    'isActive'
+];
+
+// Helper function to write a calendar audit entry
+const logCalendarAudit = (req, calendar, action, description) => {
+    return AuditLog.log({
+        user: {
+            userId: req.user.id,
+            name: req.user.name,
+            email: req.user.email,
+            role: req.user.role
+        },
+        action,
+        entityType: 'BusinessCalendar',
+        entityId: calendar._id,
+        entityName: calendar.name,
+        description,
+        metadata: {
+            ipAddress: req.ip,
+            userAgent: req.get('user-agent')
+        },
+        severity: 'medium'
+    });
+};
+
+// Helper function to check that services exist and are not claimed by another calendar
+const validateServiceIds = async (serviceIds, calendarId = null) => {
+    if (!serviceIds || serviceIds.length === 0) {
+        return null;
+    }
+
+    const count = await Service.countDocuments({ _id: { $in: serviceIds } });
+    if (count !== new Set(serviceIds.map(String)).size) {
+        return 'One or more services not found';
+    }
+
+    const conflict = await BusinessCalendar.findOne({
+        _id: { $ne: calendarId },
+        serviceIds: { $in: serviceIds },
+        isActive: true
+    });
+    if (conflict) {
+        return `A selected service already uses the "${conflict.name}" calendar`;
+    }
+
+    return null;
+};
+
+// @desc    Create business calendar
+// @route   POST /api/admin/business-calendars
+// @access  Private/Admin
+exports.createCalendar = async (req, res, next) => {
+    try {
+        const serviceError = await validateServiceIds(req.body.serviceIds);
+        if (serviceError) {
+            return res.status(400).json({
+                success: false,
+                error: serviceError
+            });
+        }
+
+        const data = {};
+        EDITABLE_FIELDS.forEach(field => {
+            if (req.body[field] !== undefined) data[field] = req.body[field];
+        });
+
+        const calendar = await BusinessCalendar.create({
+            ...data,
+            createdBy: req.user.id
+        });
+
+        await logCalendarAudit(req, calendar, 'create', `Created business calendar: ${calendar.name}`);
+
+        res.status(201).json({
+            success: true,
+            data: calendar
+        });
+    } catch (err) {
+        next(err);
+    }
+};
+
+// @desc    Get all business calendars
+// @route   GET /api/admin/business-calendars
+// @access  Private/Admin
+exports.getCalendars = async (req, res, next) => {
+    try {
+        const { isActive } = req.query;
+
+        const query = {};
+        if (isActive !== undefined) query.isActive = isActive === 'true';
+
+        const calendars = await BusinessCalendar.find(query)
+            .populate('serviceIds', 'name type')
+            .sort({ isDefault: -1, name: 1 });
+
+        res.status(200).json({
+            success: true,
+            count: calendars.length,
+            data: calendars
+        });
+    } catch (err) {
+        next(err);
+    }
+};
+
+// @desc    Get single business calendar
+// @route   GET /api/admin/business-calendars/:id
+// @access  Private/Admin
+exports.getCalendar = async (req, res, next) => {
+    try {
+        const calendar = await BusinessCalendar.findById(req.params.id)
+            .populate('serviceIds', 'name type')
+            .populate('createdBy', 'name email');
+
+        if (!calendar) {
+            return res.status(404).json({
+                success: false,
+                error: 'Business calendar not found'
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            data: calendar
+        });
+    } catch (err) {
+        next(err);
+    }
+};
+
+// @desc    Update business calendar
+// @route   PUT /api/admin/business-calendars/:id
+// @access  Private/Admin
+exports.updateCalendar = async (req, res, next) => {
+    try {
+        const calendar = await BusinessCalendar.findById(req.params.id);
+
+        if (!calendar) {
+            return res.status(404).json({
+                success: false,
+                error: 'Business calendar not found'
+            });
+        }
+
+        const serviceError = await validateServiceIds(req.body.serviceIds, calendar._id);
+        if (serviceError) {
+            return res.status(400).json({
+                success: false,
+                error: serviceError
+            });
+        }
+
+        EDITABLE_FIELDS.forEach(field => {
+            if (req.body[field] !== undefined) calendar.set(field, req.body[field]);
+        });
+
+        // Save (not findByIdAndUpdate) so the validation and default-calendar hooks run
+        await calendar.save();
+
+        await logCalendarAudit(req, calendar, 'update', `Updated business calendar: ${calendar.name}`);
+
+        res.status(200).json({
+            success: true,
+            data: calendar
+        });
+    } catch (err) {
+        next(err);
+    }
+};
+
+// @desc    Delete business calendar
+// @route   DELETE /api/admin/business-calendars/:id
+// @access  Private/Admin
+exports.deleteCalendar = async (req, res, next) => {
+    try {
+        const calendar = await BusinessCalendar.findById(req.params.id);
+
+        if (!calendar) {
+            return res.status(404).json({
+                success: false,
+                error: 'Business calendar not found'
+            });
+        }
+
+        if (calendar.isDefault) {
+            return res.status(400).json({
+                success: false,
+                error: 'The default calendar cannot be deleted. Make another calendar the default first.'
+            });
+        }
+
+        await calendar.deleteOne();
+
+        await logCalendarAudit(req, calendar, 'delete', `Deleted business calendar: ${calendar.name}`);
+
+        res.status(200).json({
+            success: true,
+            data: {}
+        });
+    } catch (err) {
+        next(err);
+    }
+};
+
+// @desc    Add holidays to a calendar (existing dates are replaced)
+// @route   POST /api/admin/business-calendars/:id/holidays
+// @access  Private/Admin
+exports.addHolidays = async (req, res, next) => {
+    try {
+        const { holidays, year } = req.body;
+        const calendar = await BusinessCalendar.findById(req.params.id);
+
+        if (!calendar) {
+            return res.status(404).json({
+                success: false,
+                error: 'Business calendar not found'
+            });
+        }
+
+        // Either an explicit list or the fixed national holidays of a year
+        const toAdd = Array.isArray(holidays) && holidays.length > 0
+            ? holidays
+            : year ? getNationalHolidays(parseInt(year)) : [];
+
+        if (toAdd.length === 0) {
+            return res.status(400).json({
+                success: false,
+                error: 'Please provide holidays or a year to import national holidays for'
+            });
+        }
+
+        const dates = new Set(toAdd.map(h => h.date));
+        calendar.holidays = [
+            ...calendar.holidays.filter(h => !dates.has(h.date)),
+            ...toAdd
+        ];
+        await calendar.save();
+
+        await logCalendarAudit(
+            req,
+            calendar,
+            'update',
+            `Added ${toAdd.length} holiday(s) to business calendar: ${calendar.name}`
+        );
+
+        res.status(200).json({
+            success: true,
+            data: calendar
+        });
+    } catch (err) {
+        next(err);
+    }
+};
+
+// @desc    Remove a holiday from a calendar
+// @route   DELETE /api/admin/business-calendars/:id/holidays/:date
+// @access  Private/Admin
+exports.removeHoliday = async (req, res, next) => {
+    try {
+        const calendar = await BusinessCalendar.findById(req.params.id);
+
+        if (!calendar) {
+            return res.status(404).json({
+                success: false,
+                error: 'Business calendar not found'
+            });
+        }
+
+        const before = calendar.holidays.length;
+        calendar.holidays = calendar.holidays.filter(h => h.date !== req.params.date);
+
+        if (calendar.holidays.length === before) {
+            return res.status(404).json({
+                success: false,
+                error: 'Holiday not found'
+            });
+        }
+
+        await calendar.save();
+
+        await logCalendarAudit(
+            req,
+            calendar,
+            'update',
+            `Removed holiday ${req.params.date} from business calendar: ${calendar.name}`
+        );
+
+        res.status(200).json({
+            success: true,
+            data: calendar
+        });
+    } catch (err) {
+        next(err);
+    }
+};
+
+// @desc    Preview the SLA deadline a service's calendar gives for a duration
+// @route   GET /api/admin/business-calendars/preview?serviceId=&hours=&start=
+// @access  Private/Admin
+exports.previewDeadline = async (req, res, next) => {
+    try {
+        const { serviceId, hours, start } = req.query;
+        const startDate = start ? new Date(start) : new Date();
+
+        if (!hours || isNaN(hours) || isNaN(startDate.getTime())) {
+            return res.status(400).json({
+                success: false,
+                error: 'Please provide a number of hours and a valid start date'
+            });
+        }
+
+        const calendar = await getCalendarForService(serviceId);
+        const deadline = addBusinessHours(startDate, parseFloat(hours), calendar);
+
+        res.status(200).json({
+            success: true,
+            data: {
+                calendar: calendar.name,
+                start: startDate,
+                businessHours: parseFloat(hours),
+                deadline
+            }
+        });
+    } catch (err) {
+        next(err);
+    }
+};
@@ -35,24 +35,18 @@ exports.submitQuery = async (req, res) => {
         const contactQuery = await ContactQuery.create(queryData);
 
         // Notify all admins about the new query
-        const Notification = require('../models/Notification');
         const constants = require('../utils/constants');
+        const { notifyRole } = require('../services/notificationService');
 
-        // Find all admins
-        const admins = await User.find({ role: constants.USER_ROLES.ADMIN });
-
-        // Create notification for each admin
-        const notificationPromises = admins.map(admin =>
-            Notification.create({
-                recipientId: admin._id,
-                type: constants.NOTIFICATION_TYPES.IN_APP,
+        const preview = `${query.substring(0, 50)}${query.length > 50 ? '...' : ''}`;
+        await notifyRole(constants.USER_ROLES.ADMIN, {
+            eventTrigger: 'query_received',
+            data: { senderName: name, queryPreview: preview },
+            fallback: {
                 title: 'New Contact Query',
-                message: `New query received from ${name}: "${query.substring(0, 50)}${query.length > 50 ? '...' : ''}"`,
-                relatedCaseId: null
-            })
-        );
-
-        await Promise.all(notificationPromises);
+                message: `New query received from ${name}: "${preview}"`
+            }
+        });
 
         res.status(201).json({
             success: true,
@@ -2,22 +2,26 @@ const DocumentVersion = require('../models/DocumentVersion');
 const Case = require('../models/Case');
 const ActivityTimeline = require('../models/ActivityTimeline');
 const AuditLog = require('../models/AuditLog');
-const cloudinary = require('../config/cloudinary'); // We'll create this config file
 const multer = require('multer');
-const { CloudinaryStorage } = require('multer-storage-cloudinary');
-
-// Configure Cloudinary storage
-const storage = new CloudinaryStorage({
-    cloudinary: cloudinary,
-    params: {
-        folder: 'case-documents',
-        allowed_formats: ['jpg', 'jpeg', 'png', 'pdf', 'doc', 'docx'],
-        resource_type: 'auto'
-    }
+const config = require('../config/config');
+const {
+    validateDocumentType,
+    getCaseDocumentTypes,
+    getDocumentStatus,
+    createDocumentVersion,
+    rescanDocumentVersion
+} = require('../services/documentService');
+const { deleteFile, getDownload, computeChecksum } = require('../services/storageService');
+const { validateUpload, handleUploadErrors } = require('../services/uploadValidationService');
+const { requestResubmission } = require('../services/documentRequestService');
+
+// Files are held in memory and written by the configured storage driver (services/storageService)
+// The hard ceiling stops oversized bodies early; per-document limits are checked by validateUpload
+const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: config.uploadMaxSizeMB * 1024 * 1024 }
 });
 
-const upload = multer({ storage: storage });
-
 // @desc    Upload new document version
 // @route   POST /api/documents/upload
 // @access  Private (Employee/End User)
@@ -46,101 +50,50 @@ exports.uploadVersion = async (req, res, next) => {
             });
         }
 
-        // Validate document type against service's required documents
+        // Validate document type against service's required documents and the case's requests
         const service = caseItem.serviceId;
-        if (service.documentsRequired && service.documentsRequired.length > 0) {
-            if (!service.documentsRequired.includes(documentType)) {
-                return res.status(400).json({
-                    success: false,
-                    error: `Invalid document type. Allowed documents for this service are: ${service.documentsRequired.join(', ')}`,
-                    allowedDocuments: service.documentsRequired
-                });
-            }
-        }
-
-        if (!req.file) {
+        const typeError = validateDocumentType(service, documentType, caseItem);
+        if (typeError) {
             return res.status(400).json({
                 success: false,
-                error: 'Please upload a file'
+                error: typeError,
+                allowedDocuments: getCaseDocumentTypes(service, caseItem)
             });
         }
 
-        // Get latest version number
-        const latestVersion = await DocumentVersion.getLatestVersion(caseId, documentType);
+        // Extension, size limit for the document type and file content
+        const uploadError = validateUpload(req.file, { service, documentType });
+        if (uploadError) {
+            return res.status(uploadError.statusCode).json({
+                success: false,
+                error: uploadError.error
+            });
+        }
 
-        // Create document version
-        const documentVersion = await DocumentVersion.create({
-            caseId,
+        // Creates the version, supersedes older ones, logs timeline and audit
+        const result = await createDocumentVersion({
+            caseItem,
             documentType,
-            version: latestVersion + 1,
-            fileUrl: req.file.path,
-            cloudinaryPublicId: req.file.filename,
-            uploadedBy: {
-                userId: req.user.id,
-                userRole: req.user.role
-            },
-            metadata: {
-                originalFileName: req.file.originalname,
-                fileSize: req.file.size,
-                mimeType: req.file.mimetype,
-                format: req.file.format
-            },
-            notes
-        });
-
-        // Mark previous versions as superseded
-        await documentVersion.markPreviousAsSuperseded();
-
-        // Create timeline event
-        await ActivityTimeline.createEvent({
-            caseId,
-            eventType: 'document_uploaded',
-            title: 'Document Uploaded',
-            description: ActivityTimeline.generateDescription('document_uploaded', {
-                documentType,
-                version: documentVersion.version,
-                userName: req.user.name
-            }),
-            performedBy: {
-                userId: req.user.id,
-                name: req.user.name,
-                role: req.user.role
-            },
-            metadata: {
-                documentType,
-                documentVersion: documentVersion.version
-            },
-            isVisibleToUser: true,
-            ...ActivityTimeline.getEventStyle('document_uploaded')
-        });
-
-        // Update case last activity
-        await caseItem.updateActivity();
-
-        // Log audit
-        await AuditLog.log({
-            user: {
-                userId: req.user.id,
-                name: req.user.name,
-                email: req.user.email,
-                role: req.user.role
-            },
-            action: 'upload',
-            entityType: 'DocumentVersion',
-            entityId: documentVersion._id,
-            entityName: `${documentType} v${documentVersion.version}`,
-            description: `Uploaded ${documentType} version ${documentVersion.version} for case ${caseItem.caseId}`,
-            metadata: {
+            file: req.file,
+            user: req.user,
+            notes,
+            requestMeta: {
                 ipAddress: req.ip,
-                userAgent: req.get('user-agent'),
-                caseId: caseItem._id
-            },
-            severity: 'low'
+                userAgent: req.get('user-agent')
+            }
         });
 
+        // Duplicates and files that fail the virus scan are not usable versions
+        if (result.error) {
+            return res.status(result.statusCode).json({
+                success: false,
+                error: result.error
+            });
+        }
+
         res.status(201).json({
             success: true,
-            data: documentVersion
+            data: result.documentVersion
         });
     } catch (err) {
         console.error('Document upload error:', err);
@@ -176,7 +129,13 @@ exports.getVersionHistory = async (req, res, next) => {
             });
         }
 
-        const versions = await DocumentVersion.find({ caseId, documentType })
+        // Quarantined versions are only shown to admins
+        const query = { caseId, documentType };
+        if (req.user.role !== 'admin') {
+            query.status = { $ne: 'quarantined' };
+        }
+
+        const versions = await DocumentVersion.find(query)
             .populate('uploadedBy.userId', 'name email')
             .populate('verifiedBy', 'name email')
             .sort({ version: -1 });
@@ -219,6 +178,14 @@ exports.downloadVersion = async (req, res, next) => {
             });
         }
 
+        // Quarantined files are only released to admins (for inspection)
+        if (version.status === 'quarantined' && req.user.role !== 'admin') {
+            return res.status(403).json({
+                success: false,
+                error: 'This document version is quarantined'
+            });
+        }
+
         // Log audit
         await AuditLog.log({
             user: {
@@ -239,10 +206,20 @@ exports.downloadVersion = async (req, res, next) => {
             severity: 'low'
         });
 
+        // Signed or public link where the driver has one, otherwise stream the file
+        const download = await getDownload(version);
+
+        if (download.stream) {
+            res.setHeader('Content-Type', version.metadata.mimeType);
+            res.setHeader('Content-Disposition', `attachment; filename="${version.metadata.originalFileName.replace(/"/g, '')}"`);
+            download.stream.on('error', next);
+            return download.stream.pipe(res);
+        }
+
         res.status(200).json({
             success: true,
             data: {
-                fileUrl: version.fileUrl,
+                fileUrl: download.url,
                 fileName: version.metadata.originalFileName
             }
         });
@@ -282,8 +259,8 @@ exports.deleteVersion = async (req, res, next) => {
         version.status = 'deleted';
         await version.save();
 
-        // Delete from Cloudinary
-        await cloudinary.uploader.destroy(version.cloudinaryPublicId);
+        // Delete the stored file (migrated legacy links have none)
+        await deleteFile(version);
 
         // Log audit
         await AuditLog.log({
@@ -341,6 +318,13 @@ exports.restoreVersion = async (req, res, next) => {
             });
         }
 
+        if (oldVersion.status === 'quarantined') {
+            return res.status(400).json({
+                success: false,
+                error: 'Quarantined document versions cannot be restored'
+            });
+        }
+
         // Get latest version number
         const latestVersion = await DocumentVersion.getLatestVersion(
             oldVersion.caseId,
@@ -354,6 +338,10 @@ exports.restoreVersion = async (req, res, next) => {
             version: latestVersion + 1,
             fileUrl: oldVersion.fileUrl,
             cloudinaryPublicId: oldVersion.cloudinaryPublicId,
+            storage: oldVersion.storage,
+            checksum: oldVersion.checksum,
+            scan: oldVersion.scan,
+            source: oldVersion.source,
             uploadedBy: {
                 userId: req.user.id,
                 userRole: req.user.role
@@ -402,7 +390,31 @@ exports.restoreVersion = async (req, res, next) => {
 // @access  Private (Admin/Employee)
 exports.verifyDocument = async (req, res, next) => {
     try {
-        const { verificationStatus, rejectionReason } = req.body;
+        const { verificationStatus } = req.body;
+
+        if (req.body.rejectionReason !== undefined && req.body.rejectionReason !== null &&
+            typeof req.body.rejectionReason !== 'string') {
+            return res.status(400).json({
+                success: false,
+                error: 'Rejection reason must be text'
+            });
+        }
+        const rejectionReason = req.body.rejectionReason ? req.body.rejectionReason.trim() : undefined;
+
+        if (!['verified', 'rejected'].includes(verificationStatus)) {
+            return res.status(400).json({
+                success: false,
+                error: 'Verification status must be verified or rejected'
+            });
+        }
+
+        // The reason is what the client is asked to fix
+        if (verificationStatus === 'rejected' && !rejectionReason) {
+            return res.status(400).json({
+                success: false,
+                error: 'Please provide a rejection reason'
+            });
+        }
 
         const version = await DocumentVersion.findById(req.params.versionId);
 
@@ -460,8 +472,126 @@ exports.verifyDocument = async (req, res, next) => {
             ...ActivityTimeline.getEventStyle(eventType)
         });
 
+        // Rejecting the current version asks the client for a new one
+        let documentRequest = null;
+        if (verificationStatus === 'rejected' && version.status === 'active') {
+            ({ request: documentRequest } = await requestResubmission(caseItem, version, rejectionReason, req.user));
+        }
+
         res.status(200).json({
             success: true,
+            data: version,
+            documentRequest
+        });
+    } catch (err) {
+        next(err);
+    }
+};
+
+// @desc    Check a stored file against the checksum recorded at upload
+// @route   GET /api/documents/version/:versionId/integrity
+// @access  Private (Admin/Employee)
+exports.checkIntegrity = async (req, res, next) => {
+    try {
+        const version = await DocumentVersion.findById(req.params.versionId);
+
+        if (!version) {
+            return res.status(404).json({
+                success: false,
+                error: 'Document version not found'
+            });
+        }
+
+        const caseItem = await Case.findById(version.caseId);
+        const isAuthorized =
+            req.user.role === 'admin' ||
+            (req.user.role === 'employee' && caseItem.employeeId?.toString() === req.user.id);
+
+        if (!isAuthorized) {
+            return res.status(403).json({
+                success: false,
+                error: 'Not authorized to check this document'
+            });
+        }
+
+        if (!version.checksum) {
+            return res.status(400).json({
+                success: false,
+                error: 'No checksum was recorded for this document version'
+            });
+        }
+
+        const checksum = await computeChecksum(version);
+
+        res.status(200).json({
+            success: true,
+            data: {
+                expected: version.checksum,
+                actual: checksum,
+                intact: checksum === version.checksum
+            }
+        });
+    } catch (err) {
+        next(err);
+    }
+};
+
+// @desc    Scan a quarantined document version again
+// @route   POST /api/documents/version/:versionId/rescan
+// @access  Private (Admin)
+exports.rescanVersion = async (req, res, next) => {
+    try {
+        if (req.user.role !== 'admin') {
+            return res.status(403).json({
+                success: false,
+                error: 'Only admins can rescan quarantined documents'
+            });
+        }
+
+        const version = await DocumentVersion.findById(req.params.versionId);
+
+        if (!version) {
+            return res.status(404).json({
+                success: false,
+                error: 'Document version not found'
+            });
+        }
+
+        const result = await rescanDocumentVersion(version, req.user);
+        if (result.error) {
+            return res.status(result.statusCode).json({
+                success: false,
+                error: result.error
+            });
+        }
+
+        await AuditLog.log({
+            user: {
+                userId: req.user.id,
+                name: req.user.name,
+                email: req.user.email,
+                role: req.user.role
+            },
+            action: 'update',
+            entityType: 'DocumentVersion',
+            entityId: version._id,
+            entityName: `${version.documentType} v${version.version}`,
+            description: result.released
+                ? `Released ${version.documentType} version ${version.version} from quarantine after a clean scan`
+                : `Rescanned quarantined ${version.documentType} version ${version.version}: ${version.scan.status}`,
+            changes: {
+                after: { status: version.status, scan: version.scan }
+            },
+            metadata: {
+                ipAddress: req.ip,
+                userAgent: req.get('user-agent')
+            },
+            severity: result.released ? 'high' : 'medium'
+        });
+
+        res.status(200).json({
+            success: true,
+            released: result.released,
             data: version
         });
     } catch (err) {
@@ -469,6 +599,70 @@ exports.verifyDocument = async (req, res, next) => {
     }
 };
 
+// @desc    Download the template file of a document request
+// @route   GET /api/documents/:caseId/requests/:requestId/template
+// @access  Private
+exports.downloadRequestTemplate = async (req, res, next) => {
+    try {
+        const { caseId, requestId } = req.params;
+
+        const caseItem = await Case.findById(caseId);
+        if (!caseItem) {
+            return res.status(404).json({
+                success: false,
+                error: 'Case not found'
+            });
+        }
+
+        const isAuthorized =
+            req.user.role === 'admin' ||
+            (req.user.role === 'end_user' && caseItem.endUserId.toString() === req.user.id) ||
+            (req.user.role === 'employee' && caseItem.employeeId?.toString() === req.user.id);
+
+        if (!isAuthorized) {
+            return res.status(403).json({
+                success: false,
+                error: 'Not authorized to view this case'
+            });
+        }
+
+        const request = caseItem.documentRequests.id(requestId);
+        if (!request || !request.templateFile || !request.templateFile.fileUrl) {
+            return res.status(404).json({
+                success: false,
+                error: 'Template file not found'
+            });
+        }
+
+        const { templateFile } = request;
+        const download = await getDownload({
+            fileUrl: templateFile.fileUrl,
+            storage: templateFile.storage,
+            metadata: {
+                originalFileName: templateFile.originalFileName,
+                mimeType: templateFile.mimeType
+            }
+        });
+
+        if (download.stream) {
+            res.setHeader('Content-Type', templateFile.mimeType);
+            res.setHeader('Content-Disposition', `attachment; filename="${templateFile.originalFileName.replace(/"/g, '')}"`);
+            download.stream.on('error', next);
+            return download.stream.pipe(res);
+        }
+
+        res.status(200).json({
+            success: true,
+            data: {
+                fileUrl: download.url,
+                fileName: templateFile.originalFileName
+            }
+        });
+    } catch (err) {
+        next(err);
+    }
+};
+
 // @desc    Get document status for a case
 // @route   GET /api/documents/:caseId/status
 // @access  Private
@@ -497,29 +691,24 @@ exports.getDocumentStatus = async (req, res, next) => {
             });
         }
 
-        const service = caseItem.serviceId;
+        // Service's required documents and the case's ad-hoc requests
+        const documentStatus = await getDocumentStatus(caseItem, caseItem.serviceId);
 
-        // Check if service has documentsRequired
-        if (!service.documentsRequired || service.documentsRequired.length === 0) {
+        if (documentStatus.length === 0) {
             return res.status(200).json({
                 success: true,
                 data: [],
-                message: 'No required documents defined for this service'
+                message: 'No required documents defined for this case'
             });
         }
 
-        // Get document status
-        const documentStatus = await DocumentVersion.getDocumentStatus(
-            caseId,
-            service.documentsRequired
-        );
-
         // Calculate summary statistics
         const totalDocuments = documentStatus.length;
         const uploadedDocuments = documentStatus.filter(doc => doc.isUploaded).length;
         const verified = documentStatus.filter(doc => doc.isUploaded && doc.latestVersion.verificationStatus === 'verified').length;
         const pending = documentStatus.filter(doc => doc.isUploaded && doc.latestVersion.verificationStatus === 'pending').length;
         const rejected = documentStatus.filter(doc => doc.isUploaded && doc.latestVersion.verificationStatus === 'rejected').length;
+        const openRequests = documentStatus.filter(doc => doc.request && doc.request.status === 'open');
 
         res.status(200).json({
             success: true,
@@ -530,6 +719,8 @@ exports.getDocumentStatus = async (req, res, next) => {
                 verified,
                 pending,
                 rejected,
+                openRequests: openRequests.length,
+                overdueRequests: openRequests.filter(doc => doc.request.isOverdue).length,
                 allDocumentsUploaded: uploadedDocuments === totalDocuments
             }
         });
@@ -539,4 +730,4 @@ exports.getDocumentStatus = async (req, res, next) => {
 };
 
 // Export multer upload middleware
-exports.uploadMiddleware = upload.single('file');
+exports.uploadMiddleware = handleUploadErrors(upload.single('file'));
@@ -2,8 +2,26 @@ const User = require('../models/User');
 const Case = require('../models/Case');
 const Service = require('../models/Service');
 const Notification = require('../models/Notification');
-const DocumentVersion = require('../models/DocumentVersion');
-const constants = require('../utils/constants');
+const WorkflowTemplate = require('../models/WorkflowTemplate');
+const { notify } = require('../services/notificationService');
+const { changeCaseStatus } = require('../services/caseStatusService');
+const {
+  moveToStep,
+  refreshProgress,
+  completeStep,
+  skipStep,
+  getProgressView,
+  logStepChanges
+} = require('../services/workflowStepService');
+const { checkStepGates, describeBlockers } = require('../services/stepGateService');
+const {
+  validateDocumentType,
+  createDocumentVersion,
+  getCaseDocuments,
+  getDocumentStatus
+} = require('../services/documentService');
+const { validateUpload } = require('../services/uploadValidationService');
+const { createAdhocRequest, cancelRequest } = require('../services/documentRequestService');
 const { calculateEmployeeWorkload } = require('../utils/helpers');
 
 // @desc    Get employee dashboard
@@ -107,9 +125,11 @@ exports.getCase = async (req, res, next) => {
       });
     }
 
+    const documents = await getCaseDocuments(caseItem._id);
+
     res.status(200).json({
       success: true,
-      data: caseItem
+      data: { ...caseItem.toObject(), documents }
     });
   } catch (err) {
     next(err);
@@ -121,7 +141,13 @@ exports.getCase = async (req, res, next) => {
 // @access  Private/Employee
 exports.updateCaseStatus = async (req, res, next) => {
   try {
-    const { status, currentStep } = req.body;
+    const { status, reason } = req.body;
+
+    // Form posts send the step as a string ("2")
+    let { currentStep } = req.body;
+    if (typeof currentStep === 'string' && currentStep.trim() !== '') {
+      currentStep = Number(currentStep);
+    }
 
     const caseItem = await Case.findById(req.params.id);
 
@@ -133,7 +159,7 @@ exports.updateCaseStatus = async (req, res, next) => {
     }
 
     // Check if case is assigned to current employee
-    if (caseItem.employeeId.toString() !== req.user.id) {
+    if (!caseItem.employeeId || caseItem.employeeId.toString() !== req.user.id) {
       return res.status(403).json({
         success: false,
         error: 'Not authorized to update this case'
@@ -141,30 +167,59 @@ exports.updateCaseStatus = async (req, res, next) => {
     }
 
     // Update case
-    caseItem.status = status || caseItem.status;
-    caseItem.currentStep = currentStep !== undefined ? currentStep : caseItem.currentStep;
-
-    if (status === constants.CASE_STATUS.COMPLETED) {
-      caseItem.completedAt = Date.now();
+    let stepChanges = null;
+    if (currentStep !== undefined && currentStep !== caseItem.currentStep) {
+      const stepCount = caseItem.stepProgress.length;
+
+      if (stepCount > 0) {
+        if (!Number.isInteger(currentStep) || currentStep < 0 || currentStep > stepCount) {
+          return res.status(400).json({
+            success: false,
+            error: `Current step must be between 0 and ${stepCount}`
+          });
+        }
+        if (currentStep < stepCount && caseItem.stepProgress[currentStep].status === 'skipped') {
+          return res.status(400).json({
+            success: false,
+            error: `Step "${caseItem.stepProgress[currentStep].stepName}" does not apply to this case`
+          });
+        }
+
+        // Steps being completed need their checklist items done and documents verified
+        const blockers = await checkStepGates(caseItem, { targetIndex: currentStep });
+        if (blockers.length > 0) {
+          return res.status(400).json({
+            success: false,
+            error: describeBlockers(blockers),
+            blockers
+          });
+        }
+
+        // Completes earlier steps and starts the step clock
+        stepChanges = await moveToStep(caseItem, currentStep);
+      } else {
+        caseItem.currentStep = currentStep;
+      }
     }
 
-    await caseItem.save();
+    if (status && status !== caseItem.status) {
+      // Validates the transition, logs the timeline and notifies the end user
+      const result = await changeCaseStatus(caseItem, status, req.user, { reason });
 
-    // Create notification for end user
-    const service = await Service.findById(caseItem.serviceId);
-    const statusText = status === constants.CASE_STATUS.COMPLETED
-      ? 'completed'
-      : status === constants.CASE_STATUS.IN_PROGRESS
-        ? 'updated'
-        : 'started';
-
-    await Notification.create({
-      recipientId: caseItem.endUserId,
-      type: constants.NOTIFICATION_TYPES.IN_APP,
-      title: `Case ${statusText}`,
-      message: `Your case for ${service ? service.name : 'Service'} has been ${statusText}.`,
-      relatedCaseId: caseItem._id
-    });
+      if (result.error) {
+        return res.status(result.statusCode).json({
+          success: false,
+          error: result.error,
+          blockers: result.blockers
+        });
+      }
+    } else {
+      await caseItem.save();
+    }
+
+    if (stepChanges) {
+      await logStepChanges(caseItem, stepChanges, req.user);
+    }
 
     res.status(200).json({
       success: true,
@@ -210,12 +265,15 @@ exports.addNote = async (req, res, next) => {
     // Create notification for end user
     const service = await Service.findById(caseItem.serviceId);
 
-    await Notification.create({
-      recipientId: caseItem.endUserId,
-      type: constants.NOTIFICATION_TYPES.IN_APP,
-      title: 'New Note Added',
-      message: `A new note has been added to your case for ${service ? service.name : 'Service'}.`,
-      relatedCaseId: caseItem._id
+    await notify({
+      eventTrigger: 'note_added',
+      recipients: caseItem.endUserId,
+      relatedCaseId: caseItem._id,
+      data: { caseId: caseItem.caseId, serviceName: service ? service.name : 'Service' },
+      fallback: {
+        title: 'New Note Added',
+        message: `A new note has been added to your case for ${service ? service.name : 'Service'}.`
+      }
     });
 
     res.status(200).json({
@@ -232,11 +290,11 @@ exports.addNote = async (req, res, next) => {
 // @access  Private/Employee
 exports.uploadDocument = async (req, res, next) => {
   try {
-    // This would typically use multer for file upload
-    // For simplicity, we'll assume the file has been uploaded and we have the URL
-    const { name, url } = req.body;
+    // Older clients send the document type as `name`
+    const documentType = req.body.documentType || req.body.name;
+    const { notes } = req.body;
 
-    const caseItem = await Case.findById(req.params.id);
+    const caseItem = await Case.findById(req.params.id).populate('serviceId');
 
     if (!caseItem) {
       return res.status(404).json({
@@ -246,36 +304,156 @@ exports.uploadDocument = async (req, res, next) => {
     }
 
     // Check if case is assigned to current employee
-    if (caseItem.employeeId.toString() !== req.user.id) {
+    if (!caseItem.employeeId || caseItem.employeeId.toString() !== req.user.id) {
       return res.status(403).json({
         success: false,
         error: 'Not authorized to update this case'
       });
     }
 
-    // Add document
-    caseItem.documents.push({
-      name,
-      url,
-      uploadedBy: req.user.id
+    const service = caseItem.serviceId;
+    const typeError = validateDocumentType(service, documentType, caseItem);
+    if (typeError) {
+      return res.status(400).json({
+        success: false,
+        error: typeError
+      });
+    }
+
+    // Extension, size limit for the document type and file content
+    const uploadError = validateUpload(req.file, { service, documentType });
+    if (uploadError) {
+      return res.status(uploadError.statusCode).json({
+        success: false,
+        error: uploadError.error
+      });
+    }
+
+    // Same versioned pipeline as /api/documents/upload
+    const result = await createDocumentVersion({
+      caseItem,
+      documentType,
+      file: req.file,
+      user: req.user,
+      notes,
+      requestMeta: {
+        ipAddress: req.ip,
+        userAgent: req.get('user-agent')
+      }
     });
 
-    await caseItem.save();
+    // Duplicates and files that fail the virus scan are not usable versions
+    if (result.error) {
+      return res.status(result.statusCode).json({
+        success: false,
+        error: result.error
+      });
+    }
 
     // Create notification for end user
-    const service = await Service.findById(caseItem.serviceId);
+    await notify({
+      eventTrigger: 'document_uploaded',
+      recipients: caseItem.endUserId,
+      relatedCaseId: caseItem._id,
+      data: { caseId: caseItem.caseId, serviceName: service ? service.name : 'Service', documentType },
+      fallback: {
+        title: 'Document Uploaded',
+        message: `A document has been uploaded to your case for ${service ? service.name : 'Service'}.`
+      }
+    });
+
+    res.status(201).json({
+      success: true,
+      data: result.documentVersion
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// @desc    Ask the client for a document beyond the service's required documents
+// @route   POST /api/employee/cases/:id/document-requests
+// @access  Private/Employee
+exports.createDocumentRequest = async (req, res, next) => {
+  try {
+    const { title, instructions, dueDate } = req.body;
+
+    const caseItem = await Case.findById(req.params.id).populate('serviceId', 'name documentsRequired');
+
+    if (!caseItem) {
+      return res.status(404).json({
+        success: false,
+        error: 'Case not found'
+      });
+    }
+
+    // Check if case is assigned to current employee
+    if (!caseItem.employeeId || caseItem.employeeId.toString() !== req.user.id) {
+      return res.status(403).json({
+        success: false,
+        error: 'Not authorized to update this case'
+      });
+    }
 
-    await Notification.create({
-      recipientId: caseItem.endUserId,
-      type: constants.NOTIFICATION_TYPES.IN_APP,
-      title: 'Document Uploaded',
-      message: `A document has been uploaded to your case for ${service ? service.name : 'Service'}.`,
-      relatedCaseId: caseItem._id
+    // Optional template file (a form or sample) comes in as `file`
+    const result = await createAdhocRequest(caseItem, caseItem.serviceId, {
+      title,
+      instructions,
+      dueDate,
+      file: req.file
+    }, req.user);
+
+    if (result.error) {
+      return res.status(result.statusCode).json({
+        success: false,
+        error: result.error
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      data: result.request,
+      statusChanged: result.statusChanged
     });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// @desc    Cancel an ad-hoc document request
+// @route   DELETE /api/employee/cases/:id/document-requests/:requestId
+// @access  Private/Employee
+exports.cancelDocumentRequest = async (req, res, next) => {
+  try {
+    const caseItem = await Case.findById(req.params.id);
+
+    if (!caseItem) {
+      return res.status(404).json({
+        success: false,
+        error: 'Case not found'
+      });
+    }
+
+    // Check if case is assigned to current employee
+    if (!caseItem.employeeId || caseItem.employeeId.toString() !== req.user.id) {
+      return res.status(403).json({
+        success: false,
+        error: 'Not authorized to update this case'
+      });
+    }
+
+    const result = await cancelRequest(caseItem, req.params.requestId, req.user);
+
+    if (result.error) {
+      return res.status(result.statusCode).json({
+        success: false,
+        error: result.error
+      });
+    }
 
     res.status(200).json({
       success: true,
-      data: caseItem
+      data: result.request
     });
   } catch (err) {
     next(err);
@@ -414,7 +592,7 @@ exports.updateProfile = async (req, res, next) => {
 // @access  Private/Employee
 exports.updateChecklistProgress = async (req, res, next) => {
   try {
-    const { stepId, itemId, isCompleted } = req.body;
+    const { stepId, itemId, isCompleted, answer } = req.body;
 
     const caseItem = await Case.findById(req.params.id);
 
@@ -442,11 +620,36 @@ exports.updateChecklistProgress = async (req, res, next) => {
       p => p.stepId.toString() === stepId && p.itemId.toString() === itemId
     );
 
+    const template = caseItem.workflowTemplateId
+      ? await WorkflowTemplate.findById(caseItem.workflowTemplateId)
+      : null;
+
+    // Answers are checked against the item's answer type
+    if (answer !== undefined && template) {
+      const item = template.steps
+        .flatMap(step => step.checklistItems)
+        .find(i => i._id.toString() === itemId);
+
+      if (item && item.answerType === 'yes_no' && typeof answer !== 'boolean') {
+        return res.status(400).json({
+          success: false,
+          error: 'Answer must be true or false'
+        });
+      }
+      if (item && item.answerType === 'choice' && !item.options.includes(answer)) {
+        return res.status(400).json({
+          success: false,
+          error: `Answer must be one of: ${item.options.join(', ')}`
+        });
+      }
+    }
+
     if (existingIndex > -1) {
       // Update existing
       caseItem.checklistProgress[existingIndex].isCompleted = isCompleted;
       caseItem.checklistProgress[existingIndex].completedAt = isCompleted ? Date.now() : null;
       caseItem.checklistProgress[existingIndex].completedBy = isCompleted ? req.user.id : null;
+      if (answer !== undefined) caseItem.checklistProgress[existingIndex].answer = answer;
     } else {
       // Add new
       caseItem.checklistProgress.push({
@@ -454,11 +657,16 @@ exports.updateChecklistProgress = async (req, res, next) => {
         itemId,
         isCompleted,
         completedAt: isCompleted ? Date.now() : null,
-        completedBy: isCompleted ? req.user.id : null
+        completedBy: isCompleted ? req.user.id : null,
+        answer
       });
     }
 
+    // Checklist answers can change which workflow steps apply
+    const stepChanges = await refreshProgress(caseItem, template);
+
     await caseItem.save();
+    await logStepChanges(caseItem, stepChanges, req.user);
 
     // Update last activity
     await caseItem.updateActivity();
@@ -472,6 +680,201 @@ exports.updateChecklistProgress = async (req, res, next) => {
   }
 };
 
+// @desc    Get workflow progress of a case: which steps apply, what is running and what comes next
+// @route   GET /api/employee/cases/:id/progress
+// @access  Private/Employee
+exports.getCaseProgress = async (req, res, next) => {
+  try {
+    const caseItem = await Case.findById(req.params.id);
+
+    if (!caseItem) {
+      return res.status(404).json({
+        success: false,
+        error: 'Case not found'
+      });
+    }
+
+    // Check if case is assigned to current employee
+    if (!caseItem.employeeId || caseItem.employeeId.toString() !== req.user.id) {
+      return res.status(403).json({
+        success: false,
+        error: 'Not authorized to view this case'
+      });
+    }
+
+    const template = caseItem.workflowTemplateId
+      ? await WorkflowTemplate.findById(caseItem.workflowTemplateId)
+      : null;
+
+    const progress = getProgressView(caseItem, template);
+
+    // What still keeps the running steps from being completed
+    const blockers = await checkStepGates(caseItem, {
+      stepIds: progress.current.map(step => step.stepId)
+    });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        attributes: caseItem.attributes,
+        ...progress,
+        blockers
+      }
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// @desc    Complete a running step or skip an optional step
+// @route   PUT /api/employee/cases/:id/steps/:stepId
+// @access  Private/Employee
+exports.updateCaseStep = async (req, res, next) => {
+  try {
+    const { action, reason } = req.body;
+
+    if (!['complete', 'skip'].includes(action)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Action must be complete or skip'
+      });
+    }
+
+    if (reason !== undefined && reason !== null && typeof reason !== 'string') {
+      return res.status(400).json({
+        success: false,
+        error: 'Reason must be text'
+      });
+    }
+
+    const caseItem = await Case.findById(req.params.id);
+
+    if (!caseItem) {
+      return res.status(404).json({
+        success: false,
+        error: 'Case not found'
+      });
+    }
+
+    // Check if case is assigned to current employee
+    if (!caseItem.employeeId || caseItem.employeeId.toString() !== req.user.id) {
+      return res.status(403).json({
+        success: false,
+        error: 'Not authorized to update this case'
+      });
+    }
+
+    const template = caseItem.workflowTemplateId
+      ? await WorkflowTemplate.findById(caseItem.workflowTemplateId)
+      : null;
+
+    if (action === 'complete') {
+      const blockers = await checkStepGates(caseItem, { stepIds: [req.params.stepId] });
+      if (blockers.length > 0) {
+        return res.status(400).json({
+          success: false,
+          error: describeBlockers(blockers),
+          blockers
+        });
+      }
+    }
+
+    const stepChanges = action === 'complete'
+      ? await completeStep(caseItem, req.params.stepId)
+      : await skipStep(caseItem, template, req.params.stepId, reason ? reason.trim() : null);
+
+    if (stepChanges.error) {
+      return res.status(400).json({
+        success: false,
+        error: stepChanges.error
+      });
+    }
+
+    await caseItem.save();
+    await logStepChanges(caseItem, stepChanges, req.user);
+    await caseItem.updateActivity();
+
+    res.status(200).json({
+      success: true,
+      data: getProgressView(caseItem, template)
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// @desc    Update case attributes used by workflow step conditions
+// @route   PUT /api/employee/cases/:id/attributes
+// @access  Private/Employee
+exports.updateCaseAttributes = async (req, res, next) => {
+  try {
+    const { attributes } = req.body;
+
+    if (!attributes || typeof attributes !== 'object' || Array.isArray(attributes)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Please provide attributes as an object'
+      });
+    }
+
+    // Map keys cannot contain dots or start with $ (MongoDB field name rules)
+    const invalidKeys = Object.keys(attributes).filter(key => !key || key.includes('.') || key.startsWith('$'));
+    if (invalidKeys.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid attribute name(s): ${invalidKeys.join(', ')}. Names cannot be empty, contain "." or start with "$"`
+      });
+    }
+
+    const caseItem = await Case.findById(req.params.id);
+
+    if (!caseItem) {
+      return res.status(404).json({
+        success: false,
+        error: 'Case not found'
+      });
+    }
+
+    // Check if case is assigned to current employee
+    if (!caseItem.employeeId || caseItem.employeeId.toString() !== req.user.id) {
+      return res.status(403).json({
+        success: false,
+        error: 'Not authorized to update this case'
+      });
+    }
+
+    // A null value removes the attribute
+    Object.entries(attributes).forEach(([key, value]) => {
+      if (value === null) {
+        caseItem.attributes.delete(key);
+      } else {
+        caseItem.attributes.set(key, value);
+      }
+    });
+
+    const template = caseItem.workflowTemplateId
+      ? await WorkflowTemplate.findById(caseItem.workflowTemplateId)
+      : null;
+
+    // Attributes can change which workflow steps apply
+    const stepChanges = await refreshProgress(caseItem, template);
+
+    await caseItem.save();
+    await logStepChanges(caseItem, stepChanges, req.user);
+    await caseItem.updateActivity();
+
+    res.status(200).json({
+      success: true,
+      data: {
+        attributes: caseItem.attributes,
+        ...getProgressView(caseItem, template)
+      }
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
 // @desc    Get required documents for a case with upload status
 // @route   GET /api/employee/cases/:id/required-documents
 // @access  Private/Employee
@@ -499,23 +902,17 @@ exports.getRequiredDocuments = async (req, res, next) => {
       }
     }
 
-    const service = caseItem.serviceId;
+    // Service's required documents and the case's ad-hoc requests
+    const documentStatus = await getDocumentStatus(caseItem, caseItem.serviceId);
 
-    // Check if service has documentsRequired defined
-    if (!service.documentsRequired || service.documentsRequired.length === 0) {
+    if (documentStatus.length === 0) {
       return res.status(200).json({
         success: true,
         data: [],
-        message: 'No required documents defined for this service'
+        message: 'No required documents defined for this case'
       });
     }
 
-    // Get document status using the static method
-    const documentStatus = await DocumentVersion.getDocumentStatus(
-      caseItem._id,
-      service.documentsRequired
-    );
-
     res.status(200).json({
       success: true,
       count: documentStatus.length,
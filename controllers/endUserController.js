@@ -4,9 +4,19 @@ const Case = require('../models/Case');
 const Service = require('../models/Service');
 const Payment = require('../models/Payment');
 const Notification = require('../models/Notification');
-const DocumentVersion = require('../models/DocumentVersion');
 const { createOrder, verifyPayment } = require('../services/paymentService');
-const constants = require('../utils/constants');
+const { generateDocuments, getDocumentDownload } = require('../services/invoiceService');
+const { notify } = require('../services/notificationService');
+const { changeCaseStatus } = require('../services/caseStatusService');
+const { createCaseForPayment } = require('../services/caseService');
+const {
+  validateDocumentType,
+  createDocumentVersion,
+  getCaseDocuments,
+  getDocumentStatus
+} = require('../services/documentService');
+const { validateUpload } = require('../services/uploadValidationService');
+const config = require('../config/config');
 
 // @desc    Get end user dashboard
 // @route   GET /api/enduser/dashboard
@@ -102,8 +112,18 @@ exports.createPaymentOrder = async (req, res, next) => {
     }
 
     // Create order with Razorpay
-    const { isTestMode } = req.body;
-    const order = await createOrder(service.price, isTestMode);
+    const order = await createOrder(service.price, config.razorpayTestMode);
+
+    // Pending ledger entry, so webhooks can record a failed payment for the order
+    await Payment.create({
+      serviceId: service._id,
+      endUserId: req.user.id,
+      amount: service.price,
+      transactionId: order.id,
+      razorpayOrderId: order.id,
+      paymentMethod: 'razorpay',
+      status: 'pending'
+    });
 
     res.status(200).json({
       success: true,
@@ -139,12 +159,11 @@ exports.verifyPayment = async (req, res, next) => {
     }
 
     // Verify payment
-    const { isTestMode } = req.body;
     const isValid = await verifyPayment({
       razorpay_order_id,
       razorpay_payment_id,
       razorpay_signature
-    }, isTestMode);
+    }, config.razorpayTestMode);
 
     if (!isValid) {
       return res.status(400).json({
@@ -153,45 +172,67 @@ exports.verifyPayment = async (req, res, next) => {
       });
     }
 
-    // Create case
-    const caseItem = await Case.create({
-      caseId: `CASE-${Date.now()}-${Math.random().toString(36).substring(2, 5)}`.toUpperCase(),
-      endUserId: req.user.id,
-      serviceId,
-      status: constants.CASE_STATUS.NEW,
-      deadline: new Date(Date.now() + (service.slaHours || 24) * 60 * 60 * 1000)
-    });
+    // Ledger entry from order creation (a webhook may already have completed or failed it)
+    let payment = await Payment.findOne({ razorpayOrderId: razorpay_order_id });
 
-    // Create payment record
-    const payment = await Payment.create({
-      caseId: caseItem._id,
-      amount: service.price,
-      transactionId: razorpay_payment_id,
-      paymentMethod: 'razorpay',
-      status: 'completed'
-    });
+    if (!payment || !payment.endUserId || payment.endUserId.toString() !== req.user.id) {
+      return res.status(404).json({
+        success: false,
+        error: 'Payment order not found'
+      });
+    }
 
-    // Create notification for admin
-    const admins = await User.find({ role: constants.USER_ROLES.ADMIN });
+    // The case must be for the service the order was priced for
+    if (!payment.serviceId || !payment.serviceId.equals(service._id)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Payment order was created for a different service'
+      });
+    }
 
-    for (const admin of admins) {
-      await Notification.create({
-        recipientId: admin._id,
-        type: constants.NOTIFICATION_TYPES.IN_APP,
-        title: 'New Case Created',
-        message: `A new case (${caseItem.caseId}) has been created for service ${service.name}.`,
-        relatedCaseId: caseItem._id
+    // The payment webhook may have created the case already
+    if (payment.caseId) {
+      return res.status(200).json({
+        success: true,
+        data: {
+          case: await Case.findById(payment.caseId),
+          payment
+        }
       });
     }
 
-    // Create notification for end user
-    await Notification.create({
-      recipientId: req.user.id,
-      type: constants.NOTIFICATION_TYPES.IN_APP,
-      title: 'Case Created',
-      message: `Your case for ${service.name} has been created successfully.`,
-      relatedCaseId: caseItem._id
-    });
+    if (!['pending', 'failed', 'completed'].includes(payment.status)) {
+      return res.status(400).json({
+        success: false,
+        error: `Cannot verify a payment with status ${payment.status}`
+      });
+    }
+
+    // Record the payment before the case is created
+    if (['pending', 'failed'].includes(payment.status)) {
+      payment.transactionId = razorpay_payment_id;
+      payment.status = 'completed';
+      payment.failureReason = undefined;
+      payment = await payment.save();
+    }
+
+    // Create case (applies the service workflow template and SLA), log the
+    // payment, generate the invoice and notify admins and the end user
+    const created = await createCaseForPayment(payment);
+
+    if (!created) {
+      payment = await Payment.findById(payment._id);
+      return res.status(200).json({
+        success: true,
+        data: {
+          case: await Case.findById(payment.caseId),
+          payment
+        }
+      });
+    }
+
+    const { caseItem } = created;
+    payment = created.payment;
 
     res.status(201).json({
       success: true,
@@ -265,6 +306,51 @@ exports.getCase = async (req, res, next) => {
       });
     }
 
+    const documents = await getCaseDocuments(caseItem._id);
+
+    res.status(200).json({
+      success: true,
+      data: { ...caseItem.toObject(), documents }
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// @desc    Close, reopen or respond to my case
+// @route   PUT /api/enduser/cases/:id/status
+// @access  Private/End User
+exports.updateCaseStatus = async (req, res, next) => {
+  try {
+    const { status, reason } = req.body;
+
+    const caseItem = await Case.findById(req.params.id);
+
+    if (!caseItem) {
+      return res.status(404).json({
+        success: false,
+        error: 'Case not found'
+      });
+    }
+
+    // Check if case belongs to current user
+    if (caseItem.endUserId.toString() !== req.user.id) {
+      return res.status(403).json({
+        success: false,
+        error: 'Not authorized to update this case'
+      });
+    }
+
+    // Only completed -> closed/reopened and awaiting_client -> in_progress are open to end users
+    const result = await changeCaseStatus(caseItem, status, req.user, { reason });
+
+    if (result.error) {
+      return res.status(result.statusCode).json({
+        success: false,
+        error: result.error
+      });
+    }
+
     res.status(200).json({
       success: true,
       data: caseItem
@@ -325,11 +411,11 @@ exports.addNote = async (req, res, next) => {
 // @access  Private/End User
 exports.uploadDocument = async (req, res, next) => {
   try {
-    // This would typically use multer for file upload
-    // For simplicity, we'll assume the file has been uploaded and we have the URL
-    const { name, url } = req.body;
+    // Older clients send the document type as `name`
+    const documentType = req.body.documentType || req.body.name;
+    const { notes } = req.body;
 
-    const caseItem = await Case.findById(req.params.id);
+    const caseItem = await Case.findById(req.params.id).populate('serviceId');
 
     if (!caseItem) {
       return res.status(404).json({
@@ -346,31 +432,63 @@ exports.uploadDocument = async (req, res, next) => {
       });
     }
 
-    // Add document
-    caseItem.documents.push({
-      name,
-      url,
-      uploadedBy: req.user.id
-    });
+    const service = caseItem.serviceId;
+    const typeError = validateDocumentType(service, documentType, caseItem);
+    if (typeError) {
+      return res.status(400).json({
+        success: false,
+        error: typeError
+      });
+    }
 
-    await caseItem.save();
+    // Extension, size limit for the document type and file content
+    const uploadError = validateUpload(req.file, { service, documentType });
+    if (uploadError) {
+      return res.status(uploadError.statusCode).json({
+        success: false,
+        error: uploadError.error
+      });
+    }
 
-    // Create notification for assigned employee
-    if (caseItem.employeeId) {
-      const service = await Service.findById(caseItem.serviceId);
+    // Same versioned pipeline as /api/documents/upload
+    const result = await createDocumentVersion({
+      caseItem,
+      documentType,
+      file: req.file,
+      user: req.user,
+      notes,
+      requestMeta: {
+        ipAddress: req.ip,
+        userAgent: req.get('user-agent')
+      }
+    });
 
-      await Notification.create({
-        recipientId: caseItem.employeeId,
-        type: constants.NOTIFICATION_TYPES.IN_APP,
-        title: 'Document Uploaded',
-        message: `A document has been uploaded to case ${caseItem.caseId} for ${service.name}.`,
-        relatedCaseId: caseItem._id
+    // Duplicates and files that fail the virus scan are not usable versions
+    if (result.error) {
+      return res.status(result.statusCode).json({
+        success: false,
+        error: result.error
       });
     }
 
-    res.status(200).json({
+    // Create notification for assigned employee (resubmissions of requested
+    // documents are notified when the request closes)
+    if (caseItem.employeeId && result.fulfilledRequests.length === 0) {
+      await notify({
+        eventTrigger: 'document_uploaded',
+        recipients: caseItem.employeeId,
+        relatedCaseId: caseItem._id,
+        data: { caseId: caseItem.caseId, serviceName: service.name, documentType },
+        fallback: {
+          title: 'Document Uploaded',
+          message: `A document has been uploaded to case ${caseItem.caseId} for ${service.name}.`
+        }
+      });
+    }
+
+    res.status(201).json({
       success: true,
-      data: caseItem
+      data: result.documentVersion
     });
   } catch (err) {
     next(err);
@@ -415,6 +533,67 @@ exports.getPayments = async (req, res, next) => {
   }
 };
 
+// @desc    Download invoice or receipt for a payment
+// @route   GET /api/enduser/payments/:id/invoice
+// @access  Private/End User
+exports.downloadInvoice = async (req, res, next) => {
+  try {
+    const { type = 'invoice' } = req.query;
+
+    let payment = await Payment.findById(req.params.id).populate('caseId', 'caseId endUserId');
+
+    if (!payment) {
+      return res.status(404).json({
+        success: false,
+        error: 'Payment not found'
+      });
+    }
+
+    // Check if payment belongs to current user
+    if (!payment.caseId || payment.caseId.endUserId.toString() !== req.user.id) {
+      return res.status(403).json({
+        success: false,
+        error: 'Not authorized to access this payment'
+      });
+    }
+
+    const urlField = type === 'receipt' ? 'receiptUrl' : 'invoiceUrl';
+
+    // Generate on demand if it was not produced at payment time
+    if (!payment[urlField]) {
+      payment = await generateDocuments(payment);
+
+      if (!payment) {
+        return res.status(500).json({
+          success: false,
+          error: 'Invoice could not be generated'
+        });
+      }
+    }
+
+    // Signed link where the storage driver has one, otherwise stream the file
+    const download = await getDocumentDownload(payment, type);
+
+    if (download.stream) {
+      res.setHeader('Content-Type', 'application/pdf');
+      res.setHeader('Content-Disposition', `attachment; filename="${download.fileName}"`);
+      download.stream.on('error', next);
+      return download.stream.pipe(res);
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        fileUrl: download.url,
+        fileName: download.fileName,
+        invoiceNumber: payment.invoiceNumber
+      }
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
 // @desc    Get notifications
 // @route   GET /api/enduser/notifications
 // @access  Private/End User
@@ -565,23 +744,17 @@ exports.getRequiredDocuments = async (req, res, next) => {
       });
     }
 
-    const service = caseItem.serviceId;
+    // Service's required documents and the case's ad-hoc requests
+    const documentStatus = await getDocumentStatus(caseItem, caseItem.serviceId);
 
-    // Check if service has documentsRequired defined
-    if (!service.documentsRequired || service.documentsRequired.length === 0) {
+    if (documentStatus.length === 0) {
       return res.status(200).json({
         success: true,
         data: [],
-        message: 'No required documents defined for this service'
+        message: 'No required documents defined for this case'
       });
     }
 
-    // Get document status using the static method
-    const documentStatus = await DocumentVersion.getDocumentStatus(
-      caseItem._id,
-      service.documentsRequired
-    );
-
     res.status(200).json({
       success: true,
       count: documentStatus.length,
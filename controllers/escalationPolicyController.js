@@ -0,0 +1,198 @@
+const EscalationPolicy = require('../models/EscalationPolicy');
+const Service = require('../models/Service');
+const User = require('../models/User');
+const AuditLog = require('../models/AuditLog');
+
+const EDITABLE_FIELDS = ['name', 'description', 'serviceId', 'priority', 'rules', 'isActive'];
+
+// Helper function to write an escalation policy audit entry
+const logPolicyAudit = (req, policy, action, description) => {
+    return AuditLog.log({
+        user: {
+            userId: req.user.id,
+            name: req.user.name,
+            email: req.user.email,
+            role: req.user.role
+        },
+        action,
+        entityType: 'EscalationPolicy',
+        entityId: policy._id,
+        entityName: policy.name,
+        description,
+        metadata: {
+            ipAddress: req.ip,
+            userAgent: req.get('user-agent')
+        },
+        severity: 'medium'
+    });
+};
+
+// Helper function to check the service and rule targets a policy refers to
+const validateReferences = async ({ serviceId, rules }) => {
+    if (serviceId && !(await Service.exists({ _id: serviceId }))) {
+        return 'Service not found';
+    }
+
+    const targetIds = (rules || []).map(rule => rule.targetUserId).filter(Boolean);
+    if (targetIds.length > 0) {
+        const count = await User.countDocuments({ _id: { $in: targetIds }, isActive: true });
+        if (count !== new Set(targetIds.map(String)).size) {
+            return 'One or more rule target users not found';
+        }
+    }
+
+    return null;
+};
+
+// @desc    Create escalation policy
+// @route   POST /api/admin/escalation-policies
+// @access  Private/Admin
+exports.createPolicy = async (req, res, next) => {
+    try {
+        const referenceError = await validateReferences(req.body);
+        if (referenceError) {
+            return res.status(400).json({
+                success: false,
+                error: referenceError
+            });
+        }
+
+        const data = {};
+        EDITABLE_FIELDS.forEach(field => {
+            if (req.body[field] !== undefined) data[field] = req.body[field];
+        });
+
+        const policy = await EscalationPolicy.create({
+            ...data,
+            createdBy: req.user.id
+        });
+
+        await logPolicyAudit(req, policy, 'create', `Created escalation policy: ${policy.name}`);
+
+        res.status(201).json({
+            success: true,
+            data: policy
+        });
+    } catch (err) {
+        next(err);
+    }
+};
+
+// @desc    Get all escalation policies
+// @route   GET /api/admin/escalation-policies
+// @access  Private/Admin
+exports.getPolicies = async (req, res, next) => {
+    try {
+        const { serviceId, isActive } = req.query;
+
+        const query = {};
+        if (serviceId) query.serviceId = serviceId;
+        if (isActive !== undefined) query.isActive = isActive === 'true';
+
+        const policies = await EscalationPolicy.find(query)
+            .populate('serviceId', 'name type')
+            .populate('rules.targetUserId', 'name email role')
+            .sort({ name: 1 });
+
+        res.status(200).json({
+            success: true,
+            count: policies.length,
+            data: policies
+        });
+    } catch (err) {
+        next(err);
+    }
+};
+
+// @desc    Get single escalation policy
+// @route   GET /api/admin/escalation-policies/:id
+// @access  Private/Admin
+exports.getPolicy = async (req, res, next) => {
+    try {
+        const policy = await EscalationPolicy.findById(req.params.id)
+            .populate('serviceId', 'name type')
+            .populate('rules.targetUserId', 'name email role')
+            .populate('createdBy', 'name email');
+
+        if (!policy) {
+            return res.status(404).json({
+                success: false,
+                error: 'Escalation policy not found'
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            data: policy
+        });
+    } catch (err) {
+        next(err);
+    }
+};
+
+// @desc    Update escalation policy
+// @route   PUT /api/admin/escalation-policies/:id
+// @access  Private/Admin
+exports.updatePolicy = async (req, res, next) => {
+    try {
+        const policy = await EscalationPolicy.findById(req.params.id);
+
+        if (!policy) {
+            return res.status(404).json({
+                success: false,
+                error: 'Escalation policy not found'
+            });
+        }
+
+        const referenceError = await validateReferences(req.body);
+        if (referenceError) {
+            return res.status(400).json({
+                success: false,
+                error: referenceError
+            });
+        }
+
+        EDITABLE_FIELDS.forEach(field => {
+            if (req.body[field] !== undefined) policy.set(field, req.body[field]);
+        });
+
+        // Save (not findByIdAndUpdate) so the rule validation hook runs
+        await policy.save();
+
+        await logPolicyAudit(req, policy, 'update', `Updated escalation policy: ${policy.name}`);
+
+        res.status(200).json({
+            success: true,
+            data: policy
+        });
+    } catch (err) {
+        next(err);
+    }
+};
+
+// @desc    Delete escalation policy
+// @route   DELETE /api/admin/escalation-policies/:id
+// @access  Private/Admin
+exports.deletePolicy = async (req, res, next) => {
+    try {
+        const policy = await EscalationPolicy.findById(req.params.id);
+
+        if (!policy) {
+            return res.status(404).json({
+                success: false,
+                error: 'Escalation policy not found'
+            });
+        }
+
+        await policy.deleteOne();
+
+        await logPolicyAudit(req, policy, 'delete', `Deleted escalation policy: ${policy.name}`);
+
+        res.status(200).json({
+            success: true,
+            data: {}
+        });
+    } catch (err) {
+        next(err);
+    }
+};
@@ -1,6 +1,7 @@
 const NotificationTemplate = require('../models/NotificationTemplate');
 const AuditLog = require('../models/AuditLog');
 const Notification = require('../models/Notification');
+const constants = require('../utils/constants');
 
 // @desc    Create notification template
 // @route   POST /api/admin/notification-templates
@@ -246,7 +247,7 @@ exports.testTemplate = async (req, res, next) => {
         // Send test notification to admin
         await Notification.create({
             recipientId: req.user.id,
-            type: 'IN_APP',
+            type: constants.NOTIFICATION_TYPES.IN_APP,
             title: `[TEST] ${rendered.title}`,
             message: rendered.body,
             priority: rendered.priority,
@@ -0,0 +1,180 @@
+const OutboundMessage = require('../models/OutboundMessage');
+const AuditLog = require('../models/AuditLog');
+const { resendMessage } = require('../services/outboxService');
+
+// @desc    Get queued, sent and failed outbound messages
+// @route   GET /api/admin/outbox
+// @access  Private/Admin
+exports.getMessages = async (req, res, next) => {
+    try {
+        const {
+            status,
+            channel,
+            recipientId,
+            eventTrigger,
+            startDate,
+            endDate,
+            page = 1,
+            limit = 50
+        } = req.query;
+
+        const query = {};
+        if (status) query.status = status;
+        if (channel) query.channel = channel;
+        if (recipientId) query.recipientId = recipientId;
+        if (eventTrigger) query.eventTrigger = eventTrigger;
+
+        if (startDate || endDate) {
+            query.createdAt = {};
+            if (startDate) query.createdAt.$gte = new Date(startDate);
+            if (endDate) query.createdAt.$lte = new Date(endDate);
+        }
+
+        const skip = (parseInt(page) - 1) * parseInt(limit);
+
+        // Bodies are left out: they can hold links and codes meant only for the recipient
+        const messages = await OutboundMessage.find(query)
+            .select('-message -html')
+            .populate('recipientId', 'name email role')
+            .sort({ createdAt: -1 })
+            .skip(skip)
+            .limit(parseInt(limit));
+
+        const total = await OutboundMessage.countDocuments(query);
+
+        // Queue health at a glance
+        const statusCounts = await OutboundMessage.aggregate([
+            { $group: { _id: '$status', count: { $sum: 1 } } }
+        ]);
+        const summary = { pending: 0, processing: 0, sent: 0, failed: 0 };
+        statusCounts.forEach(({ _id, count }) => {
+            summary[_id] = count;
+        });
+
+        res.status(200).json({
+            success: true,
+            count: messages.length,
+            pagination: {
+                page: parseInt(page),
+                limit: parseInt(limit),
+                total
+            },
+            summary,
+            data: messages
+        });
+    } catch (err) {
+        next(err);
+    }
+};
+
+// @desc    Get a single outbound message with its failure history
+// @route   GET /api/admin/outbox/:id
+// @access  Private/Admin
+exports.getMessage = async (req, res, next) => {
+    try {
+        const message = await OutboundMessage.findById(req.params.id)
+            .select('-message -html')
+            .populate('recipientId', 'name email phone role');
+
+        if (!message) {
+            return res.status(404).json({
+                success: false,
+                error: 'Message not found'
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            data: message
+        });
+    } catch (err) {
+        next(err);
+    }
+};
+
+// @desc    Resend a failed message
+// @route   POST /api/admin/outbox/:id/resend
+// @access  Private/Admin
+exports.resendFailedMessage = async (req, res, next) => {
+    try {
+        const message = await resendMessage(req.params.id);
+
+        if (!message) {
+            return res.status(400).json({
+                success: false,
+                error: 'Only failed messages can be resent (password reset and other sensitive messages cannot)'
+            });
+        }
+
+        await AuditLog.log({
+            user: {
+                userId: req.user._id,
+                name: req.user.name,
+                email: req.user.email,
+                role: req.user.role
+            },
+            action: 'send',
+            entityType: 'OutboundMessage',
+            entityId: message._id,
+            entityName: `${message.channel} to ${message.to}`,
+            description: `Requeued failed ${message.channel} message to ${message.to}`,
+            metadata: {
+                ipAddress: req.ip,
+                userAgent: req.get('user-agent')
+            }
+        });
+
+        res.status(200).json({
+            success: true,
+            message: 'Message queued for resending',
+            data: message
+        });
+    } catch (err) {
+        next(err);
+    }
+};
+
+// @desc    Resend all failed messages (optionally filtered by channel)
+// @route   POST /api/admin/outbox/resend-failed
+// @access  Private/Admin
+exports.resendAllFailed = async (req, res, next) => {
+    try {
+        const { channel } = req.body;
+
+        const query = { status: 'failed', sensitive: { $ne: true } };
+        if (channel) query.channel = channel;
+
+        const failed = await OutboundMessage.find(query).select('_id');
+
+        let requeued = 0;
+        for (const { _id } of failed) {
+            if (await resendMessage(_id)) {
+                requeued++;
+            }
+        }
+
+        await AuditLog.log({
+            user: {
+                userId: req.user._id,
+                name: req.user.name,
+                email: req.user.email,
+                role: req.user.role
+            },
+            action: 'send',
+            entityType: 'OutboundMessage',
+            description: `Requeued ${requeued} failed ${channel || 'outbound'} messages`,
+            metadata: {
+                ipAddress: req.ip,
+                userAgent: req.get('user-agent')
+            }
+        });
+
+        res.status(200).json({
+            success: true,
+            message: `${requeued} messages queued for resending`,
+            data: { requeued }
+        });
+    } catch (err) {
+        next(err);
+    }
+};
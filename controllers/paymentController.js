@@ -0,0 +1,468 @@
+const Payment = require('../models/Payment');
+const Case = require('../models/Case');
+const ActivityTimeline = require('../models/ActivityTimeline');
+const AuditLog = require('../models/AuditLog');
+const { generateDocuments, getDocumentDownload } = require('../services/invoiceService');
+const { createRefund, verifyWebhookSignature } = require('../services/paymentService');
+const { notify } = require('../services/notificationService');
+const { createCaseForPayment } = require('../services/caseService');
+const config = require('../config/config');
+
+// Webhook events we handle, and the payload entity each one carries
+const WEBHOOK_ENTITIES = {
+    'order.paid': 'payment',
+    'payment.captured': 'payment',
+    'payment.failed': 'payment',
+    'refund.processed': 'refund',
+    'refund.failed': 'refund'
+};
+
+// @desc    Get payments ledger with filters
+// @route   GET /api/admin/payments
+// @access  Private/Admin
+exports.getPayments = async (req, res, next) => {
+    try {
+        const { status, serviceId, startDate, endDate, page = 1, limit = 20 } = req.query;
+
+        const query = {};
+        if (status) query.status = status;
+
+        if (startDate || endDate) {
+            query.paymentDate = {};
+            if (startDate) query.paymentDate.$gte = new Date(startDate);
+            if (endDate) query.paymentDate.$lte = new Date(endDate);
+        }
+
+        // Payments made before their case existed carry the service themselves
+        if (serviceId) {
+            const cases = await Case.find({ serviceId }).select('_id');
+            query.$or = [{ caseId: { $in: cases.map(c => c._id) } }, { serviceId }];
+        }
+
+        const payments = await Payment.find(query)
+            .populate({
+                path: 'caseId',
+                select: 'caseId serviceId endUserId',
+                populate: [
+                    { path: 'serviceId', select: 'name type' },
+                    { path: 'endUserId', select: 'name email' }
+                ]
+            })
+            .skip((page - 1) * limit)
+            .limit(parseInt(limit))
+            .sort({ paymentDate: -1 });
+
+        const total = await Payment.countDocuments(query);
+
+        const totals = await Payment.aggregate([
+            { $match: query },
+            {
+                $group: {
+                    _id: null,
+                    grossAmount: { $sum: '$amount' },
+                    refundedAmount: { $sum: '$refundedAmount' }
+                }
+            }
+        ]);
+
+        const grossAmount = totals.length > 0 ? totals[0].grossAmount : 0;
+        const refundedAmount = totals.length > 0 ? totals[0].refundedAmount : 0;
+
+        res.status(200).json({
+            success: true,
+            count: payments.length,
+            pagination: {
+                page: parseInt(page),
+                limit: parseInt(limit),
+                total
+            },
+            summary: {
+                grossAmount,
+                refundedAmount,
+                netAmount: grossAmount - refundedAmount
+            },
+            data: payments
+        });
+    } catch (err) {
+        next(err);
+    }
+};
+
+// @desc    Get single payment
+// @route   GET /api/admin/payments/:id
+// @access  Private/Admin
+exports.getPayment = async (req, res, next) => {
+    try {
+        const payment = await Payment.findById(req.params.id)
+            .populate({
+                path: 'caseId',
+                select: 'caseId serviceId endUserId status',
+                populate: [
+                    { path: 'serviceId', select: 'name type price' },
+                    { path: 'endUserId', select: 'name email phone' }
+                ]
+            })
+            .populate('refunds.initiatedBy', 'name email');
+
+        if (!payment) {
+            return res.status(404).json({
+                success: false,
+                error: 'Payment not found'
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            data: payment
+        });
+    } catch (err) {
+        next(err);
+    }
+};
+
+// @desc    Initiate a full or partial refund
+// @route   POST /api/admin/payments/:id/refund
+// @access  Private/Admin
+exports.initiateRefund = async (req, res, next) => {
+    try {
+        const { amount, reason } = req.body;
+
+        const payment = await Payment.findById(req.params.id).populate('caseId', 'caseId endUserId');
+
+        if (!payment) {
+            return res.status(404).json({
+                success: false,
+                error: 'Payment not found'
+            });
+        }
+
+        if (!['completed', 'partially_refunded'].includes(payment.status)) {
+            return res.status(400).json({
+                success: false,
+                error: `Cannot refund a payment with status ${payment.status}`
+            });
+        }
+
+        const refundable = payment.amount - payment.refundedAmount;
+        const refundAmount = amount !== undefined ? Number(amount) : refundable;
+
+        if (!(refundAmount > 0) || refundAmount > refundable) {
+            return res.status(400).json({
+                success: false,
+                error: `Refund amount must be greater than 0 and at most ${refundable}`
+            });
+        }
+
+        const refund = await createRefund(
+            payment.transactionId,
+            refundAmount,
+            { reason: reason || '', invoiceNumber: payment.invoiceNumber },
+            config.razorpayTestMode
+        );
+
+        const isProcessed = refund.status === 'processed';
+        payment.refunds.push({
+            refundId: refund.id,
+            amount: refundAmount,
+            status: isProcessed ? 'processed' : 'pending',
+            reason,
+            initiatedBy: req.user.id,
+            processedAt: isProcessed ? new Date() : undefined
+        });
+        payment.recalculateRefunds();
+        await payment.save();
+
+        const caseItem = payment.caseId;
+
+        if (caseItem) {
+            // Create timeline event
+            await ActivityTimeline.createEvent({
+                caseId: caseItem._id,
+                eventType: 'payment_refunded',
+                title: 'Refund Initiated',
+                description: ActivityTimeline.generateDescription('payment_refunded', {
+                    amount: refundAmount
+                }),
+                performedBy: {
+                    userId: req.user.id,
+                    name: req.user.name,
+                    role: req.user.role
+                },
+                metadata: {
+                    paymentAmount: refundAmount,
+                    additionalInfo: { refundId: refund.id, reason }
+                },
+                isVisibleToUser: true,
+                ...ActivityTimeline.getEventStyle('payment_refunded')
+            });
+
+            // Notify end user
+            await notify({
+                eventTrigger: 'payment_refunded',
+                recipients: caseItem.endUserId,
+                relatedCaseId: caseItem._id,
+                data: { caseId: caseItem.caseId, amount: refundAmount },
+                fallback: {
+                    title: 'Refund Initiated',
+                    message: `A refund of ₹${refundAmount} has been initiated for case ${caseItem.caseId}.`
+                }
+            });
+        }
+
+        // Log audit
+        await AuditLog.log({
+            user: {
+                userId: req.user.id,
+                name: req.user.name,
+                email: req.user.email,
+                role: req.user.role
+            },
+            action: 'update',
+            entityType: 'Payment',
+            entityId: payment._id,
+            entityName: payment.invoiceNumber,
+            description: `Initiated refund of ₹${refundAmount} for payment ${payment.transactionId}`,
+            changes: {
+                fields: [{ field: 'refundedAmount', oldValue: payment.refundedAmount - refundAmount, newValue: payment.refundedAmount }]
+            },
+            metadata: {
+                ipAddress: req.ip,
+                userAgent: req.get('user-agent')
+            },
+            severity: 'high'
+        });
+
+        res.status(200).json({
+            success: true,
+            data: payment
+        });
+    } catch (err) {
+        next(err);
+    }
+};
+
+// @desc    Receive Razorpay webhook events
+// @route   POST /api/webhooks/razorpay
+// @access  Public (signature verified)
+exports.handleRazorpayWebhook = async (req, res, next) => {
+    try {
+        const signature = req.get('x-razorpay-signature');
+
+        if (!verifyWebhookSignature(req.rawBody, signature)) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid webhook signature'
+            });
+        }
+
+        const { event, payload } = req.body || {};
+
+        // Acknowledge events we don't handle so Razorpay stops retrying
+        if (!Object.prototype.hasOwnProperty.call(WEBHOOK_ENTITIES, event)) {
+            return res.status(200).json({
+                success: true
+            });
+        }
+
+        const container = payload && payload[WEBHOOK_ENTITIES[event]];
+        const entity = container && container.entity;
+
+        if (!entity || typeof entity.id !== 'string') {
+            return res.status(400).json({
+                success: false,
+                error: `Malformed ${event} webhook payload`
+            });
+        }
+
+        switch (event) {
+            case 'order.paid':
+            case 'payment.captured':
+                await handlePaymentCaptured(entity);
+                break;
+
+            case 'payment.failed':
+                await handlePaymentFailed(entity);
+                break;
+
+            default:
+                await handleRefundUpdate(entity);
+                break;
+        }
+
+        res.status(200).json({
+            success: true
+        });
+    } catch (err) {
+        next(err);
+    }
+};
+
+// @desc    Get invoice or receipt for a payment
+// @route   GET /api/admin/payments/:id/invoice
+// @access  Private/Admin
+exports.getInvoice = async (req, res, next) => {
+    try {
+        const { type = 'invoice' } = req.query;
+
+        let payment = await Payment.findById(req.params.id);
+
+        if (!payment) {
+            return res.status(404).json({
+                success: false,
+                error: 'Payment not found'
+            });
+        }
+
+        const urlField = type === 'receipt' ? 'receiptUrl' : 'invoiceUrl';
+
+        // Generate on demand if it was not produced at payment time
+        if (!payment[urlField]) {
+            payment = await generateDocuments(payment);
+
+            if (!payment) {
+                return res.status(500).json({
+                    success: false,
+                    error: 'Invoice could not be generated'
+                });
+            }
+        }
+
+        // Signed link where the storage driver has one, otherwise stream the file
+        const download = await getDocumentDownload(payment, type);
+
+        if (download.stream) {
+            res.setHeader('Content-Type', 'application/pdf');
+            res.setHeader('Content-Disposition', `attachment; filename="${download.fileName}"`);
+            download.stream.on('error', next);
+            return download.stream.pipe(res);
+        }
+
+        res.status(200).json({
+            success: true,
+            data: {
+                fileUrl: download.url,
+                fileName: download.fileName,
+                invoiceNumber: payment.invoiceNumber
+            }
+        });
+    } catch (err) {
+        next(err);
+    }
+};
+
+// @desc    Regenerate invoice and receipt PDFs for a payment
+// @route   POST /api/admin/payments/:id/invoice/regenerate
+// @access  Private/Admin
+exports.regenerateInvoice = async (req, res, next) => {
+    try {
+        const existing = await Payment.findById(req.params.id);
+
+        if (!existing) {
+            return res.status(404).json({
+                success: false,
+                error: 'Payment not found'
+            });
+        }
+
+        const payment = await generateDocuments(existing);
+
+        if (!payment) {
+            return res.status(500).json({
+                success: false,
+                error: 'Invoice could not be generated'
+            });
+        }
+
+        // Log audit
+        await AuditLog.log({
+            user: {
+                userId: req.user.id,
+                name: req.user.name,
+                email: req.user.email,
+                role: req.user.role
+            },
+            action: 'update',
+            entityType: 'Payment',
+            entityId: payment._id,
+            entityName: payment.invoiceNumber,
+            description: `Regenerated invoice ${payment.invoiceNumber}`,
+            metadata: {
+                ipAddress: req.ip,
+                userAgent: req.get('user-agent')
+            },
+            severity: 'low'
+        });
+
+        res.status(200).json({
+            success: true,
+            data: payment
+        });
+    } catch (err) {
+        next(err);
+    }
+};
+
+// Helper function to mark a payment completed from a webhook
+// Creates the case when the client has not verified the payment (e.g. the
+// browser was closed after checkout)
+const handlePaymentCaptured = async (entity) => {
+    const payment = await Payment.findForRazorpay(entity.id, entity.order_id);
+
+    if (!payment) {
+        return;
+    }
+
+    if (['pending', 'failed'].includes(payment.status)) {
+        payment.status = 'completed';
+        payment.transactionId = entity.id;
+        payment.failureReason = undefined;
+    }
+    payment.razorpayOrderId = payment.razorpayOrderId || entity.order_id;
+    await payment.save();
+
+    if (payment.status === 'completed' && !payment.caseId && payment.serviceId && payment.endUserId) {
+        await createCaseForPayment(payment);
+    }
+};
+
+// Helper function to mark a payment failed from a webhook
+// (a later attempt on the same order can still complete it)
+const handlePaymentFailed = async (entity) => {
+    const payment = await Payment.findForRazorpay(entity.id, entity.order_id);
+
+    if (!payment || !['pending', 'failed'].includes(payment.status)) {
+        return;
+    }
+
+    payment.status = 'failed';
+    payment.transactionId = entity.id;
+    payment.failureReason = entity.error_description || entity.error_reason;
+    await payment.save();
+};
+
+// Helper function to sync a refund status from a webhook
+const handleRefundUpdate = async (entity) => {
+    const payment = await Payment.findOne({ transactionId: entity.payment_id });
+
+    if (!payment) {
+        return;
+    }
+
+    let refund = payment.refunds.find(r => r.refundId === entity.id);
+
+    // Refunds issued from the Razorpay dashboard are not known locally yet
+    if (!refund) {
+        payment.refunds.push({
+            refundId: entity.id,
+            amount: entity.amount / 100,
+            reason: entity.notes && entity.notes.reason
+        });
+        refund = payment.refunds[payment.refunds.length - 1];
+    }
+
+    refund.status = entity.status === 'processed' ? 'processed' : 'failed';
+    refund.processedAt = new Date();
+
+    payment.recalculateRefunds();
+    await payment.save();
+};
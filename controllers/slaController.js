@@ -0,0 +1,175 @@
+const mongoose = require('mongoose');
+const { getLateStepsReport } = require('../services/workflowStepService');
+const {
+    getSLAAlerts,
+    getOpenSLASummary,
+    getSLAComplianceReport
+} = require('../services/slaService');
+
+const ALERT_STATUSES = ['at_risk', 'breached'];
+
+// Helper function to reject unknown alert status filters
+const validateAlertStatus = (status, res) => {
+    if (status && !ALERT_STATUSES.includes(status)) {
+        res.status(400).json({
+            success: false,
+            error: `Status must be one of: ${ALERT_STATUSES.join(', ')}`
+        });
+        return false;
+    }
+    return true;
+};
+
+// Helper function to reject unparseable report dates
+const validateDateRange = ({ startDate, endDate }, res) => {
+    const invalid = [startDate, endDate].some(date => date && isNaN(new Date(date).getTime()));
+    if (invalid) {
+        res.status(400).json({
+            success: false,
+            error: 'Please provide valid start and end dates'
+        });
+        return false;
+    }
+    return true;
+};
+
+// Helper function to reject malformed ID filters
+const validateIds = (ids, res) => {
+    const invalid = Object.keys(ids).find(field => ids[field] && !mongoose.isValidObjectId(ids[field]));
+    if (invalid) {
+        res.status(400).json({
+            success: false,
+            error: `Filter ${invalid} is not a valid ID`
+        });
+        return false;
+    }
+    return true;
+};
+
+// @desc    Get open cases that are at risk of or have breached their SLA
+// @route   GET /api/admin/sla/alerts?status=&serviceId=&employeeId=
+// @access  Private/Admin
+exports.getAlerts = async (req, res, next) => {
+    try {
+        const { status, serviceId, employeeId } = req.query;
+
+        if (!validateAlertStatus(status, res) || !validateIds({ serviceId, employeeId }, res)) {
+            return;
+        }
+
+        const [summary, alerts] = await Promise.all([
+            getOpenSLASummary({ serviceId, employeeId }),
+            getSLAAlerts(status, { serviceId, employeeId })
+        ]);
+
+        res.status(200).json({
+            success: true,
+            count: alerts.length,
+            summary,
+            data: alerts
+        });
+    } catch (err) {
+        next(err);
+    }
+};
+
+// @desc    SLA compliance: breach rate and mean time to resolution vs target
+// @route   GET /api/admin/sla/compliance?startDate=&endDate=&serviceId=&employeeId=
+// @access  Private/Admin
+exports.getCompliance = async (req, res, next) => {
+    try {
+        const { startDate, endDate, serviceId, employeeId } = req.query;
+
+        if (!validateDateRange(req.query, res) || !validateIds({ serviceId, employeeId }, res)) {
+            return;
+        }
+
+        const report = await getSLAComplianceReport({ startDate, endDate, serviceId, employeeId });
+
+        res.status(200).json({
+            success: true,
+            data: report
+        });
+    } catch (err) {
+        next(err);
+    }
+};
+
+// @desc    Get the logged-in employee's cases at risk of or breaching their SLA
+// @route   GET /api/employee/sla/alerts?status=&serviceId=
+// @access  Private/Employee
+exports.getMyAlerts = async (req, res, next) => {
+    try {
+        const { status, serviceId } = req.query;
+        const employeeId = req.user.id;
+
+        if (!validateAlertStatus(status, res) || !validateIds({ serviceId }, res)) {
+            return;
+        }
+
+        const [summary, alerts] = await Promise.all([
+            getOpenSLASummary({ serviceId, employeeId }),
+            getSLAAlerts(status, { serviceId, employeeId })
+        ]);
+
+        res.status(200).json({
+            success: true,
+            count: alerts.length,
+            summary,
+            data: alerts
+        });
+    } catch (err) {
+        next(err);
+    }
+};
+
+// @desc    SLA compliance for the logged-in employee's resolved cases
+// @route   GET /api/employee/sla/compliance?startDate=&endDate=&serviceId=
+// @access  Private/Employee
+exports.getMyCompliance = async (req, res, next) => {
+    try {
+        const { startDate, endDate, serviceId } = req.query;
+
+        if (!validateDateRange(req.query, res) || !validateIds({ serviceId }, res)) {
+            return;
+        }
+
+        // Every row belongs to this employee, so the per-employee breakdown is dropped
+        const { byEmployee, ...report } = await getSLAComplianceReport({
+            startDate,
+            endDate,
+            serviceId,
+            employeeId: req.user.id
+        });
+
+        res.status(200).json({
+            success: true,
+            data: report
+        });
+    } catch (err) {
+        next(err);
+    }
+};
+
+// @desc    Report which workflow steps run late most often
+// @route   GET /api/admin/sla/late-steps
+// @access  Private/Admin
+exports.getLateSteps = async (req, res, next) => {
+    try {
+        const { serviceId, workflowTemplateId, startDate, endDate } = req.query;
+
+        if (!validateIds({ serviceId, workflowTemplateId }, res) || !validateDateRange(req.query, res)) {
+            return;
+        }
+
+        const report = await getLateStepsReport({ serviceId, workflowTemplateId, startDate, endDate });
+
+        res.status(200).json({
+            success: true,
+            count: report.length,
+            data: report
+        });
+    } catch (err) {
+        next(err);
+    }
+};
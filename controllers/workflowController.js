@@ -1,8 +1,44 @@
 const WorkflowTemplate = require('../models/WorkflowTemplate');
 const Service = require('../models/Service');
+const Case = require('../models/Case');
 const AuditLog = require('../models/AuditLog');
+const {
+    createDraftVersion,
+    publishVersion,
+    migrateCases
+} = require('../services/workflowVersionService');
 
-// @desc    Create workflow template
+const DRAFT_EDITABLE_FIELDS = ['name', 'description', 'serviceType', 'steps', 'metadata'];
+
+// Helper function to write a workflow template audit entry
+const logTemplateAudit = (req, template, action, description, extra = {}) => {
+    return AuditLog.log({
+        user: {
+            userId: req.user.id,
+            name: req.user.name,
+            email: req.user.email,
+            role: req.user.role
+        },
+        action,
+        entityType: 'WorkflowTemplate',
+        entityId: template._id,
+        entityName: `${template.name} v${template.versionNumber}`,
+        description,
+        ...extra,
+        metadata: {
+            ipAddress: req.ip,
+            userAgent: req.get('user-agent')
+        },
+        severity: 'medium'
+    });
+};
+
+// Helper function to check a template name is not used by another template family
+const findNameConflict = (name, familyId = null) => {
+    return WorkflowTemplate.findOne({ name, familyId: { $ne: familyId } });
+};
+
+// @desc    Create workflow template (draft version 1)
 // @route   POST /api/admin/workflow-templates
 // @access  Private/Admin
 exports.createTemplate = async (req, res, next) => {
@@ -18,7 +54,14 @@ exports.createTemplate = async (req, res, next) => {
             });
         }
 
-        // Create template
+        if (await findNameConflict(name)) {
+            return res.status(400).json({
+                success: false,
+                error: 'A workflow template with this name already exists'
+            });
+        }
+
+        // Create template (version 1, as a draft until published)
         const template = await WorkflowTemplate.create({
             name,
             description,
@@ -62,11 +105,13 @@ exports.createTemplate = async (req, res, next) => {
 // @access  Private/Admin
 exports.getTemplates = async (req, res, next) => {
     try {
-        const { serviceType, isActive, page = 1, limit = 20 } = req.query;
+        const { serviceType, isActive, status, familyId, page = 1, limit = 20 } = req.query;
 
         const query = {};
         if (serviceType) query.serviceType = serviceType;
         if (isActive !== undefined) query.isActive = isActive === 'true';
+        if (status) query.status = status;
+        if (familyId) query.familyId = familyId;
 
         const templates = await WorkflowTemplate.find(query)
             .populate('serviceType', 'name type')
@@ -117,48 +162,54 @@ exports.getTemplateById = async (req, res, next) => {
     }
 };
 
-// @desc    Update workflow template
+// @desc    Update a draft workflow template version
 // @route   PUT /api/admin/workflow-templates/:id
 // @access  Private/Admin
 exports.updateTemplate = async (req, res, next) => {
     try {
-        const oldTemplate = await WorkflowTemplate.findById(req.params.id);
+        const template = await WorkflowTemplate.findById(req.params.id);
 
-        if (!oldTemplate) {
+        if (!template) {
             return res.status(404).json({
                 success: false,
                 error: 'Workflow template not found'
             });
         }
 
-        const template = await WorkflowTemplate.findByIdAndUpdate(
-            req.params.id,
-            req.body,
-            { new: true, runValidators: true }
-        ).populate('serviceType', 'name type');
+        if (template.status !== 'draft') {
+            return res.status(400).json({
+                success: false,
+                error: 'Published workflow versions cannot be edited. Create a new draft version instead.'
+            });
+        }
 
-        // Log audit
-        await AuditLog.log({
-            user: {
-                userId: req.user.id,
-                name: req.user.name,
-                email: req.user.email,
-                role: req.user.role
-            },
-            action: 'update',
-            entityType: 'WorkflowTemplate',
-            entityId: template._id,
-            entityName: template.name,
-            description: `Updated workflow template: ${template.name}`,
+        if (req.body.name && await findNameConflict(req.body.name, template.familyId)) {
+            return res.status(400).json({
+                success: false,
+                error: 'A workflow template with this name already exists'
+            });
+        }
+
+        if (req.body.serviceType && !(await Service.exists({ _id: req.body.serviceType }))) {
+            return res.status(404).json({
+                success: false,
+                error: 'Service not found'
+            });
+        }
+
+        const before = template.toObject();
+
+        DRAFT_EDITABLE_FIELDS.forEach(field => {
+            if (req.body[field] !== undefined) template.set(field, req.body[field]);
+        });
+        await template.save();
+        await template.populate('serviceType', 'name type');
+
+        await logTemplateAudit(req, template, 'update', `Updated draft workflow template: ${template.name} v${template.versionNumber}`, {
             changes: {
-                before: oldTemplate.toObject(),
+                before,
                 after: template.toObject()
-            },
-            metadata: {
-                ipAddress: req.ip,
-                userAgent: req.get('user-agent')
-            },
-            severity: 'medium'
+            }
         });
 
         res.status(200).json({
@@ -184,9 +235,13 @@ exports.deleteTemplate = async (req, res, next) => {
             });
         }
 
-        // Soft delete by setting isActive to false
-        template.isActive = false;
-        await template.save();
+        // Drafts were never used by cases and are removed; published versions are soft deleted
+        if (template.status === 'draft') {
+            await template.deleteOne();
+        } else {
+            template.isActive = false;
+            await template.save();
+        }
 
         // Log audit
         await AuditLog.log({
@@ -217,7 +272,7 @@ exports.deleteTemplate = async (req, res, next) => {
     }
 };
 
-// @desc    Clone workflow template
+// @desc    Clone workflow template (as a new template, draft version 1)
 // @route   POST /api/admin/workflow-templates/:id/clone
 // @access  Private/Admin
 exports.cloneTemplate = async (req, res, next) => {
@@ -238,8 +293,7 @@ exports.cloneTemplate = async (req, res, next) => {
             serviceType: originalTemplate.serviceType,
             steps: originalTemplate.steps,
             metadata: {
-                ...originalTemplate.metadata,
-                version: '1.0',
+                complexity: originalTemplate.metadata?.complexity,
                 tags: [...(originalTemplate.metadata?.tags || []), 'cloned']
             },
             createdBy: req.user.id
@@ -274,3 +328,218 @@ exports.cloneTemplate = async (req, res, next) => {
         next(err);
     }
 };
+
+// @desc    Get all versions of a workflow template
+// @route   GET /api/admin/workflow-templates/:id/versions
+// @access  Private/Admin
+exports.getVersions = async (req, res, next) => {
+    try {
+        const template = await WorkflowTemplate.findById(req.params.id);
+
+        if (!template) {
+            return res.status(404).json({
+                success: false,
+                error: 'Workflow template not found'
+            });
+        }
+
+        const versions = await WorkflowTemplate.find({ familyId: template.familyId })
+            .select('name versionNumber status isActive basedOnVersionId publishedAt publishedBy createdAt totalEstimatedDuration')
+            .populate('publishedBy', 'name email')
+            .sort({ versionNumber: -1 });
+
+        // Open cases pinned to each version
+        const counts = await Case.aggregate([
+            {
+                $match: {
+                    workflowTemplateId: { $in: versions.map(v => v._id) },
+                    status: { $nin: ['completed', 'closed', 'cancelled'] }
+                }
+            },
+            { $group: { _id: '$workflowTemplateId', count: { $sum: 1 } } }
+        ]);
+
+        res.status(200).json({
+            success: true,
+            count: versions.length,
+            data: versions.map(version => {
+                const entry = counts.find(c => c._id.equals(version._id));
+                return { ...version.toObject(), openCases: entry ? entry.count : 0 };
+            })
+        });
+    } catch (err) {
+        next(err);
+    }
+};
+
+// @desc    Create a draft version from an existing version
+// @route   POST /api/admin/workflow-templates/:id/versions
+// @access  Private/Admin
+exports.createVersion = async (req, res, next) => {
+    try {
+        const source = await WorkflowTemplate.findById(req.params.id);
+
+        if (!source) {
+            return res.status(404).json({
+                success: false,
+                error: 'Workflow template not found'
+            });
+        }
+
+        const result = await createDraftVersion(source, req.user);
+
+        if (result.error) {
+            return res.status(result.statusCode).json({
+                success: false,
+                error: result.error
+            });
+        }
+
+        await logTemplateAudit(
+            req,
+            result.template,
+            'create',
+            `Created draft version ${result.template.versionNumber} of workflow template: ${result.template.name}`
+        );
+
+        res.status(201).json({
+            success: true,
+            data: result.template
+        });
+    } catch (err) {
+        next(err);
+    }
+};
+
+// @desc    Publish a draft version
+// @route   POST /api/admin/workflow-templates/:id/publish
+// @access  Private/Admin
+exports.publishTemplate = async (req, res, next) => {
+    try {
+        const draft = await WorkflowTemplate.findById(req.params.id);
+
+        if (!draft) {
+            return res.status(404).json({
+                success: false,
+                error: 'Workflow template not found'
+            });
+        }
+
+        const result = await publishVersion(draft, req.user);
+
+        if (result.error) {
+            return res.status(result.statusCode).json({
+                success: false,
+                error: result.error
+            });
+        }
+
+        await logTemplateAudit(
+            req,
+            result.template,
+            'approve',
+            `Published version ${result.template.versionNumber} of workflow template: ${result.template.name}`,
+            {
+                changes: {
+                    fields: [{
+                        field: 'publishedVersion',
+                        oldValue: result.previous ? result.previous.versionNumber : null,
+                        newValue: result.template.versionNumber
+                    }]
+                }
+            }
+        );
+
+        res.status(200).json({
+            success: true,
+            data: result.template
+        });
+    } catch (err) {
+        next(err);
+    }
+};
+
+// Helper function to preview or apply a migration of cases off a version
+const runMigration = async (req, res, dryRun) => {
+    const { toVersionId, stepMap, itemMap, caseIds } = req.body;
+
+    const [fromTemplate, toTemplate] = await Promise.all([
+        WorkflowTemplate.findById(req.params.id),
+        toVersionId ? WorkflowTemplate.findById(toVersionId) : null
+    ]);
+
+    if (!fromTemplate || !toTemplate) {
+        return res.status(404).json({
+            success: false,
+            error: fromTemplate ? 'Target version not found' : 'Workflow template not found'
+        });
+    }
+
+    const result = await migrateCases({
+        fromTemplate,
+        toTemplate,
+        overrides: { stepMap, itemMap },
+        caseIds,
+        dryRun,
+        user: req.user
+    });
+
+    if (result.error) {
+        return res.status(result.statusCode).json({
+            success: false,
+            error: result.error
+        });
+    }
+
+    const migrated = result.results.filter(r => r.success);
+
+    if (!dryRun && migrated.length > 0) {
+        await logTemplateAudit(
+            req,
+            toTemplate,
+            'update',
+            `Migrated ${migrated.length} case(s) from version ${fromTemplate.versionNumber} to ${toTemplate.versionNumber} of workflow template: ${toTemplate.name}`,
+            {
+                changes: {
+                    before: { workflowTemplateId: fromTemplate._id },
+                    after: {
+                        workflowTemplateId: toTemplate._id,
+                        cases: migrated.map(r => r.caseNumber)
+                    }
+                }
+            }
+        );
+    }
+
+    res.status(200).json({
+        success: true,
+        dryRun,
+        count: migrated.length,
+        data: {
+            mapping: result.mapping,
+            cases: result.results
+        }
+    });
+};
+
+// @desc    Preview moving open cases from this version to another
+// @route   POST /api/admin/workflow-templates/:id/migrate/preview
+// @access  Private/Admin
+exports.previewMigration = async (req, res, next) => {
+    try {
+        await runMigration(req, res, true);
+    } catch (err) {
+        next(err);
+    }
+};
+
+// @desc    Move open cases from this version to another
+// @route   POST /api/admin/workflow-templates/:id/migrate
+// @access  Private/Admin
+exports.applyMigration = async (req, res, next) => {
+    try {
+        await runMigration(req, res, false);
+    } catch (err) {
+        next(err);
+    }
+};
@@ -3,6 +3,37 @@ const jwt = require('jsonwebtoken');
 const User = require('../models/User');
 const config = require('../config/config');
 
+// Resolve a JWT to its user and live server-side session
+// Shared by the HTTP protect middleware and the socket.io handshake
+// Throws if the token itself is invalid or expired
+exports.resolveSession = async (token) => {
+  // Verify token
+  const decoded = jwt.verify(token, config.jwtSecret);
+
+  // Tokens issued between the password and TOTP steps are not session tokens
+  if (decoded.twoFactorPending) {
+    return { error: 'Two-factor authentication required' };
+  }
+
+  const user = await User.findById(decoded.id).select('-password +sessionTokens');
+
+  if (!user) {
+    return { error: 'User not found' };
+  }
+
+  // Token must belong to a live server-side session
+  const tokenHash = User.hashSessionToken(token);
+  const session = user.sessionTokens.find(
+    s => s.token === tokenHash && s.expiresAt > new Date()
+  );
+
+  if (!session) {
+    return { error: 'Session has expired or been revoked' };
+  }
+
+  return { user, sessionId: session._id.toString() };
+};
+
 // Protect routes
 exports.protect = async (req, res, next) => {
   let token;
@@ -12,7 +43,7 @@ exports.protect = async (req, res, next) => {
     req.headers.authorization.startsWith('Bearer')
   ) {
     token = req.headers.authorization.split(' ')[1];
-  } else if (req.cookies.token) {
+  } else if (req.cookies && req.cookies.token) {
     token = req.cookies.token;
   }
 
@@ -25,19 +56,19 @@ exports.protect = async (req, res, next) => {
   }
 
   try {
-    // Verify token
-    const decoded = jwt.verify(token, config.jwtSecret);
-    
-    // Add user to request object
-    req.user = await User.findById(decoded.id).select('-password');
+    const { user, sessionId, error } = await exports.resolveSession(token);
 
-    if (!req.user) {
+    if (error) {
       return res.status(401).json({
         success: false,
-        error: 'User not found'
+        error
       });
     }
 
+    // Add user to request object
+    req.user = user;
+    req.sessionId = sessionId;
+
     next();
   } catch (err) {
     return res.status(401).json({
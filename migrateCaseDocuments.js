@@ -0,0 +1,168 @@
+const path = require('path');
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+const Case = require('./models/Case');
+const User = require('./models/User');
+const DocumentVersion = require('./models/DocumentVersion');
+
+dotenv.config();
+
+// One-off migration for the old embedded Case.documents array:
+// - every embedded document becomes a DocumentVersion (source: legacy), with
+//   documents of the same name on a case becoming successive versions
+// - where the case already has uploaded versions of that document, the legacy
+//   ones go below them (lower version numbers, status superseded, which may
+//   mean version 0 or less) and the uploaded versions are left as they are
+// - the embedded array is removed once its case is converted
+// Safe to re-run: documents already converted (same case and URL) are skipped
+
+const MIME_TYPES = {
+    pdf: 'application/pdf',
+    jpg: 'image/jpeg',
+    jpeg: 'image/jpeg',
+    png: 'image/png',
+    doc: 'application/msword',
+    docx: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document'
+};
+
+const connectDB = async () => {
+    try {
+        await mongoose.connect(process.env.MONGO_URI);
+        console.log('MongoDB Connected');
+    } catch (err) {
+        console.error('Connection error:', err.message);
+        process.exit(1);
+    }
+};
+
+// Helper function to read the file name and format from a document URL
+const describeFile = (url, name) => {
+    let fileName = name;
+    try {
+        fileName = path.basename(new URL(url).pathname) || name;
+    } catch (error) {
+        // Not an absolute URL; keep the document name
+    }
+
+    const format = path.extname(fileName).slice(1).toLowerCase();
+    return {
+        originalFileName: fileName,
+        format: format || undefined,
+        mimeType: MIME_TYPES[format] || 'application/octet-stream'
+    };
+};
+
+const migrate = async () => {
+    await connectDB();
+
+    try {
+        // Read through the raw collection: documents is no longer in the Case schema
+        const cases = await Case.collection
+            .find({ 'documents.0': { $exists: true } })
+            .project({ caseId: 1, endUserId: 1, documents: 1 })
+            .toArray();
+
+        const roles = new Map();
+        let converted = 0;
+        let skipped = 0;
+
+        for (const caseItem of cases) {
+            const documents = [...caseItem.documents]
+                .sort((a, b) => new Date(a.uploadedAt || 0) - new Date(b.uploadedAt || 0));
+
+            // Documents still to convert, by name (oldest first)
+            const pending = new Map();
+            for (const doc of documents) {
+                const exists = await DocumentVersion.exists({
+                    caseId: caseItem._id,
+                    fileUrl: doc.url,
+                    source: 'legacy'
+                });
+                if (exists) {
+                    skipped++;
+                    continue;
+                }
+                if (!pending.has(doc.name)) {
+                    pending.set(doc.name, []);
+                }
+                pending.get(doc.name).push(doc);
+            }
+
+            // Where versions were uploaded since, number the legacy documents below the oldest one
+            const belowUploads = new Map();
+            for (const [name, docs] of pending) {
+                const uploaded = await DocumentVersion.findOne({
+                    caseId: caseItem._id,
+                    documentType: name,
+                    source: { $ne: 'legacy' }
+                }).select('_id');
+                if (uploaded) {
+                    const oldest = await DocumentVersion.findOne({ caseId: caseItem._id, documentType: name })
+                        .sort({ version: 1 })
+                        .select('version');
+                    belowUploads.set(name, oldest.version - docs.length);
+                }
+            }
+
+            for (const doc of [...pending.values()].flat()) {
+
+                const uploaderKey = doc.uploadedBy ? doc.uploadedBy.toString() : '';
+                if (!roles.has(uploaderKey)) {
+                    const uploader = doc.uploadedBy ? await User.findById(doc.uploadedBy).select('role') : null;
+                    roles.set(uploaderKey, uploader ? uploader.role : null);
+                }
+
+                // Uploaders that no longer exist: the end user if it was theirs, else staff
+                const userRole = roles.get(uploaderKey) ||
+                    (caseItem.endUserId && caseItem.endUserId.toString() === uploaderKey ? 'end_user' : 'employee');
+
+                const insertBelow = belowUploads.has(doc.name);
+                let version;
+                if (insertBelow) {
+                    version = belowUploads.get(doc.name);
+                    belowUploads.set(doc.name, version + 1);
+                } else {
+                    version = (await DocumentVersion.getLatestVersion(caseItem._id, doc.name)) + 1;
+                }
+                const file = describeFile(doc.url, doc.name);
+
+                const documentVersion = await DocumentVersion.create({
+                    caseId: caseItem._id,
+                    documentType: doc.name,
+                    version,
+                    fileUrl: doc.url,
+                    source: 'legacy',
+                    status: insertBelow ? 'superseded' : 'active',
+                    uploadedBy: {
+                        userId: doc.uploadedBy,
+                        userRole
+                    },
+                    metadata: {
+                        originalFileName: file.originalFileName,
+                        fileSize: 0, // Not recorded for embedded documents
+                        mimeType: file.mimeType,
+                        format: file.format
+                    },
+                    notes: 'Migrated from case documents',
+                    createdAt: doc.uploadedAt || undefined
+                });
+
+                // Only older legacy versions are superseded, never uploaded ones
+                if (!insertBelow) {
+                    await documentVersion.markPreviousAsSuperseded();
+                }
+                converted++;
+            }
+
+            await Case.collection.updateOne({ _id: caseItem._id }, { $unset: { documents: '' } });
+        }
+
+        console.log(`Converted ${converted} document(s) on ${cases.length} case(s); ${skipped} already converted`);
+    } catch (error) {
+        console.error('Error:', error);
+    }
+
+    process.exit();
+};
+
+migrate();
@@ -0,0 +1,62 @@
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+const WorkflowTemplate = require('./models/WorkflowTemplate');
+
+dotenv.config();
+
+// One-off migration for workflow template versioning:
+// - drops the old unique index on template name (versions share a name)
+// - makes every existing template version 1 of its own family, published
+//   (active) or superseded (inactive)
+
+const connectDB = async () => {
+    try {
+        await mongoose.connect(process.env.MONGO_URI);
+        console.log('MongoDB Connected');
+    } catch (err) {
+        console.error('Connection error:', err.message);
+        process.exit(1);
+    }
+};
+
+const migrate = async () => {
+    await connectDB();
+
+    try {
+        const indexes = await WorkflowTemplate.collection.indexes();
+        if (indexes.some(index => index.name === 'name_1')) {
+            await WorkflowTemplate.collection.dropIndex('name_1');
+            console.log('Dropped unique index on workflow template name');
+        }
+
+        const templates = await WorkflowTemplate.collection
+            .find({ status: { $exists: false } })
+            .toArray();
+
+        for (const template of templates) {
+            await WorkflowTemplate.collection.updateOne(
+                { _id: template._id },
+                {
+                    $set: {
+                        familyId: template._id,
+                        versionNumber: 1,
+                        status: template.isActive === false ? 'superseded' : 'published',
+                        publishedAt: template.updatedAt || template.createdAt || new Date(),
+                        basedOnVersionId: null
+                    }
+                }
+            );
+        }
+
+        console.log(`Migrated ${templates.length} workflow template(s) to versioning`);
+
+        await WorkflowTemplate.syncIndexes();
+        console.log('Workflow template indexes synced');
+    } catch (error) {
+        console.error('Error:', error);
+    }
+
+    process.exit();
+};
+
+migrate();
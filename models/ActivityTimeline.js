@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { emitToCase } = require('../services/socketService');
 
 const activityTimelineSchema = new mongoose.Schema({
     caseId: {
@@ -14,16 +15,30 @@ const activityTimelineSchema = new mongoose.Schema({
             'case_created',
             'case_assigned',
             'status_changed',
+            'priority_changed',
+            'workflow_attached',
+            'workflow_migrated',
             'document_uploaded',
+            'document_quarantined',
             'document_verified',
             'document_rejected',
+            'document_requested',
+            'document_request_cancelled',
             'payment_received',
+            'payment_refunded',
             'note_added',
             'internal_note_added',
             'checklist_updated',
+            'step_started',
+            'step_completed',
+            'step_skipped',
+            'step_gate_overridden',
+            'step_sla_warning',
+            'step_sla_breach',
             'reminder_set',
             'sla_warning',
             'sla_breach',
+            'sla_escalation',
             'case_completed',
             'case_reopened',
             'communication_sent',
@@ -109,6 +124,10 @@ activityTimelineSchema.statics.createEvent = async function (eventData) {
     try {
         const event = new this(eventData);
         await event.save();
+
+        // Push to sockets following this case
+        emitToCase(event.caseId, 'timeline:event', event.toObject(), event.isVisibleToUser);
+
         return event;
     } catch (error) {
         console.error('Failed to create timeline event:', error);
@@ -146,16 +165,33 @@ activityTimelineSchema.statics.generateDescription = function (eventType, data)
         case_created: `Case created by ${data.userName}`,
         case_assigned: `Case assigned to ${data.assigneeName}`,
         status_changed: `Status changed from "${data.oldStatus}" to "${data.newStatus}"`,
+        priority_changed: `Priority changed from "${data.oldPriority}" to "${data.newPriority}"`,
+        workflow_attached: `Workflow "${data.templateName}" attached`,
+        workflow_migrated: `Workflow "${data.templateName}" migrated from version ${data.fromVersion} to ${data.toVersion}`,
         document_uploaded: `${data.documentType} uploaded (Version ${data.version})`,
+        document_quarantined: `${data.documentType} version ${data.version} quarantined: ${data.reason}`,
         document_verified: `${data.documentType} verified by ${data.verifierName}`,
         document_rejected: `${data.documentType} rejected: ${data.reason}`,
+        document_requested: `${data.documentType} requested by ${data.userName}` +
+            (data.dueDate ? ` (due ${data.dueDate})` : ''),
+        document_request_cancelled: `Request for ${data.documentType} cancelled by ${data.userName}`,
         payment_received: `Payment of ₹${data.amount} received`,
+        payment_refunded: `Refund of ₹${data.amount} initiated`,
         note_added: `Note added by ${data.userName}`,
         internal_note_added: `Internal note added by ${data.userName}`,
         checklist_updated: `Checklist item "${data.itemName}" marked as ${data.status}`,
+        step_started: `Step "${data.stepName}" started`,
+        step_completed: data.overrunHours > 0
+            ? `Step "${data.stepName}" completed ${data.overrunHours} business hours late`
+            : `Step "${data.stepName}" completed on time`,
+        step_skipped: `Step "${data.stepName}" skipped: ${data.reason}`,
+        step_gate_overridden: `${data.userName} overrode open requirements on ${data.stepNames}: ${data.reason}`,
+        step_sla_warning: `Step "${data.stepName}" SLA warning: ${data.hoursRemaining} hours remaining`,
+        step_sla_breach: `Step "${data.stepName}" exceeded its estimated duration`,
         reminder_set: `Reminder set for ${data.reminderDate}`,
         sla_warning: `SLA warning: ${data.hoursRemaining} hours remaining`,
         sla_breach: `SLA breached`,
+        sla_escalation: `SLA escalation "${data.ruleName}": ${data.actionDescription}`,
         case_completed: `Case completed by ${data.userName}`,
         case_reopened: `Case reopened by ${data.userName}`,
         communication_sent: `Message sent to ${data.recipientName}`
@@ -170,16 +206,30 @@ activityTimelineSchema.statics.getEventStyle = function (eventType) {
         case_created: { icon: 'plus-circle', color: 'blue' },
         case_assigned: { icon: 'user-check', color: 'blue' },
         status_changed: { icon: 'refresh-cw', color: 'purple' },
+        priority_changed: { icon: 'flag', color: 'yellow' },
+        workflow_attached: { icon: 'git-branch', color: 'blue' },
+        workflow_migrated: { icon: 'git-merge', color: 'purple' },
         document_uploaded: { icon: 'upload', color: 'blue' },
+        document_quarantined: { icon: 'shield-off', color: 'red' },
         document_verified: { icon: 'check-circle', color: 'green' },
         document_rejected: { icon: 'x-circle', color: 'red' },
+        document_requested: { icon: 'file-plus', color: 'purple' },
+        document_request_cancelled: { icon: 'file-minus', color: 'gray' },
         payment_received: { icon: 'dollar-sign', color: 'green' },
+        payment_refunded: { icon: 'corner-up-left', color: 'yellow' },
         note_added: { icon: 'message-square', color: 'blue' },
         internal_note_added: { icon: 'lock', color: 'gray' },
         checklist_updated: { icon: 'check-square', color: 'green' },
+        step_started: { icon: 'play-circle', color: 'blue' },
+        step_completed: { icon: 'check', color: 'green' },
+        step_skipped: { icon: 'skip-forward', color: 'gray' },
+        step_gate_overridden: { icon: 'unlock', color: 'yellow' },
+        step_sla_warning: { icon: 'clock', color: 'yellow' },
+        step_sla_breach: { icon: 'alert-octagon', color: 'red' },
         reminder_set: { icon: 'bell', color: 'yellow' },
         sla_warning: { icon: 'alert-triangle', color: 'yellow' },
         sla_breach: { icon: 'alert-circle', color: 'red' },
+        sla_escalation: { icon: 'trending-up', color: 'red' },
         case_completed: { icon: 'check-circle', color: 'green' },
         case_reopened: { icon: 'rotate-ccw', color: 'yellow' },
         communication_sent: { icon: 'send', color: 'blue' }
@@ -0,0 +1,79 @@
+const mongoose = require('mongoose');
+
+const strategySettingSchema = new mongoose.Schema({
+    name: {
+        type: String, // Must match a strategy registered in assignmentService
+        required: true,
+        trim: true
+    },
+    enabled: {
+        type: Boolean,
+        default: true
+    },
+    weight: {
+        type: Number, // Multiplier applied to the strategy's 0-1 score
+        default: 1,
+        min: 0
+    }
+}, { _id: false });
+
+const assignmentConfigSchema = new mongoose.Schema({
+    // Single settings document
+    key: {
+        type: String,
+        default: 'default',
+        unique: true
+    },
+    autoAssignOnCreate: {
+        type: Boolean,
+        default: true
+    },
+    strategies: {
+        type: [strategySettingSchema],
+        default: () => [
+            { name: 'max_open_cases', enabled: true, weight: 1 },
+            { name: 'least_active_load', enabled: true, weight: 1 },
+            { name: 'skills_module_match', enabled: true, weight: 1 },
+            { name: 'weighted_complexity', enabled: true, weight: 1 }
+        ]
+    },
+    maxOpenCases: {
+        type: Number,
+        default: 15,
+        min: 1
+    },
+    // Exclude employees with assigned modules that do not cover the case's service type
+    // (employees without any modules are treated as generalists)
+    requireModuleMatch: {
+        type: Boolean,
+        default: false
+    },
+    complexityWeights: {
+        simple: { type: Number, default: 1, min: 0 },
+        medium: { type: Number, default: 2, min: 0 },
+        complex: { type: Number, default: 3, min: 0 }
+    },
+    priorityMultipliers: {
+        low: { type: Number, default: 0.75, min: 0 },
+        medium: { type: Number, default: 1, min: 0 },
+        high: { type: Number, default: 1.5, min: 0 },
+        urgent: { type: Number, default: 2, min: 0 }
+    },
+    updatedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }
+}, {
+    timestamps: true
+});
+
+// Static method to get the settings, creating the defaults on first use
+assignmentConfigSchema.statics.getConfig = async function () {
+    return this.findOneAndUpdate(
+        { key: 'default' },
+        { $setOnInsert: { key: 'default' } },
+        { new: true, upsert: true, setDefaultsOnInsert: true }
+    );
+};
+
+module.exports = mongoose.model('AssignmentConfig', assignmentConfigSchema);
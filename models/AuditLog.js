@@ -1,11 +1,16 @@
 const mongoose = require('mongoose');
 
+// Automated actions (cron jobs) are logged with role 'system' and no user
+const isUserAction = function () {
+    return this.user.role !== 'system';
+};
+
 const auditLogSchema = new mongoose.Schema({
     user: {
         userId: {
             type: mongoose.Schema.Types.ObjectId,
             ref: 'User',
-            required: true
+            required: isUserAction
         },
         name: {
             type: String,
@@ -13,11 +18,11 @@ const auditLogSchema = new mongoose.Schema({
         },
         email: {
             type: String,
-            required: true
+            required: isUserAction
         },
         role: {
             type: String,
-            enum: ['admin', 'agent', 'employee', 'end_user'],
+            enum: ['admin', 'agent', 'employee', 'end_user', 'system'],
             required: true
         }
     },
@@ -33,6 +38,7 @@ const auditLogSchema = new mongoose.Schema({
             'unassign',
             'approve',
             'reject',
+            'override',
             'login',
             'logout',
             'upload',
@@ -59,6 +65,9 @@ const auditLogSchema = new mongoose.Schema({
             'CannedResponse',
             'NotificationTemplate',
             'Settings',
+            'OutboundMessage',
+            'BusinessCalendar',
+            'EscalationPolicy',
             'Other'
         ]
     },
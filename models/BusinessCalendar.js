@@ -0,0 +1,139 @@
+const mongoose = require('mongoose');
+
+const TIME_FORMAT = [/^([01]\d|2[0-3]):[0-5]\d$/, 'Please use HH:mm format'];
+
+const holidaySchema = new mongoose.Schema({
+    date: {
+        type: String, // Local date in YYYY-MM-DD
+        required: true,
+        match: [/^\d{4}-\d{2}-\d{2}$/, 'Please use YYYY-MM-DD format']
+    },
+    name: {
+        type: String,
+        required: true,
+        trim: true
+    },
+    type: {
+        type: String,
+        enum: ['national', 'gazetted', 'restricted', 'company'],
+        default: 'gazetted'
+    }
+}, { _id: false });
+
+const businessCalendarSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: [true, 'Calendar name is required'],
+        trim: true,
+        unique: true
+    },
+    description: {
+        type: String,
+        trim: true
+    },
+    timezone: {
+        type: String,
+        default: 'Asia/Kolkata'
+    },
+    workingHours: {
+        start: {
+            type: String,
+            default: '09:30',
+            match: TIME_FORMAT
+        },
+        end: {
+            type: String,
+            default: '18:30',
+            match: TIME_FORMAT
+        }
+    },
+    weeklyOffDays: {
+        type: [{
+            type: Number, // 0 = Sunday ... 6 = Saturday
+            min: 0,
+            max: 6
+        }],
+        default: [0]
+    },
+    holidays: [holidaySchema],
+    atRiskHours: {
+        type: Number, // Business hours remaining at which a case becomes at risk
+        default: 24,
+        min: 0
+    },
+    // Services using this calendar instead of the default one
+    serviceIds: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Service'
+    }],
+    isDefault: {
+        type: Boolean,
+        default: false
+    },
+    isActive: {
+        type: Boolean,
+        default: true
+    },
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    }
+}, {
+    timestamps: true
+});
+
+// Validate working hours and keep holidays sorted
+businessCalendarSchema.pre('validate', function (next) {
+    if (this.workingHours.start >= this.workingHours.end) {
+        this.invalidate('workingHours.end', 'Working hours must end after they start');
+    }
+
+    try {
+        new Intl.DateTimeFormat('en-GB', { timeZone: this.timezone });
+    } catch (error) {
+        this.invalidate('timezone', `Invalid timezone: ${this.timezone}`);
+    }
+
+    if (this.weeklyOffDays.length >= 7) {
+        this.invalidate('weeklyOffDays', 'At least one working day is required');
+    }
+
+    this.holidays.sort((a, b) => a.date.localeCompare(b.date));
+    next();
+});
+
+// Only one default calendar
+businessCalendarSchema.pre('save', async function () {
+    if (this.isDefault && this.isModified('isDefault')) {
+        await this.constructor.updateMany(
+            { _id: { $ne: this._id }, isDefault: true },
+            { isDefault: false }
+        );
+    }
+});
+
+// Virtual for length of a working day in hours
+businessCalendarSchema.virtual('hoursPerDay').get(function () {
+    const [startH, startM] = this.workingHours.start.split(':').map(Number);
+    const [endH, endM] = this.workingHours.end.split(':').map(Number);
+    return ((endH * 60 + endM) - (startH * 60 + startM)) / 60;
+});
+
+// Index for faster queries
+businessCalendarSchema.index({ serviceIds: 1, isActive: 1 });
+businessCalendarSchema.index({ isDefault: 1, isActive: 1 });
+
+// Static method to get the calendar that applies to a service
+businessCalendarSchema.statics.getForService = async function (serviceId) {
+    if (serviceId) {
+        const override = await this.findOne({ serviceIds: serviceId, isActive: true });
+        if (override) {
+            return override;
+        }
+    }
+
+    return this.findOne({ isDefault: true, isActive: true });
+};
+
+module.exports = mongoose.model('BusinessCalendar', businessCalendarSchema);
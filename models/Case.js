@@ -31,25 +31,6 @@ const CaseSchema = new mongoose.Schema({
     type: Number,
     default: 0
   },
-  documents: [{
-    name: {
-      type: String,
-      required: true
-    },
-    url: {
-      type: String,
-      required: true
-    },
-    uploadedAt: {
-      type: Date,
-      default: Date.now
-    },
-    uploadedBy: {
-      type: mongoose.Schema.ObjectId,
-      ref: 'User',
-      required: true
-    }
-  }],
   notes: [{
     text: {
       type: String,
@@ -73,6 +54,23 @@ const CaseSchema = new mongoose.Schema({
     type: Date,
     default: null
   },
+  closedAt: {
+    type: Date,
+    default: null
+  },
+  reopenedAt: {
+    type: Date,
+    default: null
+  },
+  statusChangedAt: {
+    type: Date,
+    default: null
+  },
+  statusReason: {
+    type: String, // Why the case was put on hold, cancelled, reopened, etc.
+    trim: true,
+    default: null
+  },
   createdAt: {
     type: Date,
     default: Date.now
@@ -102,6 +100,9 @@ const CaseSchema = new mongoose.Schema({
     completedBy: {
       type: mongoose.Schema.ObjectId,
       ref: 'User'
+    },
+    answer: {
+      type: mongoose.Schema.Types.Mixed // For checklist items with an answer type
     }
   }],
   slaDeadline: {
@@ -110,14 +111,205 @@ const CaseSchema = new mongoose.Schema({
   },
   slaStatus: {
     type: String,
-    enum: ['on_time', 'at_risk', 'breached', 'not_set'],
+    enum: ['on_time', 'at_risk', 'breached', 'paused', 'not_set'],
     default: 'not_set'
   },
+  stepProgress: [{
+    stepId: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true
+    },
+    stepName: {
+      type: String,
+      required: true
+    },
+    order: {
+      type: Number,
+      required: true
+    },
+    estimatedDuration: {
+      type: Number, // in business hours, copied from the workflow step
+      default: 0
+    },
+    status: {
+      type: String,
+      enum: ['pending', 'in_progress', 'completed', 'skipped'],
+      default: 'pending'
+    },
+    parallelGroup: {
+      type: String, // Copied from the workflow step
+      default: null
+    },
+    skipReason: {
+      type: String
+    },
+    skippedBy: {
+      type: String,
+      enum: ['condition', 'user']
+    },
+    startedAt: {
+      type: Date
+    },
+    completedAt: {
+      type: Date
+    },
+    deadline: {
+      type: Date
+    },
+    slaStatus: {
+      type: String,
+      enum: ['on_time', 'at_risk', 'breached', 'not_set'],
+      default: 'not_set'
+    },
+    pausedAt: {
+      type: Date
+    },
+    pausedHours: {
+      type: Number, // Business hours the step clock was stopped
+      default: 0
+    },
+    actualDuration: {
+      type: Number // Business hours the step took, excluding pauses
+    },
+    overrunHours: {
+      type: Number, // Business hours past the deadline when completed
+      default: 0
+    }
+  }],
+  escalations: [{
+    policyId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'EscalationPolicy'
+    },
+    ruleId: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true
+    },
+    ruleName: {
+      type: String
+    },
+    action: {
+      type: String
+    },
+    cycle: {
+      type: Number, // reopenCount when triggered, so rules fire again after a reopen
+      default: 0
+    },
+    result: {
+      type: String // What the escalation did, or why it could not act
+    },
+    triggeredAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  // Admin overrides of step gates (open checklist items / unverified documents)
+  gateOverrides: [{
+    steps: [{
+      stepId: mongoose.Schema.Types.ObjectId,
+      stepName: String,
+      openItems: [String],
+      unverifiedDocuments: [String],
+      openRequests: [String]
+    }],
+    reason: {
+      type: String,
+      required: true
+    },
+    overriddenBy: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'User'
+    },
+    overriddenAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  // Documents the client has been asked to (re)submit
+  documentRequests: [{
+    documentType: {
+      type: String,
+      required: true
+    },
+    reason: {
+      type: String,
+      trim: true
+    },
+    source: {
+      type: String,
+      // rejection: a version was rejected at verification
+      // adhoc: extra document asked for on this case only (beyond the service's documentsRequired)
+      enum: ['rejection', 'adhoc'],
+      default: 'rejection'
+    },
+    status: {
+      type: String,
+      enum: ['open', 'fulfilled', 'cancelled'],
+      default: 'open'
+    },
+    instructions: {
+      type: String,
+      trim: true
+    },
+    dueDate: {
+      type: Date,
+      default: null
+    },
+    templateFile: {
+      fileUrl: String, // Form or sample for the client to fill in
+      storage: {
+        driver: String,
+        key: String
+      },
+      originalFileName: String,
+      mimeType: String
+    },
+    rejectedVersionId: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'DocumentVersion',
+      default: null
+    },
+    fulfilledVersionId: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'DocumentVersion',
+      default: null
+    },
+    requestedBy: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'User'
+    },
+    requestedAt: {
+      type: Date,
+      default: Date.now
+    },
+    fulfilledAt: {
+      type: Date,
+      default: null
+    },
+    cancelledAt: {
+      type: Date,
+      default: null
+    }
+  }],
+  slaPausedAt: {
+    type: Date, // Set while the SLA clock is stopped (case awaiting client)
+    default: null
+  },
+  slaPausedHours: {
+    type: Number, // Total business hours the SLA clock has been paused
+    default: 0
+  },
   complexityTag: {
     type: String,
     enum: ['simple', 'medium', 'complex'],
     default: 'medium'
   },
+  // Case facts workflow step conditions can test, e.g. applicantType: 'company'
+  attributes: {
+    type: Map,
+    of: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
   estimatedResolutionTime: {
     type: String, // Human-readable format like "3-5 business days"
     default: null
@@ -21,8 +21,28 @@ const documentVersionSchema = new mongoose.Schema({
         required: [true, 'File URL is required']
     },
     cloudinaryPublicId: {
-        type: String, // For Cloudinary file management
-        required: true
+        type: String // Uploads made before storage drivers (Cloudinary only)
+    },
+    storage: {
+        driver: {
+            type: String,
+            enum: ['cloudinary', 'local', 's3']
+        },
+        key: {
+            type: String // Driver's identifier for the stored file
+        },
+        isPrivate: {
+            type: Boolean, // Stored without a public link (quarantined uploads)
+            default: false
+        }
+    },
+    checksum: {
+        type: String // SHA-256 of the file contents
+    },
+    source: {
+        type: String, // legacy = migrated from the old embedded Case.documents (URL only)
+        enum: ['upload', 'legacy'],
+        default: 'upload'
     },
     uploadedBy: {
         userId: {
@@ -38,9 +58,25 @@ const documentVersionSchema = new mongoose.Schema({
     },
     status: {
         type: String,
-        enum: ['active', 'superseded', 'deleted'],
+        enum: ['active', 'superseded', 'deleted', 'quarantined'],
         default: 'active'
     },
+    // Virus scan result; versions that did not scan clean stay quarantined
+    scan: {
+        status: {
+            type: String,
+            enum: ['clean', 'infected', 'error', 'skipped']
+        },
+        scanner: {
+            type: String
+        },
+        signature: {
+            type: String // Malware name, or the scanner error
+        },
+        scannedAt: {
+            type: Date
+        }
+    },
     metadata: {
         originalFileName: {
             type: String,
@@ -82,9 +118,18 @@ const documentVersionSchema = new mongoose.Schema({
     timestamps: true
 });
 
+// Uploaded versions need a stored file; migrated legacy versions only have a URL
+documentVersionSchema.pre('validate', function (next) {
+    if (this.source !== 'legacy' && !(this.storage && this.storage.key) && !this.cloudinaryPublicId) {
+        this.invalidate('storage.key', 'Stored file key is required');
+    }
+    next();
+});
+
 // Compound index for efficient queries
 documentVersionSchema.index({ caseId: 1, documentType: 1, version: -1 });
 documentVersionSchema.index({ caseId: 1, status: 1 });
+documentVersionSchema.index({ caseId: 1, checksum: 1 });
 documentVersionSchema.index({ 'uploadedBy.userId': 1 });
 
 // Method to get latest version number for a document type
@@ -0,0 +1,75 @@
+const mongoose = require('mongoose');
+
+const employeeLeaveSchema = new mongoose.Schema({
+    employeeId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+        index: true
+    },
+    startDate: {
+        type: Date,
+        required: [true, 'Leave start date is required']
+    },
+    endDate: {
+        type: Date,
+        required: [true, 'Leave end date is required']
+    },
+    type: {
+        type: String,
+        enum: ['vacation', 'sick', 'personal', 'training', 'other'],
+        default: 'vacation'
+    },
+    reason: {
+        type: String,
+        trim: true,
+        maxlength: 500
+    },
+    backupEmployeeId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null // Falls back to the employee's default backup
+    },
+    status: {
+        type: String,
+        enum: ['scheduled', 'cancelled'],
+        default: 'scheduled'
+    },
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    cancelledAt: {
+        type: Date
+    }
+}, {
+    timestamps: true
+});
+
+// Validate the period
+employeeLeaveSchema.pre('validate', function (next) {
+    if (this.startDate && this.endDate && this.endDate <= this.startDate) {
+        this.invalidate('endDate', 'Leave must end after it starts');
+    }
+    if (this.backupEmployeeId && this.backupEmployeeId.equals(this.employeeId)) {
+        this.invalidate('backupEmployeeId', 'An employee cannot be their own backup');
+    }
+    next();
+});
+
+// Index for faster queries
+employeeLeaveSchema.index({ status: 1, startDate: 1, endDate: 1 });
+
+// Static method to find scheduled leave overlapping a period
+employeeLeaveSchema.statics.findOverlapping = function (employeeId, startDate, endDate, excludeId = null) {
+    return this.findOne({
+        _id: { $ne: excludeId },
+        employeeId,
+        status: 'scheduled',
+        startDate: { $lt: endDate },
+        endDate: { $gt: startDate }
+    });
+};
+
+module.exports = mongoose.model('EmployeeLeave', employeeLeaveSchema);
@@ -0,0 +1,102 @@
+const mongoose = require('mongoose');
+
+const escalationRuleSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: [true, 'Rule name is required'],
+        trim: true
+    },
+    trigger: {
+        type: {
+            type: String,
+            enum: ['before_deadline', 'after_breach'],
+            required: true
+        },
+        hours: {
+            type: Number, // Business hours before the deadline / after the breach
+            required: true,
+            min: 0
+        }
+    },
+    action: {
+        type: String,
+        enum: ['notify_employee', 'notify_admins', 'notify_user', 'reassign', 'raise_priority'],
+        required: true
+    },
+    targetUserId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User' // Required for notify_user (e.g. a team lead)
+    },
+    targetPriority: {
+        type: String,
+        enum: ['medium', 'high', 'urgent'] // raise_priority: raise to this level (default: one level up)
+    }
+}, { _id: true });
+
+const escalationPolicySchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: [true, 'Policy name is required'],
+        trim: true,
+        unique: true
+    },
+    description: {
+        type: String,
+        trim: true
+    },
+    // Scope: leave empty to match every service / priority
+    serviceId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Service',
+        default: null
+    },
+    priority: {
+        type: String,
+        enum: ['low', 'medium', 'high', 'urgent', null],
+        default: null
+    },
+    rules: {
+        type: [escalationRuleSchema],
+        validate: [rules => rules.length > 0, 'At least one escalation rule is required']
+    },
+    isActive: {
+        type: Boolean,
+        default: true
+    },
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    }
+}, {
+    timestamps: true
+});
+
+// Validate rule targets
+escalationPolicySchema.pre('validate', function (next) {
+    this.rules.forEach((rule, index) => {
+        if (rule.action === 'notify_user' && !rule.targetUserId) {
+            this.invalidate(`rules.${index}.targetUserId`, 'notify_user rules need a target user');
+        }
+    });
+    next();
+});
+
+// Index for faster queries
+escalationPolicySchema.index({ serviceId: 1, priority: 1, isActive: 1 });
+
+// Static method to find the most specific active policy for a case
+// service + priority > service > priority > catch-all
+escalationPolicySchema.statics.findForCase = async function (caseItem) {
+    const policies = await this.find({
+        isActive: true,
+        serviceId: { $in: [caseItem.serviceId, null] },
+        priority: { $in: [caseItem.priority, null] }
+    });
+
+    const score = (policy) => (policy.serviceId ? 2 : 0) + (policy.priority ? 1 : 0);
+
+    return policies.sort((a, b) => score(b) - score(a))[0] || null;
+};
+
+module.exports = mongoose.model('EscalationPolicy', escalationPolicySchema);
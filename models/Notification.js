@@ -1,5 +1,6 @@
 const mongoose = require('mongoose');
 const constants = require('../utils/constants');
+const { emitToUser } = require('../services/socketService');
 
 const NotificationSchema = new mongoose.Schema({
   recipientId: {
@@ -29,10 +30,52 @@ const NotificationSchema = new mongoose.Schema({
     ref: 'Case',
     default: null
   },
+  eventTrigger: {
+    type: String,
+    default: null
+  },
+  priority: {
+    type: String,
+    enum: ['low', 'medium', 'high', 'urgent'],
+    default: 'medium'
+  },
+  deliveries: [{
+    channel: {
+      type: String,
+      enum: Object.values(constants.NOTIFICATION_TYPES),
+      required: true
+    },
+    status: {
+      type: String,
+      enum: ['sent', 'queued', 'failed', 'skipped'],
+      required: true
+    },
+    reason: {
+      type: String // Failure message, or why the channel was skipped or deferred
+    },
+    sentAt: {
+      type: Date
+    }
+  }],
+  metadata: {
+    type: mongoose.Schema.Types.Mixed
+  },
   createdAt: {
     type: Date,
     default: Date.now
   }
 });
 
+// Push newly created notifications to the recipient's live sockets
+NotificationSchema.pre('save', function (next) {
+  this.$locals.wasNew = this.isNew;
+  next();
+});
+
+NotificationSchema.post('save', function (doc) {
+  if (doc.$locals.wasNew) {
+    emitToUser(doc.recipientId, 'notification:new', doc.toJSON());
+  }
+});
+
 module.exports = mongoose.model('Notification', NotificationSchema);
\ No newline at end of file
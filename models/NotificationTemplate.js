@@ -14,7 +14,7 @@ const notificationTemplateSchema = new mongoose.Schema({
     type: {
         type: String,
         required: true,
-        enum: ['app'], // Only app notifications for now, email/sms in future
+        enum: ['app', 'email', 'sms'], // Delivery channel
         default: 'app'
     },
     eventTrigger: {
@@ -23,10 +23,14 @@ const notificationTemplateSchema = new mongoose.Schema({
         enum: [
             'case_created',
             'case_assigned',
+            'employee_unavailable',
             'case_status_changed',
             'document_uploaded',
             'document_verified',
             'document_rejected',
+            'document_quarantined',
+            'document_resubmitted',
+            'document_requested',
             'payment_received',
             'payment_failed',
             'sla_warning',
@@ -34,6 +38,11 @@ const notificationTemplateSchema = new mongoose.Schema({
             'case_completed',
             'case_reopened',
             'note_added',
+            'payment_refunded',
+            'user_registered',
+            'password_reset',
+            'account_created',
+            'query_received',
             'reminder',
             'custom'
         ]
@@ -149,8 +158,8 @@ notificationTemplateSchema.methods.incrementUsage = async function () {
     await this.save();
 };
 
-// Static method to get template by event trigger
-notificationTemplateSchema.statics.getByEvent = function (eventTrigger, targetRole = null) {
+// Static method to get template by event trigger (optionally for one role and channel)
+notificationTemplateSchema.statics.getByEvent = function (eventTrigger, targetRole = null, type = null) {
     const query = {
         eventTrigger,
         isActive: true
@@ -160,6 +169,10 @@ notificationTemplateSchema.statics.getByEvent = function (eventTrigger, targetRo
         query.targetRoles = targetRole;
     }
 
+    if (type) {
+        query.type = type;
+    }
+
     return this.findOne(query);
 };
 
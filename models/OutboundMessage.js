@@ -0,0 +1,124 @@
+const mongoose = require('mongoose');
+
+// Stored in place of the body of a sensitive message after delivery
+const REDACTED_BODY = '[removed after delivery]';
+
+const outboundMessageSchema = new mongoose.Schema({
+    channel: {
+        type: String,
+        enum: ['email', 'sms'],
+        required: true
+    },
+    to: {
+        type: String,
+        required: true,
+        trim: true // Email address or phone number
+    },
+    subject: {
+        type: String,
+        trim: true
+    },
+    message: {
+        type: String,
+        required: true
+    },
+    html: {
+        type: String
+    },
+    sensitive: {
+        type: Boolean, // Body holds a secret (e.g. a password reset link): cleared once sent or given up
+        default: false
+    },
+    status: {
+        type: String,
+        enum: ['pending', 'processing', 'sent', 'failed'],
+        default: 'pending'
+    },
+    attempts: {
+        type: Number,
+        default: 0
+    },
+    maxAttempts: {
+        type: Number,
+        default: 5
+    },
+    nextAttemptAt: {
+        type: Date,
+        default: Date.now // Also used to defer sending (e.g. until quiet hours end)
+    },
+    lockedAt: {
+        type: Date // Set while a worker is sending the message
+    },
+    sentAt: {
+        type: Date
+    },
+    lastError: {
+        type: String
+    },
+    failures: [{
+        attempt: Number,
+        error: String,
+        failedAt: {
+            type: Date,
+            default: Date.now
+        }
+    }],
+    providerMessageId: {
+        type: String // Nodemailer messageId or Twilio SID
+    },
+    recipientId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    notificationId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Notification'
+    },
+    eventTrigger: {
+        type: String,
+        trim: true
+    }
+}, {
+    timestamps: true
+});
+
+// Indexes for the worker and admin views
+outboundMessageSchema.index({ status: 1, nextAttemptAt: 1 });
+outboundMessageSchema.index({ status: 1, lockedAt: 1 });
+outboundMessageSchema.index({ recipientId: 1, createdAt: -1 });
+outboundMessageSchema.index({ createdAt: -1 });
+
+// Method to schedule the next retry with exponential backoff
+outboundMessageSchema.methods.recordFailure = function (error, baseDelaySeconds) {
+    const errorMessage = error && error.message ? error.message : String(error);
+
+    this.lastError = errorMessage;
+    this.failures.push({ attempt: this.attempts, error: errorMessage });
+    this.lockedAt = undefined;
+
+    if (this.attempts >= this.maxAttempts) {
+        this.status = 'failed';
+    } else {
+        const delay = baseDelaySeconds * Math.pow(2, this.attempts - 1);
+        this.status = 'pending';
+        this.nextAttemptAt = new Date(Date.now() + delay * 1000);
+    }
+};
+
+// Method to remove the body of a sensitive message once it is no longer needed
+outboundMessageSchema.methods.redactBody = function () {
+    if (this.sensitive) {
+        this.message = REDACTED_BODY;
+        this.html = undefined;
+    }
+};
+
+// Method to put a message back in the queue for immediate sending
+outboundMessageSchema.methods.requeue = function () {
+    this.status = 'pending';
+    this.attempts = 0;
+    this.nextAttemptAt = new Date();
+    this.lockedAt = undefined;
+};
+
+module.exports = mongoose.model('OutboundMessage', outboundMessageSchema);
@@ -4,14 +4,22 @@ const PaymentSchema = new mongoose.Schema({
   caseId: {
     type: mongoose.Schema.ObjectId,
     ref: 'Case',
-    required: true
+    default: null // Set once the payment is verified and the case is created
+  },
+  serviceId: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Service'
+  },
+  endUserId: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User'
   },
   amount: {
     type: Number,
     required: [true, 'Please add an amount']
   },
   transactionId: {
-    type: String,
+    type: String, // Razorpay payment ID (the order ID while no payment has been made)
     required: [true, 'Please add a transaction ID'],
     unique: true
   },
@@ -21,9 +29,51 @@ const PaymentSchema = new mongoose.Schema({
   },
   status: {
     type: String,
-    enum: ['pending', 'completed', 'failed', 'refunded'],
+    enum: ['pending', 'completed', 'failed', 'partially_refunded', 'refunded'],
     default: 'pending'
   },
+  razorpayOrderId: {
+    type: String,
+    trim: true
+  },
+  failureReason: {
+    type: String,
+    trim: true
+  },
+  refundedAmount: {
+    type: Number,
+    default: 0
+  },
+  refunds: [{
+    refundId: {
+      type: String,
+      required: true
+    },
+    amount: {
+      type: Number,
+      required: true
+    },
+    status: {
+      type: String,
+      enum: ['pending', 'processed', 'failed'],
+      default: 'pending'
+    },
+    reason: {
+      type: String,
+      trim: true
+    },
+    initiatedBy: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'User'
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now
+    },
+    processedAt: {
+      type: Date
+    }
+  }],
   paymentDate: {
     type: Date,
     default: Date.now
@@ -46,6 +96,19 @@ const PaymentSchema = new mongoose.Schema({
     type: String,
     trim: true
   },
+  // Where the PDFs are stored (services/storageService); they hold customer
+  // details, so they are stored privately and served through signed or
+  // streamed downloads
+  invoiceStorage: {
+    driver: String,
+    key: String,
+    isPrivate: Boolean
+  },
+  receiptStorage: {
+    driver: String,
+    key: String,
+    isPrivate: Boolean
+  },
   invoiceGeneratedAt: {
     type: Date
   },
@@ -54,15 +117,45 @@ const PaymentSchema = new mongoose.Schema({
   }
 });
 
-// Generate invoice number before saving
+// Generate invoice number once the payment is received (orders that are
+// never paid do not use up invoice numbers)
 PaymentSchema.pre('save', async function (next) {
-  if (this.isNew && !this.invoiceNumber) {
+  if (!this.invoiceNumber && !['pending', 'failed'].includes(this.status)) {
     const year = new Date().getFullYear();
     const month = String(new Date().getMonth() + 1).padStart(2, '0');
-    const count = await this.constructor.countDocuments();
+    const count = await this.constructor.countDocuments({ invoiceNumber: { $exists: true } });
     this.invoiceNumber = `INV-${year}${month}-${String(count + 1).padStart(6, '0')}`;
   }
   next();
 });
 
+// Recalculate refunded amount and status from refund entries (failed refunds don't count)
+PaymentSchema.methods.recalculateRefunds = function () {
+  this.refundedAmount = this.refunds
+    .filter(refund => refund.status !== 'failed')
+    .reduce((sum, refund) => sum + refund.amount, 0);
+
+  if (this.refundedAmount >= this.amount) {
+    this.status = 'refunded';
+  } else if (this.refundedAmount > 0) {
+    this.status = 'partially_refunded';
+  } else if (['refunded', 'partially_refunded'].includes(this.status)) {
+    this.status = 'completed';
+  }
+
+  return this.status;
+};
+
+PaymentSchema.index({ status: 1, paymentDate: -1 });
+PaymentSchema.index({ 'refunds.refundId': 1 });
+
+// Method to find the payment record for a Razorpay payment (by payment or order ID)
+PaymentSchema.statics.findForRazorpay = function (paymentId, orderId) {
+  const conditions = [{ transactionId: paymentId }];
+  if (orderId) {
+    conditions.push({ razorpayOrderId: orderId });
+  }
+  return this.findOne({ $or: conditions });
+};
+
 module.exports = mongoose.model('Payment', PaymentSchema);
\ No newline at end of file
@@ -31,6 +31,18 @@ const ServiceSchema = new mongoose.Schema({
   documentsRequired: [{
     type: String
   }],
+  // Upload size limits; an entry without documentType is the service default
+  documentLimits: [{
+    documentType: {
+      type: String,
+      trim: true
+    },
+    maxSizeMB: {
+      type: Number,
+      required: true,
+      min: 0.1
+    }
+  }],
   processSteps: [{
     stepNumber: {
       type: Number,
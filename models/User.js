@@ -1,3 +1,4 @@
+const crypto = require('crypto');
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
@@ -71,6 +72,23 @@ const UserSchema = new mongoose.Schema({
     type: String,
     select: false // Don't include in queries by default
   },
+  twoFactorRecoveryCodes: {
+    type: [{
+      codeHash: {
+        type: String,
+        required: true
+      },
+      usedAt: {
+        type: Date,
+        default: null
+      }
+    }],
+    select: false
+  },
+  twoFactorLastUsedStep: {
+    type: Number, // TOTP time step of the last accepted code (codes are single use)
+    select: false
+  },
   loginActivity: [{
     timestamp: {
       type: Date,
@@ -96,27 +114,84 @@ const UserSchema = new mongoose.Schema({
       default: 'success'
     }
   }],
-  sessionTokens: [{
-    token: {
-      type: String,
-      required: true
+  notificationPreferences: {
+    email: {
+      type: Boolean,
+      default: true
     },
-    createdAt: {
-      type: Date,
-      default: Date.now
+    sms: {
+      type: Boolean,
+      default: false
     },
-    expiresAt: {
-      type: Date,
-      required: true
-    },
-    deviceInfo: {
-      type: String
+    mutedEvents: [{
+      type: String // Event triggers for which email/SMS are not sent
+    }],
+    quietHours: {
+      enabled: {
+        type: Boolean,
+        default: false
+      },
+      start: {
+        type: String,
+        default: '22:00',
+        match: [/^([01]\d|2[0-3]):[0-5]\d$/, 'Please use HH:mm format']
+      },
+      end: {
+        type: String,
+        default: '07:00',
+        match: [/^([01]\d|2[0-3]):[0-5]\d$/, 'Please use HH:mm format']
+      },
+      timezone: {
+        type: String,
+        default: 'Asia/Kolkata'
+      }
     }
-  }],
+  },
+  failedLoginAttempts: {
+    type: Number,
+    default: 0
+  },
+  lockUntil: {
+    type: Date,
+    default: null
+  },
+  sessionTokens: {
+    type: [{
+      token: {
+        type: String, // SHA-256 hash of the issued JWT
+        required: true
+      },
+      createdAt: {
+        type: Date,
+        default: Date.now
+      },
+      expiresAt: {
+        type: Date,
+        required: true
+      },
+      deviceInfo: {
+        type: String
+      },
+      ipAddress: {
+        type: String
+      }
+    }],
+    select: false
+  },
   skills: [{
     type: String,
     trim: true
   }], // For employees - skill-based assignment
+  workingStatus: {
+    type: String,
+    enum: ['available', 'busy', 'out_of_office'],
+    default: 'available'
+  }, // For employees - busy and out_of_office are skipped by auto-assignment
+  backupEmployeeId: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    default: null
+  }, // For employees - default cover for open cases during leave
   performanceScore: {
     type: Number,
     default: 0,
@@ -141,7 +216,7 @@ const UserSchema = new mongoose.Schema({
 // Encrypt password using bcrypt
 UserSchema.pre('save', async function (next) {
   if (!this.isModified('password')) {
-    next();
+    return next();
   }
 
   const salt = await bcrypt.genSalt(10);
@@ -151,7 +226,15 @@ UserSchema.pre('save', async function (next) {
 // Sign JWT and return
 UserSchema.methods.getSignedJwtToken = function () {
   return jwt.sign({ id: this._id }, config.jwtSecret, {
-    expiresIn: config.jwtExpire
+    expiresIn: config.jwtExpire,
+    jwtid: crypto.randomBytes(16).toString('hex') // Keeps tokens issued in the same second distinct
+  });
+};
+
+// Sign a short-lived token proving the password step passed, pending a TOTP code
+UserSchema.methods.getTwoFactorPendingToken = function () {
+  return jwt.sign({ id: this._id, twoFactorPending: true }, config.jwtSecret, {
+    expiresIn: config.twoFactorTokenExpire
   });
 };
 
@@ -170,13 +253,110 @@ UserSchema.methods.addLoginActivity = async function (activityData) {
   await this.save();
 };
 
+// Method to consume a one-time recovery code (requires twoFactorRecoveryCodes to be selected)
+UserSchema.methods.useRecoveryCode = function (codeHash) {
+  const entry = (this.twoFactorRecoveryCodes || []).find(
+    c => c.codeHash === codeHash && !c.usedAt
+  );
+
+  if (!entry) {
+    return false;
+  }
+
+  entry.usedAt = new Date();
+  return true;
+};
+
+// Method to claim a TOTP time step so its code cannot be used again
+// Uses an atomic update so two requests with the same code cannot both succeed
+UserSchema.methods.claimTwoFactorStep = async function (step) {
+  const result = await this.constructor.updateOne(
+    {
+      _id: this._id,
+      $or: [
+        { twoFactorLastUsedStep: { $exists: false } },
+        { twoFactorLastUsedStep: null },
+        { twoFactorLastUsedStep: { $lt: step } }
+      ]
+    },
+    { $set: { twoFactorLastUsedStep: step } }
+  );
+
+  return result.modifiedCount > 0;
+};
+
+// Method to record a new server-side session for an issued JWT
+// Uses atomic updates so it is safe when sessionTokens was not selected
+UserSchema.methods.createSession = async function (token, { deviceInfo, ipAddress } = {}) {
+  const { exp } = jwt.decode(token);
+
+  await this.cleanExpiredSessions();
+
+  const session = {
+    _id: new mongoose.Types.ObjectId(),
+    token: this.constructor.hashSessionToken(token),
+    createdAt: new Date(),
+    expiresAt: new Date(exp * 1000),
+    deviceInfo,
+    ipAddress
+  };
+
+  await this.constructor.updateOne(
+    { _id: this._id },
+    { $push: { sessionTokens: session } }
+  );
+
+  return session;
+};
+
+// Method to revoke sessions - a single one by id, or all except keepSessionId
+UserSchema.methods.revokeSessions = async function ({ sessionId, keepSessionId } = {}) {
+  let update = { $set: { sessionTokens: [] } };
+  if (sessionId) {
+    update = { $pull: { sessionTokens: { _id: sessionId } } };
+  } else if (keepSessionId) {
+    update = { $pull: { sessionTokens: { _id: { $ne: keepSessionId } } } };
+  }
+
+  const result = await this.constructor.updateOne({ _id: this._id }, update);
+
+  return result.modifiedCount > 0;
+};
+
+// Method to track a failed login and lock the account once the limit is reached
+UserSchema.methods.registerFailedLogin = function () {
+  this.failedLoginAttempts = (this.failedLoginAttempts || 0) + 1;
+
+  if (this.failedLoginAttempts >= config.maxLoginAttempts) {
+    this.lockUntil = new Date(Date.now() + config.loginLockMinutes * 60 * 1000);
+    this.failedLoginAttempts = 0;
+  }
+};
+
+// Method to reset lockout counters after a successful login
+UserSchema.methods.resetLoginAttempts = function () {
+  this.failedLoginAttempts = 0;
+  this.lockUntil = null;
+};
+
 // Method to clean expired sessions
 UserSchema.methods.cleanExpiredSessions = async function () {
-  const now = new Date();
-  this.sessionTokens = this.sessionTokens.filter(session => session.expiresAt > now);
-  await this.save();
+  await this.constructor.updateOne(
+    { _id: this._id },
+    { $pull: { sessionTokens: { expiresAt: { $lte: new Date() } } } }
+  );
 };
 
+// Hash a JWT for storage in sessionTokens
+UserSchema.statics.hashSessionToken = function (token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+// Virtual for temporary lockout after repeated failed logins
+UserSchema.virtual('isLocked').get(function () {
+  return !!(this.lockUntil && this.lockUntil > Date.now());
+});
+
 // Virtual for cases if user is an end user
 UserSchema.virtual('cases', {
   ref: 'Case',
@@ -17,9 +17,43 @@ const checklistItemSchema = new mongoose.Schema({
   order: {
     type: Number,
     required: true
-  }
+  },
+  // Items with an answer type collect an answer that step conditions can test
+  answerType: {
+    type: String,
+    enum: ['none', 'yes_no', 'text', 'choice'],
+    default: 'none'
+  },
+  options: [{
+    type: String, // Allowed answers for choice items
+    trim: true
+  }]
 }, { _id: true });
 
+// One test in a step condition, against a case field or a checklist item
+const conditionRuleSchema = new mongoose.Schema({
+  source: {
+    type: String,
+    enum: ['case', 'checklist'],
+    required: true
+  },
+  field: {
+    type: String, // Case field, e.g. priority or attributes.applicantType
+    trim: true
+  },
+  itemId: {
+    type: mongoose.Schema.Types.ObjectId // Checklist item, for checklist rules
+  },
+  operator: {
+    type: String,
+    enum: ['equals', 'not_equals', 'in', 'not_in', 'exists', 'not_exists', 'completed', 'not_completed'],
+    required: true
+  },
+  value: {
+    type: mongoose.Schema.Types.Mixed
+  }
+}, { _id: false });
+
 const workflowStepSchema = new mongoose.Schema({
   stepName: {
     type: String,
@@ -42,15 +76,34 @@ const workflowStepSchema = new mongoose.Schema({
   requiredDocuments: [{
     type: String,
     trim: true
-  }]
+  }],
+  // The step only applies to a case when its conditions pass (no rules = always)
+  conditions: {
+    match: {
+      type: String,
+      enum: ['all', 'any'],
+      default: 'all'
+    },
+    rules: [conditionRuleSchema]
+  },
+  // Consecutive steps sharing a group run at the same time
+  parallelGroup: {
+    type: String,
+    trim: true,
+    default: null
+  },
+  // Optional steps can be skipped by the assigned employee
+  isOptional: {
+    type: Boolean,
+    default: false
+  }
 }, { _id: true });
 
 const workflowTemplateSchema = new mongoose.Schema({
   name: {
     type: String,
     required: [true, 'Template name is required'],
-    trim: true,
-    unique: true
+    trim: true
   },
   description: {
     type: String,
@@ -70,6 +123,33 @@ const workflowTemplateSchema = new mongoose.Schema({
     type: Boolean,
     default: true
   },
+  // Versioning: every version is its own document; versions of one template share a familyId
+  familyId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'WorkflowTemplate'
+  },
+  versionNumber: {
+    type: Number,
+    default: 1,
+    min: 1
+  },
+  status: {
+    type: String,
+    enum: ['draft', 'published', 'superseded'],
+    default: 'draft'
+  },
+  basedOnVersionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'WorkflowTemplate',
+    default: null
+  },
+  publishedAt: {
+    type: Date
+  },
+  publishedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
   createdBy: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
@@ -77,7 +157,7 @@ const workflowTemplateSchema = new mongoose.Schema({
   },
   metadata: {
     version: {
-      type: String,
+      type: String, // Display label, set from versionNumber on publish
       default: '1.0'
     },
     tags: [{
@@ -94,6 +174,64 @@ const workflowTemplateSchema = new mongoose.Schema({
   timestamps: true
 });
 
+// Fields that cannot change once a version is published
+const LOCKED_PATHS = ['name', 'description', 'serviceType', 'steps', 'metadata.tags', 'metadata.complexity'];
+
+// Remember the stored status so published versions can be protected
+workflowTemplateSchema.post('init', function() {
+  this.$locals.storedStatus = this.status;
+});
+
+// A new template starts its own family
+workflowTemplateSchema.pre('validate', function(next) {
+  if (!this.familyId) {
+    this.familyId = this._id;
+  }
+  next();
+});
+
+// Check step conditions and parallel groups
+workflowTemplateSchema.pre('validate', function(next) {
+  const steps = [...(this.steps || [])].sort((a, b) => a.order - b.order);
+  const itemIds = new Set(steps.flatMap(step => step.checklistItems.map(item => item._id.toString())));
+
+  for (const step of steps) {
+    for (const rule of (step.conditions && step.conditions.rules) || []) {
+      if (rule.source === 'case' && !rule.field) {
+        return next(new Error(`Step "${step.stepName}": case conditions need a field`));
+      }
+      if (rule.source === 'checklist' && (!rule.itemId || !itemIds.has(rule.itemId.toString()))) {
+        return next(new Error(`Step "${step.stepName}": checklist conditions must reference a checklist item of this template`));
+      }
+    }
+  }
+
+  // Steps of a parallel group must be next to each other
+  const closedGroups = new Set();
+  for (let i = 0; i < steps.length; i++) {
+    const group = steps[i].parallelGroup;
+    const previous = i > 0 ? steps[i - 1].parallelGroup : null;
+    if (previous && previous !== group) {
+      closedGroups.add(previous);
+    }
+    if (group && closedGroups.has(group)) {
+      return next(new Error(`Steps of parallel group "${group}" must be consecutive`));
+    }
+  }
+
+  next();
+});
+
+// Published versions are immutable; changes go into a new draft version
+workflowTemplateSchema.pre('save', function(next) {
+  const storedStatus = this.$locals.storedStatus;
+  if (!this.isNew && storedStatus && storedStatus !== 'draft' &&
+    LOCKED_PATHS.some(path => this.isModified(path))) {
+    return next(new Error('Published workflow versions cannot be edited. Create a new draft version instead.'));
+  }
+  next();
+});
+
 // Calculate total estimated duration before saving
 workflowTemplateSchema.pre('save', function(next) {
   if (this.steps && this.steps.length > 0) {
@@ -107,5 +245,11 @@ workflowTemplateSchema.pre('save', function(next) {
 // Index for faster queries
 workflowTemplateSchema.index({ serviceType: 1, isActive: 1 });
 workflowTemplateSchema.index({ createdBy: 1 });
+workflowTemplateSchema.index({ familyId: 1, versionNumber: 1 }, { unique: true });
+
+// Static method to get the current published version of a template family
+workflowTemplateSchema.statics.getLatestPublished = function(familyId) {
+  return this.findOne({ familyId, status: 'published' }).sort({ versionNumber: -1 });
+};
 
 module.exports = mongoose.model('WorkflowTemplate', workflowTemplateSchema);
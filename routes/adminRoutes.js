@@ -3,6 +3,9 @@ const {
   getDashboard,
   getUsers,
   getUser,
+  forceLogoutUser,
+  getUserLoginActivity,
+  unlockUser,
   createUser,
   createEmployee,
   updateEmployee,
@@ -10,8 +13,11 @@ const {
   updateAgent,
   getCases,
   getCase,
+  updateCaseStatus,
+  completeCaseStep,
   assignCase,
   autoAssignCases,
+  bulkUpdateCases,
   createService,
   updateService,
   getServices,
@@ -33,6 +39,9 @@ router.get('/dashboard', getDashboard);
 router.get('/users', getUsers);
 router.post('/users', createUser);
 router.get('/users/:id', getUser);
+router.get('/users/:id/login-activity', getUserLoginActivity);
+router.post('/users/:id/unlock', unlockUser);
+router.post('/users/:id/force-logout', forceLogoutUser);
 router.post('/employees', createEmployee);
 router.put('/employees/:id', updateEmployee);
 router.post('/agents', createAgent);
@@ -42,8 +51,11 @@ router.get('/cases/:id', getCase);
 router.get('/cases/:id/required-documents', getRequiredDocuments);
 router.post('/cases/:id/notes', addNote);
 router.get('/cases/:id/timeline', getTimeline);
+router.put('/cases/:id/status', updateCaseStatus);
+router.put('/cases/:id/steps/:stepId/complete', completeCaseStep);
 router.put('/cases/:id/assign', assignCase);
 router.post('/cases/auto-assign', autoAssignCases);
+router.post('/cases/bulk', bulkUpdateCases);
 router.post('/services', createService);
 router.put('/services/:id', updateService);
 router.get('/services', getServices);
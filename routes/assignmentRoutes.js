@@ -0,0 +1,20 @@
+const express = require('express');
+const router = express.Router();
+const {
+    getConfig,
+    updateConfig,
+    getStrategies
+} = require('../controllers/assignmentController');
+const { protect, authorize } = require('../middleware/auth');
+
+// All routes require admin authentication
+router.use(protect);
+router.use(authorize('admin'));
+
+router.route('/config')
+    .get(getConfig)
+    .put(updateConfig);
+
+router.get('/strategies', getStrategies);
+
+module.exports = router;
@@ -7,7 +7,18 @@ const {
   resetPassword,
   updateDetails,
   updatePassword,
-  logout
+  logout,
+  verifyTwoFactorLogin,
+  enrollTwoFactor,
+  confirmTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes,
+  getSessions,
+  revokeSession,
+  revokeOtherSessions,
+  getLoginActivity,
+  getNotificationPreferences,
+  updateNotificationPreferences
 } = require('../controllers/authController');
 
 // Import the authentication middleware
@@ -29,4 +40,22 @@ router.put('/updatedetails', protect, updateDetails);
 router.put('/updatepassword', protect, updatePassword);
 router.get('/logout', protect, logout);
 
+router.get('/login-activity', protect, getLoginActivity);
+
+// Notification preferences
+router.get('/notification-preferences', protect, getNotificationPreferences);
+router.put('/notification-preferences', protect, updateNotificationPreferences);
+
+// Session management
+router.get('/sessions', protect, getSessions);
+router.post('/sessions/revoke-others', protect, revokeOtherSessions);
+router.delete('/sessions/:sessionId', protect, revokeSession);
+
+// Two-factor authentication (TOTP)
+router.post('/2fa/verify', verifyTwoFactorLogin);
+router.post('/2fa/enroll', protect, enrollTwoFactor);
+router.post('/2fa/confirm', protect, confirmTwoFactor);
+router.post('/2fa/disable', protect, disableTwoFactor);
+router.post('/2fa/recovery-codes', protect, regenerateRecoveryCodes);
+
 module.exports = router;
@@ -0,0 +1,28 @@
+const express = require('express');
+const router = express.Router();
+const {
+    getOverview,
+    getQueue,
+    getLeave,
+    updateEmployeeAvailability,
+    addEmployeeLeave,
+    cancelEmployeeLeave,
+    reassignCases
+} = require('../controllers/availabilityController');
+const { protect, authorize } = require('../middleware/auth');
+
+// All routes require admin authentication
+router.use(protect);
+router.use(authorize('admin'));
+
+router.get('/', getOverview);
+router.get('/reassignment-queue', getQueue);
+
+router.get('/leave', getLeave);
+router.delete('/leave/:leaveId', cancelEmployeeLeave);
+
+router.put('/employees/:id', updateEmployeeAvailability);
+router.post('/employees/:id/leave', addEmployeeLeave);
+router.post('/employees/:id/reassign', reassignCases);
+
+module.exports = router;
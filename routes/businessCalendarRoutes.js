@@ -0,0 +1,33 @@
+const express = require('express');
+const router = express.Router();
+const {
+    createCalendar,
+    getCalendars,
+    getCalendar,
+    updateCalendar,
+    deleteCalendar,
+    addHolidays,
+    removeHoliday,
+    previewDeadline
+} = require('../controllers/businessCalendarController');
+const { protect, authorize } = require('../middleware/auth');
+
+// All routes require admin authentication
+router.use(protect);
+router.use(authorize('admin'));
+
+router.get('/preview', previewDeadline);
+
+router.route('/')
+    .get(getCalendars)
+    .post(createCalendar);
+
+router.route('/:id')
+    .get(getCalendar)
+    .put(updateCalendar)
+    .delete(deleteCalendar);
+
+router.post('/:id/holidays', addHolidays);
+router.delete('/:id/holidays/:date', removeHoliday);
+
+module.exports = router;
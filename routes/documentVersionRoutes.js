@@ -7,6 +7,9 @@ const {
     deleteVersion,
     restoreVersion,
     verifyDocument,
+    checkIntegrity,
+    rescanVersion,
+    downloadRequestTemplate,
     uploadMiddleware,
     getDocumentStatus
 } = require('../controllers/documentVersionController');
@@ -33,6 +36,15 @@ router.post('/version/:versionId/restore', restoreVersion);
 // Verify document (admin/employee only)
 router.put('/version/:versionId/verify', verifyDocument);
 
+// Check a stored file against its upload checksum (admin/employee only)
+router.get('/version/:versionId/integrity', checkIntegrity);
+
+// Scan a quarantined version again (admin only)
+router.post('/version/:versionId/rescan', rescanVersion);
+
+// Download the template file of a case's document request
+router.get('/:caseId/requests/:requestId/template', downloadRequestTemplate);
+
 // Get document status for a case
 router.get('/:caseId/status', getDocumentStatus);
 
@@ -6,15 +6,28 @@ const {
   updateCaseStatus,
   addNote,
   uploadDocument,
+  createDocumentRequest,
+  cancelDocumentRequest,
   getNotifications,
   markNotificationAsRead,
   markAllNotificationsAsRead,
   getProfile,
   updateProfile,
   updateChecklistProgress,
+  getCaseProgress,
+  updateCaseStep,
+  updateCaseAttributes,
   getRequiredDocuments,
   getTimeline
 } = require('../controllers/employeeController');
+const { getMyAlerts, getMyCompliance } = require('../controllers/slaController');
+const { uploadMiddleware } = require('../controllers/documentVersionController');
+const {
+  getMyAvailability,
+  updateMyAvailability,
+  addMyLeave,
+  cancelMyLeave
+} = require('../controllers/availabilityController');
 const { employeeAuth } = require('../middleware/employeeAuth');
 
 const router = express.Router();
@@ -28,8 +41,19 @@ router.get('/cases/:id/required-documents', getRequiredDocuments);
 router.get('/cases/:id/timeline', getTimeline);
 router.put('/cases/:id/status', updateCaseStatus);
 router.put('/cases/:id/checklist', updateChecklistProgress);
+router.get('/cases/:id/progress', getCaseProgress);
+router.put('/cases/:id/steps/:stepId', updateCaseStep);
+router.put('/cases/:id/attributes', updateCaseAttributes);
 router.post('/cases/:id/notes', addNote);
-router.post('/cases/:id/documents', uploadDocument);
+router.post('/cases/:id/documents', uploadMiddleware, uploadDocument);
+router.post('/cases/:id/document-requests', uploadMiddleware, createDocumentRequest);
+router.delete('/cases/:id/document-requests/:requestId', cancelDocumentRequest);
+router.get('/availability', getMyAvailability);
+router.put('/availability', updateMyAvailability);
+router.post('/leave', addMyLeave);
+router.delete('/leave/:leaveId', cancelMyLeave);
+router.get('/sla/alerts', getMyAlerts);
+router.get('/sla/compliance', getMyCompliance);
 router.get('/notifications', getNotifications);
 router.put('/notifications/:id/read', markNotificationAsRead);
 router.put('/notifications/read-all', markAllNotificationsAsRead);
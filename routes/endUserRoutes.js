@@ -7,9 +7,11 @@ const {
   verifyPayment,
   getCases,
   getCase,
+  updateCaseStatus,
   addNote,
   uploadDocument,
   getPayments,
+  downloadInvoice,
   getNotifications,
   markNotificationAsRead,
   markAllNotificationsAsRead,
@@ -18,6 +20,7 @@ const {
   getTimeline,
   getRequiredDocuments
 } = require('../controllers/endUserController');
+const { uploadMiddleware } = require('../controllers/documentVersionController');
 const { endUserAuth } = require('../middleware/endUserAuth');
 
 const router = express.Router();
@@ -31,11 +34,13 @@ router.post('/payment/create-order', createPaymentOrder);
 router.post('/payment/verify', verifyPayment);
 router.get('/cases', getCases);
 router.get('/cases/:id', getCase);
+router.put('/cases/:id/status', updateCaseStatus);
 router.get('/cases/:id/timeline', getTimeline);
 router.get('/cases/:id/required-documents', getRequiredDocuments);
 router.post('/cases/:id/notes', addNote);
-router.post('/cases/:id/documents', uploadDocument);
+router.post('/cases/:id/documents', uploadMiddleware, uploadDocument);
 router.get('/payments', getPayments);
+router.get('/payments/:id/invoice', downloadInvoice);
 router.get('/notifications', getNotifications);
 router.put('/notifications/:id/read', markNotificationAsRead);
 router.put('/notifications/read-all', markAllNotificationsAsRead);
@@ -0,0 +1,25 @@
+const express = require('express');
+const router = express.Router();
+const {
+    createPolicy,
+    getPolicies,
+    getPolicy,
+    updatePolicy,
+    deletePolicy
+} = require('../controllers/escalationPolicyController');
+const { protect, authorize } = require('../middleware/auth');
+
+// All routes require admin authentication
+router.use(protect);
+router.use(authorize('admin'));
+
+router.route('/')
+    .get(getPolicies)
+    .post(createPolicy);
+
+router.route('/:id')
+    .get(getPolicy)
+    .put(updatePolicy)
+    .delete(deletePolicy);
+
+module.exports = router;
@@ -0,0 +1,20 @@
+const express = require('express');
+const router = express.Router();
+const {
+    getMessages,
+    getMessage,
+    resendFailedMessage,
+    resendAllFailed
+} = require('../controllers/outboxController');
+const { protect, authorize } = require('../middleware/auth');
+
+// All routes require admin authentication
+router.use(protect);
+router.use(authorize('admin'));
+
+router.get('/', getMessages);
+router.post('/resend-failed', resendAllFailed);
+router.get('/:id', getMessage);
+router.post('/:id/resend', resendFailedMessage);
+
+module.exports = router;
@@ -0,0 +1,22 @@
+const express = require('express');
+const router = express.Router();
+const {
+    getPayments,
+    getPayment,
+    initiateRefund,
+    getInvoice,
+    regenerateInvoice
+} = require('../controllers/paymentController');
+const { protect, authorize } = require('../middleware/auth');
+
+// All routes require admin authentication
+router.use(protect);
+router.use(authorize('admin'));
+
+router.get('/', getPayments);
+router.get('/:id', getPayment);
+router.post('/:id/refund', initiateRefund);
+router.get('/:id/invoice', getInvoice);
+router.post('/:id/invoice/regenerate', regenerateInvoice);
+
+module.exports = router;
@@ -0,0 +1,18 @@
+const express = require('express');
+const router = express.Router();
+const {
+    getAlerts,
+    getCompliance,
+    getLateSteps
+} = require('../controllers/slaController');
+const { protect, authorize } = require('../middleware/auth');
+
+// All routes require admin authentication
+router.use(protect);
+router.use(authorize('admin'));
+
+router.get('/alerts', getAlerts);
+router.get('/compliance', getCompliance);
+router.get('/late-steps', getLateSteps);
+
+module.exports = router;
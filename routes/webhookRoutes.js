@@ -0,0 +1,8 @@
+const express = require('express');
+const router = express.Router();
+const { handleRazorpayWebhook } = require('../controllers/paymentController');
+
+// Public - authenticated by the X-Razorpay-Signature header
+router.post('/razorpay', handleRazorpayWebhook);
+
+module.exports = router;
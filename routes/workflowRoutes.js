@@ -6,7 +6,12 @@ const {
     getTemplateById,
     updateTemplate,
     deleteTemplate,
-    cloneTemplate
+    cloneTemplate,
+    getVersions,
+    createVersion,
+    publishTemplate,
+    previewMigration,
+    applyMigration
 } = require('../controllers/workflowController');
 const { protect, authorize } = require('../middleware/auth');
 
@@ -25,4 +30,12 @@ router.route('/:id')
 
 router.post('/:id/clone', cloneTemplate);
 
+// Versioning
+router.route('/:id/versions')
+    .get(getVersions)
+    .post(createVersion);
+router.post('/:id/publish', publishTemplate);
+router.post('/:id/migrate/preview', previewMigration);
+router.post('/:id/migrate', applyMigration);
+
 module.exports = router;
@@ -12,8 +12,12 @@ connectDB();
 
 const app = express();
 
-// Body parser
-app.use(express.json());
+// Body parser (keep the raw body for webhook signature verification)
+app.use(express.json({
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  }
+}));
 
 // Enable CORS
 app.use(cors({
@@ -36,6 +40,14 @@ const notificationTemplateRoutes = require('./routes/notificationTemplateRoutes'
 const internalNoteRoutes = require('./routes/internalNoteRoutes');
 const cannedResponseRoutes = require('./routes/cannedResponseRoutes');
 const contactQueryRoutes = require('./routes/contactQueryRoutes');
+const paymentRoutes = require('./routes/paymentRoutes');
+const webhookRoutes = require('./routes/webhookRoutes');
+const outboxRoutes = require('./routes/outboxRoutes');
+const businessCalendarRoutes = require('./routes/businessCalendarRoutes');
+const slaRoutes = require('./routes/slaRoutes');
+const escalationPolicyRoutes = require('./routes/escalationPolicyRoutes');
+const assignmentRoutes = require('./routes/assignmentRoutes');
+const availabilityRoutes = require('./routes/availabilityRoutes');
 
 // Mount routers
 app.use('/api/auth', authRoutes);
@@ -51,6 +63,14 @@ app.use('/api/admin/notification-templates', notificationTemplateRoutes);
 app.use('/api/employee', internalNoteRoutes);
 app.use('/api/employee/canned-responses', cannedResponseRoutes);
 app.use('/api/contact', contactQueryRoutes);
+app.use('/api/admin/payments', paymentRoutes);
+app.use('/api/webhooks', webhookRoutes);
+app.use('/api/admin/outbox', outboxRoutes);
+app.use('/api/admin/business-calendars', businessCalendarRoutes);
+app.use('/api/admin/sla', slaRoutes);
+app.use('/api/admin/escalation-policies', escalationPolicyRoutes);
+app.use('/api/admin/assignment', assignmentRoutes);
+app.use('/api/admin/availability', availabilityRoutes);
 
 
 // Health check route
@@ -67,18 +87,35 @@ const server = app.listen(PORT, () =>
   console.log(`✅ Server running on port ${PORT}`)
 );
 
+// 🆕 Real-time notifications and case updates
+const { initSocket } = require('./services/socketService');
+initSocket(server);
+
 // 🆕 Setup cron jobs for SLA monitoring
 const cron = require('node-cron');
 const { updateAllSLAStatuses } = require('./services/slaService');
+const { updateAllStepStatuses } = require('./services/workflowStepService');
+const { runEscalations } = require('./services/escalationService');
 
 // Run SLA status check every hour
 cron.schedule('0 * * * *', async () => {
   console.log('🔄 Running SLA status update...');
   await updateAllSLAStatuses();
+  await updateAllStepStatuses();
+  await runEscalations();
 });
 
 console.log('✅ SLA monitoring cron job scheduled (runs every hour)');
 
+// 🆕 Send queued emails/SMS every minute (retries use exponential backoff)
+const { processOutbox } = require('./services/outboxService');
+
+cron.schedule('* * * * *', async () => {
+  await processOutbox();
+});
+
+console.log('✅ Outbox worker cron job scheduled (runs every minute)');
+
 // Handle unhandled promise rejections
 process.on('unhandledRejection', (err) => {
   console.error(`❌ Error: ${err.message}`);
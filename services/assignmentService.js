@@ -0,0 +1,388 @@
+const Case = require('../models/Case');
+const User = require('../models/User');
+const Service = require('../models/Service');
+const WorkflowTemplate = require('../models/WorkflowTemplate');
+const AssignmentConfig = require('../models/AssignmentConfig');
+const timelineService = require('./timelineService');
+const { notify } = require('./notificationService');
+const { getUnavailability, validateBackup } = require('./availabilityService');
+const constants = require('../utils/constants');
+
+const OPEN_STATUSES = ['new', 'in_progress', 'on_hold', 'awaiting_client', 'reopened'];
+
+const PRIORITY_RANK = { urgent: 0, high: 1, medium: 2, low: 3 };
+
+const round = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Assignment strategies
+ * A strategy may provide:
+ * - filter(candidate, context, config) => reason string when the employee
+ *   cannot take the case, null otherwise
+ * - score(candidate, context, config) => { score (0-1), reason }
+ * Enabled strategies are combined using the weights in AssignmentConfig
+ */
+const strategies = {
+    max_open_cases: {
+        description: 'Skip employees who already hold the maximum number of open cases',
+        filter: (candidate, context, config) => (
+            candidate.openCases.length >= config.maxOpenCases
+                ? `at capacity (${candidate.openCases.length}/${config.maxOpenCases} open cases)`
+                : null
+        )
+    },
+
+    least_active_load: {
+        description: 'Prefer employees with fewer open cases (completed cases are not counted)',
+        score: (candidate) => ({
+            score: 1 / (1 + candidate.openCases.length),
+            reason: `${candidate.openCases.length} open case(s)`
+        })
+    },
+
+    skills_module_match: {
+        description: 'Prefer employees whose modules and skills match the case service',
+        filter: (candidate, context, config) => {
+            const modules = candidate.employee.assignedModules || [];
+            if (config.requireModuleMatch && modules.length > 0 && !modules.includes(context.serviceType)) {
+                return `does not handle ${context.serviceType} cases`;
+            }
+            return null;
+        },
+        score: (candidate, context) => {
+            const modules = candidate.employee.assignedModules || [];
+            const skills = (candidate.employee.skills || []).map(skill => skill.toLowerCase());
+            const moduleMatch = modules.includes(context.serviceType);
+            const matchedSkills = context.skillKeywords.filter(keyword => skills.includes(keyword));
+
+            const skillScore = context.skillKeywords.length
+                ? matchedSkills.length / context.skillKeywords.length
+                : 0;
+
+            const reasons = [moduleMatch ? `handles ${context.serviceType}` : 'no module match'];
+            if (matchedSkills.length) {
+                reasons.push(`skills: ${matchedSkills.join(', ')}`);
+            }
+
+            return {
+                score: (moduleMatch ? 0.5 : 0) + 0.5 * skillScore,
+                reason: reasons.join('; ')
+            };
+        }
+    },
+
+    weighted_complexity: {
+        description: 'Prefer employees with less open work, weighting cases by complexity and priority',
+        score: (candidate, context, config) => {
+            const load = exports.getWeightedLoad(candidate.openCases, config);
+            return {
+                score: 1 / (1 + load),
+                reason: `weighted load ${round(load)}`
+            };
+        }
+    }
+};
+
+/**
+ * Register an additional assignment strategy
+ * @param {String} name - Strategy name used in AssignmentConfig.strategies
+ * @param {Object} strategy - { description, filter, score }
+ */
+exports.registerStrategy = (name, strategy) => {
+    if (!strategy.filter && !strategy.score) {
+        throw new Error('A strategy needs a filter or a score function');
+    }
+    strategies[name] = strategy;
+};
+
+/**
+ * List registered strategies
+ * @returns {Array} [{ name, description, filters, scores }]
+ */
+exports.getStrategies = () => Object.entries(strategies).map(([name, strategy]) => ({
+    name,
+    description: strategy.description,
+    filters: Boolean(strategy.filter),
+    scores: Boolean(strategy.score)
+}));
+
+/**
+ * Weighted size of a set of open cases
+ * @param {Array} openCases - Cases ({ complexityTag, priority })
+ * @param {Object} config - Assignment config
+ * @returns {Number}
+ */
+exports.getWeightedLoad = (openCases, config) => openCases.reduce((total, caseItem) => {
+    const complexity = config.complexityWeights[caseItem.complexityTag || 'medium'] ?? 1;
+    const multiplier = config.priorityMultipliers[caseItem.priority || 'medium'] ?? 1;
+    return total + complexity * multiplier;
+}, 0);
+
+/**
+ * Load active employees with their open cases and availability
+ * @param {Array} excludeIds - Employees to leave out
+ * @returns {Array} Candidates: { employee, openCases, unavailableReason }
+ */
+exports.loadCandidates = async (excludeIds = []) => {
+    const employees = await User.find({
+        role: constants.USER_ROLES.EMPLOYEE,
+        isActive: true,
+        _id: { $nin: excludeIds.filter(Boolean) }
+    }).select('name email skills assignedModules workingStatus');
+
+    const openCases = await Case.find({
+        employeeId: { $in: employees.map(e => e._id) },
+        status: { $in: OPEN_STATUSES }
+    }).select('employeeId complexityTag priority').lean();
+
+    const unavailability = await getUnavailability(employees);
+
+    return employees.map(employee => ({
+        employee,
+        openCases: openCases.filter(c => c.employeeId.toString() === employee._id.toString()),
+        unavailableReason: unavailability.get(employee._id.toString()) || null
+    }));
+};
+
+/**
+ * Gather what strategies need to know about a case
+ * @param {Object} caseItem - Case document
+ * @returns {Object} { caseItem, serviceName, serviceType, skillKeywords }
+ */
+exports.buildCaseContext = async (caseItem) => {
+    const service = await Service.findById(caseItem.serviceId._id || caseItem.serviceId).select('name type');
+    const template = caseItem.workflowTemplateId
+        ? await WorkflowTemplate.findById(caseItem.workflowTemplateId).select('metadata.tags')
+        : null;
+
+    const keywords = [
+        service ? service.type : null,
+        ...(template && template.metadata ? template.metadata.tags : [])
+    ].filter(Boolean).map(keyword => keyword.toLowerCase());
+
+    return {
+        caseItem,
+        serviceName: service ? service.name : null,
+        serviceType: service ? service.type : null,
+        skillKeywords: [...new Set(keywords)]
+    };
+};
+
+/**
+ * Rank candidates for a case
+ * @param {Object} context - From buildCaseContext
+ * @param {Array} candidates - From loadCandidates
+ * @param {Object} config - Assignment config
+ * @returns {Object} { chosen, ranking, explanation }
+ */
+exports.evaluateCase = (context, candidates, config) => {
+    const enabled = config.strategies
+        .filter(setting => setting.enabled && strategies[setting.name]);
+
+    const ranking = candidates.map(candidate => {
+        // Unavailable employees are always skipped, whatever strategies are enabled
+        const exclusions = [
+            candidate.unavailableReason,
+            ...enabled
+                .filter(setting => strategies[setting.name].filter)
+                .map(setting => strategies[setting.name].filter(candidate, context, config))
+        ].filter(Boolean);
+
+        const breakdown = enabled
+            .filter(setting => strategies[setting.name].score)
+            .map(setting => {
+                const { score, reason } = strategies[setting.name].score(candidate, context, config);
+                return {
+                    strategy: setting.name,
+                    weight: setting.weight,
+                    score: round(score),
+                    reason
+                };
+            });
+
+        return {
+            candidate,
+            employeeId: candidate.employee._id,
+            employeeName: candidate.employee.name,
+            eligible: exclusions.length === 0,
+            exclusions,
+            score: round(breakdown.reduce((total, item) => total + item.weight * item.score, 0)),
+            breakdown
+        };
+    });
+
+    // Highest score first; ties go to the employee with fewer open cases
+    ranking.sort((a, b) =>
+        Number(b.eligible) - Number(a.eligible) ||
+        b.score - a.score ||
+        a.candidate.openCases.length - b.candidate.openCases.length
+    );
+
+    const best = ranking.find(entry => entry.eligible) || null;
+
+    let explanation;
+    if (candidates.length === 0) {
+        explanation = 'No active employees available';
+    } else if (!best) {
+        explanation = `No eligible employee: ${ranking
+            .map(entry => `${entry.employeeName} (${entry.exclusions.join(', ')})`)
+            .join('; ')}`;
+    } else {
+        explanation = `Assigned to ${best.employeeName} with score ${best.score}: ${best.breakdown
+            .map(item => `${item.strategy} ${item.score}×${item.weight} (${item.reason})`)
+            .join(', ')}`;
+    }
+
+    return {
+        chosen: best ? best.candidate : null,
+        ranking,
+        explanation
+    };
+};
+
+/**
+ * Assign a case to an employee, log it on the timeline and notify the employee
+ * @param {Object} caseItem - Case document
+ * @param {Object} employee - Employee user
+ * @param {Object} user - User performing the assignment (defaults to System)
+ */
+exports.applyAssignment = async (caseItem, employee, user = { id: null, name: 'System', role: 'system' }) => {
+    caseItem.employeeId = employee._id;
+    caseItem.assignedAt = Date.now();
+    await caseItem.save();
+
+    await timelineService.logCaseAssignment(caseItem, employee, user);
+
+    await notify({
+        eventTrigger: 'case_assigned',
+        recipients: employee._id,
+        relatedCaseId: caseItem._id,
+        data: { caseId: caseItem.caseId },
+        fallback: {
+            title: 'New Case Assigned',
+            message: `A new case (${caseItem.caseId}) has been assigned to you.`
+        }
+    });
+};
+
+/**
+ * Plan (and unless dryRun, apply) assignments for a set of cases
+ * Cases are handled most urgent first, and each planned assignment counts
+ * towards the employee's load for the cases after it
+ * @param {Array} cases - Case documents
+ * @param {Object} options - { dryRun, user, excludeIds }
+ * @returns {Array} One decision per case
+ */
+exports.assignCases = async (cases, { dryRun = false, user, excludeIds = [] } = {}) => {
+    const config = await AssignmentConfig.getConfig();
+    const candidates = await exports.loadCandidates(excludeIds);
+
+    const ordered = [...cases].sort((a, b) =>
+        (PRIORITY_RANK[a.priority] ?? 2) - (PRIORITY_RANK[b.priority] ?? 2) ||
+        a.createdAt - b.createdAt
+    );
+
+    const decisions = [];
+
+    for (const caseItem of ordered) {
+        const context = await exports.buildCaseContext(caseItem);
+        const { chosen, ranking, explanation } = exports.evaluateCase(context, candidates, config);
+
+        if (chosen) {
+            chosen.openCases.push({
+                employeeId: chosen.employee._id,
+                complexityTag: caseItem.complexityTag,
+                priority: caseItem.priority
+            });
+
+            if (!dryRun) {
+                await exports.applyAssignment(caseItem, chosen.employee, user);
+            }
+        }
+
+        decisions.push({
+            caseId: caseItem._id,
+            caseNumber: caseItem.caseId,
+            service: context.serviceName,
+            priority: caseItem.priority,
+            complexityTag: caseItem.complexityTag,
+            assignedTo: chosen ? { id: chosen.employee._id, name: chosen.employee.name } : null,
+            explanation,
+            candidates: ranking.map(({ candidate, ...entry }) => entry)
+        });
+    }
+
+    return decisions;
+};
+
+/**
+ * Auto-assign a newly created case when enabled in the assignment config
+ * The assignment is recorded as made by the System, not the case creator.
+ * Failures are logged and leave the case unassigned
+ * @param {Object} caseItem - Case document
+ * @returns {Object|null} Decision, or null when auto-assignment is off
+ */
+exports.assignOnCreate = async (caseItem) => {
+    try {
+        const config = await AssignmentConfig.getConfig();
+        if (!config.autoAssignOnCreate || caseItem.employeeId) {
+            return null;
+        }
+
+        const [decision] = await exports.assignCases([caseItem]);
+        return decision;
+    } catch (error) {
+        console.error('Error auto-assigning case:', error);
+        return null;
+    }
+};
+
+/**
+ * Move an employee's open cases to someone else
+ * With a backup employee every case goes to the backup; otherwise each case
+ * is placed by the assignment engine, leaving the employee out
+ * @param {ObjectId} employeeId - Employee whose cases are moved
+ * @param {Object} options - { caseIds, backupEmployeeId, dryRun, user }
+ * @returns {Object} { decisions } or { error, statusCode }
+ */
+exports.reassignEmployeeCases = async (employeeId, { caseIds, backupEmployeeId, dryRun = false, user } = {}) => {
+    const query = { employeeId, status: { $in: OPEN_STATUSES } };
+    if (Array.isArray(caseIds) && caseIds.length > 0) {
+        query._id = { $in: caseIds };
+    }
+
+    const cases = await Case.find(query);
+
+    if (!backupEmployeeId) {
+        return { decisions: await exports.assignCases(cases, { dryRun, user, excludeIds: [employeeId] }) };
+    }
+
+    const backupError = await validateBackup(backupEmployeeId, employeeId);
+    if (backupError) {
+        return { error: backupError, statusCode: 400 };
+    }
+
+    const backup = await User.findById(backupEmployeeId).select('name email workingStatus');
+    const [backupReason] = [...(await getUnavailability([backup])).values()];
+    if (backupReason) {
+        return { error: `${backup.name} is not available (${backupReason})`, statusCode: 400 };
+    }
+
+    const decisions = [];
+    for (const caseItem of cases) {
+        if (!dryRun) {
+            await exports.applyAssignment(caseItem, backup, user);
+        }
+
+        decisions.push({
+            caseId: caseItem._id,
+            caseNumber: caseItem.caseId,
+            priority: caseItem.priority,
+            complexityTag: caseItem.complexityTag,
+            assignedTo: { id: backup._id, name: backup.name },
+            explanation: `Assigned to backup employee ${backup.name}`
+        });
+    }
+
+    return { decisions };
+};
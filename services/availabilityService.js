@@ -0,0 +1,179 @@
+const Case = require('../models/Case');
+const User = require('../models/User');
+const EmployeeLeave = require('../models/EmployeeLeave');
+const constants = require('../utils/constants');
+
+const { NEW, IN_PROGRESS, ON_HOLD, AWAITING_CLIENT, REOPENED } = constants.CASE_STATUS;
+
+const OPEN_STATUSES = [NEW, IN_PROGRESS, ON_HOLD, AWAITING_CLIENT, REOPENED];
+
+const formatDate = (date) => date.toISOString().slice(0, 10);
+
+/**
+ * Find which employees cannot take new cases at a moment
+ * Employees are unavailable while on scheduled leave or when their working
+ * status is busy or out_of_office
+ * @param {Array} employees - Users (with workingStatus)
+ * @param {Date} at - Moment to check
+ * @returns {Map} Employee ID string => reason
+ */
+exports.getUnavailability = async (employees, at = new Date()) => {
+    const reasons = new Map();
+
+    const leaves = await EmployeeLeave.find({
+        employeeId: { $in: employees.map(e => e._id) },
+        status: 'scheduled',
+        startDate: { $lte: at },
+        endDate: { $gt: at }
+    });
+
+    leaves.forEach(leave => {
+        reasons.set(
+            leave.employeeId.toString(),
+            `on ${leave.type} leave until ${formatDate(leave.endDate)}`
+        );
+    });
+
+    employees.forEach(employee => {
+        const key = employee._id.toString();
+        if (!reasons.has(key) && employee.workingStatus && employee.workingStatus !== 'available') {
+            reasons.set(key, `marked ${employee.workingStatus.replace(/_/g, ' ')}`);
+        }
+    });
+
+    return reasons;
+};
+
+/**
+ * Get the leave an employee is on at a moment
+ * @param {ObjectId} employeeId - Employee ID
+ * @param {Date} at - Moment to check
+ * @returns {Object|null} Leave
+ */
+exports.getCurrentLeave = (employeeId, at = new Date()) => {
+    return EmployeeLeave.findOne({
+        employeeId,
+        status: 'scheduled',
+        startDate: { $lte: at },
+        endDate: { $gt: at }
+    });
+};
+
+/**
+ * Check that a user can cover for another employee
+ * @param {ObjectId} backupId - Proposed backup employee
+ * @param {ObjectId} employeeId - Employee being covered
+ * @returns {String|null} Error message, null when valid
+ */
+exports.validateBackup = async (backupId, employeeId) => {
+    if (!backupId) {
+        return null;
+    }
+    if (backupId.toString() === employeeId.toString()) {
+        return 'An employee cannot be their own backup';
+    }
+
+    const backup = await User.findOne({
+        _id: backupId,
+        role: constants.USER_ROLES.EMPLOYEE,
+        isActive: true
+    });
+
+    return backup ? null : 'Backup employee not found';
+};
+
+/**
+ * Availability overview of every active employee
+ * @returns {Array} { employee, available, reason, currentLeave, upcomingLeave, openCases }
+ */
+exports.getAvailabilityOverview = async () => {
+    const now = new Date();
+
+    const employees = await User.find({
+        role: constants.USER_ROLES.EMPLOYEE,
+        isActive: true
+    })
+        .select('name email workingStatus backupEmployeeId')
+        .populate('backupEmployeeId', 'name email')
+        .sort({ name: 1 });
+
+    const [reasons, leaves, openCounts] = await Promise.all([
+        exports.getUnavailability(employees, now),
+        EmployeeLeave.find({
+            employeeId: { $in: employees.map(e => e._id) },
+            status: 'scheduled',
+            endDate: { $gt: now }
+        })
+            .populate('backupEmployeeId', 'name email')
+            .sort({ startDate: 1 }),
+        Case.aggregate([
+            { $match: { employeeId: { $in: employees.map(e => e._id) }, status: { $in: OPEN_STATUSES } } },
+            { $group: { _id: '$employeeId', count: { $sum: 1 } } }
+        ])
+    ]);
+
+    return employees.map(employee => {
+        const key = employee._id.toString();
+        const employeeLeaves = leaves.filter(leave => leave.employeeId.toString() === key);
+        const openCases = openCounts.find(entry => entry._id.toString() === key);
+
+        return {
+            employee,
+            available: !reasons.has(key),
+            reason: reasons.get(key) || null,
+            currentLeave: employeeLeaves.find(leave => leave.startDate <= now) || null,
+            upcomingLeave: employeeLeaves.filter(leave => leave.startDate > now),
+            openCases: openCases ? openCases.count : 0
+        };
+    });
+};
+
+/**
+ * Open cases held by employees who are currently unavailable
+ * Each entry suggests a backup: the one named on the current leave, else the
+ * employee's default backup
+ * @returns {Array} { employee, reason, suggestedBackup, cases }
+ */
+exports.getReassignmentQueue = async () => {
+    const now = new Date();
+
+    const employees = await User.find({
+        role: constants.USER_ROLES.EMPLOYEE,
+        isActive: true
+    }).select('name email workingStatus backupEmployeeId');
+
+    const reasons = await exports.getUnavailability(employees, now);
+    const unavailable = employees.filter(employee => reasons.has(employee._id.toString()));
+
+    const queue = [];
+
+    for (const employee of unavailable) {
+        const cases = await Case.find({
+            employeeId: employee._id,
+            status: { $in: OPEN_STATUSES }
+        })
+            .select('caseId status priority complexityTag slaDeadline slaStatus serviceId endUserId')
+            .populate('serviceId', 'name type')
+            .populate('endUserId', 'name')
+            .sort({ slaDeadline: 1 });
+
+        if (cases.length === 0) {
+            continue;
+        }
+
+        const leave = await exports.getCurrentLeave(employee._id, now);
+        const backupId = (leave && leave.backupEmployeeId) || employee.backupEmployeeId;
+        const suggestedBackup = backupId
+            ? await User.findOne({ _id: backupId, isActive: true }).select('name email workingStatus')
+            : null;
+
+        queue.push({
+            employee: { _id: employee._id, name: employee.name, email: employee.email },
+            reason: reasons.get(employee._id.toString()),
+            suggestedBackup,
+            cases
+        });
+    }
+
+    return queue;
+};
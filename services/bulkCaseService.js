@@ -0,0 +1,378 @@
+const mongoose = require('mongoose');
+const Case = require('../models/Case');
+const User = require('../models/User');
+const WorkflowTemplate = require('../models/WorkflowTemplate');
+const ActivityTimeline = require('../models/ActivityTimeline');
+const { applyAssignment } = require('./assignmentService');
+const { getUnavailability } = require('./availabilityService');
+const { changeCaseStatus, validateTransition } = require('./caseStatusService');
+const { buildChecklistProgress } = require('./caseService');
+const { calculateSLADeadline } = require('./slaService');
+const { buildStepProgress, refreshProgress, logStepChanges } = require('./workflowStepService');
+const { checkCompletionGates, describeBlockers } = require('./stepGateService');
+const constants = require('../utils/constants');
+
+// Largest number of cases one bulk request may touch
+const MAX_BULK_CASES = 500;
+
+const PRIORITIES = ['low', 'medium', 'high', 'urgent'];
+
+const FILTER_FIELDS = ['status', 'serviceId', 'employeeId', 'priority', 'slaStatus', 'workflowTemplateId'];
+
+const ID_FILTER_FIELDS = ['serviceId', 'employeeId', 'workflowTemplateId'];
+
+// Cases that are finished and no longer take assignments or workflows
+const FINISHED_STATUSES = [constants.CASE_STATUS.CLOSED, constants.CASE_STATUS.CANCELLED];
+
+// Helper function to refuse a change to a closed or cancelled case
+const checkNotFinished = (caseItem) => (
+    FINISHED_STATUSES.includes(caseItem.status) ? { error: `Case is ${caseItem.status}` } : null
+);
+
+// Helper function to write a timeline event for a bulk change
+const logTimelineEvent = (caseItem, eventType, title, data, user) => {
+    return ActivityTimeline.createEvent({
+        caseId: caseItem._id,
+        eventType,
+        title,
+        description: ActivityTimeline.generateDescription(eventType, data),
+        performedBy: {
+            userId: user.id,
+            name: user.name,
+            role: user.role
+        },
+        isVisibleToUser: true,
+        ...ActivityTimeline.getEventStyle(eventType)
+    });
+};
+
+// Helper function to load an active, available employee for assign / reassign
+const loadEmployee = async (employeeId) => {
+    if (!employeeId) {
+        return { error: 'Please provide an employeeId' };
+    }
+    if (!mongoose.isValidObjectId(employeeId)) {
+        return { error: 'Employee not found' };
+    }
+
+    const employee = await User.findOne({
+        _id: employeeId,
+        role: constants.USER_ROLES.EMPLOYEE,
+        isActive: true
+    }).select('name email workingStatus');
+
+    if (!employee) {
+        return { error: 'Employee not found' };
+    }
+
+    // Employees on leave or out of office do not take new cases
+    const [reason] = [...(await getUnavailability([employee])).values()];
+    if (reason) {
+        return { error: `${employee.name} is not available (${reason})` };
+    }
+
+    return { employee };
+};
+
+/**
+ * Bulk actions
+ * prepare(params) validates the request once and returns shared context or { error }
+ * apply(caseItem, context, user, dryRun) changes one case and returns
+ * { fields, description, overridden } or { error }, where overridden lists
+ * the step requirements a change_status override bypassed
+ */
+const actions = {
+    assign: {
+        prepare: (params) => loadEmployee(params.employeeId),
+        apply: async (caseItem, { employee }, user, dryRun) => {
+            const finished = checkNotFinished(caseItem);
+            if (finished) {
+                return finished;
+            }
+            if (caseItem.employeeId) {
+                return { error: 'Case is already assigned; use reassign' };
+            }
+
+            if (!dryRun) {
+                await applyAssignment(caseItem, employee, user);
+            }
+
+            return {
+                fields: [{ field: 'employeeId', oldValue: null, newValue: employee._id }],
+                description: `Assigned case to ${employee.name}`
+            };
+        }
+    },
+
+    reassign: {
+        prepare: (params) => loadEmployee(params.employeeId),
+        apply: async (caseItem, { employee }, user, dryRun) => {
+            const finished = checkNotFinished(caseItem);
+            if (finished) {
+                return finished;
+            }
+            if (!caseItem.employeeId) {
+                return { error: 'Case is not assigned; use assign' };
+            }
+            if (caseItem.employeeId.equals(employee._id)) {
+                return { error: `Case is already assigned to ${employee.name}` };
+            }
+
+            const oldEmployeeId = caseItem.employeeId;
+            if (!dryRun) {
+                await applyAssignment(caseItem, employee, user);
+            }
+
+            return {
+                fields: [{ field: 'employeeId', oldValue: oldEmployeeId, newValue: employee._id }],
+                description: `Reassigned case to ${employee.name}`
+            };
+        }
+    },
+
+    change_priority: {
+        prepare: async (params) => (
+            PRIORITIES.includes(params.priority)
+                ? { priority: params.priority }
+                : { error: `Priority must be one of: ${PRIORITIES.join(', ')}` }
+        ),
+        apply: async (caseItem, { priority }, user, dryRun) => {
+            const finished = checkNotFinished(caseItem);
+            if (finished) {
+                return finished;
+            }
+
+            const oldPriority = caseItem.priority;
+            if (oldPriority === priority) {
+                return { error: `Priority is already ${priority}` };
+            }
+
+            if (!dryRun) {
+                caseItem.priority = priority;
+                await caseItem.save();
+                await logTimelineEvent(caseItem, 'priority_changed', 'Priority Changed', {
+                    oldPriority,
+                    newPriority: priority
+                }, user);
+            }
+
+            return {
+                fields: [{ field: 'priority', oldValue: oldPriority, newValue: priority }],
+                description: `Changed case priority from ${oldPriority} to ${priority}`
+            };
+        }
+    },
+
+    change_status: {
+        prepare: async (params) => {
+            if (!Object.values(constants.CASE_STATUS).includes(params.status)) {
+                return { error: 'Please provide a valid status' };
+            }
+            if (params.overrideReason !== undefined &&
+                !(typeof params.overrideReason === 'string' && params.overrideReason.trim())) {
+                return { error: 'overrideReason must be a non-empty string' };
+            }
+
+            return { status: params.status, reason: params.reason, overrideReason: params.overrideReason };
+        },
+        apply: async (caseItem, { status, reason, overrideReason }, user, dryRun) => {
+            const oldStatus = caseItem.status;
+            let overridden = [];
+
+            if (dryRun) {
+                const invalid = validateTransition(oldStatus, status, user.role, reason);
+                if (invalid) {
+                    return { error: invalid.error };
+                }
+
+                if (status === constants.CASE_STATUS.COMPLETED) {
+                    overridden = await checkCompletionGates(caseItem);
+                    if (overridden.length > 0 && !overrideReason) {
+                        return { error: describeBlockers(overridden) };
+                    }
+                }
+            } else {
+                const result = await changeCaseStatus(caseItem, status, user, { reason, overrideReason });
+                if (result.error) {
+                    return { error: result.error };
+                }
+                overridden = result.overridden;
+            }
+
+            return {
+                fields: [{ field: 'status', oldValue: oldStatus, newValue: status }],
+                description: `Changed case status from ${oldStatus} to ${status}` +
+                    (overridden.length > 0 ? ` (open step requirements overridden: ${overrideReason.trim()})` : ''),
+                overridden: overridden.length > 0 ? overridden : undefined
+            };
+        }
+    },
+
+    attach_workflow: {
+        prepare: async (params) => {
+            if (!params.workflowTemplateId) {
+                return { error: 'Please provide a workflowTemplateId' };
+            }
+
+            const template = await WorkflowTemplate.findOne({
+                _id: params.workflowTemplateId,
+                status: 'published',
+                isActive: true
+            });
+            return template ? { template } : { error: 'Workflow template not found, not published or inactive' };
+        },
+        apply: async (caseItem, { template }, user, dryRun) => {
+            const finished = checkNotFinished(caseItem);
+            if (finished) {
+                return finished;
+            }
+            if (!template.serviceType.equals(caseItem.serviceId)) {
+                return { error: 'Workflow template belongs to a different service' };
+            }
+            if (caseItem.workflowTemplateId && caseItem.workflowTemplateId.equals(template._id)) {
+                return { error: 'Workflow template is already attached' };
+            }
+            if ((caseItem.checklistProgress || []).some(item => item.isCompleted)) {
+                return { error: 'Case has checklist progress on its current workflow' };
+            }
+
+            const oldTemplateId = caseItem.workflowTemplateId;
+
+            if (!dryRun) {
+                const now = new Date();
+
+                caseItem.workflowTemplateId = template._id;
+                caseItem.checklistProgress = buildChecklistProgress(template);
+                caseItem.stepProgress = buildStepProgress(template);
+                caseItem.complexityTag = template.metadata ? template.metadata.complexity : caseItem.complexityTag;
+
+                // The SLA clock starts when the workflow is attached
+                const deadline = await calculateSLADeadline(template._id, now, caseItem.serviceId);
+                if (deadline) {
+                    caseItem.slaDeadline = deadline;
+                    caseItem.slaStatus = caseItem.slaPausedAt ? 'paused' : 'on_time';
+                }
+
+                // Skips steps whose conditions fail and starts the first stage
+                const stepChanges = await refreshProgress(caseItem, template, now);
+                await caseItem.save();
+
+                await logTimelineEvent(caseItem, 'workflow_attached', 'Workflow Attached', {
+                    templateName: template.name
+                }, user);
+                await logStepChanges(caseItem, stepChanges, user);
+            }
+
+            return {
+                fields: [{ field: 'workflowTemplateId', oldValue: oldTemplateId || null, newValue: template._id }],
+                description: `Attached workflow template "${template.name}"`
+            };
+        }
+    }
+};
+
+exports.BULK_ACTIONS = Object.keys(actions);
+
+exports.MAX_BULK_CASES = MAX_BULK_CASES;
+
+/**
+ * Build the case query for a bulk request
+ * Only IDs that are valid ObjectIds are queried (runBulkAction reports the
+ * others per case), and filter values must be plain values, not operators
+ * @param {Object} options - { caseIds, filter }
+ * @returns {Object} { query } or { error }
+ */
+exports.buildBulkQuery = ({ caseIds, filter }) => {
+    if (Array.isArray(caseIds) && caseIds.length > 0) {
+        return { query: { _id: { $in: caseIds.filter(id => mongoose.isValidObjectId(id)) } } };
+    }
+
+    const query = {};
+    for (const field of FILTER_FIELDS) {
+        const value = filter ? filter[field] : undefined;
+        if (value === undefined) continue;
+
+        if (!['string', 'number', 'boolean'].includes(typeof value)) {
+            return { error: `Filter ${field} must be a single value` };
+        }
+        if (ID_FILTER_FIELDS.includes(field) && !mongoose.isValidObjectId(value)) {
+            return { error: `Filter ${field} is not a valid ID` };
+        }
+        query[field] = value;
+    }
+    if (filter && filter.unassigned === true) query.employeeId = null;
+
+    // Refuse an empty filter so a request cannot touch every case by accident
+    if (Object.keys(query).length === 0) {
+        return { error: `Please provide caseIds or a filter on: ${[...FILTER_FIELDS, 'unassigned'].join(', ')}` };
+    }
+
+    return { query };
+};
+
+/**
+ * Apply a bulk action to a set of cases
+ * Each case is validated and changed on its own; one failure does not stop
+ * the others
+ * @param {Object} options - { action, caseIds, filter, params, user, dryRun }
+ * @returns {Object} { results } or { error, statusCode }
+ */
+exports.runBulkAction = async ({ action, caseIds, filter, params = {}, user, dryRun = false }) => {
+    const handler = actions[action];
+    if (!handler) {
+        return { error: `Action must be one of: ${exports.BULK_ACTIONS.join(', ')}`, statusCode: 400 };
+    }
+
+    const { query, error: queryError } = exports.buildBulkQuery({ caseIds, filter });
+    if (queryError) {
+        return { error: queryError, statusCode: 400 };
+    }
+
+    const context = await handler.prepare(params);
+    if (context.error) {
+        return { error: context.error, statusCode: 400 };
+    }
+
+    const cases = await Case.find(query).sort({ createdAt: 1 }).limit(MAX_BULK_CASES + 1);
+    if (cases.length > MAX_BULK_CASES) {
+        return {
+            error: `A bulk request can change at most ${MAX_BULK_CASES} cases. Narrow the filter.`,
+            statusCode: 400
+        };
+    }
+
+    const results = [];
+
+    // Requested IDs that are invalid or do not exist are reported too
+    if (query._id) {
+        const found = new Set(cases.map(c => c._id.toString()));
+        caseIds
+            .filter(id => !found.has(String(id)))
+            .forEach(id => results.push({
+                caseId: id,
+                success: false,
+                error: mongoose.isValidObjectId(id) ? 'Case not found' : 'Invalid case ID'
+            }));
+    }
+
+    for (const caseItem of cases) {
+        try {
+            const outcome = await handler.apply(caseItem, context, user, dryRun);
+
+            results.push(outcome.error
+                ? { caseId: caseItem._id, caseNumber: caseItem.caseId, success: false, error: outcome.error }
+                : {
+                    caseId: caseItem._id,
+                    caseNumber: caseItem.caseId,
+                    success: true,
+                    fields: outcome.fields,
+                    description: outcome.description,
+                    overridden: outcome.overridden
+                });
+        } catch (error) {
+            results.push({ caseId: caseItem._id, caseNumber: caseItem.caseId, success: false, error: error.message });
+        }
+    }
+
+    return { results };
+};
@@ -0,0 +1,232 @@
+const BusinessCalendar = require('../models/BusinessCalendar');
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+// Safety limit for day-by-day scans (about ten years)
+const MAX_SCAN_DAYS = 3660;
+
+const WEEKDAYS = { Sun: 0, Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6 };
+
+/**
+ * Calendar used when no default calendar has been configured:
+ * Monday to Saturday, 09:30 - 18:30 India time, no holidays
+ */
+const FALLBACK_CALENDAR = {
+    name: 'Built-in default',
+    timezone: 'Asia/Kolkata',
+    workingHours: { start: '09:30', end: '18:30' },
+    weeklyOffDays: [0],
+    holidays: [],
+    atRiskHours: 24,
+    hoursPerDay: 9
+};
+
+exports.FALLBACK_CALENDAR = FALLBACK_CALENDAR;
+
+const toMinutes = (time) => {
+    const [h, m] = time.split(':').map(Number);
+    return h * 60 + m;
+};
+
+/**
+ * Read the wall-clock date and time of an instant in a timezone
+ * @param {Date|Number} instant - Moment to convert
+ * @param {String} timezone - IANA timezone
+ * @returns {Object} { year, month, day, weekday, hour, minute, second }
+ */
+const getZonedParts = (instant, timezone) => {
+    const parts = new Intl.DateTimeFormat('en-US', {
+        timeZone: timezone,
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        weekday: 'short',
+        hour: '2-digit',
+        minute: '2-digit',
+        second: '2-digit',
+        hourCycle: 'h23'
+    }).formatToParts(new Date(instant));
+
+    const get = (type) => parts.find(p => p.type === type).value;
+
+    return {
+        year: Number(get('year')),
+        month: Number(get('month')),
+        day: Number(get('day')),
+        weekday: WEEKDAYS[get('weekday')],
+        hour: Number(get('hour')),
+        minute: Number(get('minute')),
+        second: Number(get('second'))
+    };
+};
+
+/**
+ * Offset of a timezone from UTC at an instant, in milliseconds
+ */
+const getOffset = (timestamp, timezone) => {
+    const p = getZonedParts(timestamp, timezone);
+    const asUTC = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+    return asUTC - Math.floor(timestamp / 1000) * 1000;
+};
+
+/**
+ * Convert a wall-clock time in a timezone to a UTC timestamp
+ * @param {Date} localDate - UTC midnight Date carrying the local calendar date
+ * @param {Number} minutes - Minutes since local midnight
+ * @param {String} timezone - IANA timezone
+ * @returns {Number} Timestamp
+ */
+const zonedToTimestamp = (localDate, minutes, timezone) => {
+    const guess = localDate.getTime() + minutes * 60 * 1000;
+    const offset = getOffset(guess - getOffset(guess, timezone), timezone);
+    return guess - offset;
+};
+
+/**
+ * Prepare a calendar document for repeated calculations
+ * @param {Object} calendar - BusinessCalendar document or plain object
+ * @returns {Object} Normalized calendar
+ */
+const normalize = (calendar) => {
+    const cal = calendar || FALLBACK_CALENDAR;
+    return {
+        timezone: cal.timezone || FALLBACK_CALENDAR.timezone,
+        startMinutes: toMinutes(cal.workingHours.start),
+        endMinutes: toMinutes(cal.workingHours.end),
+        offDays: new Set(cal.weeklyOffDays || []),
+        holidays: new Set((cal.holidays || []).map(h => h.date))
+    };
+};
+
+/**
+ * Local calendar date (as a UTC midnight Date) of an instant
+ */
+const getLocalDate = (instant, timezone) => {
+    const p = getZonedParts(instant, timezone);
+    return new Date(Date.UTC(p.year, p.month - 1, p.day));
+};
+
+/**
+ * Check whether a local date is a working day in a normalized calendar
+ */
+const isWorkingDate = (localDate, cal) => {
+    return !cal.offDays.has(localDate.getUTCDay()) &&
+        !cal.holidays.has(localDate.toISOString().slice(0, 10));
+};
+
+/**
+ * Working window [start, end] of a local date as timestamps
+ */
+const getWindow = (localDate, cal) => [
+    zonedToTimestamp(localDate, cal.startMinutes, cal.timezone),
+    zonedToTimestamp(localDate, cal.endMinutes, cal.timezone)
+];
+
+/**
+ * Get the business calendar that applies to a service
+ * Falls back to the default calendar, then to the built-in calendar
+ * @param {ObjectId} serviceId - Service ID
+ * @returns {Object} BusinessCalendar document or FALLBACK_CALENDAR
+ */
+exports.getCalendarForService = async (serviceId) => {
+    const calendar = await BusinessCalendar.getForService(serviceId);
+    return calendar || FALLBACK_CALENDAR;
+};
+
+/**
+ * Check whether a moment falls on a working day (ignores working hours)
+ * @param {Date} date - Moment to check
+ * @param {Object} calendar - Business calendar
+ * @returns {Boolean}
+ */
+exports.isBusinessDay = (date, calendar) => {
+    const cal = normalize(calendar);
+    return isWorkingDate(getLocalDate(date, cal.timezone), cal);
+};
+
+/**
+ * Add business hours to a moment, skipping nights, weekly off days and holidays
+ * @param {Date} start - Start moment
+ * @param {Number} hours - Business hours to add
+ * @param {Object} calendar - Business calendar
+ * @returns {Date} Resulting moment
+ */
+exports.addBusinessHours = (start, hours, calendar) => {
+    const cal = normalize(calendar);
+    const startMs = new Date(start).getTime();
+    let remaining = hours * HOUR_MS;
+
+    if (remaining <= 0) {
+        return new Date(startMs);
+    }
+
+    let date = getLocalDate(startMs, cal.timezone);
+
+    for (let i = 0; i < MAX_SCAN_DAYS; i++) {
+        if (isWorkingDate(date, cal)) {
+            const [windowStart, windowEnd] = getWindow(date, cal);
+            const from = Math.max(startMs, windowStart);
+
+            if (from < windowEnd) {
+                const available = windowEnd - from;
+                if (remaining <= available) {
+                    return new Date(from + remaining);
+                }
+                remaining -= available;
+            }
+        }
+
+        date = new Date(date.getTime() + DAY_MS);
+    }
+
+    throw new Error('Business calendar has no working time within range');
+};
+
+/**
+ * Count business hours between two moments
+ * Negative when end is before start (e.g. time overdue)
+ * @param {Date} start - Start moment
+ * @param {Date} end - End moment
+ * @param {Object} calendar - Business calendar
+ * @returns {Number} Business hours
+ */
+exports.businessHoursBetween = (start, end, calendar) => {
+    const startMs = new Date(start).getTime();
+    const endMs = new Date(end).getTime();
+
+    if (endMs < startMs) {
+        return -exports.businessHoursBetween(end, start, calendar);
+    }
+
+    const cal = normalize(calendar);
+    let date = getLocalDate(startMs, cal.timezone);
+    const lastDate = getLocalDate(endMs, cal.timezone);
+    let total = 0;
+
+    for (let i = 0; i < MAX_SCAN_DAYS && date <= lastDate; i++) {
+        if (isWorkingDate(date, cal)) {
+            const [windowStart, windowEnd] = getWindow(date, cal);
+            const overlap = Math.min(endMs, windowEnd) - Math.max(startMs, windowStart);
+            if (overlap > 0) {
+                total += overlap;
+            }
+        }
+
+        date = new Date(date.getTime() + DAY_MS);
+    }
+
+    return total / HOUR_MS;
+};
+
+/**
+ * Fixed-date national holidays of India for a year
+ * Festival holidays move every year and should be added per calendar
+ * @param {Number} year - Calendar year
+ * @returns {Array} Holidays { date, name, type }
+ */
+exports.getNationalHolidays = (year) => [
+    { date: `${year}-01-26`, name: 'Republic Day', type: 'national' },
+    { date: `${year}-08-15`, name: 'Independence Day', type: 'national' },
+    { date: `${year}-10-02`, name: 'Gandhi Jayanti', type: 'national' }
+];
@@ -0,0 +1,179 @@
+const mongoose = require('mongoose');
+const Case = require('../models/Case');
+const Service = require('../models/Service');
+const Payment = require('../models/Payment');
+const User = require('../models/User');
+const WorkflowTemplate = require('../models/WorkflowTemplate');
+const timelineService = require('./timelineService');
+const { generateDocuments } = require('./invoiceService');
+const { notify, notifyRole } = require('./notificationService');
+const { initializeCaseSLA } = require('./slaService');
+const { buildStepProgress, refreshProgress, logStepChanges } = require('./workflowStepService');
+const { assignOnCreate } = require('./assignmentService');
+const constants = require('../utils/constants');
+const { generateCaseId } = require('../utils/helpers');
+
+/**
+ * Find the workflow template version a new case of a service should follow
+ * Uses the service's default template, falling back to the most recently
+ * published active version for the service. The case stays pinned to this
+ * version until it is migrated
+ * @param {Object} service - Service document
+ * @returns {Object|null} Workflow template
+ */
+exports.resolveWorkflowTemplate = async (service) => {
+    if (service.defaultWorkflowTemplateId) {
+        const template = await WorkflowTemplate.findOne({
+            _id: service.defaultWorkflowTemplateId,
+            status: 'published',
+            isActive: true
+        });
+
+        if (template) {
+            return template;
+        }
+    }
+
+    return WorkflowTemplate.findOne({ serviceType: service._id, status: 'published', isActive: true })
+        .sort({ publishedAt: -1 });
+};
+
+/**
+ * Build an empty checklist progress entry for every item in a template
+ * @param {Object} template - Workflow template
+ * @returns {Array} checklistProgress entries
+ */
+exports.buildChecklistProgress = (template) => {
+    if (!template) {
+        return [];
+    }
+
+    return template.steps.flatMap(step =>
+        step.checklistItems.map(item => ({
+            stepId: step._id,
+            itemId: item._id,
+            isCompleted: false
+        }))
+    );
+};
+
+/**
+ * Create a case for an end user
+ * Applies the service's workflow template, seeds checklist and step progress,
+ * computes the SLA deadline, starts the first step, logs a case_created
+ * timeline event and auto-assigns the case when enabled
+ * @param {Object} options
+ * @param {ObjectId} options.endUserId - Client the case belongs to
+ * @param {ObjectId|Object} options.service - Service document or ID
+ * @param {Object} options.createdBy - User creating the case ({ id, name, role })
+ * @param {String} options.priority - Case priority (defaults to medium)
+ * @param {ObjectId} options._id - Reserved ID for the case (optional)
+ * @returns {Object} Created case
+ */
+exports.createCase = async ({ endUserId, service, createdBy, priority, _id }) => {
+    const serviceDoc = service instanceof Service ? service : await Service.findById(service);
+
+    if (!serviceDoc) {
+        throw new Error('Service not found');
+    }
+
+    const template = await exports.resolveWorkflowTemplate(serviceDoc);
+
+    const caseItem = await Case.create({
+        _id,
+        caseId: generateCaseId(),
+        endUserId,
+        serviceId: serviceDoc._id,
+        status: constants.CASE_STATUS.NEW,
+        workflowTemplateId: template ? template._id : null,
+        checklistProgress: exports.buildChecklistProgress(template),
+        stepProgress: buildStepProgress(template),
+        complexityTag: template && template.metadata ? template.metadata.complexity : undefined,
+        priority
+    });
+
+    // Sets slaDeadline, slaStatus and estimatedResolutionTime (no-op without a template)
+    await initializeCaseSLA(caseItem);
+
+    // Skip steps whose conditions fail and start the first stage's step clocks
+    const stepChanges = await refreshProgress(caseItem, template, caseItem.createdAt);
+    if (stepChanges.started.length > 0 || stepChanges.skipped.length > 0) {
+        await caseItem.save();
+    }
+
+    await timelineService.logCaseCreation(caseItem, createdBy, template);
+    await logStepChanges(caseItem, stepChanges, createdBy);
+
+    await assignOnCreate(caseItem);
+
+    return caseItem;
+};
+
+/**
+ * Create the case a completed payment pays for
+ * The payment is claimed first (its caseId set to a reserved case ID), so the
+ * client's verification and the payment webhook cannot both create a case.
+ * Logs the payment on the timeline, generates the invoice and receipt and
+ * notifies admins and the end user
+ * @param {Object} payment - Completed Payment with serviceId and endUserId
+ * @returns {Object} { caseItem, payment }, or null when the payment already has a case
+ */
+exports.createCaseForPayment = async (payment) => {
+    const reservedId = new mongoose.Types.ObjectId();
+
+    const claimed = await Payment.findOneAndUpdate(
+        { _id: payment._id, caseId: null },
+        { $set: { caseId: reservedId } },
+        { new: true }
+    );
+    if (!claimed) {
+        return null;
+    }
+
+    const [service, endUser] = await Promise.all([
+        Service.findById(claimed.serviceId),
+        User.findById(claimed.endUserId).select('name role')
+    ]);
+
+    let caseItem;
+    try {
+        caseItem = await exports.createCase({
+            _id: reservedId,
+            endUserId: claimed.endUserId,
+            service,
+            createdBy: endUser
+        });
+    } catch (error) {
+        // Release the claim so the case can be created again
+        await Payment.updateOne({ _id: claimed._id, caseId: reservedId }, { $set: { caseId: null } });
+        throw error;
+    }
+
+    await timelineService.logPaymentReceived(caseItem, claimed.amount);
+
+    // Generate invoice and receipt PDFs (failure here must not fail the payment)
+    const updated = (await generateDocuments(claimed)) || claimed;
+
+    await notifyRole(constants.USER_ROLES.ADMIN, {
+        eventTrigger: 'case_created',
+        relatedCaseId: caseItem._id,
+        data: { caseId: caseItem.caseId, serviceName: service.name, clientName: endUser.name },
+        fallback: {
+            title: 'New Case Created',
+            message: `A new case (${caseItem.caseId}) has been created for service ${service.name}.`
+        }
+    });
+
+    await notify({
+        eventTrigger: 'case_created',
+        recipients: claimed.endUserId,
+        relatedCaseId: caseItem._id,
+        data: { caseId: caseItem.caseId, serviceName: service.name },
+        fallback: {
+            title: 'Case Created',
+            message: `Your case for ${service.name} has been created successfully.`
+        }
+    });
+
+    return { caseItem, payment: updated };
+};
@@ -0,0 +1,250 @@
+const Service = require('../models/Service');
+const timelineService = require('./timelineService');
+const { notify } = require('./notificationService');
+const { pauseSLA, resumeSLA } = require('./slaService');
+const { moveToStep, logStepChanges } = require('./workflowStepService');
+const {
+    checkCompletionGates,
+    describeBlockers,
+    applyGateOverride,
+    logGateOverride
+} = require('./stepGateService');
+const constants = require('../utils/constants');
+
+const {
+    NEW,
+    IN_PROGRESS,
+    ON_HOLD,
+    AWAITING_CLIENT,
+    COMPLETED,
+    CLOSED,
+    REOPENED,
+    CANCELLED
+} = constants.CASE_STATUS;
+const { ADMIN, EMPLOYEE, END_USER } = constants.USER_ROLES;
+const STAFF = [ADMIN, EMPLOYEE];
+
+/**
+ * Case status transition graph
+ * from status -> { to status: roles allowed to make the transition }
+ */
+const TRANSITIONS = {
+    [NEW]: {
+        [IN_PROGRESS]: STAFF,
+        [ON_HOLD]: STAFF,
+        [CANCELLED]: [ADMIN]
+    },
+    [IN_PROGRESS]: {
+        [ON_HOLD]: STAFF,
+        [AWAITING_CLIENT]: STAFF,
+        [COMPLETED]: STAFF,
+        [CANCELLED]: [ADMIN]
+    },
+    [ON_HOLD]: {
+        [IN_PROGRESS]: STAFF,
+        [CANCELLED]: [ADMIN]
+    },
+    [AWAITING_CLIENT]: {
+        [IN_PROGRESS]: [...STAFF, END_USER],
+        [ON_HOLD]: STAFF,
+        [CANCELLED]: [ADMIN]
+    },
+    [COMPLETED]: {
+        [CLOSED]: [ADMIN, END_USER],
+        [REOPENED]: [ADMIN, END_USER]
+    },
+    [CLOSED]: {
+        [REOPENED]: [ADMIN]
+    },
+    [REOPENED]: {
+        [IN_PROGRESS]: STAFF,
+        [ON_HOLD]: STAFF,
+        [AWAITING_CLIENT]: STAFF,
+        [CANCELLED]: [ADMIN]
+    },
+    [CANCELLED]: {
+        [REOPENED]: [ADMIN]
+    }
+};
+
+// Transitions that must be explained
+const REASON_REQUIRED = [ON_HOLD, REOPENED, CANCELLED];
+
+const STATUS_LABELS = {
+    [NEW]: 'New',
+    [IN_PROGRESS]: 'In Progress',
+    [ON_HOLD]: 'On Hold',
+    [AWAITING_CLIENT]: 'Awaiting Client',
+    [COMPLETED]: 'Completed',
+    [CLOSED]: 'Closed',
+    [REOPENED]: 'Reopened',
+    [CANCELLED]: 'Cancelled'
+};
+
+exports.STATUS_LABELS = STATUS_LABELS;
+
+/**
+ * Get the statuses a role may move a case to from its current status
+ * @param {String} fromStatus - Current case status
+ * @param {String} role - User role
+ * @returns {Array} Allowed target statuses
+ */
+exports.getAllowedTransitions = (fromStatus, role) => {
+    const targets = TRANSITIONS[fromStatus] || {};
+    return Object.keys(targets).filter(status => targets[status].includes(role));
+};
+
+/**
+ * Check a status transition against the graph and role rules
+ * @param {String} fromStatus - Current case status
+ * @param {String} toStatus - Requested status
+ * @param {String} role - Role of the user making the change
+ * @param {String} reason - Reason supplied with the change
+ * @returns {Object|null} { error, statusCode } if invalid, otherwise null
+ */
+exports.validateTransition = (fromStatus, toStatus, role, reason) => {
+    if (!STATUS_LABELS[toStatus]) {
+        return { error: `Invalid case status: ${toStatus}`, statusCode: 400 };
+    }
+
+    const allowedRoles = (TRANSITIONS[fromStatus] || {})[toStatus];
+
+    if (!allowedRoles) {
+        return {
+            error: `Cannot change case status from ${STATUS_LABELS[fromStatus] || fromStatus} to ${STATUS_LABELS[toStatus]}`,
+            statusCode: 400
+        };
+    }
+
+    if (!allowedRoles.includes(role)) {
+        return {
+            error: `Not authorized to change case status from ${STATUS_LABELS[fromStatus]} to ${STATUS_LABELS[toStatus]}`,
+            statusCode: 403
+        };
+    }
+
+    if (reason !== undefined && reason !== null && typeof reason !== 'string') {
+        return { error: 'Reason must be text', statusCode: 400 };
+    }
+
+    if (REASON_REQUIRED.includes(toStatus) && !(reason && reason.trim())) {
+        return {
+            error: `A reason is required to mark a case as ${STATUS_LABELS[toStatus]}`,
+            statusCode: 400
+        };
+    }
+
+    return null;
+};
+
+/**
+ * Move a case to a new status
+ * Validates the transition, updates the status timestamps and reopen count,
+ * pauses or resumes the SLA clock around awaiting_client, saves the case,
+ * then records timeline events and notifies the other party
+ * (the end user for staff changes, the assigned employee for end user changes)
+ * Completing a case needs every remaining step's checklist and document
+ * requirements met, unless an admin overrides them with a reason
+ * @param {Object} caseItem - Case document (other pending changes are saved too)
+ * @param {String} newStatus - Requested status
+ * @param {Object} user - User making the change (req.user)
+ * @param {Object} options - { reason, overrideReason }
+ * @returns {Object} { caseItem, overridden } on success, { error, statusCode, blockers } if the change is refused
+ */
+exports.changeCaseStatus = async (caseItem, newStatus, user, { reason, overrideReason } = {}) => {
+    const oldStatus = caseItem.status;
+
+    const invalid = exports.validateTransition(oldStatus, newStatus, user.role, reason);
+    if (invalid) {
+        return invalid;
+    }
+
+    let overridden = [];
+
+    if (newStatus === COMPLETED) {
+        const blockers = await checkCompletionGates(caseItem);
+
+        if (blockers.length > 0) {
+            if (!overrideReason) {
+                return { error: describeBlockers(blockers), statusCode: 400, blockers };
+            }
+
+            const refused = applyGateOverride(caseItem, blockers, overrideReason, user);
+            if (refused) {
+                return { ...refused, blockers };
+            }
+            overridden = blockers;
+        }
+    }
+
+    const now = new Date();
+    caseItem.status = newStatus;
+    caseItem.statusChangedAt = now;
+    caseItem.statusReason = reason ? reason.trim() : null;
+    caseItem.lastActivityAt = now;
+
+    let stepChanges = null;
+
+    if (newStatus === COMPLETED) {
+        caseItem.completedAt = now;
+        // Close out the running step and any the case skipped
+        stepChanges = await moveToStep(caseItem, (caseItem.stepProgress || []).length, now);
+    } else if (newStatus === CLOSED) {
+        caseItem.closedAt = now;
+    } else if (newStatus === REOPENED) {
+        caseItem.reopenCount = (caseItem.reopenCount || 0) + 1;
+        caseItem.reopenedAt = now;
+        caseItem.completedAt = null;
+        caseItem.closedAt = null;
+    }
+
+    // The SLA clock does not run while the case is waiting on the client
+    if (newStatus === AWAITING_CLIENT) {
+        await pauseSLA(caseItem, now);
+    } else if (oldStatus === AWAITING_CLIENT) {
+        await resumeSLA(caseItem, now);
+    }
+
+    await caseItem.save();
+
+    // Timeline
+    await timelineService.logStatusChange(caseItem, oldStatus, newStatus, user);
+    if (stepChanges) {
+        await logStepChanges(caseItem, stepChanges, user);
+    }
+    if (overridden.length > 0) {
+        await logGateOverride(caseItem, overridden, overrideReason, user);
+    }
+    if (newStatus === COMPLETED) {
+        await timelineService.logCaseCompletion(caseItem, user);
+    } else if (newStatus === REOPENED) {
+        await timelineService.logCaseReopen(caseItem, user);
+    }
+
+    // Notify the other side of the case
+    const recipient = user.role === END_USER ? caseItem.employeeId : caseItem.endUserId;
+    if (recipient) {
+        const service = await Service.findById(caseItem.serviceId).select('name');
+        const serviceName = service ? service.name : 'Service';
+        const label = STATUS_LABELS[newStatus];
+
+        await notify({
+            eventTrigger: newStatus === COMPLETED ? 'case_completed' : 'case_status_changed',
+            recipients: recipient,
+            relatedCaseId: caseItem._id,
+            data: {
+                caseId: caseItem.caseId,
+                serviceName,
+                status: label,
+                reason: caseItem.statusReason || ''
+            },
+            fallback: {
+                title: `Case ${label}`,
+                message: `Case ${caseItem.caseId} for ${serviceName} is now ${label.toLowerCase()}.` +
+                    (caseItem.statusReason ? ` Reason: ${caseItem.statusReason}` : '')
+            }
+        });
+    }
+
+    return { caseItem, overridden };
+};
@@ -0,0 +1,350 @@
+const Service = require('../models/Service');
+const ActivityTimeline = require('../models/ActivityTimeline');
+const { notify } = require('./notificationService');
+const { changeCaseStatus, getAllowedTransitions } = require('./caseStatusService');
+const { storeFile } = require('./storageService');
+const { validateUpload } = require('./uploadValidationService');
+const { scanBuffer } = require('./virusScanService');
+const constants = require('../utils/constants');
+
+const { IN_PROGRESS, AWAITING_CLIENT } = constants.CASE_STATUS;
+
+// Folder (key prefix) for request template files in the storage backend
+const TEMPLATE_FOLDER = 'request-templates';
+
+// Helper function to get the service name for notifications
+const getServiceName = async (caseItem) => {
+    const service = await Service.findById(caseItem.serviceId).select('name');
+    return service ? service.name : 'Service';
+};
+
+// Helper function to put the case on the client while documents are outstanding
+// Saves the case (through the status change when the user may make it)
+const awaitClient = async (caseItem, reason, user) => {
+    if (getAllowedTransitions(caseItem.status, user.role).includes(AWAITING_CLIENT)) {
+        const result = await changeCaseStatus(caseItem, AWAITING_CLIENT, user, { reason });
+        if (!result.error) {
+            return true;
+        }
+    }
+    await caseItem.save();
+    return false;
+};
+
+// Helper function to give the case back to staff once no requests are open
+// Saves the case (through the status change when the user may make it)
+const resumeIfAnswered = async (caseItem, user) => {
+    if (caseItem.status === AWAITING_CLIENT && exports.getOpenRequests(caseItem).length === 0 &&
+        getAllowedTransitions(caseItem.status, user.role).includes(IN_PROGRESS)) {
+        const result = await changeCaseStatus(caseItem, IN_PROGRESS, user);
+        if (!result.error) {
+            return true;
+        }
+    }
+    await caseItem.save();
+    return false;
+};
+
+/**
+ * Open document requests of a case
+ * @param {Object} caseItem - Case document
+ * @param {String} documentType - Only requests for this document type (optional)
+ * @returns {Array} Open requests
+ */
+exports.getOpenRequests = (caseItem, documentType = null) => {
+    return (caseItem.documentRequests || []).filter(request =>
+        request.status === 'open' && (!documentType || request.documentType === documentType));
+};
+
+/**
+ * Document types asked for on this case beyond the service's documentsRequired
+ * (ad-hoc requests that were not cancelled)
+ * @param {Object} caseItem - Case document
+ * @returns {Array} Document types
+ */
+exports.getRequestedDocumentTypes = (caseItem) => {
+    const types = (caseItem.documentRequests || [])
+        .filter(request => request.source === 'adhoc' && request.status !== 'cancelled')
+        .map(request => request.documentType);
+    return [...new Set(types)];
+};
+
+/**
+ * Ask the client to resubmit a rejected document
+ * Opens a document request (or updates the open one for the document type),
+ * moves the case to awaiting_client when the user may make that transition
+ * and notifies the end user what to fix. Saves the case
+ * @param {Object} caseItem - Case document
+ * @param {Object} documentVersion - Rejected DocumentVersion
+ * @param {String} reason - Rejection reason
+ * @param {Object} user - User who rejected the document (req.user)
+ * @returns {Object} { request, statusChanged }
+ */
+exports.requestResubmission = async (caseItem, documentVersion, reason, user) => {
+    const { documentType } = documentVersion;
+    let [request] = exports.getOpenRequests(caseItem, documentType);
+
+    if (request) {
+        request.reason = reason;
+        request.rejectedVersionId = documentVersion._id;
+    } else {
+        caseItem.documentRequests.push({
+            documentType,
+            reason,
+            source: 'rejection',
+            rejectedVersionId: documentVersion._id,
+            requestedBy: user.id,
+            requestedAt: new Date()
+        });
+        request = caseItem.documentRequests[caseItem.documentRequests.length - 1];
+    }
+
+    // The case waits on the client until the document is resubmitted
+    const statusChanged = await awaitClient(caseItem, `Awaiting a new ${documentType}: ${reason}`, user);
+
+    const serviceName = await getServiceName(caseItem);
+
+    await notify({
+        eventTrigger: 'document_rejected',
+        recipients: caseItem.endUserId,
+        relatedCaseId: caseItem._id,
+        data: {
+            caseId: caseItem.caseId,
+            serviceName,
+            documentType,
+            reason
+        },
+        fallback: {
+            title: 'Document Rejected',
+            message: `Your ${documentType} for case ${caseItem.caseId} was rejected: ${reason}. Please upload a new version.`
+        }
+    });
+
+    return { request, statusChanged };
+};
+
+/**
+ * Close the open requests a new document version answers
+ * When no requests remain open the case goes back to in_progress (from
+ * awaiting_client), and the assigned employee is notified. Saves the case
+ * when a request was closed
+ * @param {Object} caseItem - Case document
+ * @param {Object} documentVersion - New active DocumentVersion
+ * @param {Object} user - Uploader (req.user)
+ * @returns {Array} Fulfilled requests
+ */
+exports.fulfilRequests = async (caseItem, documentVersion, user) => {
+    const requests = exports.getOpenRequests(caseItem, documentVersion.documentType);
+    if (requests.length === 0) {
+        return [];
+    }
+
+    const now = new Date();
+    requests.forEach(request => {
+        request.status = 'fulfilled';
+        request.fulfilledVersionId = documentVersion._id;
+        request.fulfilledAt = now;
+    });
+
+    await resumeIfAnswered(caseItem, user);
+
+    if (caseItem.employeeId && caseItem.employeeId.toString() !== user.id) {
+        const serviceName = await getServiceName(caseItem);
+
+        await notify({
+            eventTrigger: 'document_resubmitted',
+            recipients: caseItem.employeeId,
+            relatedCaseId: caseItem._id,
+            data: {
+                caseId: caseItem.caseId,
+                serviceName,
+                documentType: documentVersion.documentType,
+                version: documentVersion.version
+            },
+            fallback: {
+                title: 'Document Resubmitted',
+                message: `A new ${documentVersion.documentType} (version ${documentVersion.version}) was uploaded to case ${caseItem.caseId} for review.`
+            }
+        });
+    }
+
+    return requests;
+};
+
+/**
+ * Raise a case-specific (ad-hoc) document request
+ * The title becomes the document type uploads answer the request with. An
+ * optional template file (a form or sample) is validated, virus scanned and
+ * stored for the client to download. Moves the case to awaiting_client when
+ * the user may make that transition, and notifies the end user. Saves the case
+ * @param {Object} caseItem - Case document
+ * @param {Object} service - Service of the case (with documentsRequired)
+ * @param {Object} details - { title, instructions, dueDate, file }
+ * @param {Object} user - User raising the request (req.user)
+ * @returns {Object} { request, statusChanged } or { error, statusCode }
+ */
+exports.createAdhocRequest = async (caseItem, service, { title, instructions, dueDate, file }, user) => {
+    const documentType = title ? title.trim() : '';
+    if (!documentType) {
+        return { error: 'Please provide a title for the document request', statusCode: 400 };
+    }
+
+    if (service && (service.documentsRequired || []).includes(documentType)) {
+        return {
+            error: `${documentType} is already a required document for this service; reject the current version to ask for a new one`,
+            statusCode: 400
+        };
+    }
+
+    if (exports.getOpenRequests(caseItem, documentType).length > 0) {
+        return { error: `There is already an open request for ${documentType}`, statusCode: 400 };
+    }
+
+    let due = null;
+    if (dueDate) {
+        due = new Date(dueDate);
+        if (isNaN(due.getTime())) {
+            return { error: 'Invalid due date', statusCode: 400 };
+        }
+        if (due <= new Date()) {
+            return { error: 'Due date must be in the future', statusCode: 400 };
+        }
+    }
+
+    let templateFile;
+    if (file) {
+        const uploadError = validateUpload(file);
+        if (uploadError) {
+            return uploadError;
+        }
+
+        const scan = await scanBuffer(file.buffer);
+        if (scan.status !== 'clean' && scan.status !== 'skipped') {
+            return { error: `Template file failed the virus scan (${scan.signature})`, statusCode: 422 };
+        }
+
+        const stored = await storeFile(file, { folder: TEMPLATE_FOLDER });
+        templateFile = {
+            fileUrl: stored.url,
+            storage: {
+                driver: stored.driver,
+                key: stored.key
+            },
+            originalFileName: file.originalname,
+            mimeType: file.mimetype
+        };
+    }
+
+    caseItem.documentRequests.push({
+        documentType,
+        reason: instructions,
+        instructions,
+        source: 'adhoc',
+        dueDate: due,
+        templateFile,
+        requestedBy: user.id,
+        requestedAt: new Date()
+    });
+    const request = caseItem.documentRequests[caseItem.documentRequests.length - 1];
+
+    const statusChanged = await awaitClient(caseItem, `Awaiting ${documentType}`, user);
+
+    await ActivityTimeline.createEvent({
+        caseId: caseItem._id,
+        eventType: 'document_requested',
+        title: 'Document Requested',
+        description: ActivityTimeline.generateDescription('document_requested', {
+            documentType,
+            userName: user.name,
+            dueDate: due ? due.toDateString() : null
+        }),
+        performedBy: {
+            userId: user.id,
+            name: user.name,
+            role: user.role
+        },
+        metadata: {
+            documentType,
+            additionalInfo: {
+                requestId: request._id,
+                instructions,
+                dueDate: due
+            }
+        },
+        isVisibleToUser: true,
+        ...ActivityTimeline.getEventStyle('document_requested')
+    });
+
+    const serviceName = service ? service.name : await getServiceName(caseItem);
+
+    await notify({
+        eventTrigger: 'document_requested',
+        recipients: caseItem.endUserId,
+        relatedCaseId: caseItem._id,
+        data: {
+            caseId: caseItem.caseId,
+            serviceName,
+            documentType,
+            instructions: instructions || '',
+            dueDate: due ? due.toDateString() : ''
+        },
+        fallback: {
+            title: 'Document Requested',
+            message: `Please upload ${documentType} for case ${caseItem.caseId}` +
+                (due ? ` by ${due.toDateString()}` : '') + '.' +
+                (instructions ? ` ${instructions}` : '')
+        }
+    });
+
+    return { request, statusChanged };
+};
+
+/**
+ * Cancel an open ad-hoc document request
+ * The case goes back to in_progress (from awaiting_client) when no requests
+ * remain open. Saves the case
+ * @param {Object} caseItem - Case document
+ * @param {String} requestId - Document request ID
+ * @param {Object} user - User cancelling the request (req.user)
+ * @returns {Object} { request } or { error, statusCode }
+ */
+exports.cancelRequest = async (caseItem, requestId, user) => {
+    const request = caseItem.documentRequests.id(requestId);
+    if (!request) {
+        return { error: 'Document request not found', statusCode: 404 };
+    }
+    if (request.source !== 'adhoc') {
+        return { error: 'Only ad-hoc document requests can be cancelled', statusCode: 400 };
+    }
+    if (request.status !== 'open') {
+        return { error: `Document request is already ${request.status}`, statusCode: 400 };
+    }
+
+    request.status = 'cancelled';
+    request.cancelledAt = new Date();
+
+    await resumeIfAnswered(caseItem, user);
+
+    await ActivityTimeline.createEvent({
+        caseId: caseItem._id,
+        eventType: 'document_request_cancelled',
+        title: 'Document Request Cancelled',
+        description: ActivityTimeline.generateDescription('document_request_cancelled', {
+            documentType: request.documentType,
+            userName: user.name
+        }),
+        performedBy: {
+            userId: user.id,
+            name: user.name,
+            role: user.role
+        },
+        metadata: {
+            documentType: request.documentType,
+            additionalInfo: { requestId: request._id }
+        },
+        isVisibleToUser: true,
+        ...ActivityTimeline.getEventStyle('document_request_cancelled')
+    });
+
+    return { request };
+};
@@ -0,0 +1,354 @@
+const Case = require('../models/Case');
+const DocumentVersion = require('../models/DocumentVersion');
+const ActivityTimeline = require('../models/ActivityTimeline');
+const AuditLog = require('../models/AuditLog');
+const { storeFile, readFile, hashBuffer } = require('./storageService');
+const { detectFileType } = require('./uploadValidationService');
+const { scanBuffer } = require('./virusScanService');
+const { notifyRole } = require('./notificationService');
+const { fulfilRequests, getRequestedDocumentTypes } = require('./documentRequestService');
+const constants = require('../utils/constants');
+
+// Folders (key prefixes) in the storage backend
+const DOCUMENT_FOLDER = 'case-documents';
+const QUARANTINE_FOLDER = 'quarantine';
+
+const SCAN_FAILURES = {
+    infected: (scan) => `malware detected (${scan.signature})`,
+    error: (scan) => `virus scan failed (${scan.signature})`
+};
+
+/**
+ * Document types a case asks for: the service's required documents followed
+ * by the case's ad-hoc requests
+ * @param {Object} service - Service document (with documentsRequired)
+ * @param {Object} caseItem - Case document (with documentRequests)
+ * @returns {Array} Document types
+ */
+exports.getCaseDocumentTypes = (service, caseItem) => {
+    const required = (service && service.documentsRequired) || [];
+    const requested = caseItem ? getRequestedDocumentTypes(caseItem) : [];
+    return [...required, ...requested.filter(documentType => !required.includes(documentType))];
+};
+
+/**
+ * Check a document type against the service's required documents and the
+ * case's ad-hoc document requests
+ * Services without a list accept any document type
+ * @param {Object} service - Service document (with documentsRequired)
+ * @param {String} documentType - Requested document type
+ * @param {Object} caseItem - Case document (optional, for ad-hoc requests)
+ * @returns {String|null} Error message, null when valid
+ */
+exports.validateDocumentType = (service, documentType, caseItem = null) => {
+    if (!documentType || !documentType.trim()) {
+        return 'Please provide a document type';
+    }
+
+    if (service && service.documentsRequired && service.documentsRequired.length > 0) {
+        const allowed = exports.getCaseDocumentTypes(service, caseItem);
+        if (!allowed.includes(documentType)) {
+            return `Invalid document type. Allowed documents for this case are: ${allowed.join(', ')}`;
+        }
+    }
+
+    return null;
+};
+
+// Helper function to write the upload timeline event
+const logUploaded = (caseItem, documentVersion, user) => {
+    return ActivityTimeline.createEvent({
+        caseId: caseItem._id,
+        eventType: 'document_uploaded',
+        title: 'Document Uploaded',
+        description: ActivityTimeline.generateDescription('document_uploaded', {
+            documentType: documentVersion.documentType,
+            version: documentVersion.version,
+            userName: user.name
+        }),
+        performedBy: {
+            userId: user.id,
+            name: user.name,
+            role: user.role
+        },
+        metadata: {
+            documentType: documentVersion.documentType,
+            documentVersion: documentVersion.version
+        },
+        isVisibleToUser: true,
+        ...ActivityTimeline.getEventStyle('document_uploaded')
+    });
+};
+
+// Helper function to record a quarantined version on the timeline and tell admins
+const reportQuarantine = async (caseItem, documentVersion, reason) => {
+    await ActivityTimeline.createEvent({
+        caseId: caseItem._id,
+        eventType: 'document_quarantined',
+        title: 'Document Quarantined',
+        description: ActivityTimeline.generateDescription('document_quarantined', {
+            documentType: documentVersion.documentType,
+            version: documentVersion.version,
+            reason
+        }),
+        performedBy: {
+            userId: null,
+            name: 'System',
+            role: 'system'
+        },
+        metadata: {
+            documentType: documentVersion.documentType,
+            documentVersion: documentVersion.version,
+            additionalInfo: { scan: documentVersion.scan }
+        },
+        isVisibleToUser: false,
+        ...ActivityTimeline.getEventStyle('document_quarantined')
+    });
+
+    await notifyRole(constants.USER_ROLES.ADMIN, {
+        eventTrigger: 'document_quarantined',
+        relatedCaseId: caseItem._id,
+        data: {
+            caseId: caseItem.caseId,
+            documentType: documentVersion.documentType,
+            version: documentVersion.version,
+            reason
+        },
+        fallback: {
+            title: 'Document Quarantined',
+            message: `${documentVersion.documentType} v${documentVersion.version} on case ${caseItem.caseId} was quarantined: ${reason}.`
+        }
+    });
+};
+
+/**
+ * Find an earlier upload of the same file on a case
+ * Quarantined versions do not count, so a clean file held back during a
+ * scanner outage can be uploaded again
+ * @param {ObjectId} caseId - Case ID
+ * @param {String} checksum - SHA-256 of the file
+ * @returns {Object|null} DocumentVersion
+ */
+exports.findDuplicate = (caseId, checksum) => {
+    return DocumentVersion.findOne({
+        caseId,
+        checksum,
+        status: { $nin: ['deleted', 'quarantined'] }
+    }).select('documentType version status');
+};
+
+/**
+ * Store an uploaded file as the next version of a case document
+ * The file must pass validateUpload (uploadValidationService) first. Rejects
+ * a file already uploaded to the case, then virus scans it: clean files are
+ * written to the configured storage driver and become the active version;
+ * files that are infected or could not be scanned are stored in quarantine
+ * and never become active. A new active version closes the case's open
+ * requests for the document type. Records the timeline event and audit entry
+ * and updates the case's last activity
+ * @param {Object} options
+ * @param {Object} options.caseItem - Case document
+ * @param {String} options.documentType - Document type (e.g. "PAN Card")
+ * @param {Object} options.file - Uploaded file held in memory by the upload middleware (req.file)
+ * @param {Object} options.user - Uploader (req.user)
+ * @param {String} options.notes - Optional notes
+ * @param {Object} options.requestMeta - { ipAddress, userAgent } for the audit entry
+ * @returns {Object} { documentVersion, fulfilledRequests } or { error, statusCode, documentVersion }
+ */
+exports.createDocumentVersion = async ({ caseItem, documentType, file, user, notes, requestMeta = {} }) => {
+    const checksum = hashBuffer(file.buffer);
+
+    const duplicate = await exports.findDuplicate(caseItem._id, checksum);
+    if (duplicate) {
+        return {
+            error: `This file was already uploaded to the case as ${duplicate.documentType} version ${duplicate.version}`,
+            statusCode: 409
+        };
+    }
+
+    const scan = await scanBuffer(file.buffer);
+    const failure = SCAN_FAILURES[scan.status];
+
+    // Quarantined files get no public link
+    const stored = failure
+        ? await storeFile(file, { folder: QUARANTINE_FOLDER, isPrivate: true })
+        : await storeFile(file, { folder: DOCUMENT_FOLDER });
+    const latestVersion = await DocumentVersion.getLatestVersion(caseItem._id, documentType);
+    const detected = detectFileType(file.buffer);
+
+    const documentVersion = await DocumentVersion.create({
+        caseId: caseItem._id,
+        documentType,
+        version: latestVersion + 1,
+        fileUrl: stored.url,
+        storage: {
+            driver: stored.driver,
+            key: stored.key,
+            isPrivate: stored.isPrivate
+        },
+        checksum,
+        status: failure ? 'quarantined' : 'active',
+        scan,
+        uploadedBy: {
+            userId: user.id,
+            userRole: user.role
+        },
+        metadata: {
+            originalFileName: file.originalname,
+            fileSize: stored.size,
+            // Recorded from the content, not the type the client claimed
+            mimeType: detected && detected.mimeType ? detected.mimeType : file.mimetype,
+            format: detected && detected.format ? detected.format : undefined
+        },
+        notes
+    });
+
+    const reason = failure ? failure(scan) : null;
+    let fulfilledRequests = [];
+
+    if (failure) {
+        await reportQuarantine(caseItem, documentVersion, reason);
+    } else {
+        // Mark previous versions as superseded
+        await documentVersion.markPreviousAsSuperseded();
+        await logUploaded(caseItem, documentVersion, user);
+        fulfilledRequests = await fulfilRequests(caseItem, documentVersion, user);
+    }
+
+    await caseItem.updateActivity();
+
+    await AuditLog.log({
+        user: {
+            userId: user.id,
+            name: user.name,
+            email: user.email,
+            role: user.role
+        },
+        action: 'upload',
+        entityType: 'DocumentVersion',
+        entityId: documentVersion._id,
+        entityName: `${documentType} v${documentVersion.version}`,
+        description: failure
+            ? `Quarantined ${documentType} version ${documentVersion.version} for case ${caseItem.caseId}: ${reason}`
+            : `Uploaded ${documentType} version ${documentVersion.version} for case ${caseItem.caseId}`,
+        metadata: {
+            ipAddress: requestMeta.ipAddress,
+            userAgent: requestMeta.userAgent,
+            caseId: caseItem._id
+        },
+        severity: failure ? 'high' : 'low'
+    });
+
+    if (failure) {
+        return {
+            error: `The file was quarantined: ${reason}`,
+            statusCode: 422,
+            documentVersion
+        };
+    }
+
+    return { documentVersion, fulfilledRequests };
+};
+
+/**
+ * Scan a quarantined version again (e.g. after the scanner was unavailable)
+ * A clean result releases it: it becomes the active version (closing the
+ * case's open requests for the document type), or superseded when a newer
+ * version is already active
+ * @param {Object} documentVersion - Quarantined DocumentVersion
+ * @param {Object} user - User asking for the rescan (req.user)
+ * @returns {Object} { documentVersion, released } or { error, statusCode }
+ */
+exports.rescanDocumentVersion = async (documentVersion, user) => {
+    if (documentVersion.status !== 'quarantined') {
+        return { error: 'Only quarantined document versions can be rescanned', statusCode: 400 };
+    }
+
+    const buffer = await readFile(documentVersion);
+    const scan = await scanBuffer(buffer);
+    documentVersion.scan = scan;
+
+    if (SCAN_FAILURES[scan.status]) {
+        await documentVersion.save();
+        return { documentVersion, released: false };
+    }
+
+    const newerActive = await DocumentVersion.exists({
+        caseId: documentVersion.caseId,
+        documentType: documentVersion.documentType,
+        version: { $gt: documentVersion.version },
+        status: 'active'
+    });
+
+    documentVersion.status = newerActive ? 'superseded' : 'active';
+    await documentVersion.save();
+
+    if (!newerActive) {
+        await documentVersion.markPreviousAsSuperseded();
+
+        const caseItem = await Case.findById(documentVersion.caseId);
+        if (caseItem) {
+            await fulfilRequests(caseItem, documentVersion, user);
+        }
+    }
+
+    return { documentVersion, released: true };
+};
+
+/**
+ * Current documents of a case: the active version of each document type
+ * This is the one source for documents in case detail responses
+ * @param {ObjectId} caseId - Case ID
+ * @returns {Array} DocumentVersion records, by document type
+ */
+exports.getCaseDocuments = (caseId) => {
+    return DocumentVersion.find({ caseId, status: 'active' })
+        .populate('uploadedBy.userId', 'name role')
+        .populate('verifiedBy', 'name')
+        .sort({ documentType: 1, version: -1 });
+};
+
+/**
+ * Upload and verification status of every document a case asks for (the
+ * service's required documents and the case's ad-hoc requests)
+ * Each entry carries its latest non-cancelled request, if any
+ * @param {Object} caseItem - Case document
+ * @param {Object} service - Service document (with documentsRequired)
+ * @returns {Array} Document status entries (empty when the case asks for none)
+ */
+exports.getDocumentStatus = async (caseItem, service) => {
+    const documentTypes = exports.getCaseDocumentTypes(service, caseItem);
+    if (documentTypes.length === 0) {
+        return [];
+    }
+
+    const documentStatus = await DocumentVersion.getDocumentStatus(caseItem._id, documentTypes);
+    const required = (service && service.documentsRequired) || [];
+
+    return documentStatus.map(entry => {
+        // Open requests first, then the most recent one
+        const request = (caseItem.documentRequests || [])
+            .filter(item => item.documentType === entry.documentName && item.status !== 'cancelled')
+            .sort((a, b) => (a.status === 'open') - (b.status === 'open') || a.requestedAt - b.requestedAt)
+            .pop();
+
+        return {
+            ...entry,
+            requiredBy: required.includes(entry.documentName) ? 'service' : 'case',
+            request: request ? {
+                _id: request._id,
+                source: request.source,
+                status: request.status,
+                reason: request.reason,
+                instructions: request.instructions,
+                dueDate: request.dueDate,
+                isOverdue: request.status === 'open' && !!request.dueDate && request.dueDate < new Date(),
+                templateFile: request.templateFile && request.templateFile.fileUrl ? {
+                    originalFileName: request.templateFile.originalFileName,
+                    mimeType: request.templateFile.mimeType
+                } : null,
+                requestedAt: request.requestedAt
+            } : null
+        };
+    });
+};
@@ -3,19 +3,20 @@ const config = require('../config/config');
 
 const sendEmail = async (options) => {
   // Create a transporter
+  // Auth is optional so a local SMTP stand-in (e.g. MailHog on port 1025) can be used
   const transporter = nodemailer.createTransport({
     host: config.emailHost,
     port: config.emailPort,
-    secure: false, // true for 465, false for other ports
-    auth: {
+    secure: config.emailSecure, // true for 465, false for other ports
+    auth: config.emailUser ? {
       user: config.emailUser,
       pass: config.emailPass
-    }
+    } : undefined
   });
 
   // Define email options
   const mailOptions = {
-    from: `${config.emailUser}`,
+    from: config.emailFrom || `${config.emailUser}`,
     to: options.email,
     subject: options.subject,
     text: options.message,
@@ -23,7 +24,7 @@ const sendEmail = async (options) => {
   };
 
   // Send the email
-  await transporter.sendMail(mailOptions);
+  return transporter.sendMail(mailOptions);
 };
 
 module.exports = sendEmail;
\ No newline at end of file
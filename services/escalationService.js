@@ -0,0 +1,273 @@
+const Case = require('../models/Case');
+const User = require('../models/User');
+const AuditLog = require('../models/AuditLog');
+const ActivityTimeline = require('../models/ActivityTimeline');
+const EscalationPolicy = require('../models/EscalationPolicy');
+const { notify, notifyRole } = require('./notificationService');
+const { getCalendarForService } = require('./businessCalendarService');
+const { getRemainingBusinessHours } = require('./slaService');
+const { assignCases } = require('./assignmentService');
+const constants = require('../utils/constants');
+
+const PRIORITY_ORDER = ['low', 'medium', 'high', 'urgent'];
+
+const ACTIVE_CASE_STATUSES = { $nin: ['completed', 'closed', 'cancelled'] };
+
+const SYSTEM_USER = { id: null, name: 'System', role: 'system' };
+
+/**
+ * Check whether a rule's trigger has been reached
+ * @param {Object} rule - Escalation rule
+ * @param {Number} hoursRemaining - Business hours left (negative once breached)
+ * @returns {Boolean}
+ */
+exports.isRuleDue = (rule, hoursRemaining) => {
+    if (hoursRemaining === null) {
+        return false;
+    }
+
+    if (rule.trigger.type === 'before_deadline') {
+        return hoursRemaining > 0 && hoursRemaining <= rule.trigger.hours;
+    }
+
+    // after_breach: hours counted from the deadline
+    return hoursRemaining <= 0 && -hoursRemaining >= rule.trigger.hours;
+};
+
+/**
+ * Get the next priority level up (or the rule's target if it is higher)
+ * @param {String} current - Current case priority
+ * @param {String} target - Optional target priority
+ * @returns {String|null} New priority, or null if it would not go up
+ */
+exports.getRaisedPriority = (current, target) => {
+    const currentIndex = PRIORITY_ORDER.indexOf(current);
+    const targetIndex = target
+        ? PRIORITY_ORDER.indexOf(target)
+        : Math.min(currentIndex + 1, PRIORITY_ORDER.length - 1);
+
+    return targetIndex > currentIndex ? PRIORITY_ORDER[targetIndex] : null;
+};
+
+// Helper function to carry out a rule's action; returns a description of what was done
+const performAction = async (caseItem, rule, hoursRemaining) => {
+    const breached = hoursRemaining <= 0;
+    const hours = Math.round(Math.abs(hoursRemaining));
+    const slaNotification = {
+        eventTrigger: breached ? 'sla_breach' : 'sla_warning',
+        relatedCaseId: caseItem._id,
+        data: { caseId: caseItem.caseId, hoursRemaining: breached ? 0 : hours },
+        fallback: breached
+            ? {
+                title: 'SLA Escalation',
+                message: `Case ${caseItem.caseId} breached its SLA deadline ${hours} business hours ago.`
+            }
+            : {
+                title: 'SLA Escalation',
+                message: `Case ${caseItem.caseId} is due in ${hours} business hours.`
+            },
+        priority: breached ? 'urgent' : 'high'
+    };
+
+    switch (rule.action) {
+        case 'notify_employee': {
+            if (!caseItem.employeeId) {
+                return 'Skipped: case has no assigned employee';
+            }
+            await notify({ ...slaNotification, recipients: caseItem.employeeId });
+            return 'Notified assigned employee';
+        }
+
+        case 'notify_admins': {
+            await notifyRole(constants.USER_ROLES.ADMIN, slaNotification);
+            return 'Notified admins';
+        }
+
+        case 'notify_user': {
+            const target = await User.findOne({ _id: rule.targetUserId, isActive: true }).select('name');
+            if (!target) {
+                return 'Skipped: target user not found or inactive';
+            }
+            await notify({ ...slaNotification, recipients: target._id });
+            return `Notified ${target.name}`;
+        }
+
+        case 'reassign': {
+            const previousEmployeeId = caseItem.employeeId;
+            const [decision] = await assignCases([caseItem], {
+                excludeIds: previousEmployeeId ? [previousEmployeeId] : []
+            });
+            if (!decision.assignedTo) {
+                return `Skipped: ${decision.explanation}`;
+            }
+
+            if (previousEmployeeId) {
+                await notify({
+                    eventTrigger: 'case_assigned',
+                    recipients: previousEmployeeId,
+                    relatedCaseId: caseItem._id,
+                    data: { caseId: caseItem.caseId },
+                    fallback: {
+                        title: 'Case Reassigned',
+                        message: `Case ${caseItem.caseId} was reassigned to ${decision.assignedTo.name} after an SLA escalation.`
+                    }
+                });
+            }
+
+            return `Reassigned to ${decision.assignedTo.name}`;
+        }
+
+        case 'raise_priority': {
+            const oldPriority = caseItem.priority;
+            const newPriority = exports.getRaisedPriority(oldPriority, rule.targetPriority);
+            if (!newPriority) {
+                return `Skipped: priority already ${oldPriority}`;
+            }
+
+            caseItem.priority = newPriority;
+            await caseItem.save();
+            return `Raised priority from ${oldPriority} to ${newPriority}`;
+        }
+
+        default:
+            return `Skipped: unknown action ${rule.action}`;
+    }
+};
+
+// Helper function to record an escalation in the audit log and case timeline
+const recordEscalation = async (caseItem, policy, rule, result, hoursRemaining) => {
+    await AuditLog.log({
+        user: {
+            name: SYSTEM_USER.name,
+            role: SYSTEM_USER.role
+        },
+        action: rule.action === 'reassign' ? 'assign' : 'update',
+        entityType: 'Case',
+        entityId: caseItem._id,
+        entityName: caseItem.caseId,
+        description: `SLA escalation "${rule.name}" (policy: ${policy.name}) on case ${caseItem.caseId}: ${result}`,
+        changes: {
+            after: {
+                policyId: policy._id,
+                ruleId: rule._id,
+                action: rule.action,
+                hoursRemaining: Math.round(hoursRemaining * 10) / 10
+            }
+        },
+        severity: hoursRemaining <= 0 ? 'high' : 'medium'
+    });
+
+    await ActivityTimeline.createEvent({
+        caseId: caseItem._id,
+        eventType: 'sla_escalation',
+        title: 'SLA Escalation',
+        description: ActivityTimeline.generateDescription('sla_escalation', {
+            ruleName: rule.name,
+            actionDescription: result
+        }),
+        performedBy: {
+            userId: null,
+            name: SYSTEM_USER.name,
+            role: SYSTEM_USER.role
+        },
+        metadata: {
+            additionalInfo: {
+                policyId: policy._id,
+                ruleId: rule._id,
+                action: rule.action
+            }
+        },
+        isVisibleToUser: false,
+        ...ActivityTimeline.getEventStyle('sla_escalation')
+    });
+};
+
+/**
+ * Run escalation policies against all active cases
+ * Each rule fires at most once per case (per reopen cycle): the escalation is
+ * claimed on the case atomically before its action runs, so overlapping cron
+ * runs cannot send it twice
+ * @returns {Object} { escalatedCount }
+ */
+exports.runEscalations = async () => {
+    try {
+        if (await EscalationPolicy.countDocuments({ isActive: true }) === 0) {
+            return { escalatedCount: 0 };
+        }
+
+        const cases = await Case.find({
+            status: ACTIVE_CASE_STATUSES,
+            slaDeadline: { $ne: null },
+            slaPausedAt: null
+        });
+
+        let escalatedCount = 0;
+        const calendars = new Map();
+
+        for (const caseItem of cases) {
+            const policy = await EscalationPolicy.findForCase(caseItem);
+            if (!policy) {
+                continue;
+            }
+
+            const serviceKey = caseItem.serviceId.toString();
+            if (!calendars.has(serviceKey)) {
+                calendars.set(serviceKey, await getCalendarForService(caseItem.serviceId));
+            }
+            const hoursRemaining = await getRemainingBusinessHours(caseItem, calendars.get(serviceKey));
+            const cycle = caseItem.reopenCount || 0;
+
+            for (const rule of policy.rules) {
+                if (!exports.isRuleDue(rule, hoursRemaining)) {
+                    continue;
+                }
+
+                // Claim the escalation; skip if this rule already fired in this cycle
+                const claim = await Case.updateOne(
+                    {
+                        _id: caseItem._id,
+                        escalations: { $not: { $elemMatch: { ruleId: rule._id, cycle } } }
+                    },
+                    {
+                        $push: {
+                            escalations: {
+                                policyId: policy._id,
+                                ruleId: rule._id,
+                                ruleName: rule.name,
+                                action: rule.action,
+                                cycle,
+                                triggeredAt: new Date()
+                            }
+                        }
+                    }
+                );
+
+                if (claim.modifiedCount === 0) {
+                    continue;
+                }
+
+                let result;
+                try {
+                    result = await performAction(caseItem, rule, hoursRemaining);
+                } catch (error) {
+                    result = `Failed: ${error.message}`;
+                }
+
+                await Case.updateOne(
+                    { _id: caseItem._id },
+                    { $set: { 'escalations.$[entry].result': result } },
+                    { arrayFilters: [{ 'entry.ruleId': rule._id, 'entry.cycle': cycle }] }
+                );
+
+                await recordEscalation(caseItem, policy, rule, result, hoursRemaining);
+                escalatedCount++;
+            }
+        }
+
+        console.log(`✅ SLA Escalations: ${escalatedCount} escalations triggered`);
+        return { escalatedCount };
+    } catch (error) {
+        console.error('❌ Error running SLA escalations:', error);
+        return { escalatedCount: 0, error: error.message };
+    }
+};
@@ -0,0 +1,235 @@
+const PDFDocument = require('pdfkit');
+const QRCode = require('qrcode');
+const cloudinary = require('../config/cloudinary');
+const config = require('../config/config');
+const Payment = require('../models/Payment');
+const { storeFile, deleteFile, getDownload } = require('./storageService');
+
+// Folder (key prefix) for invoice and receipt PDFs in the storage backend
+const INVOICE_FOLDER = 'invoices';
+
+/**
+ * Split a GST-inclusive amount into taxable value and CGST/SGST
+ * @param {Number} amount - Amount paid (tax inclusive)
+ * @param {Number} rate - GST rate in percent
+ * @returns {Object} { taxableValue, cgst, sgst, totalTax, total }
+ */
+exports.calculateTaxBreakdown = (amount, rate = config.gstRate) => {
+    const total = Math.round(amount * 100) / 100;
+    const taxableValue = Math.round((total / (1 + rate / 100)) * 100) / 100;
+    const totalTax = Math.round((total - taxableValue) * 100) / 100;
+    const cgst = Math.round((totalTax / 2) * 100) / 100;
+    const sgst = Math.round((totalTax - cgst) * 100) / 100;
+
+    return { taxableValue, cgst, sgst, totalTax, total, rate };
+};
+
+/**
+ * Render an invoice or receipt PDF
+ * @param {Object} data - { type, payment, caseItem, service, customer }
+ * @returns {Buffer} PDF file contents
+ */
+exports.renderPDF = async ({ type, payment, caseItem, service, customer }) => {
+    const isReceipt = type === 'receipt';
+    const tax = exports.calculateTaxBreakdown(payment.amount);
+    const caseUrl = `${config.frontendUrl}/cases/${caseItem._id}`;
+    const qrCode = await QRCode.toBuffer(caseUrl, { margin: 1, width: 120 });
+    const formatAmount = (value) => `INR ${value.toFixed(2)}`;
+
+    return new Promise((resolve, reject) => {
+        const doc = new PDFDocument({ size: 'A4', margin: 50 });
+        const chunks = [];
+
+        doc.on('data', chunk => chunks.push(chunk));
+        doc.on('end', () => resolve(Buffer.concat(chunks)));
+        doc.on('error', reject);
+
+        // Seller details
+        doc.fontSize(18).text(config.companyName, { continued: false });
+        doc.fontSize(9).fillColor('#555555');
+        if (config.companyAddress) doc.text(config.companyAddress);
+        if (config.companyGstin) doc.text(`GSTIN: ${config.companyGstin}`);
+        doc.fillColor('#000000');
+
+        doc.image(qrCode, 445, 45, { width: 100 });
+        doc.fontSize(7).text('Scan to view case', 445, 148, { width: 100, align: 'center' });
+
+        doc.moveDown(3);
+        doc.fontSize(16).text(isReceipt ? 'PAYMENT RECEIPT' : 'TAX INVOICE', 50, 175, { align: 'center' });
+        doc.moveDown();
+
+        // Document details
+        const paidOn = new Date(payment.paymentDate).toLocaleDateString('en-IN');
+        doc.fontSize(10);
+        doc.text(`Invoice No: ${payment.invoiceNumber}`);
+        doc.text(`Date: ${paidOn}`);
+        doc.text(`Case ID: ${caseItem.caseId}`);
+        doc.text(`Transaction ID: ${payment.transactionId}`);
+        doc.moveDown();
+
+        // Buyer details
+        doc.fontSize(11).text('Billed To', { underline: true });
+        doc.fontSize(10);
+        doc.text(customer ? customer.name : '-');
+        if (customer && customer.email) doc.text(customer.email);
+        if (customer && customer.phone) doc.text(customer.phone);
+        doc.moveDown();
+
+        // Line items
+        const tableTop = doc.y + 5;
+        doc.fontSize(10).font('Helvetica-Bold');
+        doc.text('Description', 50, tableTop);
+        doc.text('Amount', 400, tableTop, { width: 145, align: 'right' });
+        doc.moveTo(50, tableTop + 15).lineTo(545, tableTop + 15).stroke();
+        doc.font('Helvetica');
+
+        const rows = [
+            [service ? service.name : 'Service', formatAmount(tax.taxableValue)],
+            [`CGST @ ${tax.rate / 2}%`, formatAmount(tax.cgst)],
+            [`SGST @ ${tax.rate / 2}%`, formatAmount(tax.sgst)]
+        ];
+
+        let y = tableTop + 25;
+        rows.forEach(([label, value]) => {
+            doc.text(label, 50, y);
+            doc.text(value, 400, y, { width: 145, align: 'right' });
+            y += 20;
+        });
+
+        doc.moveTo(50, y).lineTo(545, y).stroke();
+        doc.font('Helvetica-Bold');
+        doc.text('Total', 50, y + 10);
+        doc.text(formatAmount(tax.total), 400, y + 10, { width: 145, align: 'right' });
+        doc.font('Helvetica');
+
+        if (isReceipt) {
+            doc.moveDown(2);
+            doc.fontSize(10).text(
+                `Received ${formatAmount(tax.total)} via ${payment.paymentMethod}. Status: ${payment.status.toUpperCase()}.`,
+                50
+            );
+        }
+
+        doc.fontSize(8).fillColor('#555555').text(
+            'This is a computer generated document and does not require a signature.',
+            50,
+            760,
+            { align: 'center' }
+        );
+
+        doc.end();
+    });
+};
+
+/**
+ * Store a generated PDF privately with the configured storage driver
+ * @param {Buffer} buffer - PDF contents
+ * @param {String} name - File name without extension
+ * @returns {Object} { url, storage }
+ */
+const storePDF = async (buffer, name) => {
+    const stored = await storeFile({
+        buffer,
+        originalname: `${name}.pdf`,
+        mimetype: 'application/pdf',
+        size: buffer.length
+    }, { folder: INVOICE_FOLDER, isPrivate: true });
+
+    return {
+        url: stored.url,
+        storage: { driver: stored.driver, key: stored.key, isPrivate: stored.isPrivate }
+    };
+};
+
+// Helper function to remove a replaced PDF
+// PDFs from before private storage are public Cloudinary raw files named after the document
+const removePDF = async (url, storage, name) => {
+    try {
+        if (storage && storage.key) {
+            await deleteFile({ fileUrl: url, storage });
+        } else if (url) {
+            await cloudinary.uploader.destroy(`${INVOICE_FOLDER}/${name}.pdf`, { resource_type: 'raw' });
+        }
+    } catch (error) {
+        console.error(`Error removing replaced PDF ${name}:`, error);
+    }
+};
+
+/**
+ * Generate and store invoice and receipt PDFs for a payment
+ * @param {ObjectId|Object} paymentOrId - Payment document or ID
+ * @returns {Object|null} Updated payment, or null on failure
+ */
+exports.generateDocuments = async (paymentOrId) => {
+    try {
+        const payment = await Payment.findById(paymentOrId._id || paymentOrId)
+            .populate({
+                path: 'caseId',
+                select: 'caseId endUserId serviceId',
+                populate: [
+                    { path: 'endUserId', select: 'name email phone' },
+                    { path: 'serviceId', select: 'name type' }
+                ]
+            });
+
+        if (!payment || !payment.caseId) {
+            return null;
+        }
+
+        const caseItem = payment.caseId;
+        const data = {
+            payment,
+            caseItem,
+            service: caseItem.serviceId,
+            customer: caseItem.endUserId
+        };
+
+        const invoice = await exports.renderPDF({ ...data, type: 'invoice' });
+        const receipt = await exports.renderPDF({ ...data, type: 'receipt' });
+
+        const storedInvoice = await storePDF(invoice, payment.invoiceNumber);
+        const storedReceipt = await storePDF(receipt, `${payment.invoiceNumber}-receipt`);
+
+        const now = new Date();
+        const updated = await Payment.findByIdAndUpdate(
+            payment._id,
+            {
+                invoiceUrl: storedInvoice.url,
+                invoiceStorage: storedInvoice.storage,
+                receiptUrl: storedReceipt.url,
+                receiptStorage: storedReceipt.storage,
+                invoiceGeneratedAt: now,
+                receiptGeneratedAt: now
+            },
+            { new: true }
+        );
+
+        // Regenerated PDFs replace the earlier files
+        await removePDF(payment.invoiceUrl, payment.invoiceStorage, payment.invoiceNumber);
+        await removePDF(payment.receiptUrl, payment.receiptStorage, `${payment.invoiceNumber}-receipt`);
+
+        return updated;
+    } catch (error) {
+        console.error('Error generating invoice documents:', error);
+        return null;
+    }
+};
+
+/**
+ * Get a download for a payment's invoice or receipt PDF
+ * @param {Object} payment - Payment with generated documents
+ * @param {String} type - invoice or receipt
+ * @returns {Object} { url } (signed link) or { stream } to send through the API, plus fileName
+ */
+exports.getDocumentDownload = async (payment, type) => {
+    const isReceipt = type === 'receipt';
+    const fileName = `${payment.invoiceNumber}${isReceipt ? '-receipt' : ''}.pdf`;
+
+    const download = await getDownload({
+        fileUrl: isReceipt ? payment.receiptUrl : payment.invoiceUrl,
+        storage: isReceipt ? payment.receiptStorage : payment.invoiceStorage,
+        metadata: { originalFileName: fileName, mimeType: 'application/pdf' }
+    });
+
+    return { ...download, fileName };
+};
@@ -0,0 +1,244 @@
+const User = require('../models/User');
+const Notification = require('../models/Notification');
+const NotificationTemplate = require('../models/NotificationTemplate');
+const { enqueue } = require('./outboxService');
+const constants = require('../utils/constants');
+
+const { IN_APP, EMAIL, SMS } = constants.NOTIFICATION_TYPES;
+
+// NotificationTemplate.type value for each delivery channel
+const TEMPLATE_TYPES = {
+    [IN_APP]: 'app',
+    [EMAIL]: 'email',
+    [SMS]: 'sms'
+};
+
+const toMinutes = (time) => {
+    const [h, m] = time.split(':').map(Number);
+    return h * 60 + m;
+};
+
+/**
+ * Minutes since local midnight in a timezone
+ * @param {Date} now - Moment to convert
+ * @param {String} timezone - IANA timezone
+ * @returns {Number}
+ */
+const getLocalMinutes = (now, timezone) => {
+    const parts = new Intl.DateTimeFormat('en-GB', {
+        timeZone: timezone || 'Asia/Kolkata',
+        hour: '2-digit',
+        minute: '2-digit',
+        hourCycle: 'h23'
+    }).formatToParts(now);
+
+    const hour = Number(parts.find(p => p.type === 'hour').value);
+    const minute = Number(parts.find(p => p.type === 'minute').value);
+    return hour * 60 + minute;
+};
+
+/**
+ * Check whether a moment falls inside a user's quiet hours
+ * @param {Object} quietHours - { enabled, start, end, timezone } with HH:mm times
+ * @param {Date} now - Moment to check
+ * @returns {Boolean}
+ */
+exports.isWithinQuietHours = (quietHours, now = new Date()) => {
+    if (!quietHours || !quietHours.enabled) {
+        return false;
+    }
+
+    const current = getLocalMinutes(now, quietHours.timezone);
+    const start = toMinutes(quietHours.start);
+    const end = toMinutes(quietHours.end);
+
+    // Window may wrap past midnight (e.g. 22:00 - 07:00)
+    return start <= end
+        ? current >= start && current < end
+        : current >= start || current < end;
+};
+
+/**
+ * Get the moment a user's current quiet hours end
+ * @param {Object} quietHours - { enabled, start, end, timezone } with HH:mm times
+ * @param {Date} now - Current moment
+ * @returns {Date|null} End of quiet hours, or null if not currently inside them
+ */
+exports.getQuietHoursEnd = (quietHours, now = new Date()) => {
+    if (!exports.isWithinQuietHours(quietHours, now)) {
+        return null;
+    }
+
+    const current = getLocalMinutes(now, quietHours.timezone);
+    const minutesLeft = (toMinutes(quietHours.end) - current + 1440) % 1440;
+
+    const end = new Date(now.getTime() + minutesLeft * 60 * 1000);
+    end.setSeconds(0, 0);
+    return end;
+};
+
+/**
+ * Decide whether an external channel may be used for a recipient
+ * Quiet hours do not skip a channel; they only defer sending (see notify)
+ * @param {Object} user - Recipient with notificationPreferences
+ * @param {String} channel - email or sms
+ * @param {String} eventTrigger - Event being notified
+ * @returns {String|null} Reason the channel is skipped, or null if allowed
+ */
+exports.getSkipReason = (user, channel, eventTrigger) => {
+    const prefs = user.notificationPreferences || {};
+
+    if (channel === EMAIL && (prefs.email === false || !user.email)) {
+        return 'disabled_by_user';
+    }
+    if (channel === SMS && (!prefs.sms || !user.phone)) {
+        return 'disabled_by_user';
+    }
+    if ((prefs.mutedEvents || []).includes(eventTrigger)) {
+        return 'event_muted';
+    }
+
+    return null;
+};
+
+/**
+ * Notify users about an event over in-app, email and SMS
+ *
+ * For each recipient the active template matching the event, the recipient's
+ * role and the channel is rendered. In-app always delivers, using `fallback`
+ * when no app template exists; email and SMS are only queued in the outbox
+ * when a template for that channel exists and the recipient's preferences
+ * allow it. During quiet hours they are held until the quiet hours end,
+ * unless the priority is urgent. The outbox worker updates the delivery
+ * status on the Notification once the message is sent or gives up.
+ *
+ * @param {Object} options
+ * @param {String} options.eventTrigger - NotificationTemplate event trigger
+ * @param {Array|ObjectId|Object} options.recipients - User IDs or documents
+ * @param {Object} options.data - Template variables (userName is filled per recipient)
+ * @param {Object} options.fallback - { title, message } used when no in-app template exists
+ * @param {ObjectId} options.relatedCaseId - Related case
+ * @param {String} options.priority - Overrides the template priority
+ * @returns {Array} Created in-app notifications
+ */
+exports.notify = async ({
+    eventTrigger,
+    recipients,
+    data = {},
+    fallback,
+    relatedCaseId = null,
+    priority
+}) => {
+    const notifications = [];
+    const templateCache = new Map();
+
+    const getTemplate = async (role, channel) => {
+        const key = `${role}:${channel}`;
+        if (!templateCache.has(key)) {
+            templateCache.set(key, await NotificationTemplate.getByEvent(eventTrigger, role, TEMPLATE_TYPES[channel]));
+        }
+        return templateCache.get(key);
+    };
+
+    const list = Array.isArray(recipients) ? recipients : [recipients];
+
+    for (const recipient of list.filter(Boolean)) {
+        try {
+            const user = await User.findById(recipient._id || recipient)
+                .select('name email phone role notificationPreferences');
+
+            if (!user) {
+                continue;
+            }
+
+            const variables = { userName: user.name, ...data };
+            const usedTemplates = [];
+
+            // In-app
+            const appTemplate = await getTemplate(user.role, IN_APP);
+            const appContent = appTemplate
+                ? appTemplate.render(variables)
+                : { title: fallback.title, body: fallback.message, priority: 'medium' };
+            if (appTemplate) usedTemplates.push(appTemplate);
+
+            const effectivePriority = priority || appContent.priority || 'medium';
+
+            const notification = await Notification.create({
+                recipientId: user._id,
+                type: IN_APP,
+                title: appContent.title,
+                message: appContent.body,
+                relatedCaseId,
+                eventTrigger,
+                priority: effectivePriority,
+                deliveries: [{ channel: IN_APP, status: 'sent', sentAt: new Date() }]
+            });
+
+            // Email and SMS
+            const deliveries = [];
+            for (const channel of [EMAIL, SMS]) {
+                const template = await getTemplate(user.role, channel);
+
+                if (!template) {
+                    deliveries.push({ channel, status: 'skipped', reason: 'no_template' });
+                    continue;
+                }
+
+                const skipReason = exports.getSkipReason(user, channel, eventTrigger);
+                if (skipReason) {
+                    deliveries.push({ channel, status: 'skipped', reason: skipReason });
+                    continue;
+                }
+
+                const sendAfter = effectivePriority === 'urgent'
+                    ? null
+                    : exports.getQuietHoursEnd(user.notificationPreferences?.quietHours);
+                const rendered = template.render(variables);
+
+                try {
+                    await enqueue({
+                        channel,
+                        to: channel === EMAIL ? user.email : user.phone,
+                        subject: rendered.title,
+                        message: channel === EMAIL ? rendered.body : `${rendered.title}: ${rendered.body}`,
+                        recipientId: user._id,
+                        notificationId: notification._id,
+                        eventTrigger,
+                        sendAfter
+                    });
+                    deliveries.push({ channel, status: 'queued', reason: sendAfter ? 'quiet_hours' : undefined });
+                    usedTemplates.push(template);
+                } catch (error) {
+                    deliveries.push({ channel, status: 'failed', reason: error.message });
+                }
+            }
+
+            await Notification.updateOne(
+                { _id: notification._id },
+                { $push: { deliveries: { $each: deliveries } } }
+            );
+            notification.deliveries.push(...deliveries);
+
+            for (const template of usedTemplates) {
+                await template.incrementUsage();
+            }
+
+            notifications.push(notification);
+        } catch (error) {
+            console.error(`Error sending ${eventTrigger} notification:`, error);
+        }
+    }
+
+    return notifications;
+};
+
+/**
+ * Notify every active user with a role
+ * @param {String} role - User role (e.g. admin)
+ * @param {Object} options - Same options as notify, without recipients
+ * @returns {Array} Created in-app notifications
+ */
+exports.notifyRole = async (role, options) => {
+    const users = await User.find({ role, isActive: true }).select('_id');
+    return exports.notify({ ...options, recipients: users });
+};
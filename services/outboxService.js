@@ -0,0 +1,194 @@
+const OutboundMessage = require('../models/OutboundMessage');
+const Notification = require('../models/Notification');
+const sendEmail = require('./emailService');
+const sendSMS = require('./smsService');
+const config = require('../config/config');
+
+// A message stuck in "processing" longer than this is assumed to belong to a crashed worker
+const STALE_LOCK_MINUTES = 10;
+
+let isProcessing = false;
+
+/**
+ * Queue an email or SMS for delivery by the outbox worker
+ * @param {Object} options
+ * @param {String} options.channel - email or sms
+ * @param {String} options.to - Email address or phone number
+ * @param {String} options.subject - Email subject (ignored for SMS)
+ * @param {String} options.message - Plain text body
+ * @param {String} options.html - Optional HTML body for email
+ * @param {ObjectId} options.recipientId - Recipient user
+ * @param {ObjectId} options.notificationId - In-app notification whose delivery status is tracked
+ * @param {String} options.eventTrigger - Event that caused the message
+ * @param {Date} options.sendAfter - Do not send before this time
+ * @param {Boolean} options.sensitive - Body holds a secret; it is cleared once the message is sent or fails for good
+ * @returns {Object} Queued OutboundMessage
+ */
+exports.enqueue = async ({
+    channel,
+    to,
+    subject,
+    message,
+    html,
+    recipientId,
+    notificationId,
+    eventTrigger,
+    sendAfter,
+    sensitive = false
+}) => {
+    return OutboundMessage.create({
+        channel,
+        to,
+        subject,
+        message,
+        html,
+        recipientId,
+        notificationId,
+        eventTrigger,
+        sensitive,
+        maxAttempts: config.outboxMaxAttempts,
+        nextAttemptAt: sendAfter || new Date()
+    });
+};
+
+/**
+ * Mirror the outcome of a message onto its in-app notification
+ * @param {Object} message - OutboundMessage
+ */
+const updateNotificationDelivery = async (message) => {
+    if (!message.notificationId) {
+        return;
+    }
+
+    const status = message.status === 'sent' ? 'sent'
+        : message.status === 'failed' ? 'failed'
+            : 'queued';
+
+    const update = { 'deliveries.$.status': status };
+    if (status === 'sent') {
+        update['deliveries.$.sentAt'] = message.sentAt;
+    } else if (message.lastError) {
+        update['deliveries.$.reason'] = message.lastError;
+    }
+
+    await Notification.updateOne(
+        { _id: message.notificationId, 'deliveries.channel': message.channel },
+        { $set: update }
+    );
+};
+
+/**
+ * Send one claimed message and record the result
+ * @param {Object} message - OutboundMessage in processing state
+ */
+const deliver = async (message) => {
+    try {
+        let result;
+        if (message.channel === 'email') {
+            result = await sendEmail({
+                email: message.to,
+                subject: message.subject,
+                message: message.message,
+                html: message.html
+            });
+        } else {
+            result = await sendSMS({
+                phone: message.to,
+                message: message.message
+            });
+        }
+
+        message.status = 'sent';
+        message.sentAt = new Date();
+        message.lockedAt = undefined;
+        message.providerMessageId = result && (result.messageId || result.sid);
+    } catch (error) {
+        message.recordFailure(error, config.outboxRetryBaseSeconds);
+    }
+
+    // Secrets stay in the outbox only while the message may still be sent
+    if (message.status === 'sent' || message.status === 'failed') {
+        message.redactBody();
+    }
+
+    await message.save();
+    await updateNotificationDelivery(message);
+};
+
+/**
+ * Send due messages from the outbox
+ * Messages are claimed one at a time with an atomic update so several
+ * server instances can run the worker without sending a message twice
+ * @param {Number} batchSize - Maximum number of messages to send in this run
+ * @returns {Object} { processed, sent, failed, retrying }
+ */
+exports.processOutbox = async (batchSize = config.outboxBatchSize) => {
+    const summary = { processed: 0, sent: 0, failed: 0, retrying: 0 };
+
+    // Skip if the previous run is still going
+    if (isProcessing) {
+        return summary;
+    }
+    isProcessing = true;
+
+    try {
+        // Release messages left locked by a crashed worker
+        await OutboundMessage.updateMany(
+            {
+                status: 'processing',
+                lockedAt: { $lt: new Date(Date.now() - STALE_LOCK_MINUTES * 60 * 1000) }
+            },
+            { $set: { status: 'pending' }, $unset: { lockedAt: 1 } }
+        );
+
+        while (summary.processed < batchSize) {
+            const now = new Date();
+            const message = await OutboundMessage.findOneAndUpdate(
+                { status: 'pending', nextAttemptAt: { $lte: now } },
+                { $set: { status: 'processing', lockedAt: now }, $inc: { attempts: 1 } },
+                { sort: { nextAttemptAt: 1 }, new: true }
+            );
+
+            if (!message) {
+                break;
+            }
+
+            await deliver(message);
+
+            summary.processed++;
+            if (message.status === 'sent') summary.sent++;
+            else if (message.status === 'failed') summary.failed++;
+            else summary.retrying++;
+        }
+
+        if (summary.processed > 0) {
+            console.log(`✅ Outbox: ${summary.sent} sent, ${summary.retrying} retrying, ${summary.failed} failed`);
+        }
+        return summary;
+    } catch (error) {
+        console.error('❌ Error processing outbox:', error);
+        return { ...summary, error: error.message };
+    } finally {
+        isProcessing = false;
+    }
+};
+
+/**
+ * Put a failed message back in the queue
+ * Sensitive messages cannot be resent: their body was removed
+ * @param {ObjectId} messageId - OutboundMessage ID
+ * @returns {Object|null} Requeued message, or null if it cannot be resent
+ */
+exports.resendMessage = async (messageId) => {
+    const message = await OutboundMessage.findById(messageId);
+
+    if (!message || message.status !== 'failed' || message.sensitive) {
+        return null;
+    }
+
+    message.requeue();
+    await message.save();
+    await updateNotificationDelivery(message);
+
+    return message;
+};
@@ -1,3 +1,4 @@
+const crypto = require('crypto');
 const Razorpay = require('razorpay');
 const config = require('../config/config');
 
@@ -51,7 +52,49 @@ const verifyPayment = async (paymentDetails, testMode = false) => {
   }
 };
 
+const verifyWebhookSignature = (rawBody, signature) => {
+  if (!rawBody || !signature || !config.razorpayWebhookSecret) {
+    return false;
+  }
+
+  const expected = crypto.createHmac('sha256', config.razorpayWebhookSecret)
+    .update(rawBody)
+    .digest('hex');
+
+  const expectedBuffer = Buffer.from(expected);
+  const signatureBuffer = Buffer.from(String(signature));
+
+  return expectedBuffer.length === signatureBuffer.length &&
+    crypto.timingSafeEqual(expectedBuffer, signatureBuffer);
+};
+
+const createRefund = async (paymentId, amount, notes = {}, testMode = false) => {
+  try {
+    if (testMode) {
+      return {
+        id: `rfnd_test_${Date.now()}`,
+        payment_id: paymentId,
+        amount: Math.round(amount * 100),
+        currency: 'INR',
+        status: 'processed',
+        test_mode: true
+      };
+    }
+
+    const refund = await razorpay.payments.refund(paymentId, {
+      amount: Math.round(amount * 100), // Razorpay expects amount in paise
+      notes
+    });
+    return refund;
+  } catch (error) {
+    console.error('Error creating Razorpay refund:', error);
+    throw error;
+  }
+};
+
 module.exports = {
   createOrder,
-  verifyPayment
+  verifyPayment,
+  verifyWebhookSignature,
+  createRefund
 };
\ No newline at end of file
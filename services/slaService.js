@@ -1,16 +1,25 @@
+const mongoose = require('mongoose');
 const Case = require('../models/Case');
 const WorkflowTemplate = require('../models/WorkflowTemplate');
-const Notification = require('../models/Notification');
-const NotificationTemplate = require('../models/NotificationTemplate');
 const ActivityTimeline = require('../models/ActivityTimeline');
+const EscalationPolicy = require('../models/EscalationPolicy');
+const { notify } = require('./notificationService');
+const {
+    getCalendarForService,
+    addBusinessHours,
+    businessHoursBetween
+} = require('./businessCalendarService');
+const { pauseCurrentStep, resumeCurrentStep } = require('./workflowStepService');
 
 /**
  * Calculate SLA deadline based on workflow template
+ * The template duration is counted in business hours of the service's calendar
  * @param {ObjectId} workflowTemplateId - Workflow template ID
  * @param {Date} startDate - Start date (usually case creation or assignment date)
+ * @param {ObjectId} serviceId - Service whose calendar applies (defaults to the template's service)
  * @returns {Date} SLA deadline
  */
-exports.calculateSLADeadline = async (workflowTemplateId, startDate = new Date()) => {
+exports.calculateSLADeadline = async (workflowTemplateId, startDate = new Date(), serviceId = null) => {
     try {
         const template = await WorkflowTemplate.findById(workflowTemplateId);
 
@@ -18,57 +27,130 @@ exports.calculateSLADeadline = async (workflowTemplateId, startDate = new Date()
             return null;
         }
 
+        const calendar = await getCalendarForService(serviceId || template.serviceType);
         const durationInHours = template.totalEstimatedDuration || 0;
-        const deadline = new Date(startDate);
-        deadline.setHours(deadline.getHours() + durationInHours);
 
-        return deadline;
+        return addBusinessHours(startDate, durationInHours, calendar);
     } catch (error) {
         console.error('Error calculating SLA deadline:', error);
         return null;
     }
 };
 
+/**
+ * Get business hours left before a case's SLA deadline
+ * While the SLA is paused the clock is frozen at the moment it was paused
+ * @param {Object} caseItem - Case document
+ * @param {Object} calendar - Business calendar (looked up from the service if omitted)
+ * @returns {Number|null} Business hours remaining (negative when overdue), null if no SLA
+ */
+exports.getRemainingBusinessHours = async (caseItem, calendar = null) => {
+    if (!caseItem.slaDeadline) {
+        return null;
+    }
+
+    const cal = calendar || await getCalendarForService(caseItem.serviceId);
+    const from = caseItem.slaPausedAt || new Date();
+
+    return businessHoursBetween(from, caseItem.slaDeadline, cal);
+};
+
 /**
  * Check SLA status for a case
  * @param {Object} caseItem - Case document
- * @returns {String} SLA status: on_time, at_risk, breached, not_set
+ * @param {Object} calendar - Business calendar (looked up from the service if omitted)
+ * @returns {String} SLA status: on_time, at_risk, breached, paused, not_set
  */
-exports.checkSLAStatus = (caseItem) => {
+exports.checkSLAStatus = async (caseItem, calendar = null) => {
     if (!caseItem.slaDeadline) {
         return 'not_set';
     }
 
-    const now = new Date();
-    const deadline = new Date(caseItem.slaDeadline);
-    const hoursRemaining = (deadline - now) / (1000 * 60 * 60);
+    const cal = calendar || await getCalendarForService(caseItem.serviceId);
+    const hoursRemaining = await exports.getRemainingBusinessHours(caseItem, cal);
 
-    if (now > deadline) {
+    if (hoursRemaining <= 0) {
         return 'breached';
-    } else if (hoursRemaining <= 24) {
+    } else if (caseItem.slaPausedAt) {
+        return 'paused';
+    } else if (hoursRemaining <= cal.atRiskHours) {
         return 'at_risk';
     } else {
         return 'on_time';
     }
 };
 
+/**
+ * Stop the SLA clock (e.g. while the case waits on the client)
+ * Changes the case without saving it
+ * @param {Object} caseItem - Case document
+ * @param {Date} now - Moment the clock stops
+ */
+exports.pauseSLA = async (caseItem, now = new Date()) => {
+    pauseCurrentStep(caseItem, now);
+
+    if (!caseItem.slaDeadline || caseItem.slaPausedAt) {
+        return;
+    }
+
+    caseItem.slaPausedAt = now;
+    caseItem.slaStatus = await exports.checkSLAStatus(caseItem);
+};
+
+/**
+ * Restart a paused SLA clock
+ * The deadline moves out by the business time that remained when the clock
+ * stopped; a case that had already breached keeps its deadline
+ * Changes the case without saving it
+ * @param {Object} caseItem - Case document
+ * @param {Date} now - Moment the clock restarts
+ */
+exports.resumeSLA = async (caseItem, now = new Date()) => {
+    const calendar = await getCalendarForService(caseItem.serviceId);
+    resumeCurrentStep(caseItem, calendar, now);
+
+    if (!caseItem.slaPausedAt) {
+        return;
+    }
+    const pausedAt = caseItem.slaPausedAt;
+    const remaining = businessHoursBetween(pausedAt, caseItem.slaDeadline, calendar);
+
+    if (remaining > 0) {
+        caseItem.slaDeadline = addBusinessHours(now, remaining, calendar);
+    }
+
+    caseItem.slaPausedHours = (caseItem.slaPausedHours || 0) +
+        Math.max(0, businessHoursBetween(pausedAt, now, calendar));
+    caseItem.slaPausedAt = null;
+    caseItem.slaStatus = await exports.checkSLAStatus(caseItem, calendar);
+};
+
 /**
  * Update SLA status for all active cases
  * This should be run as a cron job
  */
 exports.updateAllSLAStatuses = async () => {
     try {
+        // Paused cases are frozen until the client responds
         const activeCases = await Case.find({
             status: { $nin: ['completed', 'closed', 'cancelled'] },
-            slaDeadline: { $ne: null }
+            slaDeadline: { $ne: null },
+            slaPausedAt: null
         });
 
         let updatedCount = 0;
         const alerts = [];
+        const calendars = new Map();
 
         for (const caseItem of activeCases) {
+            const serviceKey = caseItem.serviceId.toString();
+            if (!calendars.has(serviceKey)) {
+                calendars.set(serviceKey, await getCalendarForService(caseItem.serviceId));
+            }
+            const calendar = calendars.get(serviceKey);
+
             const oldStatus = caseItem.slaStatus;
-            const newStatus = exports.checkSLAStatus(caseItem);
+            const newStatus = await exports.checkSLAStatus(caseItem, calendar);
 
             if (oldStatus !== newStatus) {
                 caseItem.slaStatus = newStatus;
@@ -77,6 +159,10 @@ exports.updateAllSLAStatuses = async () => {
 
                 // Send alerts for at-risk and breached cases
                 if (newStatus === 'at_risk' || newStatus === 'breached') {
+                    const hoursRemaining = newStatus === 'at_risk'
+                        ? Math.round(await exports.getRemainingBusinessHours(caseItem, calendar))
+                        : 0;
+
                     alerts.push({
                         caseId: caseItem._id,
                         caseNumber: caseItem.caseId,
@@ -91,11 +177,7 @@ exports.updateAllSLAStatuses = async () => {
                         title: newStatus === 'at_risk' ? 'SLA Warning' : 'SLA Breached',
                         description: ActivityTimeline.generateDescription(
                             newStatus === 'at_risk' ? 'sla_warning' : 'sla_breach',
-                            {
-                                hoursRemaining: newStatus === 'at_risk'
-                                    ? Math.round((new Date(caseItem.slaDeadline) - new Date()) / (1000 * 60 * 60))
-                                    : 0
-                            }
+                            { hoursRemaining }
                         ),
                         performedBy: {
                             userId: null,
@@ -106,32 +188,24 @@ exports.updateAllSLAStatuses = async () => {
                         ...ActivityTimeline.getEventStyle(newStatus === 'at_risk' ? 'sla_warning' : 'sla_breach')
                     });
 
-                    // Send notification to assigned employee
-                    if (caseItem.employeeId) {
-                        const template = await NotificationTemplate.getByEvent(
-                            newStatus === 'at_risk' ? 'sla_warning' : 'sla_breach',
-                            'employee'
-                        );
-
-                        if (template) {
-                            const rendered = template.render({
-                                caseId: caseItem.caseId,
-                                hoursRemaining: newStatus === 'at_risk'
-                                    ? Math.round((new Date(caseItem.slaDeadline) - new Date()) / (1000 * 60 * 60))
-                                    : 0
-                            });
-
-                            await Notification.create({
-                                recipientId: caseItem.employeeId,
-                                type: 'IN_APP',
-                                title: rendered.title,
-                                message: rendered.body,
-                                priority: rendered.priority,
-                                relatedCaseId: caseItem._id
-                            });
-
-                            await template.incrementUsage();
-                        }
+                    // Send notification to assigned employee, unless an escalation
+                    // policy covers the case (its rules decide who is told and when)
+                    if (caseItem.employeeId && !(await EscalationPolicy.findForCase(caseItem))) {
+                        await notify({
+                            eventTrigger: newStatus === 'at_risk' ? 'sla_warning' : 'sla_breach',
+                            recipients: caseItem.employeeId,
+                            relatedCaseId: caseItem._id,
+                            data: { caseId: caseItem.caseId, hoursRemaining },
+                            fallback: newStatus === 'at_risk'
+                                ? {
+                                    title: 'SLA Warning',
+                                    message: `Case ${caseItem.caseId} is due in ${hoursRemaining} business hours.`
+                                }
+                                : {
+                                    title: 'SLA Breached',
+                                    message: `Case ${caseItem.caseId} has breached its SLA deadline.`
+                                }
+                        });
                     }
                 }
             }
@@ -147,10 +221,12 @@ exports.updateAllSLAStatuses = async () => {
 
 /**
  * Get cases with SLA breaches or at risk
+ * Each case carries the business hours left on its SLA (negative when overdue)
  * @param {String} status - Filter by SLA status (at_risk or breached)
+ * @param {Object} filters - { serviceId, employeeId }
  * @returns {Array} Cases
  */
-exports.getSLAAlerts = async (status = null) => {
+exports.getSLAAlerts = async (status = null, { serviceId, employeeId } = {}) => {
     try {
         const query = {
             status: { $nin: ['completed', 'closed', 'cancelled'] }
@@ -161,6 +237,8 @@ exports.getSLAAlerts = async (status = null) => {
         } else {
             query.slaStatus = { $in: ['at_risk', 'breached'] };
         }
+        if (serviceId) query.serviceId = serviceId;
+        if (employeeId) query.employeeId = employeeId;
 
         const cases = await Case.find(query)
             .populate('endUserId', 'name email phone')
@@ -168,13 +246,190 @@ exports.getSLAAlerts = async (status = null) => {
             .populate('serviceId', 'name type')
             .sort({ slaDeadline: 1 });
 
-        return cases;
+        const calendars = new Map();
+        const alerts = [];
+
+        for (const caseItem of cases) {
+            const service = caseItem.serviceId;
+            const serviceKey = service ? service._id.toString() : null;
+            if (!calendars.has(serviceKey)) {
+                calendars.set(serviceKey, await getCalendarForService(service ? service._id : null));
+            }
+
+            const hoursRemaining = await exports.getRemainingBusinessHours(caseItem, calendars.get(serviceKey));
+
+            alerts.push({
+                ...caseItem.toObject(),
+                hoursRemaining: hoursRemaining === null ? null : Math.round(hoursRemaining * 10) / 10
+            });
+        }
+
+        return alerts;
     } catch (error) {
         console.error('Error getting SLA alerts:', error);
         return [];
     }
 };
 
+/**
+ * Count open cases by SLA status
+ * @param {Object} filters - { serviceId, employeeId }
+ * @returns {Object} { on_time, at_risk, breached, paused, not_set }
+ */
+exports.getOpenSLASummary = async ({ serviceId, employeeId } = {}) => {
+    const match = { status: { $nin: ['completed', 'closed', 'cancelled'] } };
+    if (serviceId) match.serviceId = new mongoose.Types.ObjectId(serviceId);
+    if (employeeId) match.employeeId = new mongoose.Types.ObjectId(employeeId);
+
+    const counts = await Case.aggregate([
+        { $match: match },
+        { $group: { _id: '$slaStatus', count: { $sum: 1 } } }
+    ]);
+
+    const summary = { on_time: 0, at_risk: 0, breached: 0, paused: 0, not_set: 0 };
+    counts.forEach(({ _id, count }) => {
+        summary[_id || 'not_set'] += count;
+    });
+
+    return summary;
+};
+
+// Helper function to format a date as YYYY-MM in a timezone
+const getMonthKey = (date, timezone) => {
+    const parts = new Intl.DateTimeFormat('en-US', {
+        timeZone: timezone,
+        year: 'numeric',
+        month: '2-digit'
+    }).formatToParts(date);
+    const get = (type) => parts.find(p => p.type === type).value;
+
+    return `${get('year')}-${get('month')}`;
+};
+
+// Helper function to compute compliance figures for a group of resolved cases
+const summarizeCompliance = (rows) => {
+    const round = (value) => Math.round(value * 10) / 10;
+    const average = (values) => values.length
+        ? round(values.reduce((sum, value) => sum + value, 0) / values.length)
+        : null;
+    const breached = rows.filter(row => row.breached).length;
+    // Target figures only cover cases that followed a workflow template
+    const withTarget = rows.filter(row => row.targetHours !== null);
+
+    return {
+        resolved: rows.length,
+        breached,
+        breachRate: rows.length ? round((breached / rows.length) * 100) : 0,
+        meanResolutionHours: average(rows.map(row => row.resolutionHours)),
+        meanTargetHours: average(withTarget.map(row => row.targetHours)),
+        meanVarianceHours: average(withTarget.map(row => row.resolutionHours - row.targetHours))
+    };
+};
+
+// Helper function to group rows by a key and summarize each group
+const groupCompliance = (rows, getKey, getLabel) => {
+    const groups = new Map();
+    rows.forEach(row => {
+        const key = getKey(row);
+        if (!groups.has(key)) groups.set(key, []);
+        groups.get(key).push(row);
+    });
+
+    return [...groups.entries()].map(([key, groupRows]) => ({
+        ...getLabel(key, groupRows[0]),
+        ...summarizeCompliance(groupRows)
+    }));
+};
+
+/**
+ * SLA compliance report for cases resolved in a period
+ * A case breached when it was completed after its SLA deadline. Resolution
+ * time is counted in business hours from creation to completion, less any
+ * time the SLA was paused, and compared with the workflow template's
+ * estimated duration (the SLA target)
+ * @param {Object} filters - { startDate, endDate, serviceId, employeeId }
+ * @returns {Object} { period, summary, byService, byEmployee, byMonth }
+ */
+exports.getSLAComplianceReport = async ({ startDate, endDate, serviceId, employeeId } = {}) => {
+    const end = endDate ? new Date(endDate) : new Date();
+    const start = startDate
+        ? new Date(startDate)
+        : new Date(end.getFullYear(), end.getMonth() - 5, 1); // Last six calendar months
+
+    const query = {
+        completedAt: { $gte: start, $lte: end },
+        slaDeadline: { $ne: null }
+    };
+    if (serviceId) query.serviceId = serviceId;
+    if (employeeId) query.employeeId = employeeId;
+
+    const cases = await Case.find(query)
+        .select('caseId serviceId employeeId workflowTemplateId createdAt completedAt slaDeadline slaPausedHours')
+        .populate('serviceId', 'name')
+        .populate('employeeId', 'name email')
+        .populate('workflowTemplateId', 'totalEstimatedDuration')
+        .lean();
+
+    const calendars = new Map();
+    const rows = [];
+
+    for (const caseItem of cases) {
+        const service = caseItem.serviceId;
+        const serviceKey = service ? service._id.toString() : null;
+        if (!calendars.has(serviceKey)) {
+            calendars.set(serviceKey, await getCalendarForService(service ? service._id : null));
+        }
+        const calendar = calendars.get(serviceKey);
+
+        const template = caseItem.workflowTemplateId;
+        const resolutionHours = Math.max(
+            0,
+            businessHoursBetween(caseItem.createdAt, caseItem.completedAt, calendar) - (caseItem.slaPausedHours || 0)
+        );
+
+        rows.push({
+            service,
+            employee: caseItem.employeeId,
+            month: getMonthKey(caseItem.completedAt, calendar.timezone),
+            breached: caseItem.completedAt > caseItem.slaDeadline,
+            resolutionHours,
+            targetHours: template && template.totalEstimatedDuration ? template.totalEstimatedDuration : null
+        });
+    }
+
+    const byService = groupCompliance(
+        rows,
+        row => (row.service ? row.service._id.toString() : 'none'),
+        (key, row) => ({
+            serviceId: row.service ? row.service._id : null,
+            serviceName: row.service ? row.service.name : 'Unknown service'
+        })
+    ).sort((a, b) => b.breachRate - a.breachRate);
+
+    const byEmployee = groupCompliance(
+        rows,
+        row => (row.employee ? row.employee._id.toString() : 'unassigned'),
+        (key, row) => ({
+            employeeId: row.employee ? row.employee._id : null,
+            employeeName: row.employee ? row.employee.name : 'Unassigned'
+        })
+    ).sort((a, b) => b.breachRate - a.breachRate);
+
+    const byMonth = groupCompliance(
+        rows,
+        row => row.month,
+        key => ({ month: key })
+    ).sort((a, b) => a.month.localeCompare(b.month));
+
+    return {
+        period: { startDate: start, endDate: end },
+        summary: summarizeCompliance(rows),
+        byService,
+        byEmployee,
+        byMonth
+    };
+};
+
 /**
  * Initialize SLA for a case based on workflow template
  * @param {Object} caseItem - Case document
@@ -187,7 +442,8 @@ exports.initializeCaseSLA = async (caseItem) => {
 
         const deadline = await exports.calculateSLADeadline(
             caseItem.workflowTemplateId,
-            caseItem.assignedAt || caseItem.createdAt
+            caseItem.assignedAt || caseItem.createdAt,
+            caseItem.serviceId
         );
 
         if (deadline) {
@@ -197,7 +453,8 @@ exports.initializeCaseSLA = async (caseItem) => {
             // Calculate human-readable estimated resolution time
             const template = await WorkflowTemplate.findById(caseItem.workflowTemplateId);
             if (template) {
-                const days = Math.ceil(template.totalEstimatedDuration / 24);
+                const calendar = await getCalendarForService(caseItem.serviceId);
+                const days = Math.max(1, Math.ceil(template.totalEstimatedDuration / calendar.hoursPerDay));
                 caseItem.estimatedResolutionTime = `${days} business day${days > 1 ? 's' : ''}`;
             }
 
@@ -1,11 +1,19 @@
 const twilio = require('twilio');
 const config = require('../config/config');
 
-const client = twilio(config.twilioAccountSid, config.twilioAuthToken);
+// Created on first use so the app can start without Twilio credentials
+let client = null;
+
+const getClient = () => {
+  if (!client) {
+    client = twilio(config.twilioAccountSid, config.twilioAuthToken);
+  }
+  return client;
+};
 
 const sendSMS = async (options) => {
   try {
-    const message = await client.messages.create({
+    const message = await getClient().messages.create({
       body: options.message,
       from: config.twilioPhoneNumber,
       to: options.phone
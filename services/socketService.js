@@ -0,0 +1,145 @@
+const { Server } = require('socket.io');
+const config = require('../config/config');
+const Case = require('../models/Case');
+const { resolveSession } = require('../middleware/auth');
+
+let io = null;
+
+/**
+ * Room name helpers
+ * Staff (admin/employee) join case:<id>; end users join case:<id>:client,
+ * which only receives events flagged isVisibleToUser. Every socket also
+ * joins session:<id> for the login session it authenticated with
+ */
+const userRoom = (userId) => `user:${userId}`;
+const sessionRoom = (sessionId) => `session:${sessionId}`;
+const caseRoom = (caseId) => `case:${caseId}`;
+const caseClientRoom = (caseId) => `case:${caseId}:client`;
+
+/**
+ * Check whether a user may follow live updates for a case
+ * @param {Object} user - Authenticated user
+ * @param {String} caseId - Case ID
+ * @returns {Boolean}
+ */
+const canAccessCase = async (user, caseId) => {
+    const caseItem = await Case.findById(caseId).select('endUserId employeeId');
+    if (!caseItem) {
+        return false;
+    }
+
+    return user.role === 'admin' ||
+        (user.role === 'end_user' && caseItem.endUserId.toString() === user.id) ||
+        (user.role === 'employee' && caseItem.employeeId?.toString() === user.id);
+};
+
+/**
+ * Attach socket.io to the HTTP server
+ * Clients authenticate with the same JWT used for the REST API, passed as
+ * `auth.token` in the handshake or as a Bearer Authorization header
+ * @param {Object} server - HTTP server returned by app.listen
+ * @returns {Object} socket.io server
+ */
+exports.initSocket = (server) => {
+    io = new Server(server, {
+        cors: {
+            origin: config.frontendUrl,
+            credentials: true
+        }
+    });
+
+    // JWT handshake
+    io.use(async (socket, next) => {
+        try {
+            const header = socket.handshake.headers.authorization;
+            const token = socket.handshake.auth?.token ||
+                (header && header.startsWith('Bearer') ? header.split(' ')[1] : null);
+
+            if (!token) {
+                return next(new Error('Not authorized'));
+            }
+
+            const { user, sessionId, error } = await resolveSession(token);
+            if (error) {
+                return next(new Error(error));
+            }
+
+            socket.user = user;
+            socket.sessionId = sessionId;
+            next();
+        } catch (err) {
+            next(new Error('Not authorized'));
+        }
+    });
+
+    io.on('connection', (socket) => {
+        socket.join([userRoom(socket.user.id), sessionRoom(socket.sessionId)]);
+
+        socket.on('case:join', async (caseId, ack) => {
+            try {
+                if (!(await canAccessCase(socket.user, caseId))) {
+                    return ack?.({ success: false, error: 'Not authorized to access this case' });
+                }
+
+                socket.join(socket.user.role === 'end_user' ? caseClientRoom(caseId) : caseRoom(caseId));
+                ack?.({ success: true });
+            } catch (err) {
+                ack?.({ success: false, error: 'Case not found' });
+            }
+        });
+
+        socket.on('case:leave', (caseId) => {
+            socket.leave(caseRoom(caseId));
+            socket.leave(caseClientRoom(caseId));
+        });
+    });
+
+    console.log('✅ Socket.io initialized');
+    return io;
+};
+
+/**
+ * Push an event to every socket of a user
+ * No-op until initSocket has run (e.g. in scripts)
+ * @param {ObjectId|String} userId - Recipient user ID
+ * @param {String} event - Event name
+ * @param {Object} payload - Event payload
+ */
+exports.emitToUser = (userId, event, payload) => {
+    if (!io || !userId) return;
+    io.to(userRoom(userId.toString())).emit(event, payload);
+};
+
+/**
+ * Disconnect the sockets of revoked login sessions
+ * Takes the same options as User#revokeSessions; without options every
+ * socket of the user is disconnected
+ * @param {ObjectId|String} userId - User ID
+ * @param {Object} options - { sessionId, keepSessionId }
+ */
+exports.disconnectSessions = (userId, { sessionId, keepSessionId } = {}) => {
+    if (!io || !userId) return;
+
+    if (sessionId) {
+        io.in(sessionRoom(sessionId.toString())).disconnectSockets(true);
+    } else if (keepSessionId) {
+        io.in(userRoom(userId.toString())).except(sessionRoom(keepSessionId.toString())).disconnectSockets(true);
+    } else {
+        io.in(userRoom(userId.toString())).disconnectSockets(true);
+    }
+};
+
+/**
+ * Push an event to everyone following a case
+ * @param {ObjectId|String} caseId - Case ID
+ * @param {String} event - Event name
+ * @param {Object} payload - Event payload
+ * @param {Boolean} visibleToUser - Also deliver to the end user's room
+ */
+exports.emitToCase = (caseId, event, payload, visibleToUser = false) => {
+    if (!io || !caseId) return;
+    io.to(caseRoom(caseId.toString())).emit(event, payload);
+    if (visibleToUser) {
+        io.to(caseClientRoom(caseId.toString())).emit(event, payload);
+    }
+};
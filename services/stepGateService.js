@@ -0,0 +1,202 @@
+const WorkflowTemplate = require('../models/WorkflowTemplate');
+const DocumentVersion = require('../models/DocumentVersion');
+const ActivityTimeline = require('../models/ActivityTimeline');
+const { getStepsFinishedBy } = require('./workflowStepService');
+
+/**
+ * Find what keeps steps from being completed
+ * A step can be completed once its mandatory checklist items (isOptional: false)
+ * are complete and the latest active version of each of its requiredDocuments
+ * is verified
+ * @param {Object} caseItem - Case document
+ * @param {Object} template - The case's workflow template version
+ * @param {Array} steps - stepProgress entries to check
+ * @returns {Array} { stepId, stepName, openItems, unverifiedDocuments } for blocked steps only
+ */
+exports.getStepBlockers = async (caseItem, template, steps) => {
+    if (!template || steps.length === 0) {
+        return [];
+    }
+
+    const definitions = new Map(template.steps.map(step => [step._id.toString(), step]));
+    const completedItems = new Set((caseItem.checklistProgress || [])
+        .filter(entry => entry.isCompleted)
+        .map(entry => entry.itemId.toString()));
+
+    const documentTypes = [...new Set(steps.flatMap(step => {
+        const definition = definitions.get(step.stepId.toString());
+        return definition ? definition.requiredDocuments : [];
+    }))];
+
+    // Latest active version of each required document type
+    const documents = documentTypes.length > 0
+        ? await DocumentVersion.find({
+            caseId: caseItem._id,
+            documentType: { $in: documentTypes },
+            status: 'active'
+        }).sort({ version: -1 })
+        : [];
+
+    const latest = new Map();
+    documents.forEach(doc => {
+        if (!latest.has(doc.documentType)) latest.set(doc.documentType, doc);
+    });
+
+    const blockers = [];
+
+    steps.forEach(step => {
+        const definition = definitions.get(step.stepId.toString());
+        if (!definition) {
+            return;
+        }
+
+        const openItems = definition.checklistItems
+            .filter(item => !item.isOptional && !completedItems.has(item._id.toString()))
+            .map(item => item.title);
+
+        const unverifiedDocuments = definition.requiredDocuments
+            .filter(type => !latest.has(type) || latest.get(type).verificationStatus !== 'verified')
+            .map(type => (latest.has(type) ? `${type} (${latest.get(type).verificationStatus})` : `${type} (not uploaded)`));
+
+        if (openItems.length > 0 || unverifiedDocuments.length > 0) {
+            blockers.push({
+                stepId: step.stepId,
+                stepName: step.stepName,
+                openItems,
+                unverifiedDocuments
+            });
+        }
+    });
+
+    return blockers;
+};
+
+/**
+ * Check the gates of the steps a move would complete
+ * @param {Object} caseItem - Case document
+ * @param {Object} options - { targetIndex } to move to a step (number of steps = finish all), or { stepIds }
+ * @returns {Array} Blockers (see getStepBlockers)
+ */
+exports.checkStepGates = async (caseItem, { targetIndex, stepIds } = {}) => {
+    if (!caseItem.workflowTemplateId || !(caseItem.stepProgress || []).length) {
+        return [];
+    }
+
+    const steps = stepIds
+        ? caseItem.stepProgress.filter(step => stepIds.some(id => step.stepId.toString() === String(id)))
+        : getStepsFinishedBy(caseItem, targetIndex);
+
+    if (steps.length === 0) {
+        return [];
+    }
+
+    const template = await WorkflowTemplate.findById(caseItem.workflowTemplateId);
+    return exports.getStepBlockers(caseItem, template, steps);
+};
+
+/**
+ * Check what keeps a case from being completed
+ * Every workflow step must pass its gate and no ad-hoc document request may
+ * be open. Open requests are reported as one blocker without a stepId
+ * @param {Object} caseItem - Case document
+ * @returns {Array} Blockers (see getStepBlockers, plus openRequests)
+ */
+exports.checkCompletionGates = async (caseItem) => {
+    const blockers = await exports.checkStepGates(caseItem, { targetIndex: (caseItem.stepProgress || []).length });
+
+    const openRequests = (caseItem.documentRequests || [])
+        .filter(request => request.source === 'adhoc' && request.status === 'open')
+        .map(request => request.documentType);
+
+    if (openRequests.length > 0) {
+        blockers.push({
+            stepId: null,
+            stepName: 'Document requests',
+            openItems: [],
+            unverifiedDocuments: [],
+            openRequests
+        });
+    }
+
+    return blockers;
+};
+
+/**
+ * Summarise blockers in one error message
+ * @param {Array} blockers - From getStepBlockers
+ * @returns {String}
+ */
+exports.describeBlockers = (blockers) => {
+    const details = blockers.map(blocker => {
+        const parts = [];
+        if (blocker.openItems.length > 0) {
+            parts.push(`open checklist items: ${blocker.openItems.join(', ')}`);
+        }
+        if (blocker.unverifiedDocuments.length > 0) {
+            parts.push(`unverified documents: ${blocker.unverifiedDocuments.join(', ')}`);
+        }
+        if (blocker.openRequests && blocker.openRequests.length > 0) {
+            parts.push(`open requests for: ${blocker.openRequests.join(', ')}`);
+        }
+        return `"${blocker.stepName}" has ${parts.join('; ')}`;
+    });
+
+    return `Step requirements are not met. ${details.join('. ')}`;
+};
+
+/**
+ * Record an admin override of step gates on the case
+ * Changes the case without saving it
+ * @param {Object} caseItem - Case document
+ * @param {Array} blockers - Blockers being overridden
+ * @param {String} reason - Why the admin overrides
+ * @param {Object} user - Admin (req.user)
+ * @returns {Object} { error, statusCode } when the override is not allowed, otherwise null
+ */
+exports.applyGateOverride = (caseItem, blockers, reason, user) => {
+    if (user.role !== 'admin') {
+        return { error: 'Only admins can override step requirements', statusCode: 403 };
+    }
+    if (!(typeof reason === 'string' && reason.trim())) {
+        return { error: 'A reason is required to override step requirements', statusCode: 400 };
+    }
+
+    caseItem.gateOverrides.push({
+        steps: blockers,
+        reason: reason.trim(),
+        overriddenBy: user.id,
+        overriddenAt: new Date()
+    });
+
+    return null;
+};
+
+/**
+ * Record a gate override on the case timeline
+ * @param {Object} caseItem - Case document
+ * @param {Array} blockers - Blockers that were overridden
+ * @param {String} reason - Override reason
+ * @param {Object} user - Admin (req.user)
+ */
+exports.logGateOverride = (caseItem, blockers, reason, user) => {
+    return ActivityTimeline.createEvent({
+        caseId: caseItem._id,
+        eventType: 'step_gate_overridden',
+        title: 'Step Requirements Overridden',
+        description: ActivityTimeline.generateDescription('step_gate_overridden', {
+            userName: user.name,
+            stepNames: blockers.map(blocker => `"${blocker.stepName}"`).join(', '),
+            reason: reason.trim()
+        }),
+        performedBy: {
+            userId: user.id,
+            name: user.name,
+            role: user.role
+        },
+        metadata: {
+            additionalInfo: { blockers }
+        },
+        isVisibleToUser: false,
+        ...ActivityTimeline.getEventStyle('step_gate_overridden')
+    });
+};
@@ -0,0 +1,291 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { Readable } = require('stream');
+const { pipeline } = require('stream/promises');
+const config = require('../config/config');
+
+/**
+ * Storage drivers
+ * Every driver implements:
+ * - upload(buffer, { folder, fileName, mimeType, isPrivate }) => { key, url }
+ * - remove(key, { url, isPrivate })
+ * - getDownload(key, { url, fileName, mimeType, isPrivate }) => { url } (signed / public link) or { stream }
+ * - createReadStream(key, { url, isPrivate }) => Readable
+ * The driver used for new uploads is chosen by STORAGE_DRIVER; stored files
+ * remember their driver, so switching drivers keeps older files readable
+ * Private files (e.g. quarantined uploads) never get a public link; only
+ * Cloudinary has public links, the other drivers treat every file as private
+ */
+const drivers = {};
+
+// Helper function to build a unique, filesystem-safe key for an upload
+const buildKey = (folder, fileName) => {
+    const safeName = path.basename(fileName || 'file').replace(/[^a-zA-Z0-9._-]/g, '_');
+    return `${folder}/${Date.now()}-${crypto.randomBytes(6).toString('hex')}-${safeName}`;
+};
+
+// Cloudinary private files are only reachable through a short-lived signed download link
+// Their URL (https://res.cloudinary.com/<cloud>/<resource type>/private/v<n>/<public id>.<format>)
+// gives the resource type and format the link needs
+const cloudinaryPrivateOptions = (url) => {
+    const [resourceType] = new URL(url).pathname.split('/').slice(2, 3);
+    return {
+        resource_type: resourceType,
+        type: 'private',
+        format: path.extname(url).slice(1)
+    };
+};
+
+const cloudinaryPrivateUrl = (key, url) => {
+    const cloudinary = require('../config/cloudinary');
+    const { format, ...options } = cloudinaryPrivateOptions(url);
+
+    return cloudinary.utils.private_download_url(key, format, {
+        ...options,
+        expires_at: Math.floor(Date.now() / 1000) + config.storageSignedUrlSeconds
+    });
+};
+
+drivers.cloudinary = {
+    upload: (buffer, { folder, isPrivate }) => {
+        const cloudinary = require('../config/cloudinary');
+
+        return new Promise((resolve, reject) => {
+            const stream = cloudinary.uploader.upload_stream(
+                { folder, resource_type: 'auto', type: isPrivate ? 'private' : 'upload' },
+                (error, result) => (error ? reject(error) : resolve({ key: result.public_id, url: result.secure_url }))
+            );
+            stream.end(buffer);
+        });
+    },
+    remove: (key, { url, isPrivate }) => {
+        const { format, ...options } = isPrivate ? cloudinaryPrivateOptions(url) : {};
+        return require('../config/cloudinary').uploader.destroy(key, options);
+    },
+    getDownload: async (key, { url, isPrivate }) => ({ url: isPrivate ? cloudinaryPrivateUrl(key, url) : url }),
+    createReadStream: async (key, { url, isPrivate }) => {
+        const response = await fetch(isPrivate ? cloudinaryPrivateUrl(key, url) : url);
+        if (!response.ok) {
+            throw new Error(`Could not read ${key} from Cloudinary (HTTP ${response.status})`);
+        }
+        return Readable.fromWeb(response.body);
+    }
+};
+
+// Local disk: for development and tests without cloud credentials
+const localRoot = () => path.resolve(config.storageLocalPath);
+
+const localPath = (key) => {
+    const root = localRoot();
+    const filePath = path.resolve(root, key);
+    if (!filePath.startsWith(root + path.sep)) {
+        throw new Error('Invalid storage key');
+    }
+    return filePath;
+};
+
+drivers.local = {
+    upload: async (buffer, { folder, fileName }) => {
+        const key = buildKey(folder, fileName);
+        const filePath = localPath(key);
+
+        await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+        await fs.promises.writeFile(filePath, buffer);
+
+        return { key, url: `local:${key}` };
+    },
+    remove: async (key) => {
+        try {
+            await fs.promises.unlink(localPath(key));
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+        }
+    },
+    getDownload: async (key) => ({ stream: fs.createReadStream(localPath(key)) }),
+    createReadStream: async (key) => fs.createReadStream(localPath(key))
+};
+
+// S3 and S3-compatible services (MinIO, DigitalOcean Spaces, ...)
+let s3Client = null;
+
+const getS3Client = () => {
+    if (!s3Client) {
+        const { S3Client } = require('@aws-sdk/client-s3');
+        s3Client = new S3Client({
+            region: config.s3Region,
+            endpoint: config.s3Endpoint || undefined,
+            forcePathStyle: config.s3ForcePathStyle,
+            credentials: config.s3AccessKeyId
+                ? { accessKeyId: config.s3AccessKeyId, secretAccessKey: config.s3SecretAccessKey }
+                : undefined
+        });
+    }
+    return s3Client;
+};
+
+drivers.s3 = {
+    upload: async (buffer, { folder, fileName, mimeType }) => {
+        const { PutObjectCommand } = require('@aws-sdk/client-s3');
+        const key = buildKey(folder, fileName);
+
+        await getS3Client().send(new PutObjectCommand({
+            Bucket: config.s3Bucket,
+            Key: key,
+            Body: buffer,
+            ContentType: mimeType
+        }));
+
+        return { key, url: `s3://${config.s3Bucket}/${key}` };
+    },
+    remove: async (key) => {
+        const { DeleteObjectCommand } = require('@aws-sdk/client-s3');
+        await getS3Client().send(new DeleteObjectCommand({ Bucket: config.s3Bucket, Key: key }));
+    },
+    getDownload: async (key, { fileName }) => {
+        const { GetObjectCommand } = require('@aws-sdk/client-s3');
+        const { getSignedUrl } = require('@aws-sdk/s3-request-presigner');
+
+        const url = await getSignedUrl(getS3Client(), new GetObjectCommand({
+            Bucket: config.s3Bucket,
+            Key: key,
+            ResponseContentDisposition: fileName ? `attachment; filename="${fileName.replace(/"/g, '')}"` : undefined
+        }), { expiresIn: config.storageSignedUrlSeconds });
+
+        return { url };
+    },
+    createReadStream: async (key) => {
+        const { GetObjectCommand } = require('@aws-sdk/client-s3');
+        const response = await getS3Client().send(new GetObjectCommand({ Bucket: config.s3Bucket, Key: key }));
+        return response.Body;
+    }
+};
+
+exports.STORAGE_DRIVERS = Object.keys(drivers);
+
+// Helper function to look up a driver by name
+const getDriver = (name) => {
+    const driver = drivers[name];
+    if (!driver) {
+        throw new Error(`Unknown storage driver "${name}". Use one of: ${exports.STORAGE_DRIVERS.join(', ')}`);
+    }
+    return driver;
+};
+
+// Helper function to read where a document version's file is stored
+// Versions uploaded before storage drivers only have a cloudinaryPublicId
+const getLocation = (record) => {
+    if (record.storage && record.storage.key) {
+        return { driver: record.storage.driver, key: record.storage.key, isPrivate: !!record.storage.isPrivate };
+    }
+    if (record.cloudinaryPublicId) {
+        return { driver: 'cloudinary', key: record.cloudinaryPublicId, isPrivate: false };
+    }
+    return null;
+};
+
+/**
+ * SHA-256 checksum of a buffer, hex encoded
+ * @param {Buffer} buffer - File contents
+ * @returns {String}
+ */
+exports.hashBuffer = (buffer) => crypto.createHash('sha256').update(buffer).digest('hex');
+
+/**
+ * Store an uploaded file with the configured driver
+ * @param {Object} file - Uploaded file held in memory (req.file: buffer, originalname, mimetype, size)
+ * @param {Object} options - { folder, isPrivate } (isPrivate: no public link, e.g. for quarantined files)
+ * @returns {Object} { driver, key, url, isPrivate, size, checksum }
+ */
+exports.storeFile = async (file, { folder, isPrivate = false }) => {
+    const driverName = config.storageDriver;
+    const { key, url } = await getDriver(driverName).upload(file.buffer, {
+        folder,
+        fileName: file.originalname,
+        mimeType: file.mimetype,
+        isPrivate
+    });
+
+    return {
+        driver: driverName,
+        key,
+        url,
+        isPrivate,
+        size: file.size,
+        checksum: exports.hashBuffer(file.buffer)
+    };
+};
+
+/**
+ * Delete a document version's stored file
+ * Versions without a stored file (migrated legacy links) are left alone
+ * @param {Object} record - DocumentVersion
+ */
+exports.deleteFile = async (record) => {
+    const location = getLocation(record);
+    if (location) {
+        await getDriver(location.driver).remove(location.key, { url: record.fileUrl, isPrivate: location.isPrivate });
+    }
+};
+
+/**
+ * Get a download for a document version: a (signed) link, or a stream to
+ * send through the API for drivers without public links
+ * @param {Object} record - DocumentVersion
+ * @returns {Object} { url } or { stream }
+ */
+exports.getDownload = async (record) => {
+    const location = getLocation(record);
+    if (!location) {
+        return { url: record.fileUrl };
+    }
+
+    return getDriver(location.driver).getDownload(location.key, {
+        url: record.fileUrl,
+        isPrivate: location.isPrivate,
+        fileName: record.metadata && record.metadata.originalFileName,
+        mimeType: record.metadata && record.metadata.mimeType
+    });
+};
+
+/**
+ * Read a document version's stored file into memory
+ * @param {Object} record - DocumentVersion
+ * @returns {Buffer}
+ */
+exports.readFile = async (record) => {
+    const location = getLocation(record);
+    if (!location) {
+        throw new Error('Document version has no stored file');
+    }
+
+    const stream = await getDriver(location.driver).createReadStream(location.key, {
+        url: record.fileUrl,
+        isPrivate: location.isPrivate
+    });
+    const chunks = [];
+    for await (const chunk of stream) {
+        chunks.push(chunk);
+    }
+    return Buffer.concat(chunks);
+};
+
+/**
+ * Recompute the SHA-256 checksum of a stored file (to check its integrity)
+ * @param {Object} record - DocumentVersion
+ * @returns {String|null} Hex checksum, null when the version has no stored file
+ */
+exports.computeChecksum = async (record) => {
+    const location = getLocation(record);
+    if (!location) {
+        return null;
+    }
+
+    const stream = await getDriver(location.driver).createReadStream(location.key, {
+        url: record.fileUrl,
+        isPrivate: location.isPrivate
+    });
+    const hash = crypto.createHash('sha256');
+    await pipeline(stream, hash);
+    return hash.digest('hex');
+};
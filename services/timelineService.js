@@ -32,6 +32,41 @@ exports.createEvent = async (eventData) => {
     }
 };
 
+/**
+ * Log case creation
+ * @param {Object} caseItem - Case document
+ * @param {Object} user - User who created the case
+ * @param {Object} template - Workflow template applied to the case (optional)
+ */
+exports.logCaseCreation = async (caseItem, user, template = null) => {
+    try {
+        await ActivityTimeline.createEvent({
+            caseId: caseItem._id,
+            eventType: 'case_created',
+            title: 'Case Created',
+            description: ActivityTimeline.generateDescription('case_created', {
+                userName: user.name
+            }),
+            performedBy: {
+                userId: user.id,
+                name: user.name,
+                role: user.role
+            },
+            metadata: {
+                additionalInfo: {
+                    workflowTemplateId: template ? template._id : null,
+                    workflowTemplateName: template ? template.name : null,
+                    slaDeadline: caseItem.slaDeadline
+                }
+            },
+            isVisibleToUser: true,
+            ...ActivityTimeline.getEventStyle('case_created')
+        });
+    } catch (error) {
+        console.error('Error logging case creation:', error);
+    }
+};
+
 /**
  * Log case status change
  * @param {Object} caseItem - Case document
@@ -0,0 +1,104 @@
+const crypto = require('crypto');
+const speakeasy = require('speakeasy');
+const QRCode = require('qrcode');
+const config = require('../config/config');
+
+const RECOVERY_CODE_COUNT = 10;
+
+// Length of a TOTP time step in seconds
+const TOTP_STEP = 30;
+
+/**
+ * Generate a new TOTP secret for a user
+ * @param {Object} user - User document
+ * @returns {Object} { base32, otpauthUrl }
+ */
+exports.generateSecret = (user) => {
+    const secret = speakeasy.generateSecret({
+        length: 20,
+        name: `${config.twoFactorIssuer} (${user.email})`,
+        issuer: config.twoFactorIssuer
+    });
+
+    return {
+        base32: secret.base32,
+        otpauthUrl: secret.otpauth_url
+    };
+};
+
+/**
+ * Render an otpauth:// URL as a QR code data URL
+ * @param {String} otpauthUrl - otpauth URL returned by generateSecret
+ * @returns {String} data:image/png;base64,... URL
+ */
+exports.generateQRCode = async (otpauthUrl) => {
+    return QRCode.toDataURL(otpauthUrl);
+};
+
+/**
+ * Verify a TOTP code against a base32 secret
+ * Allows one 30-second step of clock drift either side. Codes are single
+ * use: callers claim the returned step with user.claimTwoFactorStep
+ * @param {String} secret - Base32 secret
+ * @param {String} code - 6-digit code entered by the user
+ * @returns {Number|null} Time step the code belongs to, or null if it is invalid
+ */
+exports.verifyCode = (secret, code) => {
+    if (!secret || !code) {
+        return null;
+    }
+
+    const time = Math.floor(Date.now() / 1000);
+    const match = speakeasy.totp.verifyDelta({
+        secret,
+        encoding: 'base32',
+        token: String(code).replace(/\s/g, ''),
+        window: 1,
+        step: TOTP_STEP,
+        time
+    });
+
+    return match ? Math.floor(time / TOTP_STEP) + match.delta : null;
+};
+
+/**
+ * Verify a TOTP code for a user and use it up
+ * A code for a time step at or before the user's last accepted one is refused
+ * @param {Object} user - User document (with twoFactorSecret selected)
+ * @param {String} code - 6-digit code entered by the user
+ * @returns {Boolean} Whether the code is valid and unused
+ */
+exports.useCode = async (user, code) => {
+    const step = exports.verifyCode(user.twoFactorSecret, code);
+    return step !== null && user.claimTwoFactorStep(step);
+};
+
+/**
+ * Hash a recovery code for storage
+ * @param {String} code - Plain recovery code
+ * @returns {String} SHA-256 hex digest
+ */
+exports.hashRecoveryCode = (code) => {
+    return crypto
+        .createHash('sha256')
+        .update(String(code).replace(/[\s-]/g, '').toUpperCase())
+        .digest('hex');
+};
+
+/**
+ * Generate a fresh set of one-time recovery codes
+ * @returns {Object} { codes, hashedCodes } - plain codes are shown to the user once
+ */
+exports.generateRecoveryCodes = () => {
+    const codes = [];
+
+    for (let i = 0; i < RECOVERY_CODE_COUNT; i++) {
+        const raw = crypto.randomBytes(5).toString('hex').toUpperCase();
+        codes.push(`${raw.slice(0, 5)}-${raw.slice(5)}`);
+    }
+
+    return {
+        codes,
+        hashedCodes: codes.map(code => ({ codeHash: exports.hashRecoveryCode(code) }))
+    };
+};
@@ -0,0 +1,151 @@
+const path = require('path');
+const config = require('../config/config');
+
+const MB = 1024 * 1024;
+
+// File formats accepted for case documents, by extension
+const ALLOWED_FORMATS = ['jpg', 'jpeg', 'png', 'pdf', 'doc', 'docx'];
+
+// Extensions that name the same format
+const FORMAT_ALIASES = { jpeg: 'jpg' };
+
+// Content signatures of the allowed formats
+const FILE_SIGNATURES = [
+    {
+        format: 'pdf',
+        mimeType: 'application/pdf',
+        matches: (buffer) => buffer.subarray(0, 5).toString('latin1') === '%PDF-'
+    },
+    {
+        format: 'png',
+        mimeType: 'image/png',
+        matches: (buffer) => buffer.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))
+    },
+    {
+        format: 'jpg',
+        mimeType: 'image/jpeg',
+        matches: (buffer) => buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff
+    },
+    {
+        // Word 97-2003 (OLE compound file)
+        format: 'doc',
+        mimeType: 'application/msword',
+        matches: (buffer) => buffer.subarray(0, 8).equals(Buffer.from([0xd0, 0xcf, 0x11, 0xe0, 0xa1, 0xb1, 0x1a, 0xe1]))
+    },
+    {
+        // Word 2007+ is a zip archive with a word/ folder
+        format: 'docx',
+        mimeType: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+        matches: (buffer) => buffer.subarray(0, 4).equals(Buffer.from([0x50, 0x4b, 0x03, 0x04])) &&
+            buffer.includes('word/', 0, 'latin1')
+    }
+];
+
+// Content signatures of executables, rejected whatever the file is called
+const EXECUTABLE_SIGNATURES = [
+    { name: 'Windows executable', bytes: [0x4d, 0x5a] },
+    { name: 'ELF executable', bytes: [0x7f, 0x45, 0x4c, 0x46] },
+    { name: 'Mach-O executable', bytes: [0xfe, 0xed, 0xfa, 0xce] },
+    { name: 'Mach-O executable', bytes: [0xfe, 0xed, 0xfa, 0xcf] },
+    { name: 'Mach-O executable', bytes: [0xce, 0xfa, 0xed, 0xfe] },
+    { name: 'Mach-O executable', bytes: [0xcf, 0xfa, 0xed, 0xfe] },
+    { name: 'Java class / Mach-O universal binary', bytes: [0xca, 0xfe, 0xba, 0xbe] },
+    { name: 'script', bytes: [0x23, 0x21] } // #!
+];
+
+const formatSize = (bytes) => `${Math.round((bytes / MB) * 10) / 10} MB`;
+
+/**
+ * Work out a file's type from its content
+ * @param {Buffer} buffer - File contents
+ * @returns {Object|null} { format, mimeType }, { executable } for programs, null when unknown
+ */
+exports.detectFileType = (buffer) => {
+    const executable = EXECUTABLE_SIGNATURES.find(signature =>
+        buffer.subarray(0, signature.bytes.length).equals(Buffer.from(signature.bytes)));
+    if (executable) {
+        return { executable: executable.name };
+    }
+
+    const match = FILE_SIGNATURES.find(signature => signature.matches(buffer));
+    return match ? { format: match.format, mimeType: match.mimeType } : null;
+};
+
+/**
+ * Upload size limit for a document type of a service, in bytes
+ * The service's entry for the document type wins, then its default entry,
+ * then UPLOAD_DEFAULT_SIZE_MB; never above UPLOAD_MAX_SIZE_MB
+ * @param {Object} service - Service (with documentLimits)
+ * @param {String} documentType - Document type
+ * @returns {Number} Bytes
+ */
+exports.getSizeLimit = (service, documentType) => {
+    const limits = (service && service.documentLimits) || [];
+    const entry = limits.find(limit => limit.documentType === documentType) ||
+        limits.find(limit => !limit.documentType);
+
+    const limitMB = entry ? entry.maxSizeMB : config.uploadDefaultSizeMB;
+    return Math.min(limitMB, config.uploadMaxSizeMB) * MB;
+};
+
+/**
+ * Check an uploaded file before it is stored: extension, size limit and
+ * content (the content must be the format the extension claims)
+ * @param {Object} file - Uploaded file held in memory (req.file)
+ * @param {Object} options - { service, documentType }
+ * @returns {Object|null} { error, statusCode } when rejected, null when valid
+ */
+exports.validateUpload = (file, { service, documentType } = {}) => {
+    if (!file) {
+        return { error: 'Please upload a file', statusCode: 400 };
+    }
+
+    const extension = path.extname(file.originalname).slice(1).toLowerCase();
+    if (!ALLOWED_FORMATS.includes(extension)) {
+        return { error: `File type not allowed. Allowed formats: ${ALLOWED_FORMATS.join(', ')}`, statusCode: 400 };
+    }
+
+    const limit = exports.getSizeLimit(service, documentType);
+    if (file.size > limit) {
+        return {
+            error: `File is ${formatSize(file.size)}; the limit for ${documentType || 'this document'} is ${formatSize(limit)}`,
+            statusCode: 413
+        };
+    }
+
+    const detected = exports.detectFileType(file.buffer);
+
+    if (detected && detected.executable) {
+        return { error: `File content is a ${detected.executable}, which is not allowed`, statusCode: 400 };
+    }
+    if (!detected) {
+        return { error: `File content is not a valid ${extension} file`, statusCode: 400 };
+    }
+    if (detected.format !== (FORMAT_ALIASES[extension] || extension)) {
+        return { error: `File content is ${detected.format} but the file is named .${extension}`, statusCode: 400 };
+    }
+
+    return null;
+};
+
+/**
+ * Wrap the upload middleware so upload errors (e.g. over the size ceiling)
+ * are answered as JSON instead of reaching Express's default handler
+ * @param {Function} middleware - multer middleware
+ * @returns {Function} Express middleware
+ */
+exports.handleUploadErrors = (middleware) => (req, res, next) => {
+    middleware(req, res, (err) => {
+        if (!err) {
+            return next();
+        }
+
+        const tooLarge = err.code === 'LIMIT_FILE_SIZE';
+        res.status(tooLarge ? 413 : 400).json({
+            success: false,
+            error: tooLarge
+                ? `File is larger than the ${config.uploadMaxSizeMB} MB upload limit`
+                : err.message
+        });
+    });
+};
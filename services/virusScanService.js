@@ -0,0 +1,89 @@
+const net = require('net');
+const config = require('../config/config');
+
+// Bytes sent to clamd per INSTREAM chunk
+const CLAMD_CHUNK_SIZE = 64 * 1024;
+
+/**
+ * Virus scanners
+ * scan(buffer) resolves { status: 'clean' | 'infected', signature } and
+ * rejects when the scanner cannot give an answer
+ * The scanner is chosen by VIRUS_SCANNER
+ */
+const scanners = {
+    // No scanning configured: files pass with status skipped
+    none: {
+        scan: async () => ({ status: 'skipped' })
+    },
+
+    // ClamAV daemon over a unix socket (CLAMD_SOCKET) or TCP (CLAMD_HOST / CLAMD_PORT)
+    clamd: {
+        scan: (buffer) => new Promise((resolve, reject) => {
+            const socket = config.clamdSocket
+                ? net.createConnection({ path: config.clamdSocket })
+                : net.createConnection({ host: config.clamdHost, port: config.clamdPort });
+
+            let reply = '';
+
+            socket.setTimeout(config.clamdTimeoutMs, () => {
+                socket.destroy(new Error('clamd did not answer in time'));
+            });
+            socket.on('error', reject);
+            socket.on('data', (data) => {
+                reply += data.toString();
+            });
+            socket.on('end', () => {
+                // Replies look like "stream: OK" or "stream: Eicar-Test-Signature FOUND"
+                const answer = reply.replace(/\0/g, '').trim();
+                const found = answer.match(/^stream: (.+) FOUND$/);
+
+                if (answer === 'stream: OK') {
+                    resolve({ status: 'clean' });
+                } else if (found) {
+                    resolve({ status: 'infected', signature: found[1] });
+                } else {
+                    reject(new Error(`Unexpected clamd reply: ${answer || '(empty)'}`));
+                }
+            });
+
+            socket.on('connect', () => {
+                socket.write('zINSTREAM\0');
+                for (let offset = 0; offset < buffer.length; offset += CLAMD_CHUNK_SIZE) {
+                    const chunk = buffer.subarray(offset, offset + CLAMD_CHUNK_SIZE);
+                    const size = Buffer.alloc(4);
+                    size.writeUInt32BE(chunk.length, 0);
+                    socket.write(size);
+                    socket.write(chunk);
+                }
+                socket.end(Buffer.alloc(4)); // Zero-length chunk ends the stream
+            });
+        })
+    }
+};
+
+exports.VIRUS_SCANNERS = Object.keys(scanners);
+
+/**
+ * Scan file contents with the configured scanner
+ * Scanner failures are reported as status error so the caller can keep the
+ * file out of use until it is scanned again
+ * @param {Buffer} buffer - File contents
+ * @returns {Object} { status: clean | infected | error | skipped, scanner, signature, scannedAt }
+ */
+exports.scanBuffer = async (buffer) => {
+    const scannerName = config.virusScanner;
+    const scanner = scanners[scannerName];
+    const scannedAt = new Date();
+
+    if (!scanner) {
+        return { status: 'error', scanner: scannerName, signature: `Unknown virus scanner "${scannerName}"`, scannedAt };
+    }
+
+    try {
+        const result = await scanner.scan(buffer);
+        return { ...result, scanner: scannerName, scannedAt };
+    } catch (error) {
+        console.error('❌ Virus scan failed:', error.message);
+        return { status: 'error', scanner: scannerName, signature: error.message, scannedAt };
+    }
+};
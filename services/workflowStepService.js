@@ -0,0 +1,772 @@
+const mongoose = require('mongoose');
+const Case = require('../models/Case');
+const ActivityTimeline = require('../models/ActivityTimeline');
+const {
+    getCalendarForService,
+    addBusinessHours,
+    businessHoursBetween
+} = require('./businessCalendarService');
+
+// A step is at risk once this share of its estimated duration is left
+const STEP_AT_RISK_RATIO = 0.25;
+
+// Steps that no longer need work
+const FINISHED_STATUSES = ['completed', 'skipped'];
+
+const SYSTEM_USER = { id: null, name: 'System', role: 'system' };
+
+const SYSTEM_PERFORMER = { userId: null, name: 'System', role: 'system' };
+
+const round = (hours) => Math.round(hours * 10) / 10;
+
+/**
+ * Build step progress entries for a workflow template, in step order
+ * @param {Object} template - Workflow template
+ * @returns {Array} stepProgress entries
+ */
+exports.buildStepProgress = (template) => {
+    if (!template) {
+        return [];
+    }
+
+    return [...template.steps]
+        .sort((a, b) => a.order - b.order)
+        .map(step => ({
+            stepId: step._id,
+            stepName: step.stepName,
+            order: step.order,
+            estimatedDuration: step.estimatedDuration || 0,
+            parallelGroup: step.parallelGroup || null,
+            status: 'pending'
+        }));
+};
+
+/**
+ * Group step indexes into stages
+ * Consecutive steps sharing a parallelGroup form one stage and run at the
+ * same time; every other step is a stage of its own
+ * @param {Array} steps - stepProgress entries in order
+ * @returns {Array} Arrays of step indexes
+ */
+exports.getStages = (steps) => {
+    const stages = [];
+
+    steps.forEach((step, index) => {
+        const last = stages[stages.length - 1];
+        if (last && step.parallelGroup && steps[last[0]].parallelGroup === step.parallelGroup) {
+            last.push(index);
+        } else {
+            stages.push([index]);
+        }
+    });
+
+    return stages;
+};
+
+/**
+ * Work out the SLA status of a running step
+ * @param {Object} step - stepProgress entry
+ * @param {Object} calendar - Business calendar
+ * @param {Date} now - Current moment
+ * @returns {Object} { slaStatus, hoursRemaining }
+ */
+exports.checkStepStatus = (step, calendar, now = new Date()) => {
+    if (!step.deadline) {
+        return { slaStatus: 'not_set', hoursRemaining: null };
+    }
+
+    const hoursRemaining = businessHoursBetween(step.pausedAt || now, step.deadline, calendar);
+
+    if (hoursRemaining <= 0) {
+        return { slaStatus: 'breached', hoursRemaining };
+    }
+    if (hoursRemaining <= step.estimatedDuration * STEP_AT_RISK_RATIO) {
+        return { slaStatus: 'at_risk', hoursRemaining };
+    }
+    return { slaStatus: 'on_time', hoursRemaining };
+};
+
+// Helper function to stop a step's clock and record how long it took
+const finishStep = (step, now, calendar) => {
+    // Steps skipped over without being started count as taking no time
+    const startedAt = step.startedAt || now;
+    const pausedHours = step.pausedAt
+        ? (step.pausedHours || 0) + Math.max(0, businessHoursBetween(step.pausedAt, now, calendar))
+        : (step.pausedHours || 0);
+
+    step.status = 'completed';
+    step.startedAt = startedAt;
+    step.completedAt = now;
+    step.pausedAt = undefined;
+    step.pausedHours = pausedHours;
+    step.actualDuration = round(Math.max(0, businessHoursBetween(startedAt, now, calendar) - pausedHours));
+    step.overrunHours = step.deadline
+        ? round(Math.max(0, businessHoursBetween(step.deadline, now, calendar)))
+        : 0;
+    if (step.overrunHours > 0) {
+        step.slaStatus = 'breached';
+    }
+};
+
+// Helper function to start a step's clock
+const startStep = (caseItem, step, now, calendar) => {
+    step.status = 'in_progress';
+    step.startedAt = now;
+    step.completedAt = undefined;
+    step.pausedAt = caseItem.slaPausedAt ? now : undefined;
+    step.pausedHours = 0;
+    step.deadline = addBusinessHours(now, step.estimatedDuration, calendar);
+    step.slaStatus = 'on_time';
+};
+
+// Helper function to mark a step as not applying to the case
+const markSkipped = (step, reason, skippedBy, now) => {
+    step.status = 'skipped';
+    step.skipReason = reason;
+    step.skippedBy = skippedBy;
+    step.completedAt = now;
+    step.deadline = undefined;
+    step.pausedAt = undefined;
+    step.slaStatus = 'not_set';
+};
+
+// Helper function to put a step back to pending
+const resetStep = (step) => {
+    step.status = 'pending';
+    step.startedAt = undefined;
+    step.completedAt = undefined;
+    step.deadline = undefined;
+    step.pausedAt = undefined;
+    step.skipReason = undefined;
+    step.skippedBy = undefined;
+    step.slaStatus = 'not_set';
+};
+
+const emptyChanges = () => ({ completed: [], started: [], skipped: [] });
+
+const mergeChanges = (...changes) => ({
+    completed: changes.flatMap(c => c.completed),
+    started: changes.flatMap(c => c.started),
+    skipped: changes.flatMap(c => c.skipped)
+});
+
+/**
+ * Move a case to a workflow step
+ * Stages before the target's stage are completed, the target step (and any
+ * pending steps running in parallel with it) are started with deadlines from
+ * their estimated durations, and later steps are left pending. Skipped steps
+ * are left alone. A target equal to the number of steps completes every step.
+ * Cases without step progress (no workflow template) are left unchanged.
+ * Changes the case without saving it
+ * @param {Object} caseItem - Case document
+ * @param {Number} targetIndex - Zero-based index of the step to work on
+ * @param {Date} now - Moment of the change
+ * @returns {Object} { completed, started, skipped } step entries that changed
+ */
+exports.moveToStep = async (caseItem, targetIndex, now = new Date()) => {
+    const changes = emptyChanges();
+    const steps = caseItem.stepProgress || [];
+
+    if (steps.length === 0) {
+        return changes;
+    }
+
+    caseItem.currentStep = targetIndex;
+
+    const calendar = await getCalendarForService(caseItem.serviceId);
+    const stages = exports.getStages(steps);
+    const targetStage = stages.findIndex(stage => stage.includes(targetIndex));
+
+    steps.forEach((step, index) => {
+        if (step.status === 'skipped') {
+            return;
+        }
+
+        const stage = stages.findIndex(s => s.includes(index));
+
+        if (targetStage === -1 || stage < targetStage) {
+            if (step.status !== 'completed') {
+                finishStep(step, now, calendar);
+                changes.completed.push(step);
+            }
+        } else if (stage === targetStage) {
+            const shouldStart = index === targetIndex
+                ? step.status !== 'in_progress'
+                : step.status === 'pending';
+            if (shouldStart) {
+                startStep(caseItem, step, now, calendar);
+                changes.started.push(step);
+            }
+        } else if (step.status !== 'pending') {
+            resetStep(step);
+        }
+    });
+
+    return changes;
+};
+
+/**
+ * Steps moveToStep would complete when moving to a step
+ * @param {Object} caseItem - Case document
+ * @param {Number} targetIndex - Zero-based step index (number of steps = all)
+ * @returns {Array} stepProgress entries
+ */
+exports.getStepsFinishedBy = (caseItem, targetIndex) => {
+    const steps = caseItem.stepProgress || [];
+    const stages = exports.getStages(steps);
+    const targetStage = stages.findIndex(stage => stage.includes(targetIndex));
+
+    return steps.filter((step, index) => !FINISHED_STATUSES.includes(step.status) &&
+        (targetStage === -1 || stages.findIndex(stage => stage.includes(index)) < targetStage));
+};
+
+// Helper function to read a case field for a condition (attributes.<name> reads case attributes)
+const getCaseValue = (caseItem, field) => {
+    if (field.startsWith('attributes.')) {
+        const key = field.slice('attributes.'.length);
+        const attributes = caseItem.attributes;
+        if (!attributes) return undefined;
+        return attributes instanceof Map ? attributes.get(key) : attributes[key];
+    }
+
+    return typeof caseItem.get === 'function' ? caseItem.get(field) : caseItem[field];
+};
+
+const isPresent = (value) => value !== undefined && value !== null && value !== '';
+
+// Helper function to test one condition rule against a case
+const evaluateRule = (rule, caseItem) => {
+    let actual;
+
+    if (rule.source === 'checklist') {
+        const entry = (caseItem.checklistProgress || [])
+            .find(p => p.itemId.toString() === String(rule.itemId));
+
+        if (rule.operator === 'completed') return Boolean(entry && entry.isCompleted);
+        if (rule.operator === 'not_completed') return !(entry && entry.isCompleted);
+        actual = entry ? entry.answer : undefined;
+    } else {
+        actual = getCaseValue(caseItem, rule.field);
+    }
+
+    const values = Array.isArray(rule.value) ? rule.value.map(String) : [String(rule.value)];
+
+    switch (rule.operator) {
+        case 'equals':
+            return isPresent(actual) && String(actual) === String(rule.value);
+        case 'not_equals':
+            return !isPresent(actual) || String(actual) !== String(rule.value);
+        case 'in':
+            return isPresent(actual) && values.includes(String(actual));
+        case 'not_in':
+            return !isPresent(actual) || !values.includes(String(actual));
+        case 'exists':
+            return isPresent(actual);
+        case 'not_exists':
+            return !isPresent(actual);
+        case 'completed':
+            return Boolean(actual);
+        case 'not_completed':
+            return !actual;
+        default:
+            return false;
+    }
+};
+
+// Helper function to describe a condition rule in a skip reason
+const describeRule = (rule) => {
+    const subject = rule.source === 'checklist' ? 'checklist answer' : rule.field;
+    const value = ['exists', 'not_exists', 'completed', 'not_completed'].includes(rule.operator)
+        ? ''
+        : ` ${Array.isArray(rule.value) ? rule.value.join('/') : rule.value}`;
+    return `${subject} ${rule.operator.replace(/_/g, ' ')}${value}`;
+};
+
+/**
+ * Check whether a step's conditions pass for a case
+ * A step without condition rules always applies
+ * @param {Object} conditions - Step conditions ({ match, rules })
+ * @param {Object} caseItem - Case document
+ * @returns {Object} { applies, reason }
+ */
+exports.evaluateConditions = (conditions, caseItem) => {
+    const rules = conditions && conditions.rules ? conditions.rules : [];
+    if (rules.length === 0) {
+        return { applies: true, reason: null };
+    }
+
+    const failed = rules.filter(rule => !evaluateRule(rule, caseItem));
+    const applies = conditions.match === 'any'
+        ? failed.length < rules.length
+        : failed.length === 0;
+
+    return {
+        applies,
+        reason: applies
+            ? null
+            : `Condition not met: ${failed.map(describeRule).join(conditions.match === 'any' ? ' or ' : ' and ')}`
+    };
+};
+
+/**
+ * Skip steps whose conditions no longer pass and restore condition-skipped
+ * steps whose conditions pass again. Completed steps and steps skipped by a
+ * user are left alone. Changes the case without saving it
+ * @param {Object} caseItem - Case document
+ * @param {Object} template - The case's workflow template version
+ * @param {Date} now - Moment of the change
+ * @returns {Object} { completed, started, skipped }
+ */
+exports.applyStepConditions = (caseItem, template, now = new Date()) => {
+    const changes = emptyChanges();
+    if (!template) {
+        return changes;
+    }
+
+    const definitions = new Map(template.steps.map(step => [step._id.toString(), step]));
+
+    (caseItem.stepProgress || []).forEach(step => {
+        const definition = definitions.get(step.stepId.toString());
+        if (!definition) {
+            return;
+        }
+
+        const { applies, reason } = exports.evaluateConditions(definition.conditions, caseItem);
+
+        if (!applies && !['completed', 'skipped'].includes(step.status)) {
+            markSkipped(step, reason, 'condition', now);
+            changes.skipped.push(step);
+        } else if (applies && step.status === 'skipped' && step.skippedBy === 'condition') {
+            resetStep(step);
+        }
+    });
+
+    return changes;
+};
+
+/**
+ * Start the next stage once every step of the current stage is finished
+ * (completed or skipped). A step that applies again after later stages
+ * were started (its condition passes once more) is started alongside them;
+ * the later steps keep their progress. Changes the case without saving it
+ * @param {Object} caseItem - Case document
+ * @param {Date} now - Moment of the change
+ * @returns {Object} { completed, started, skipped }
+ */
+exports.advanceProgress = async (caseItem, now = new Date()) => {
+    const steps = caseItem.stepProgress || [];
+    const stages = exports.getStages(steps);
+
+    const activeIndex = stages.findIndex(stage => stage.some(i => !FINISHED_STATUSES.includes(steps[i].status)));
+    const active = stages[activeIndex];
+
+    if (!active) {
+        if (steps.length > 0) {
+            caseItem.currentStep = steps.length;
+        }
+        return emptyChanges();
+    }
+
+    const firstUnfinished = active.find(i => !FINISHED_STATUSES.includes(steps[i].status));
+    const waiting = active.some(i => steps[i].status === 'pending');
+
+    if (!waiting) {
+        caseItem.currentStep = firstUnfinished;
+        return emptyChanges();
+    }
+
+    // Work already done on later stages is kept rather than rewound
+    const laterStarted = stages.slice(activeIndex + 1)
+        .some(stage => stage.some(i => ['in_progress', 'completed'].includes(steps[i].status)));
+
+    if (laterStarted) {
+        const changes = emptyChanges();
+        const calendar = await getCalendarForService(caseItem.serviceId);
+
+        active.filter(i => steps[i].status === 'pending').forEach(i => {
+            startStep(caseItem, steps[i], now, calendar);
+            changes.started.push(steps[i]);
+        });
+        caseItem.currentStep = firstUnfinished;
+        return changes;
+    }
+
+    return exports.moveToStep(caseItem, firstUnfinished, now);
+};
+
+/**
+ * Re-evaluate step conditions and move on to the step(s) that come next
+ * Changes the case without saving it
+ * @param {Object} caseItem - Case document
+ * @param {Object} template - The case's workflow template version
+ * @param {Date} now - Moment of the change
+ * @returns {Object} { completed, started, skipped }
+ */
+exports.refreshProgress = async (caseItem, template, now = new Date()) => {
+    const skipped = exports.applyStepConditions(caseItem, template, now);
+    const advanced = await exports.advanceProgress(caseItem, now);
+    return mergeChanges(skipped, advanced);
+};
+
+/**
+ * Complete one running step (e.g. one of several parallel steps)
+ * Changes the case without saving it
+ * @param {Object} caseItem - Case document
+ * @param {ObjectId} stepId - Template step ID
+ * @param {Date} now - Moment of the change
+ * @returns {Object} { completed, started, skipped } or { error }
+ */
+exports.completeStep = async (caseItem, stepId, now = new Date()) => {
+    const step = (caseItem.stepProgress || []).find(s => s.stepId.toString() === String(stepId));
+
+    if (!step) {
+        return { error: 'Step not found on this case' };
+    }
+    if (step.status !== 'in_progress') {
+        return { error: `Only running steps can be completed (step is ${step.status})` };
+    }
+
+    const calendar = await getCalendarForService(caseItem.serviceId);
+    finishStep(step, now, calendar);
+
+    const advanced = await exports.advanceProgress(caseItem, now);
+    return mergeChanges({ completed: [step], started: [], skipped: [] }, advanced);
+};
+
+/**
+ * Skip an optional step
+ * Changes the case without saving it
+ * @param {Object} caseItem - Case document
+ * @param {Object} template - The case's workflow template version
+ * @param {ObjectId} stepId - Template step ID
+ * @param {String} reason - Why the step is skipped
+ * @param {Date} now - Moment of the change
+ * @returns {Object} { completed, started, skipped } or { error }
+ */
+exports.skipStep = async (caseItem, template, stepId, reason, now = new Date()) => {
+    const step = (caseItem.stepProgress || []).find(s => s.stepId.toString() === String(stepId));
+    const definition = template ? template.steps.find(s => s._id.toString() === String(stepId)) : null;
+
+    if (!step || !definition) {
+        return { error: 'Step not found on this case' };
+    }
+    if (!definition.isOptional) {
+        return { error: 'Only optional steps can be skipped' };
+    }
+    if (FINISHED_STATUSES.includes(step.status)) {
+        return { error: `Step is already ${step.status}` };
+    }
+    if (!reason) {
+        return { error: 'Please provide a reason for skipping the step' };
+    }
+
+    markSkipped(step, reason, 'user', now);
+
+    const advanced = await exports.advanceProgress(caseItem, now);
+    return mergeChanges({ completed: [], started: [], skipped: [step] }, advanced);
+};
+
+/**
+ * Describe where a case is in its workflow
+ * @param {Object} caseItem - Case document
+ * @param {Object} template - The case's workflow template version
+ * @returns {Object} { steps, current, next, isComplete, finished, total }
+ */
+exports.getProgressView = (caseItem, template) => {
+    const steps = caseItem.stepProgress || [];
+    const definitions = new Map((template ? template.steps : []).map(step => [step._id.toString(), step]));
+    const stages = exports.getStages(steps);
+
+    const view = steps.map(step => {
+        const definition = definitions.get(step.stepId.toString());
+        const { applies, reason } = exports.evaluateConditions(definition ? definition.conditions : null, caseItem);
+
+        return {
+            stepId: step.stepId,
+            stepName: step.stepName,
+            order: step.order,
+            status: step.status,
+            parallelGroup: step.parallelGroup || null,
+            isOptional: definition ? definition.isOptional : false,
+            applies: step.status === 'skipped' ? false : applies,
+            skipReason: step.skipReason || (applies ? null : reason),
+            startedAt: step.startedAt,
+            completedAt: step.completedAt,
+            deadline: step.deadline,
+            slaStatus: step.slaStatus
+        };
+    });
+
+    const activeStage = stages.findIndex(stage => stage.some(i => !FINISHED_STATUSES.includes(steps[i].status)));
+
+    // The next stage that has a step that applies, as things stand now
+    const nextStage = activeStage === -1
+        ? undefined
+        : stages.slice(activeStage + 1).find(stage => stage.some(i => view[i].applies && view[i].status === 'pending'));
+
+    return {
+        steps: view,
+        current: view.filter(step => step.status === 'in_progress'),
+        next: nextStage ? nextStage.map(i => view[i]).filter(step => step.applies) : [],
+        isComplete: steps.length > 0 && activeStage === -1,
+        finished: view.filter(step => FINISHED_STATUSES.includes(step.status)).length,
+        total: view.length
+    };
+};
+
+/**
+ * Record step changes returned by moveToStep / refreshProgress on the case timeline
+ * @param {Object} caseItem - Case document
+ * @param {Object} changes - { completed, started, skipped }
+ * @param {Object} user - User who moved the case (defaults to System)
+ */
+exports.logStepChanges = async (caseItem, changes, user = SYSTEM_USER) => {
+    const performedBy = { userId: user.id, name: user.name, role: user.role };
+
+    for (const step of changes.completed) {
+        await ActivityTimeline.createEvent({
+            caseId: caseItem._id,
+            eventType: 'step_completed',
+            title: 'Step Completed',
+            description: ActivityTimeline.generateDescription('step_completed', {
+                stepName: step.stepName,
+                overrunHours: step.overrunHours
+            }),
+            performedBy,
+            metadata: {
+                additionalInfo: {
+                    stepId: step.stepId,
+                    actualDuration: step.actualDuration,
+                    estimatedDuration: step.estimatedDuration,
+                    overrunHours: step.overrunHours
+                }
+            },
+            isVisibleToUser: true,
+            ...ActivityTimeline.getEventStyle('step_completed')
+        });
+    }
+
+    for (const step of changes.skipped || []) {
+        await ActivityTimeline.createEvent({
+            caseId: caseItem._id,
+            eventType: 'step_skipped',
+            title: 'Step Skipped',
+            description: ActivityTimeline.generateDescription('step_skipped', {
+                stepName: step.stepName,
+                reason: step.skipReason
+            }),
+            performedBy: step.skippedBy === 'condition' ? SYSTEM_PERFORMER : performedBy,
+            metadata: {
+                additionalInfo: { stepId: step.stepId, skippedBy: step.skippedBy }
+            },
+            isVisibleToUser: true,
+            ...ActivityTimeline.getEventStyle('step_skipped')
+        });
+    }
+
+    for (const step of changes.started) {
+        await ActivityTimeline.createEvent({
+            caseId: caseItem._id,
+            eventType: 'step_started',
+            title: 'Step Started',
+            description: ActivityTimeline.generateDescription('step_started', {
+                stepName: step.stepName
+            }),
+            performedBy,
+            metadata: {
+                additionalInfo: {
+                    stepId: step.stepId,
+                    deadline: step.deadline
+                }
+            },
+            isVisibleToUser: true,
+            ...ActivityTimeline.getEventStyle('step_started')
+        });
+    }
+};
+
+/**
+ * Stop the clock of the running step(s) (mirrors the case SLA pause)
+ * Changes the case without saving it
+ * @param {Object} caseItem - Case document
+ * @param {Date} now - Moment the clock stops
+ */
+exports.pauseCurrentStep = (caseItem, now = new Date()) => {
+    (caseItem.stepProgress || [])
+        .filter(s => s.status === 'in_progress' && !s.pausedAt)
+        .forEach(step => {
+            step.pausedAt = now;
+        });
+};
+
+/**
+ * Restart the clock of the running step(s), pushing their deadlines out
+ * Changes the case without saving it
+ * @param {Object} caseItem - Case document
+ * @param {Object} calendar - Business calendar
+ * @param {Date} now - Moment the clock restarts
+ */
+exports.resumeCurrentStep = (caseItem, calendar, now = new Date()) => {
+    (caseItem.stepProgress || [])
+        .filter(s => s.status === 'in_progress' && s.pausedAt)
+        .forEach(step => {
+            const remaining = businessHoursBetween(step.pausedAt, step.deadline, calendar);
+            if (remaining > 0) {
+                step.deadline = addBusinessHours(now, remaining, calendar);
+            }
+
+            step.pausedHours = (step.pausedHours || 0) + Math.max(0, businessHoursBetween(step.pausedAt, now, calendar));
+            step.pausedAt = undefined;
+        });
+};
+
+/**
+ * Update SLA status of running steps for all active cases
+ * Run from the hourly SLA cron; logs a timeline event when a step
+ * becomes at risk or breached
+ * @returns {Object} { updatedCount }
+ */
+exports.updateAllStepStatuses = async () => {
+    try {
+        const cases = await Case.find({
+            status: { $nin: ['completed', 'closed', 'cancelled'] },
+            slaPausedAt: null,
+            stepProgress: { $elemMatch: { status: 'in_progress', deadline: { $ne: null } } }
+        });
+
+        let updatedCount = 0;
+        const calendars = new Map();
+
+        for (const caseItem of cases) {
+            const serviceKey = caseItem.serviceId.toString();
+            if (!calendars.has(serviceKey)) {
+                calendars.set(serviceKey, await getCalendarForService(caseItem.serviceId));
+            }
+            const calendar = calendars.get(serviceKey);
+
+            // Parallel steps each run against their own deadline
+            const changed = caseItem.stepProgress
+                .filter(s => s.status === 'in_progress' && s.deadline)
+                .map(step => ({ step, ...exports.checkStepStatus(step, calendar) }))
+                .filter(({ step, slaStatus }) => slaStatus !== step.slaStatus);
+
+            if (changed.length === 0) {
+                continue;
+            }
+
+            changed.forEach(({ step, slaStatus }) => {
+                step.slaStatus = slaStatus;
+            });
+            await caseItem.save();
+            updatedCount += changed.length;
+
+            for (const { step, slaStatus, hoursRemaining } of changed) {
+                if (slaStatus !== 'at_risk' && slaStatus !== 'breached') {
+                    continue;
+                }
+
+                const eventType = slaStatus === 'at_risk' ? 'step_sla_warning' : 'step_sla_breach';
+
+                await ActivityTimeline.createEvent({
+                    caseId: caseItem._id,
+                    eventType,
+                    title: slaStatus === 'at_risk' ? 'Step SLA Warning' : 'Step SLA Breached',
+                    description: ActivityTimeline.generateDescription(eventType, {
+                        stepName: step.stepName,
+                        hoursRemaining: Math.round(hoursRemaining)
+                    }),
+                    performedBy: {
+                        userId: null,
+                        name: 'System',
+                        role: 'system'
+                    },
+                    metadata: {
+                        additionalInfo: { stepId: step.stepId, deadline: step.deadline }
+                    },
+                    isVisibleToUser: false,
+                    ...ActivityTimeline.getEventStyle(eventType)
+                });
+            }
+        }
+
+        console.log(`✅ Step SLA Update: ${updatedCount} steps updated`);
+        return { updatedCount };
+    } catch (error) {
+        console.error('❌ Error updating step SLA statuses:', error);
+        return { updatedCount: 0, error: error.message };
+    }
+};
+
+/**
+ * Report which workflow steps run late most often
+ * Counts completed steps plus running steps that are already breached
+ * @param {Object} filters - { serviceId, workflowTemplateId, startDate, endDate }
+ * @returns {Array} Per step: total, late, lateRate, avg estimated/actual duration, avg overrun
+ */
+exports.getLateStepsReport = async ({ serviceId, workflowTemplateId, startDate, endDate } = {}) => {
+    const match = { 'stepProgress.0': { $exists: true } };
+    if (serviceId) match.serviceId = new mongoose.Types.ObjectId(serviceId);
+    if (workflowTemplateId) match.workflowTemplateId = new mongoose.Types.ObjectId(workflowTemplateId);
+
+    const stepMatch = {
+        $or: [
+            { 'stepProgress.status': 'completed' },
+            { 'stepProgress.status': 'in_progress', 'stepProgress.slaStatus': 'breached' }
+        ]
+    };
+    if (startDate || endDate) {
+        stepMatch['stepProgress.startedAt'] = {};
+        if (startDate) stepMatch['stepProgress.startedAt'].$gte = new Date(startDate);
+        if (endDate) stepMatch['stepProgress.startedAt'].$lte = new Date(endDate);
+    }
+
+    return Case.aggregate([
+        { $match: match },
+        { $unwind: '$stepProgress' },
+        { $match: stepMatch },
+        {
+            $group: {
+                _id: {
+                    workflowTemplateId: '$workflowTemplateId',
+                    stepId: '$stepProgress.stepId'
+                },
+                stepName: { $first: '$stepProgress.stepName' },
+                order: { $first: '$stepProgress.order' },
+                total: { $sum: 1 },
+                late: {
+                    $sum: { $cond: [{ $eq: ['$stepProgress.slaStatus', 'breached'] }, 1, 0] }
+                },
+                avgEstimatedDuration: { $avg: '$stepProgress.estimatedDuration' },
+                avgActualDuration: { $avg: '$stepProgress.actualDuration' },
+                avgOverrunHours: { $avg: '$stepProgress.overrunHours' }
+            }
+        },
+        {
+            $lookup: {
+                from: 'workflowtemplates',
+                localField: '_id.workflowTemplateId',
+                foreignField: '_id',
+                as: 'template'
+            }
+        },
+        {
+            $project: {
+                _id: 0,
+                workflowTemplateId: '$_id.workflowTemplateId',
+                workflowTemplateName: { $arrayElemAt: ['$template.name', 0] },
+                stepId: '$_id.stepId',
+                stepName: 1,
+                order: 1,
+                total: 1,
+                late: 1,
+                lateRate: {
+                    $round: [{ $multiply: [{ $divide: ['$late', '$total'] }, 100] }, 1]
+                },
+                avgEstimatedDuration: { $round: ['$avgEstimatedDuration', 1] },
+                avgActualDuration: { $round: ['$avgActualDuration', 1] },
+                avgOverrunHours: { $round: ['$avgOverrunHours', 1] }
+            }
+        },
+        { $sort: { late: -1, lateRate: -1 } }
+    ]);
+};
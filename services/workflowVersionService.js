@@ -0,0 +1,437 @@
+const Case = require('../models/Case');
+const Service = require('../models/Service');
+const WorkflowTemplate = require('../models/WorkflowTemplate');
+const ActivityTimeline = require('../models/ActivityTimeline');
+const { buildChecklistProgress } = require('./caseService');
+const { buildStepProgress, moveToStep, refreshProgress, logStepChanges } = require('./workflowStepService');
+
+const OPEN_STATUSES = ['new', 'in_progress', 'on_hold', 'awaiting_client', 'reopened'];
+
+// Step progress fields carried over when a step maps to a new version
+const CARRIED_STEP_FIELDS = [
+    'status',
+    'startedAt',
+    'completedAt',
+    'deadline',
+    'slaStatus',
+    'pausedAt',
+    'pausedHours',
+    'actualDuration',
+    'overrunHours',
+    'skipReason',
+    'skippedBy'
+];
+
+const normalize = (text) => (text || '').trim().toLowerCase();
+
+const sortedSteps = (template) => [...template.steps].sort((a, b) => a.order - b.order);
+
+/**
+ * Create a draft version from an existing version
+ * Steps and checklist items keep their IDs so progress maps across versions
+ * @param {Object} source - Template version to start from
+ * @param {Object} user - User creating the draft
+ * @returns {Object} { template } or { error, statusCode }
+ */
+exports.createDraftVersion = async (source, user) => {
+    const familyId = source.familyId || source._id;
+
+    const existingDraft = await WorkflowTemplate.findOne({ familyId, status: 'draft' });
+    if (existingDraft) {
+        return {
+            error: `Version ${existingDraft.versionNumber} is already a draft. Publish or delete it first.`,
+            statusCode: 400
+        };
+    }
+
+    const latest = await WorkflowTemplate.findOne({ familyId }).sort({ versionNumber: -1 });
+    const data = source.toObject();
+
+    const template = await WorkflowTemplate.create({
+        name: data.name,
+        description: data.description,
+        serviceType: data.serviceType,
+        steps: data.steps,
+        metadata: {
+            tags: data.metadata ? data.metadata.tags : [],
+            complexity: data.metadata ? data.metadata.complexity : undefined
+        },
+        familyId,
+        versionNumber: latest.versionNumber + 1,
+        status: 'draft',
+        basedOnVersionId: source._id,
+        createdBy: user.id
+    });
+
+    return { template };
+};
+
+/**
+ * Publish a draft version
+ * The family's previous published version is superseded (cases pinned to it
+ * keep using it) and services defaulting to it move to the new version
+ * @param {Object} draft - Draft template version
+ * @param {Object} user - User publishing
+ * @returns {Object} { template, previous } or { error, statusCode }
+ */
+exports.publishVersion = async (draft, user) => {
+    if (draft.status !== 'draft') {
+        return { error: 'Only draft versions can be published', statusCode: 400 };
+    }
+    if (!draft.steps || draft.steps.length === 0) {
+        return { error: 'A workflow version needs at least one step', statusCode: 400 };
+    }
+
+    const previous = await WorkflowTemplate.getLatestPublished(draft.familyId);
+
+    draft.status = 'published';
+    draft.publishedAt = Date.now();
+    draft.publishedBy = user.id;
+    draft.set('metadata.version', `${draft.versionNumber}.0`);
+    await draft.save();
+
+    if (previous) {
+        previous.status = 'superseded';
+        await previous.save();
+
+        const familyVersions = await WorkflowTemplate.find({ familyId: draft.familyId }).select('_id');
+        await Service.updateMany(
+            { defaultWorkflowTemplateId: { $in: familyVersions.map(v => v._id) } },
+            { defaultWorkflowTemplateId: draft._id }
+        );
+    }
+
+    return { template: draft, previous };
+};
+
+/**
+ * Map the steps and checklist items of one version onto another
+ * Matching order: explicit override, same ID, then same name/title.
+ * An override of null drops the step or item
+ * @param {Object} fromTemplate - Version cases are on
+ * @param {Object} toTemplate - Version to move them to
+ * @param {Object} overrides - { stepMap: { oldId: newId|null }, itemMap: { oldId: newId|null } }
+ * @returns {Object} { steps, items, addedSteps, addedItems } or { error }
+ */
+exports.buildMapping = (fromTemplate, toTemplate, { stepMap = {}, itemMap = {} } = {}) => {
+    const targetSteps = sortedSteps(toTemplate);
+    const targetItems = targetSteps.flatMap(step =>
+        step.checklistItems.map(item => ({ item, step }))
+    );
+
+    const findStep = (id) => targetSteps.find(step => step._id.toString() === String(id));
+    const findItem = (id) => targetItems.find(entry => entry.item._id.toString() === String(id));
+
+    const steps = sortedSteps(fromTemplate).map(step => {
+        const key = step._id.toString();
+        let target = null;
+        let matchedBy = null;
+
+        if (key in stepMap) {
+            if (stepMap[key] !== null) {
+                target = findStep(stepMap[key]);
+                if (!target) {
+                    return { error: `Step ${stepMap[key]} is not in the target version` };
+                }
+            }
+            matchedBy = 'manual';
+        } else if (findStep(key)) {
+            target = findStep(key);
+            matchedBy = 'id';
+        } else {
+            target = targetSteps.find(s => normalize(s.stepName) === normalize(step.stepName)) || null;
+            matchedBy = target ? 'name' : null;
+        }
+
+        return {
+            fromStepId: step._id,
+            fromStepName: step.stepName,
+            toStepId: target ? target._id : null,
+            toStepName: target ? target.stepName : null,
+            matchedBy
+        };
+    });
+
+    const stepError = steps.find(step => step.error);
+    if (stepError) {
+        return { error: stepError.error };
+    }
+
+    const items = sortedSteps(fromTemplate).flatMap(step => step.checklistItems.map(item => {
+        const key = item._id.toString();
+        const stepMapping = steps.find(s => s.fromStepId.equals(step._id));
+        let target = null;
+        let matchedBy = null;
+
+        if (key in itemMap) {
+            if (itemMap[key] !== null) {
+                target = findItem(itemMap[key]);
+                if (!target) {
+                    return { error: `Checklist item ${itemMap[key]} is not in the target version` };
+                }
+            }
+            matchedBy = 'manual';
+        } else if (findItem(key)) {
+            target = findItem(key);
+            matchedBy = 'id';
+        } else {
+            // Prefer an item with the same title in the step this step maps to
+            const sameTitle = targetItems.filter(entry => normalize(entry.item.title) === normalize(item.title));
+            target = sameTitle.find(entry => stepMapping.toStepId && entry.step._id.equals(stepMapping.toStepId)) ||
+                (sameTitle.length === 1 ? sameTitle[0] : null);
+            matchedBy = target ? 'name' : null;
+        }
+
+        return {
+            fromStepId: step._id,
+            fromItemId: item._id,
+            fromTitle: item.title,
+            toStepId: target ? target.step._id : null,
+            toItemId: target ? target.item._id : null,
+            toTitle: target ? target.item.title : null,
+            matchedBy
+        };
+    }));
+
+    const itemError = items.find(item => item.error);
+    if (itemError) {
+        return { error: itemError.error };
+    }
+
+    const mappedStepIds = new Set(steps.filter(s => s.toStepId).map(s => s.toStepId.toString()));
+    const mappedItemIds = new Set(items.filter(i => i.toItemId).map(i => i.toItemId.toString()));
+
+    return {
+        steps,
+        items,
+        addedSteps: targetSteps
+            .filter(step => !mappedStepIds.has(step._id.toString()))
+            .map(step => ({ stepId: step._id, stepName: step.stepName })),
+        addedItems: targetItems
+            .filter(entry => !mappedItemIds.has(entry.item._id.toString()))
+            .map(entry => ({ stepId: entry.step._id, itemId: entry.item._id, title: entry.item.title }))
+    };
+};
+
+// Helper function to find the step a case is working on in its current version
+const getCurrentStepId = (caseItem, fromTemplate) => {
+    const running = (caseItem.stepProgress || []).find(step => step.status === 'in_progress');
+    if (running) {
+        return running.stepId;
+    }
+
+    const step = sortedSteps(fromTemplate)[caseItem.currentStep || 0];
+    return step ? step._id : null;
+};
+
+/**
+ * Move one case onto the target version (without saving)
+ * Completed checklist items, checklist answers and step timings follow the
+ * mapping; the case continues at the step its current step maps to. The case
+ * SLA deadline is left unchanged
+ * @param {Object} caseItem - Case document
+ * @param {Object} fromTemplate - Version the case is on
+ * @param {Object} toTemplate - Target version
+ * @param {Object} mapping - From buildMapping
+ * @returns {Object} { targetIndex, carriedItems, lostItems, lostAnswers, warnings }
+ */
+exports.planCaseMigration = (caseItem, fromTemplate, toTemplate, mapping) => {
+    const warnings = [];
+
+    // Checklist: start from the target version, then carry completed items and
+    // answers over (step conditions of the target version read the answers)
+    const checklistProgress = buildChecklistProgress(toTemplate);
+    const lostItems = [];
+    const lostAnswers = [];
+    let carriedItems = 0;
+
+    (caseItem.checklistProgress || []).forEach(entry => {
+        const hasAnswer = entry.answer !== undefined && entry.answer !== null;
+        if (!entry.isCompleted && !hasAnswer) {
+            return;
+        }
+
+        const itemMapping = mapping.items.find(i => i.fromItemId.equals(entry.itemId));
+        const target = itemMapping && itemMapping.toItemId
+            ? checklistProgress.find(p => p.itemId.equals(itemMapping.toItemId))
+            : null;
+        const title = itemMapping ? itemMapping.fromTitle : entry.itemId.toString();
+
+        if (!target) {
+            if (entry.isCompleted) {
+                lostItems.push(title);
+            }
+            if (hasAnswer) {
+                lostAnswers.push(title);
+            }
+            return;
+        }
+
+        if (hasAnswer) {
+            target.answer = entry.answer;
+        }
+        if (entry.isCompleted) {
+            target.isCompleted = true;
+            target.completedAt = entry.completedAt;
+            target.completedBy = entry.completedBy;
+            carriedItems++;
+        }
+    });
+
+    if (lostItems.length > 0) {
+        warnings.push(`${lostItems.length} completed checklist item(s) have no match and will be dropped`);
+    }
+    if (lostAnswers.length > 0) {
+        warnings.push(`${lostAnswers.length} checklist answer(s) have no match and will be dropped; ` +
+            `step conditions that use them may skip or restore steps: ${lostAnswers.join(', ')}`);
+    }
+
+    // Steps: carry progress of mapped steps
+    const stepProgress = buildStepProgress(toTemplate);
+    stepProgress.forEach(step => {
+        const stepMapping = mapping.steps.find(s => s.toStepId && s.toStepId.equals(step.stepId));
+        const old = stepMapping
+            ? (caseItem.stepProgress || []).find(p => p.stepId.equals(stepMapping.fromStepId))
+            : null;
+
+        if (old) {
+            CARRIED_STEP_FIELDS.forEach(field => {
+                if (old[field] !== undefined) step[field] = old[field];
+            });
+        }
+    });
+
+    // Continue at the step the current step maps to, else the first unfinished step
+    const currentStepId = getCurrentStepId(caseItem, fromTemplate);
+    const currentMapping = currentStepId
+        ? mapping.steps.find(s => s.fromStepId.equals(currentStepId))
+        : null;
+
+    let targetIndex = currentMapping && currentMapping.toStepId
+        ? stepProgress.findIndex(step => step.stepId.equals(currentMapping.toStepId))
+        : -1;
+
+    if (targetIndex === -1) {
+        if (currentStepId) {
+            warnings.push('Current step has no match; the case continues at the first unfinished step');
+        }
+        targetIndex = stepProgress.findIndex(step => !['completed', 'skipped'].includes(step.status));
+        if (targetIndex === -1) {
+            targetIndex = Math.max(0, stepProgress.length - 1);
+        }
+    }
+
+    const skipped = stepProgress.slice(0, targetIndex).filter(step => !['completed', 'skipped'].includes(step.status));
+    if (skipped.length > 0) {
+        warnings.push(`${skipped.length} step(s) before the current step will be marked complete: ${skipped
+            .map(step => step.stepName)
+            .join(', ')}`);
+    }
+
+    return {
+        checklistProgress,
+        stepProgress,
+        targetIndex,
+        carriedItems,
+        lostItems,
+        lostAnswers,
+        warnings
+    };
+};
+
+/**
+ * Preview or apply a migration of open cases between two versions
+ * @param {Object} options
+ * @param {Object} options.fromTemplate - Version cases are on
+ * @param {Object} options.toTemplate - Published target version
+ * @param {Object} options.overrides - { stepMap, itemMap }
+ * @param {Array} options.caseIds - Limit to these cases (default: all open cases on fromTemplate)
+ * @param {Boolean} options.dryRun - Preview only
+ * @param {Object} options.user - User running the migration
+ * @returns {Object} { mapping, results } or { error, statusCode }
+ */
+exports.migrateCases = async ({ fromTemplate, toTemplate, overrides, caseIds, dryRun = true, user }) => {
+    if (toTemplate.status !== 'published') {
+        return { error: 'Cases can only be migrated to a published version', statusCode: 400 };
+    }
+    if (fromTemplate._id.equals(toTemplate._id)) {
+        return { error: 'Source and target versions are the same', statusCode: 400 };
+    }
+    if (!fromTemplate.serviceType.equals(toTemplate.serviceType)) {
+        return { error: 'Target version belongs to a different service', statusCode: 400 };
+    }
+
+    const mapping = exports.buildMapping(fromTemplate, toTemplate, overrides);
+    if (mapping.error) {
+        return { error: mapping.error, statusCode: 400 };
+    }
+
+    const query = { workflowTemplateId: fromTemplate._id, status: { $in: OPEN_STATUSES } };
+    if (Array.isArray(caseIds) && caseIds.length > 0) {
+        query._id = { $in: caseIds };
+    }
+
+    const cases = await Case.find(query).sort({ createdAt: 1 });
+    const results = [];
+
+    for (const caseItem of cases) {
+        try {
+            const plan = exports.planCaseMigration(caseItem, fromTemplate, toTemplate, mapping);
+            const summary = {
+                caseId: caseItem._id,
+                caseNumber: caseItem.caseId,
+                targetStep: plan.stepProgress[plan.targetIndex]
+                    ? plan.stepProgress[plan.targetIndex].stepName
+                    : null,
+                carriedItems: plan.carriedItems,
+                lostItems: plan.lostItems,
+                lostAnswers: plan.lostAnswers,
+                warnings: plan.warnings
+            };
+
+            if (!dryRun) {
+                caseItem.workflowTemplateId = toTemplate._id;
+                caseItem.checklistProgress = plan.checklistProgress;
+                caseItem.stepProgress = plan.stepProgress;
+
+                const stepChanges = await moveToStep(caseItem, plan.targetIndex);
+                // Step conditions of the new version may skip or restore steps
+                const conditionChanges = await refreshProgress(caseItem, toTemplate);
+                await caseItem.save();
+
+                await ActivityTimeline.createEvent({
+                    caseId: caseItem._id,
+                    eventType: 'workflow_migrated',
+                    title: 'Workflow Updated',
+                    description: ActivityTimeline.generateDescription('workflow_migrated', {
+                        templateName: toTemplate.name,
+                        fromVersion: fromTemplate.versionNumber,
+                        toVersion: toTemplate.versionNumber
+                    }),
+                    performedBy: {
+                        userId: user.id,
+                        name: user.name,
+                        role: user.role
+                    },
+                    metadata: {
+                        additionalInfo: {
+                            fromTemplateId: fromTemplate._id,
+                            toTemplateId: toTemplate._id,
+                            lostItems: plan.lostItems
+                        }
+                    },
+                    isVisibleToUser: false,
+                    ...ActivityTimeline.getEventStyle('workflow_migrated')
+                });
+                await logStepChanges(caseItem, stepChanges, user);
+                await logStepChanges(caseItem, conditionChanges, user);
+            }
+
+            results.push({ success: true, ...summary });
+        } catch (error) {
+            results.push({ caseId: caseItem._id, caseNumber: caseItem.caseId, success: false, error: error.message });
+        }
+    }
+
+    return { mapping, results };
+};
@@ -3,6 +3,8 @@ const dotenv = require('dotenv');
 const Case = require('./models/Case');
 const Service = require('./models/Service');
 const WorkflowTemplate = require('./models/WorkflowTemplate');
+const { buildChecklistProgress } = require('./services/caseService');
+const { initializeCaseSLA } = require('./services/slaService');
 
 dotenv.config();
 
@@ -47,6 +49,8 @@ const setup = async () => {
             ],
             totalEstimatedDuration: 360,
             isActive: true,
+            status: 'published',
+            publishedAt: new Date(),
             createdBy: new mongoose.Types.ObjectId() // Placeholder
         });
 
@@ -63,11 +67,18 @@ const setup = async () => {
 
         console.log('Found Case:', caseItem.caseId);
 
-        // 3. Assign Template to Case
+        // 3. Make it the service's default so new cases pick it up automatically
+        template.serviceType = caseItem.serviceId;
+        await template.save();
+        await Service.findByIdAndUpdate(caseItem.serviceId, { defaultWorkflowTemplateId: template._id });
+
+        // 4. Backfill the existing case (new cases get this from caseService.createCase)
         caseItem.workflowTemplateId = template._id;
+        caseItem.checklistProgress = buildChecklistProgress(template);
         await caseItem.save();
+        await initializeCaseSLA(caseItem);
 
-        console.log('SUCCESS! Assigned workflow template to case.');
+        console.log('SUCCESS! Set default workflow template on service and assigned it to case.');
         console.log('Go to your frontend Employee Dashboard -> Case Details -> Progress Tab to see the new Checklist Panel!');
 
     } catch (error) {
@@ -15,7 +15,11 @@ module.exports = {
   CASE_STATUS: {
     NEW: 'new',
     IN_PROGRESS: 'in_progress',
+    ON_HOLD: 'on_hold',
+    AWAITING_CLIENT: 'awaiting_client',
     COMPLETED: 'completed',
+    CLOSED: 'closed',
+    REOPENED: 'reopened',
     CANCELLED: 'cancelled'
   },
   SOURCE_TAGS: {
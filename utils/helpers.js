@@ -11,17 +11,29 @@ const calculateAgentPerformance = (onboardedUsers, completedCases) => {
 
 const calculateEmployeeWorkload = (assignedCases) => {
   const newCases = assignedCases.filter(c => c.status === 'new').length;
-  const inProgressCases = assignedCases.filter(c => c.status === 'in_progress').length;
+  const inProgressCases = assignedCases.filter(c => ['in_progress', 'reopened'].includes(c.status)).length;
   return {
     total: assignedCases.length,
     new: newCases,
     inProgress: inProgressCases,
-    completed: assignedCases.filter(c => c.status === 'completed').length
+    onHold: assignedCases.filter(c => c.status === 'on_hold').length,
+    awaitingClient: assignedCases.filter(c => c.status === 'awaiting_client').length,
+    completed: assignedCases.filter(c => ['completed', 'closed'].includes(c.status)).length
   };
 };
 
+const getDeviceType = (userAgent) => {
+  if (!userAgent) return 'unknown';
+  const ua = userAgent.toLowerCase();
+  if (/ipad|tablet|playbook|silk|(android(?!.*mobile))/.test(ua)) return 'tablet';
+  if (/mobi|iphone|ipod|android|blackberry|opera mini|iemobile/.test(ua)) return 'mobile';
+  if (/windows|macintosh|linux|cros|x11/.test(ua)) return 'desktop';
+  return 'unknown';
+};
+
 module.exports = {
   generateCaseId,
   calculateAgentPerformance,
-  calculateEmployeeWorkload
+  calculateEmployeeWorkload,
+  getDeviceType
 };
\ No newline at end of file